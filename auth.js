@@ -0,0 +1,224 @@
+// @ts-check
+import b4a from 'b4a';
+import { connectChannel } from './channel.js';
+import { descriptorCodec, challengeCodec, signedDescriptorCodec } from './protocol/descriptor.js';
+import { CODES, codedError } from './result/index.js';
+import { randomBytes, verify as verifyEd25519 } from './crypto/index.js';
+import { createLogger } from './log/index.js';
+
+const defaultLogger = createLogger({ name: 'plex-auth', context: { subsystem: 'plex' } });
+const noopLogger = { trace(){}, debug(){}, info(){}, warn(){}, error(){}, fatal(){}, log(){}, child(){ return this }, setLevel(){}, isLevelEnabled(){ return false } };
+const resolveLogger = (cfg) => {
+  const candidate = cfg?.logger ?? cfg?.log;
+  if (candidate === false) return noopLogger;
+  if (candidate && typeof candidate === 'object') return candidate;
+  return defaultLogger;
+};
+
+/** Context string bound into every signature so handshake signatures cannot be replayed elsewhere. */
+export const AUTH_CONTEXT = 'plex-auth/v1';
+export const AUTH_LANE = 'auth';
+
+const AUTH_ID = b4a.from(AUTH_CONTEXT);
+const AUTH_CONTEXT_BYTES = b4a.from(AUTH_CONTEXT);
+const NONCE_BYTES = 32;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Auth lane message tags (first byte of each message)
+const MSG_CHALLENGE = 0;
+const MSG_SIGNED = 1;
+const MSG_VERIFIED = 2;
+
+// Role byte in the signed message: the signer is answering the other side's challenge.
+const ROLE_RESPONDER = 1;
+
+/**
+ * Bytes a peer signs to answer a challenge:
+ * context || role || challengerNonce || responderNonce || descriptor.
+ * Binding both nonces ties the answer to this one exchange, so it cannot be replayed to either
+ * side of another handshake (or reflected back at its signer).
+ * @param {Uint8Array} challengerNonce nonce of the side that asked
+ * @param {Uint8Array} responderNonce nonce of the side that signs
+ * @param {any} descriptor
+ */
+export function authMessage(challengerNonce, responderNonce, descriptor) {
+  return b4a.concat([AUTH_CONTEXT_BYTES, new Uint8Array([ROLE_RESPONDER]), challengerNonce, responderNonce, descriptorCodec.encode(descriptor)]);
+}
+
+/**
+ * Mutual challenge/response handshake over a dedicated `auth` lane.
+ *
+ * Each side sends a random challenge, answers the remote challenge with its signed descriptor,
+ * verifies the answer to its own challenge and acknowledges it. The handshake is ready once the
+ * remote descriptor verified locally *and* the remote acknowledged ours, so by the time either
+ * side opens a lane the other side already accepts lanes from it.
+ *
+ * `whenReady` callbacks fire synchronously on completion (no microtask gap), which keeps lane
+ * pairing ordered behind the acknowledgement on the shared mux.
+ *
+ * @param {{
+ *   stream:any, mux:any, protocolBase:string,
+ *   signer:{ publicKey:Uint8Array, sign:(message:Uint8Array)=>Uint8Array|Promise<Uint8Array> },
+ *   descriptor?:any,
+ *   verify?:(message:Uint8Array, sig:Uint8Array, publicKey:Uint8Array)=>boolean|Promise<boolean>,
+ *   authorize?:(descriptor:any)=>boolean|Promise<boolean>,
+ *   timeoutMs?:number, logger?:any, log?:any
+ * }} cfg
+ */
+export function createAuthHandshake(cfg) {
+  const { stream, mux, protocolBase, signer, descriptor = {}, verify = verifyEd25519, authorize, timeoutMs = DEFAULT_TIMEOUT_MS } = cfg;
+  if (!signer || !b4a.isBuffer(signer.publicKey) || typeof signer.sign !== 'function') {
+    throw new TypeError('auth: signer { publicKey, sign(message) } required');
+  }
+  const log = resolveLogger(cfg);
+  const localDescriptor = { ...descriptor, publicKey: signer.publicKey };
+  const localNonce = randomBytes(NONCE_BYTES);
+
+  /** @type {'pending'|'ready'|'failed'} */
+  let state = 'pending';
+  let remoteDescriptor = null;
+  /** @type {Uint8Array|null} */
+  let remoteNonce = null;
+  let acked = false;
+  /** @type {Error|null} */
+  let failure = null;
+  /** @type {Array<(err:Error|null, descriptor?:any)=>void>} */
+  let waiters = [];
+
+  const timer = timeoutMs > 0
+    ? setTimeout(() => fail(codedError(CODES.Timeout, `auth handshake timed out after ${timeoutMs}ms`)), timeoutMs)
+    : null;
+  if (typeof timer?.unref === 'function') timer.unref();
+
+  const channelCfg = connectChannel({
+    stream,
+    mux,
+    id: AUTH_ID,
+    protocol: `${protocolBase}/${AUTH_LANE}`,
+    onopen: () => {
+      log.debug('auth lane open; sending challenge');
+      send(MSG_CHALLENGE, challengeCodec.encode({ nonce: localNonce, ctx: AUTH_CONTEXT }));
+    },
+    onmessage: (buf) => onmessage(buf),
+    onclose: () => fail(codedError(CODES.Closed, 'auth lane closed before handshake completed')),
+    ondestroy: () => fail(codedError(CODES.Destroyed, 'auth lane destroyed before handshake completed')),
+    log: cfg.log,
+    logger: cfg.logger
+  });
+
+  function send(type, body) {
+    if (state === 'failed') return;
+    channelCfg.plexSend(b4a.concat([new Uint8Array([type]), body]));
+  }
+
+  function onmessage(buf) {
+    if (state !== 'pending' || !buf || buf.length === 0) return;
+    const type = buf[0];
+    const body = buf.subarray(1);
+    try {
+      if (type === MSG_CHALLENGE) return onChallenge(challengeCodec.decode(body));
+      if (type === MSG_SIGNED) return onSigned(signedDescriptorCodec.decode(body));
+      if (type === MSG_VERIFIED) {
+        acked = true;
+        return maybeReady();
+      }
+    } catch (error) {
+      fail(codedError(CODES.CodecError, `auth message decode failed: ${error?.message || error}`));
+    }
+  }
+
+  function onChallenge({ nonce, ctx }) {
+    if (ctx !== AUTH_CONTEXT || nonce.byteLength !== NONCE_BYTES) {
+      fail(codedError(CODES.CryptoError, 'auth challenge rejected: unexpected context or nonce'));
+      return;
+    }
+    if (remoteNonce || b4a.equals(nonce, localNonce)) {
+      fail(codedError(CODES.CryptoError, 'auth challenge rejected: repeated or reflected nonce'));
+      return;
+    }
+    remoteNonce = nonce;
+    Promise.resolve()
+      .then(() => signer.sign(authMessage(nonce, localNonce, localDescriptor)))
+      .then((sig) => send(MSG_SIGNED, signedDescriptorCodec.encode({ descriptor: localDescriptor, nonce, sig })))
+      .catch((error) => fail(codedError(CODES.CryptoError, `auth signing failed: ${error?.message || error}`)));
+  }
+
+  function onSigned({ descriptor: remote, nonce, sig }) {
+    if (!b4a.equals(nonce, localNonce)) {
+      fail(codedError(CODES.CryptoError, 'auth response does not answer our challenge'));
+      return;
+    }
+    // The remote challenge goes out before its answer, so it is known by now.
+    if (!remoteNonce) {
+      fail(codedError(CODES.CryptoError, 'auth response arrived before the remote challenge'));
+      return;
+    }
+    if (!b4a.isBuffer(remote.publicKey) || b4a.equals(remote.publicKey, signer.publicKey)) {
+      fail(codedError(CODES.CryptoError, 'auth response rejected: remote presented our own key'));
+      return;
+    }
+    const responderNonce = remoteNonce;
+    Promise.resolve()
+      .then(() => verify(authMessage(localNonce, responderNonce, remote), sig, remote.publicKey))
+      .then(async (valid) => {
+        if (!valid) throw codedError(CODES.CryptoError, 'auth signature verification failed');
+        if (typeof authorize === 'function' && !(await authorize(remote))) {
+          throw codedError(CODES.CapabilityDenied, 'remote descriptor not authorized');
+        }
+        if (state !== 'pending') return;
+        remoteDescriptor = remote;
+        log.debug('remote descriptor verified', { name: remote.name, publicKey: b4a.toString(remote.publicKey, 'hex') });
+        send(MSG_VERIFIED, new Uint8Array(0));
+        maybeReady();
+      })
+      .catch((error) => fail(error?.code ? error : codedError(CODES.CryptoError, String(error?.message || error))));
+  }
+
+  function maybeReady() {
+    if (state !== 'pending' || !remoteDescriptor || !acked) return;
+    state = 'ready';
+    if (timer) clearTimeout(timer);
+    flush(null);
+  }
+
+  function fail(error) {
+    if (state !== 'pending') return;
+    state = 'failed';
+    failure = error;
+    if (timer) clearTimeout(timer);
+    log.warn('auth handshake failed', { code: error?.code, message: error?.message });
+    try { channelCfg.plexChannel?.close(); } catch {}
+    flush(error);
+  }
+
+  function flush(error) {
+    const list = waiters;
+    waiters = [];
+    for (const cb of list) {
+      try { cb(error, remoteDescriptor); } catch {}
+    }
+  }
+
+  /**
+   * Run `cb(err, remoteDescriptor)` once the handshake settles (immediately if it already has).
+   * @param {(err:Error|null, descriptor?:any)=>void} cb
+   */
+  function whenReady(cb) {
+    if (state === 'ready') return cb(null, remoteDescriptor);
+    if (state === 'failed') return cb(failure);
+    waiters.push(cb);
+  }
+
+  return {
+    whenReady,
+    ready() {
+      return new Promise((resolve, reject) => whenReady((err, d) => (err ? reject(err) : resolve(d))));
+    },
+    isReady() { return state === 'ready'; },
+    get remoteDescriptor() { return remoteDescriptor; },
+    get localDescriptor() { return localDescriptor; },
+    destroy(error) {
+      fail(error || codedError(CODES.Destroyed, 'auth handshake destroyed'));
+    }
+  };
+}
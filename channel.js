@@ -1,8 +1,11 @@
 // @ts-check
 import process from 'process'
 import b4a from 'b4a'
+import c from 'compact-encoding'
 import { normalizeCfg, zeroBuff } from './config.js'
 import { createLogger } from './log/index.js'
+import { resolveCompression } from './compress/index.js'
+import { createLaneSession } from './crypto/index.js'
 
 const defaultLogger = createLogger({ name: 'plex-channel', context: { subsystem: 'plex' }, level: process.env.PLEX_MUX_LOG_LEVEL || process.env.NL_LOG_LEVEL })
 const noopLogger = { trace(){}, debug(){}, info(){}, warn(){}, error(){}, fatal(){}, log(){}, child(){ return this }, setLevel(){}, isLevelEnabled(){ return false } }
@@ -13,6 +16,90 @@ const resolveLogger = (cfg) => {
   return defaultLogger
 }
 
+// Every lane opens with a versioned envelope: `version`, `flags` naming the extensions that follow,
+// those extensions, then the caller's handshake (`handshakeMessage`/`handshakeEncoding`), which
+// keeps the rest of the frame. The version tells a later layout apart from this one. HS_OFFER carries the compression offer (codec names in preference order plus the
+// largest message the sender will decompress); a lane without `cfg.compression` sends no offer.
+// Compressed lanes register one extra message, packed frames `{ codec, byteLength, data }`, where
+// `codec` indexes the receiver's offer. A side only packs once the remote offered a codec it also
+// has, so peers without compression keep getting plain frames.
+// Encrypted lanes (`cfg.encrypt`) add a key-exchange hello and sealed frames after that slot;
+// protomux ignores message types a side never registered, so the layouts never collide.
+const HANDSHAKE_VERSION = 1
+const HS_OFFER = 1
+const MSG_DATA = 0
+const MSG_PACKED = 1
+const MSG_HELLO = 2
+const MSG_SEALED = 3
+
+const codecNames = c.array(c.string)
+const compressionOffer = {
+  preencode (st, m) {
+    codecNames.preencode(st, m.codecs)
+    c.uint.preencode(st, m.maxBytes)
+  },
+  encode (st, m) {
+    codecNames.encode(st, m.codecs)
+    c.uint.encode(st, m.maxBytes)
+  },
+  decode (st) {
+    return { codecs: codecNames.decode(st), maxBytes: c.uint.decode(st) }
+  }
+}
+/** @param {any} payloadEncoding the caller's handshake codec */
+const openHandshake = (payloadEncoding) => ({
+  preencode (st, m) {
+    c.uint.preencode(st, HANDSHAKE_VERSION)
+    c.uint.preencode(st, m.offer ? HS_OFFER : 0)
+    if (m.offer) compressionOffer.preencode(st, m.offer)
+    payloadEncoding.preencode(st, m.payload)
+  },
+  encode (st, m) {
+    c.uint.encode(st, HANDSHAKE_VERSION)
+    c.uint.encode(st, m.offer ? HS_OFFER : 0)
+    if (m.offer) compressionOffer.encode(st, m.offer)
+    payloadEncoding.encode(st, m.payload)
+  },
+  decode (st) {
+    const version = c.uint.decode(st)
+    const flags = c.uint.decode(st)
+    const offer = (flags & HS_OFFER) ? compressionOffer.decode(st) : null
+    return { version, offer, payload: payloadEncoding.decode(st) }
+  }
+})
+const packedFrame = {
+  preencode (st, m) {
+    c.uint.preencode(st, m.codec)
+    c.uint.preencode(st, m.byteLength)
+    c.raw.preencode(st, m.data)
+  },
+  encode (st, m) {
+    c.uint.encode(st, m.codec)
+    c.uint.encode(st, m.byteLength)
+    c.raw.encode(st, m.data)
+  },
+  decode (st) {
+    return { codec: c.uint.decode(st), byteLength: c.uint.decode(st), data: c.raw.decode(st) }
+  }
+}
+
+const laneHello = {
+  preencode (st, m) {
+    c.fixed32.preencode(st, m.publicKey)
+    c.bool.preencode(st, !!m.sig)
+    if (m.sig) c.uint8array.preencode(st, m.sig)
+  },
+  encode (st, m) {
+    c.fixed32.encode(st, m.publicKey)
+    c.bool.encode(st, !!m.sig)
+    if (m.sig) c.uint8array.encode(st, m.sig)
+  },
+  decode (st) {
+    const publicKey = c.fixed32.decode(st)
+    return { publicKey, sig: c.bool.decode(st) ? c.uint8array.decode(st) : null }
+  }
+}
+
 /**
  * Locate an existing Protomux channel by id+protocol.
  * @param {any} [cfg]
@@ -34,7 +121,16 @@ export const isChannelOpen = (cfg = {}) => {
 
 /**
  * Ensure a Protomux channel exists and attach handlers.
- * Mutates cfg to add { plexChannel, plexSend }.
+ * Mutates cfg to add { plexChannel, plexSend }. `plexSend` returns Protomux's drained flag;
+ * `cfg.ondrain` fires once the mux has flushed after a `false`.
+ * With `cfg.compression` (see compress/index.js) messages of at least `threshold` encoded bytes are
+ * compressed with the first codec both sides offer; `cfg.plexCompression` reports
+ * `{ codecs, remote, codec }` (`codec` is null while sending uncompressed).
+ * With `cfg.encrypt` (`true` or `createLaneSession` options) every message is sealed under keys
+ * agreed right after the open (see crypto/index.js); sends queue until then (`plexSend` answers
+ * false and `ondrain` fires once they are flushed), and a plaintext, forged or replayed frame
+ * closes the channel. Encrypted lanes skip compression.
+ * `cfg.plexEncryption` reports `{ state: 'pending'|'ready'|'failed', verified }`.
  * @param {any} [cfg]
  */
 export const ensurePlexChannel = (cfg = {}) => {
@@ -48,31 +144,170 @@ export const ensurePlexChannel = (cfg = {}) => {
   }
 
   const { _dataEncoder, _handshakeEncoder } = _cfg
+  const session = _cfg.encrypt
+    ? createLaneSession({ ...(typeof _cfg.encrypt === 'object' ? _cfg.encrypt : {}), binding: b4a.concat([b4a.from(protocol), id]) })
+    : null
+  const compression = session ? null : resolveCompression(_cfg.compression)
+  /** @type {{ index:number, codec:import('./compress/index.js').Compressor, maxBytes:number }|null} */
+  let packer = null
+  /** @type {any[]} messages sent before the session was keyed and our hello written */
+  let unsealed = []
+  let helloSent = false
+  const messages = [{ encoding: _dataEncoder, onmessage: session ? onplaintext : onmessage }]
+  if (compression || session) messages.push({ encoding: packedFrame, onmessage: onpacked })
+  if (compression) {
+    _cfg.plexCompression = { codecs: compression.codecs.map((codec) => codec.name), remote: null, codec: null }
+  }
+  if (session) {
+    messages.push({ encoding: laneHello, onmessage: onhello }, { encoding: c.raw, onmessage: onsealed })
+    _cfg.plexEncryption = { state: 'pending', verified: false }
+  }
   log.debug('create channel', { protocol, id: id ? b4a.toString(id, 'hex') : undefined });
   const channel = mux.createChannel({
     ..._cfg,
     id,
     protocol,
-    handshake: _handshakeEncoder,
-    onopen: _cfg.onopen,
+    handshake: openHandshake(_handshakeEncoder),
+    onopen,
     onclose: _cfg.onclose,
     ondestroy: _cfg.ondestroy,
-    messages: [{ encoding: _dataEncoder, onmessage }]
+    ondrain: _cfg.ondrain,
+    messages
   })
   _cfg.plexChannel = channel
   _cfg.plexSend = (msg) => {
     const len = msg?.length;
-    const res = _cfg.plexChannel.messages[0].send(msg);
+    const res = session ? sendSealed(msg) : sendMaybePacked(msg);
     log.debug('plex send', { protocol, len, res });
     return res;
   }
+  _cfg.plexOpen = open
   log.debug?.('ensure channel new', { protocol, id: id ? b4a.toString(id, 'hex') : undefined });
   return _cfg
 
+  // Opens with our offer in the handshake; an encrypted lane then sends its key-exchange hello.
+  function open (payload) {
+    const offer = compression ? { codecs: _cfg.plexCompression.codecs, maxBytes: compression.maxBytes } : null
+    _cfg.plexChannel.open({ payload, offer })
+    if (!session) return
+    // The remote hello may land first (signers can be async); ours still has to go out before any
+    // sealed frame, so sends stay queued until both happened.
+    session.hello()
+      .then((hello) => {
+        if (_cfg.plexEncryption.state === 'failed') return
+        _cfg.plexChannel.messages[MSG_HELLO].send(hello)
+        helloSent = true
+        flushUnsealed()
+      })
+      .catch((error) => failSession(error))
+  }
+
+  // The remote offer is settled before the caller sees the handshake, so its first write can pack.
+  function onopen (handshake, channel) {
+    if (handshake?.offer) onoffer(handshake.offer)
+    return _cfg.onopen?.(handshake?.payload, channel)
+  }
+
   function onmessage (msg) {
     log.debug('plex message received', { protocol, len: msg?.length });
     return _cfg?.onmessage?.(msg);
   }
+
+  function sendMaybePacked (msg) {
+    if (!packer || !compression) return _cfg.plexChannel.messages[MSG_DATA].send(msg)
+    const bytes = c.encode(_dataEncoder, msg)
+    // Messages the remote would refuse to decompress go out plain.
+    if (bytes.byteLength >= compression.threshold && bytes.byteLength <= packer.maxBytes) {
+      const data = packer.codec.compress(bytes)
+      if (data.byteLength < bytes.byteLength) {
+        return _cfg.plexChannel.messages[MSG_PACKED].send({ codec: packer.index, byteLength: bytes.byteLength, data })
+      }
+    }
+    return _cfg.plexChannel.messages[MSG_DATA].send(msg)
+  }
+
+  function onoffer ({ codecs: names, maxBytes }) {
+    if (!compression) return
+    const codec = compression.codecs.find((candidate) => names.includes(candidate.name)) || null
+    packer = codec ? { index: names.indexOf(codec.name), codec, maxBytes } : null
+    _cfg.plexCompression = { ..._cfg.plexCompression, remote: names, codec: codec ? codec.name : null }
+    log.debug('plex compression negotiated', { protocol, remote: names, codec: codec?.name ?? null })
+  }
+
+  function onpacked (frame) {
+    if (session) return onplaintext()
+    const codec = compression?.codecs[frame.codec]
+    let msg
+    try {
+      if (!codec) throw new Error(`unknown codec index ${frame.codec}`)
+      if (frame.byteLength > compression.maxBytes) throw new Error(`frame of ${frame.byteLength} bytes exceeds maxBytes`)
+      const bytes = codec.decompress(frame.data, frame.byteLength)
+      if (bytes.byteLength !== frame.byteLength) throw new Error('decompressed length mismatch')
+      msg = c.decode(_dataEncoder, bytes)
+    } catch (error) {
+      log.warn('plex compressed frame rejected; closing channel', { protocol, message: String(error?.message || error) })
+      try { _cfg.plexChannel.close() } catch {}
+      return
+    }
+    return onmessage(msg)
+  }
+
+  function sendSealed (msg) {
+    if (!session) return false
+    const state = _cfg.plexEncryption.state
+    if (state === 'failed') return false
+    if (state === 'pending' || !helloSent) {
+      // Not drained: writers wait for the flush instead of queueing without bound.
+      unsealed.push(msg)
+      return false
+    }
+    return _cfg.plexChannel.messages[MSG_SEALED].send(session.seal(c.encode(_dataEncoder, msg)))
+  }
+
+  function onhello (hello) {
+    if (!session || _cfg.plexEncryption.state !== 'pending') return
+    try {
+      session.accept(hello)
+    } catch (error) {
+      return failSession(error)
+    }
+    _cfg.plexEncryption = { state: 'ready', verified: session.verified }
+    log.debug('plex lane keyed', { protocol, verified: session.verified })
+    flushUnsealed()
+  }
+
+  function flushUnsealed () {
+    if (!helloSent || _cfg.plexEncryption.state !== 'ready') return
+    const queued = unsealed
+    unsealed = []
+    let drained = true
+    for (const msg of queued) drained = sendSealed(msg)
+    // When the mux is backed up it fires ondrain itself later.
+    if (queued.length && drained) _cfg.ondrain?.()
+  }
+
+  function onsealed (frame) {
+    let msg
+    try {
+      if (!session?.ready) throw new Error('sealed frame before the key exchange')
+      msg = c.decode(_dataEncoder, session.open(frame))
+    } catch (error) {
+      return failSession(error)
+    }
+    return onmessage(msg)
+  }
+
+  function onplaintext () {
+    failSession(new Error('unsealed frame on an encrypted lane'))
+  }
+
+  function failSession (error) {
+    if (_cfg.plexEncryption?.state === 'failed') return
+    _cfg.plexEncryption = { state: 'failed', verified: false }
+    unsealed = []
+    log.warn('plex lane encryption failed; closing channel', { protocol, code: error?.code, message: String(error?.message || error) })
+    try { _cfg.plexChannel.close() } catch {}
+  }
 }
 
 /**
@@ -82,13 +317,15 @@ export const ensurePlexChannel = (cfg = {}) => {
 export const openPlexChannel = (cfg = {}) => {
   if (isChannelOpen(cfg)) return normalizeCfg(cfg)
   const _cfg = ensurePlexChannel(cfg)
-  const { plexChannel, handshakeMessage } = _cfg
+  const { handshakeMessage } = _cfg
   // If a handshakeMessage is provided, send it. If a handshakeEncoding is set
   // but no message, open with undefined (no payload). Otherwise default to zeroBuff.
   const hs = (handshakeMessage !== undefined)
     ? handshakeMessage
     : (cfg.handshakeEncoding ? undefined : zeroBuff)
-  plexChannel.open(hs)
+  // A channel found on the mux rather than created here opens without our offer.
+  if (_cfg.plexOpen) _cfg.plexOpen(hs)
+  else _cfg.plexChannel.open({ payload: hs, offer: null })
   return _cfg
 }
 
@@ -0,0 +1,174 @@
+// @ts-check
+/**
+ * @module @neonloom/plex/compress
+ * Per-channel compression for Plex lanes.
+ *
+ * A compressor is a plain object `{ name, compress(bytes), decompress(bytes, byteLength) }`
+ * (both synchronous). The built-in `lz4` speaks the LZ4 block format in pure JS, so it runs
+ * unchanged on Node, Bare and browsers; pass your own objects to plug in anything else.
+ */
+
+import b4a from 'b4a';
+import { CODES, codedError } from '../result/index.js';
+
+/** Messages smaller than this (encoded bytes) are always sent as-is. */
+export const DEFAULT_THRESHOLD = 1024;
+/** Largest decompressed message a channel accepts. */
+export const DEFAULT_MAX_BYTES = 4 * 1024 * 1024;
+
+const MIN_MATCH = 4;
+const LAST_LITERALS = 5;
+const MF_LIMIT = 12;
+const MAX_OFFSET = 65535;
+const HASH_LOG = 14;
+// Most output one input byte can stand for (a 255 length-extension byte), so no valid block
+// decompresses to more than this many times its own size.
+const MAX_EXPANSION = 255;
+
+function read32(src, i) {
+  return (src[i] | (src[i + 1] << 8) | (src[i + 2] << 16) | (src[i + 3] << 24)) >>> 0;
+}
+
+function hash32(v) {
+  return Math.imul(v, 2654435761) >>> (32 - HASH_LOG);
+}
+
+function writeLength(out, op, n) {
+  for (; n >= 255; n -= 255) out[op++] = 255;
+  out[op++] = n;
+  return op;
+}
+
+/**
+ * LZ4 block compression (greedy, 64 KiB window).
+ * @param {Uint8Array} src
+ * @returns {Uint8Array}
+ */
+function lz4Compress(src) {
+  const len = src.byteLength;
+  const out = b4a.allocUnsafe(len + Math.ceil(len / 255) + 16);
+  const table = new Int32Array(1 << HASH_LOG);
+  let op = 0;
+  let anchor = 0;
+  let i = 0;
+
+  const emit = (litEnd, offset, matchLen) => {
+    const lit = litEnd - anchor;
+    const tokenAt = op++;
+    let token = Math.min(lit, 15) << 4;
+    if (lit >= 15) op = writeLength(out, op, lit - 15);
+    out.set(src.subarray(anchor, litEnd), op);
+    op += lit;
+    if (offset === 0) { out[tokenAt] = token; return; }
+    out[op++] = offset & 0xff;
+    out[op++] = offset >>> 8;
+    const extra = matchLen - MIN_MATCH;
+    token |= Math.min(extra, 15);
+    if (extra >= 15) op = writeLength(out, op, extra - 15);
+    out[tokenAt] = token;
+  };
+
+  while (i < len - MF_LIMIT) {
+    const v = read32(src, i);
+    const h = hash32(v);
+    const ref = table[h] - 1;
+    table[h] = i + 1;
+    if (ref < 0 || i - ref > MAX_OFFSET || read32(src, ref) !== v) { i++; continue; }
+    let m = MIN_MATCH;
+    while (i + m < len - LAST_LITERALS && src[ref + m] === src[i + m]) m++;
+    emit(i, i - ref, m);
+    i += m;
+    anchor = i;
+  }
+  emit(len, 0, 0);
+  return out.subarray(0, op);
+}
+
+/**
+ * @param {Uint8Array} src
+ * @param {number} byteLength decompressed size
+ * @returns {Uint8Array}
+ */
+function lz4Decompress(src, byteLength) {
+  const corrupt = () => codedError(CODES.CodecError, 'lz4: corrupt block');
+  // Checked before allocating, so a lying length costs nothing.
+  if (!Number.isSafeInteger(byteLength) || byteLength < 0 || byteLength > src.byteLength * MAX_EXPANSION) throw corrupt();
+  const out = b4a.allocUnsafe(byteLength);
+  let ip = 0;
+  let op = 0;
+  const readLength = (n) => {
+    for (;;) {
+      if (ip >= src.byteLength) throw corrupt();
+      const b = src[ip++];
+      n += b;
+      if (b !== 255) return n;
+    }
+  };
+  while (ip < src.byteLength) {
+    const token = src[ip++];
+    let lit = token >>> 4;
+    if (lit === 15) lit = readLength(lit);
+    if (ip + lit > src.byteLength || op + lit > byteLength) throw corrupt();
+    out.set(src.subarray(ip, ip + lit), op);
+    ip += lit;
+    op += lit;
+    if (ip === src.byteLength) break;
+    if (ip + 2 > src.byteLength) throw corrupt();
+    const offset = src[ip] | (src[ip + 1] << 8);
+    ip += 2;
+    if (offset === 0 || offset > op) throw corrupt();
+    let m = token & 15;
+    if (m === 15) m = readLength(m);
+    m += MIN_MATCH;
+    if (op + m > byteLength) throw corrupt();
+    for (const end = op + m; op < end; op++) out[op] = out[op - offset];
+  }
+  if (op !== byteLength) throw corrupt();
+  return out;
+}
+
+/**
+ * @typedef {object} Compressor
+ * @property {string} name Negotiated by name; both ends must agree on what it means.
+ * @property {(bytes:Uint8Array)=>Uint8Array} compress
+ * @property {(bytes:Uint8Array, byteLength:number)=>Uint8Array} decompress
+ *   Must return exactly `byteLength` bytes or throw; `byteLength` comes off the wire, so reject
+ *   one the input could not expand to before allocating it.
+ */
+
+/** @type {Compressor} */
+export const lz4 = Object.freeze({ name: 'lz4', compress: lz4Compress, decompress: lz4Decompress });
+
+const BUILTIN = { lz4 };
+
+/**
+ * @typedef {object} CompressionOptions
+ * @property {(string|Compressor)[]=} codecs In preference order (default `['lz4']`).
+ * @property {number=} threshold Smallest encoded message worth compressing (default 1024).
+ * @property {number=} maxBytes Largest decompressed message accepted (default 4 MiB). It is sent
+ *   with the offer, and the remote sends larger messages uncompressed.
+ */
+
+/**
+ * Normalize a lane's `compression` option: `true` for the defaults, an options object, or
+ * `false`/`undefined` for none (returns null).
+ * @param {boolean|CompressionOptions|null|undefined} opt
+ * @returns {{ codecs:Compressor[], threshold:number, maxBytes:number }|null}
+ */
+export function resolveCompression(opt) {
+  if (!opt) return null;
+  const o = opt === true ? {} : opt;
+  const codecs = (o.codecs ?? ['lz4']).map((entry) => {
+    const codec = typeof entry === 'string' ? BUILTIN[entry] : entry;
+    if (!codec || typeof codec.name !== 'string' || typeof codec.compress !== 'function' || typeof codec.decompress !== 'function') {
+      throw codedError(CODES.BadArg, `compression: unknown codec ${typeof entry === 'string' ? entry : codec?.name}`);
+    }
+    return codec;
+  });
+  if (!codecs.length) return null;
+  const threshold = o.threshold ?? DEFAULT_THRESHOLD;
+  const maxBytes = o.maxBytes ?? DEFAULT_MAX_BYTES;
+  if (!Number.isSafeInteger(threshold) || threshold < 0) throw codedError(CODES.BadArg, 'compression: threshold must be a non-negative integer');
+  if (!Number.isSafeInteger(maxBytes) || maxBytes <= 0) throw codedError(CODES.BadArg, 'compression: maxBytes must be a positive integer');
+  return { codecs, threshold, maxBytes };
+}
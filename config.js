@@ -34,14 +34,18 @@ export const getMuxFromStream = (stream) => {
  * @property {any=} encoding Data encoding (compact-encoding token/codec).
  * @property {any=} handshakeEncoding Handshake encoding (compact-encoding token/codec).
  * @property {any=} handshakeMessage Value matching handshakeEncoding (e.g., string for 'utf8', bytes for 'raw').
+ * @property {boolean|import('./compress/index.js').CompressionOptions=} compression Negotiate per-channel compression (off by default).
+ * @property {any=} encrypt Seal every message end to end (`true` or `createLaneSession` options; both ends must set it).
  *
  * @typedef {object} PlexChannelConfig
  * @property {(handshake:any)=>void=} onOpen Functional hook (Duplex variant) for remote-open.
+ * @property {(done:(err?:any)=>void)=>void=} openGate Defers channel open/pairing until `done` is called.
  * // Advanced (low-level channel) handlers — not required for Duplex usage
  * @property {(buf:any)=>void=} onmessage
  * @property {(handshake:any)=>void=} onopen
  * @property {()=>void=} onclose
  * @property {()=>void=} ondestroy
+ * @property {()=>void=} ondrain Fires when the mux drains after a send returned false.
  *
  * @typedef {object} PlexDuplexOptions
  * @property {number=} highWaterMark
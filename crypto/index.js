@@ -0,0 +1,187 @@
+// @ts-check
+/**
+ * @module @neonloom/plex/crypto
+ * Small ed25519 helpers backed by sodium-universal (Node, Bare and browsers).
+ *
+ * Signers are plain objects `{ publicKey, sign(message) }` so callers can plug in
+ * an HSM, a keychain or a remote signer without touching the handshake code.
+ */
+
+import sodium from 'sodium-universal';
+import b4a from 'b4a';
+import { CODES, codedError } from '../result/index.js';
+
+export const PUBLIC_KEY_BYTES = sodium.crypto_sign_PUBLICKEYBYTES;
+export const SECRET_KEY_BYTES = sodium.crypto_sign_SECRETKEYBYTES;
+export const SIGNATURE_BYTES = sodium.crypto_sign_BYTES;
+export const SEED_BYTES = sodium.crypto_sign_SEEDBYTES;
+
+function cryptoError(message) {
+  return codedError(CODES.CryptoError, message);
+}
+
+/**
+ * Fill a fresh buffer with `n` random bytes.
+ * @param {number} n
+ * @returns {Uint8Array}
+ */
+export function randomBytes(n) {
+  const out = b4a.allocUnsafe(n);
+  sodium.randombytes_buf(out);
+  return out;
+}
+
+/**
+ * Create an ed25519 key pair, optionally derived from a 32-byte seed.
+ * @param {Uint8Array} [seed]
+ * @returns {{ publicKey:Uint8Array, secretKey:Uint8Array }}
+ */
+export function generateKeyPair(seed) {
+  const publicKey = b4a.alloc(PUBLIC_KEY_BYTES);
+  const secretKey = b4a.alloc(SECRET_KEY_BYTES);
+  if (seed) {
+    if (seed.byteLength !== SEED_BYTES) throw cryptoError(`seed must be ${SEED_BYTES} bytes`);
+    sodium.crypto_sign_seed_keypair(publicKey, secretKey, seed);
+  } else {
+    sodium.crypto_sign_keypair(publicKey, secretKey);
+  }
+  return { publicKey, secretKey };
+}
+
+/**
+ * Detached ed25519 signature.
+ * @param {Uint8Array} message
+ * @param {Uint8Array} secretKey
+ * @returns {Uint8Array}
+ */
+export function sign(message, secretKey) {
+  if (!secretKey || secretKey.byteLength !== SECRET_KEY_BYTES) throw cryptoError('sign: invalid secret key');
+  const sig = b4a.alloc(SIGNATURE_BYTES);
+  sodium.crypto_sign_detached(sig, message, secretKey);
+  return sig;
+}
+
+/**
+ * Verify a detached ed25519 signature. Malformed keys/signatures verify as false.
+ * @param {Uint8Array} message
+ * @param {Uint8Array} sig
+ * @param {Uint8Array} publicKey
+ * @returns {boolean}
+ */
+export function verify(message, sig, publicKey) {
+  if (!sig || sig.byteLength !== SIGNATURE_BYTES) return false;
+  if (!publicKey || publicKey.byteLength !== PUBLIC_KEY_BYTES) return false;
+  try {
+    return sodium.crypto_sign_verify_detached(sig, message, publicKey);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wrap a key pair as a pluggable signer. Generates a fresh key pair when omitted.
+ * @param {{ publicKey:Uint8Array, secretKey:Uint8Array }} [keyPair]
+ * @returns {{ publicKey:Uint8Array, sign:(message:Uint8Array)=>Uint8Array }}
+ */
+export function createSigner(keyPair = generateKeyPair()) {
+  const { publicKey, secretKey } = keyPair;
+  if (!publicKey || publicKey.byteLength !== PUBLIC_KEY_BYTES) throw cryptoError('createSigner: invalid public key');
+  return {
+    publicKey,
+    sign: (message) => sign(message, secretKey)
+  };
+}
+
+const KX_PUBLIC_KEY_BYTES = sodium.crypto_kx_PUBLICKEYBYTES;
+const KX_SESSION_KEY_BYTES = sodium.crypto_kx_SESSIONKEYBYTES;
+const AEAD_NONCE_BYTES = sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES;
+const AEAD_TAG_BYTES = sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES;
+const LANE_KX_CONTEXT = b4a.from('plex/lane-kx/v1');
+
+function counterNonce(n) {
+  const nonce = b4a.alloc(AEAD_NONCE_BYTES);
+  const view = new DataView(nonce.buffer, nonce.byteOffset, nonce.byteLength);
+  view.setUint32(0, n >>> 0, true);
+  view.setUint32(4, Math.floor(n / 0x100000000), true);
+  return nonce;
+}
+
+/**
+ * Key agreement and frame sealing for one encrypted lane.
+ *
+ * Each side sends `hello()` (a fresh X25519 key, ed25519-signed over `binding` when a `signer` is
+ * given) and passes the remote's to `accept()`, which derives one key per direction (crypto_kx;
+ * the lower public key takes the client role). Frames are sealed with XChaCha20-Poly1305 under a
+ * per-direction counter nonce, so they must be opened in the order they were sealed; replayed,
+ * dropped or reordered frames fail to open.
+ *
+ * Without `remotePublicKey` the exchange is anonymous: private against passive observers, not
+ * against an active relay. With it, the remote hello must be signed by that ed25519 key.
+ *
+ * @param {{ binding?:Uint8Array, signer?:{ publicKey:Uint8Array, sign:(message:Uint8Array)=>Uint8Array|Promise<Uint8Array> }, remotePublicKey?:Uint8Array|(()=>Uint8Array|null|undefined) }} [opts]
+ */
+export function createLaneSession({ binding = b4a.alloc(0), signer, remotePublicKey } = {}) {
+  const publicKey = b4a.alloc(KX_PUBLIC_KEY_BYTES);
+  const secretKey = b4a.alloc(sodium.crypto_kx_SECRETKEYBYTES);
+  sodium.crypto_kx_keypair(publicKey, secretKey);
+  /** @type {Uint8Array|null} */
+  let tx = null;
+  /** @type {Uint8Array|null} */
+  let rx = null;
+  let sealed = 0;
+  let opened = 0;
+
+  const transcript = (key) => b4a.concat([LANE_KX_CONTEXT, binding, key]);
+
+  return {
+    /** True once `accept` derived the session keys. */
+    get ready() { return tx !== null; },
+    /** True when the remote hello was checked against `remotePublicKey`. */
+    verified: false,
+    /** @returns {Promise<{ publicKey:Uint8Array, sig:Uint8Array|null }>} */
+    async hello() {
+      const sig = signer ? await signer.sign(transcript(publicKey)) : null;
+      return { publicKey, sig };
+    },
+    /** @param {{ publicKey:Uint8Array, sig?:Uint8Array|null }} remote */
+    accept(remote) {
+      if (tx) throw cryptoError('lane session: already keyed');
+      if (!remote?.publicKey || remote.publicKey.byteLength !== KX_PUBLIC_KEY_BYTES) throw cryptoError('lane session: malformed hello');
+      if (b4a.equals(remote.publicKey, publicKey)) throw cryptoError('lane session: reflected hello');
+      if (remotePublicKey !== undefined) {
+        const expected = typeof remotePublicKey === 'function' ? remotePublicKey() : remotePublicKey;
+        if (!expected || !remote.sig || !verify(transcript(remote.publicKey), remote.sig, expected)) {
+          throw cryptoError('lane session: hello not signed by the expected peer');
+        }
+        this.verified = true;
+      }
+      const keyA = b4a.alloc(KX_SESSION_KEY_BYTES);
+      const keyB = b4a.alloc(KX_SESSION_KEY_BYTES);
+      if (b4a.compare(publicKey, remote.publicKey) < 0) sodium.crypto_kx_client_session_keys(keyA, keyB, publicKey, secretKey, remote.publicKey);
+      else sodium.crypto_kx_server_session_keys(keyA, keyB, publicKey, secretKey, remote.publicKey);
+      sodium.sodium_memzero(secretKey);
+      rx = keyA;
+      tx = keyB;
+    },
+    /** @param {Uint8Array} plaintext */
+    seal(plaintext) {
+      if (!tx) throw cryptoError('lane session: not keyed');
+      const out = b4a.alloc(plaintext.byteLength + AEAD_TAG_BYTES);
+      sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(out, plaintext, null, null, counterNonce(sealed++), tx);
+      return out;
+    },
+    /** @param {Uint8Array} ciphertext */
+    open(ciphertext) {
+      if (!rx) throw cryptoError('lane session: not keyed');
+      if (ciphertext.byteLength < AEAD_TAG_BYTES) throw cryptoError('lane session: truncated frame');
+      const out = b4a.alloc(ciphertext.byteLength - AEAD_TAG_BYTES);
+      try {
+        sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(out, null, ciphertext, null, counterNonce(opened), rx);
+      } catch {
+        throw cryptoError('lane session: frame failed authentication');
+      }
+      opened++;
+      return out;
+    }
+  };
+}
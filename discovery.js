@@ -0,0 +1,445 @@
+// @ts-check
+import b4a from 'b4a';
+import c from 'compact-encoding';
+import { EventEmitter } from './platform/events.js';
+import { dgram as platformDgram } from './platform/dgram.js';
+import { createPeer } from './peer.js';
+import { defineService } from './rpc.js';
+import { connectService, exposeService, deriveId } from './service.js';
+import { createLogger } from './log/index.js';
+
+const defaultLogger = createLogger({ name: 'plex-discovery', context: { subsystem: 'plex' } });
+const noopLogger = { trace(){}, debug(){}, info(){}, warn(){}, error(){}, fatal(){}, log(){}, child(){ return this }, setLevel(){}, isLevelEnabled(){ return false } };
+const resolveLogger = (cfg) => {
+  const candidate = cfg?.logger ?? cfg?.log;
+  if (candidate === false) return noopLogger;
+  if (candidate && typeof candidate === 'object') return candidate;
+  return defaultLogger;
+};
+
+export const DISCOVERY_ID = deriveId('plex', 'discovery', 1);
+export const DISCOVERY_LANE = 'discovery';
+export const BEACON_GROUP = '239.255.90.90';
+export const BEACON_PORT = 49737;
+
+/**
+ * @typedef {{ id:string, address?:any, locality?:'local'|'lan'|'wan', weight?:number, meta?:Record<string, any> }} PeerInfo
+ * `address` is whatever the discovery's `dial(info)` understands (url, `{ host, port }`, broker id...).
+ *
+ * @typedef {{ up:(info:PeerInfo) => void, down:(id:string) => void, error:(error:Error) => void }} DiscoverySink
+ *
+ * @typedef {{ name:string, locality?:'local'|'lan'|'wan', start:(sink:DiscoverySink) => any }} DiscoverySource
+ * `start` may return a stop function, `{ stop() }` / `{ dispose() }`, or a Promise of either.
+ */
+
+/** Registry lane service: `list()` snapshots the registry, `watch()` streams up/down changes. */
+export const discoveryService = defineService({
+  name: 'plex.discovery',
+  methods: {
+    list: { request: c.uint, response: c.json },
+    watch: { kind: 'stream', request: c.uint, response: c.json }
+  }
+});
+
+/**
+ * @param {any} info
+ * @param {string} [locality]
+ * @returns {PeerInfo}
+ */
+function normalizeInfo (info, locality) {
+  const id = info?.id;
+  if (id == null || id === '') throw new TypeError('discovery: peer info requires an id');
+  const out = { id: String(id) };
+  if (info.address !== undefined) out.address = info.address;
+  const loc = info.locality ?? locality;
+  if (loc) out.locality = loc;
+  if (Number.isFinite(info.weight) && info.weight > 0) out.weight = info.weight;
+  if (info.meta && typeof info.meta === 'object') out.meta = info.meta;
+  return out;
+}
+
+function toStop (out) {
+  if (typeof out === 'function') return out;
+  if (out && typeof out.stop === 'function') return () => out.stop();
+  if (out && typeof out.dispose === 'function') return () => out.dispose();
+  return () => {};
+}
+
+/**
+ * Fixed peer list, announced once at start.
+ * @param {Array<PeerInfo>} list
+ * @param {{ name?:string, locality?:'local'|'lan'|'wan' }} [opts]
+ * @returns {DiscoverySource}
+ */
+export function staticSource (list, { name = 'static', locality = 'wan' } = {}) {
+  return {
+    name,
+    locality,
+    start (sink) {
+      for (const info of list || []) sink.up(info);
+    }
+  };
+}
+
+/**
+ * In-process registry: `announce(info)` publishes a peer to every watcher until `withdraw()`.
+ * Use `registry.source()` as a discovery source, or serve it to remote nodes with
+ * `exposeDiscoveryRegistry`.
+ */
+export function createLocalRegistry () {
+  /** @type {Map<string, PeerInfo>} */
+  const entries = new Map();
+  /** @type {Set<{ up:(info:PeerInfo) => void, down:(id:string) => void }>} */
+  const watchers = new Set();
+
+  function announce (info) {
+    const rec = normalizeInfo(info);
+    entries.set(rec.id, rec);
+    for (const w of [...watchers]) w.up(rec);
+    return {
+      withdraw () {
+        if (entries.get(rec.id) !== rec) return;
+        entries.delete(rec.id);
+        for (const w of [...watchers]) w.down(rec.id);
+      }
+    };
+  }
+
+  /** Replay current entries to `watcher`, then forward changes until the returned stop(). */
+  function watch (watcher) {
+    watchers.add(watcher);
+    for (const rec of entries.values()) watcher.up(rec);
+    return () => { watchers.delete(watcher); };
+  }
+
+  return {
+    announce,
+    watch,
+    list () { return [...entries.values()]; },
+    /**
+     * @param {{ name?:string, locality?:'local'|'lan'|'wan' }} [opts]
+     * @returns {DiscoverySource}
+     */
+    source ({ name = 'local', locality = 'local' } = {}) {
+      return { name, locality, start: (sink) => watch(sink) };
+    }
+  };
+}
+
+// Async iterator over registry changes whose return() settles a pending next() right away,
+// so a cancelled watch stream does not wait for the next registry change.
+function createWatchIterator (registry) {
+  const queue = [];
+  let pending = null;
+  let done = false;
+  const push = (item) => {
+    if (done) return;
+    if (pending) { const resolve = pending; pending = null; resolve({ value: item, done: false }); } else queue.push(item);
+  };
+  const stop = registry.watch({
+    up: (info) => push({ type: 'up', info }),
+    down: (id) => push({ type: 'down', id })
+  });
+  const finish = () => {
+    if (!done) { done = true; stop(); }
+    if (pending) { const resolve = pending; pending = null; resolve({ value: undefined, done: true }); }
+    return Promise.resolve({ value: undefined, done: true });
+  };
+  return {
+    next () {
+      if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve) => { pending = resolve; });
+    },
+    return: finish,
+    [Symbol.asyncIterator] () { return this; }
+  };
+}
+
+/**
+ * Serve `registry` (see `createLocalRegistry`) on `peer`'s discovery lane.
+ * @param {any} peer
+ * @param {ReturnType<typeof createLocalRegistry>} registry
+ * @param {{ id?:Uint8Array, lane?:string }} [cfg]
+ */
+export function exposeDiscoveryRegistry (peer, registry, { id = DISCOVERY_ID, lane = DISCOVERY_LANE } = {}) {
+  return exposeService(peer, { id, lane }, discoveryService, {
+    list () { return registry.list(); },
+    watch () { return createWatchIterator(registry); }
+  });
+}
+
+/**
+ * Discovery source fed by a registry served on `peer` (see `exposeDiscoveryRegistry`).
+ * Everything it announced goes down when the lane closes.
+ * @param {any} peer
+ * @param {{ id?:Uint8Array, lane?:string, name?:string, locality?:'local'|'lan'|'wan' }} [opts]
+ * @returns {DiscoverySource}
+ */
+export function registrySource (peer, { id = DISCOVERY_ID, lane = DISCOVERY_LANE, name = 'registry', locality = 'wan' } = {}) {
+  return {
+    name,
+    locality,
+    start (sink) {
+      const client = connectService(peer, { id, lane }, discoveryService);
+      /** @type {Set<string>} */
+      const seen = new Set();
+      let stopped = false;
+      (async () => {
+        try {
+          for await (const env of client.watch(0)) {
+            if (stopped) break;
+            if (!env?.ok) { sink.error(new Error(String(env?.message || env?.code || 'registry watch failed'))); break; }
+            const change = env.value;
+            if (change?.type === 'up' && change.info) { seen.add(String(change.info.id)); sink.up(change.info); }
+            else if (change?.type === 'down') { seen.delete(String(change.id)); sink.down(String(change.id)); }
+          }
+        } catch (error) {
+          if (!stopped) sink.error(error instanceof Error ? error : new Error(String(error)));
+        }
+        for (const peerId of seen) sink.down(peerId);
+        seen.clear();
+      })();
+      return () => {
+        stopped = true;
+        try { client.destroy?.(); } catch {}
+      };
+    }
+  };
+}
+
+/**
+ * UDP multicast beacons: every `intervalMs` each node sends `announce` to `group:port` and
+ * listens for other nodes' beacons. Peers missing beacons for `ttlMs` go down; a stopping
+ * node sends a leaving beacon. Beacons without an `address.host` get the sender's address.
+ * Pass `dgram` (an object with `createSocket`) where the platform adapter has none.
+ * @param {{ announce?:PeerInfo, group?:string, port?:number, intervalMs?:number, ttlMs?:number, name?:string, locality?:'local'|'lan'|'wan', dgram?:any }} [opts]
+ * @returns {DiscoverySource}
+ */
+export function udpBeaconSource ({ announce, group = BEACON_GROUP, port = BEACON_PORT, intervalMs = 2000, ttlMs, name = 'udp', locality = 'lan', dgram = platformDgram } = {}) {
+  const self = announce ? normalizeInfo(announce) : null;
+  const ttl = ttlMs ?? intervalMs * 3;
+  return {
+    name,
+    locality,
+    start (sink) {
+      if (!dgram?.createSocket) throw new Error('udpBeaconSource: dgram is not available in this runtime');
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      /** @type {Map<string, number>} peer id -> expiry */
+      const seen = new Map();
+      let closed = false;
+
+      const send = (leaving, cb) => {
+        if (!self) { cb?.(); return; }
+        const buf = b4a.from(JSON.stringify({ plex: 'beacon', v: 1, leaving, info: self }));
+        try { socket.send(buf, 0, buf.length, port, group, () => cb?.()); } catch (error) { cb?.(); sink.error(error); }
+      };
+
+      const onMessage = (buf, rinfo) => {
+        let msg;
+        try { msg = JSON.parse(b4a.toString(buf)); } catch { return; }
+        if (msg?.plex !== 'beacon' || msg.info?.id == null) return;
+        const peerId = String(msg.info.id);
+        if (self && peerId === self.id) return;
+        if (msg.leaving) {
+          if (seen.delete(peerId)) sink.down(peerId);
+          return;
+        }
+        const addr = msg.info.address;
+        const address = addr && typeof addr === 'object' && !addr.host ? { ...addr, host: rinfo?.address } : (addr ?? { host: rinfo?.address });
+        const fresh = !seen.has(peerId);
+        seen.set(peerId, Date.now() + ttl);
+        if (fresh) sink.up({ ...msg.info, address });
+      };
+
+      const expire = () => {
+        const n = Date.now();
+        for (const [peerId, until] of seen) {
+          if (until > n) continue;
+          seen.delete(peerId);
+          sink.down(peerId);
+        }
+      };
+
+      socket.on('message', onMessage);
+      socket.on('error', (error) => sink.error(error));
+      socket.bind(port, () => {
+        try {
+          socket.addMembership?.(group);
+          socket.setMulticastLoopback?.(true);
+        } catch (error) {
+          sink.error(error);
+        }
+        send(false);
+      });
+      const timer = setInterval(() => { send(false); expire(); }, intervalMs);
+      timer.unref?.();
+
+      return () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(timer);
+        send(true, () => { try { socket.close(); } catch {} });
+      };
+    }
+  };
+}
+
+/**
+ * Keep `pool` in sync with what `sources` announce.
+ *
+ * Each announced peer is dialed once (`dial(info)` returns a stream, a WebSocket or a Promise
+ * of either), wrapped with `createPeer` and added to the pool with `meta: { ...info.meta, name:
+ * info.id, source, locality }`, so sticky routing keeps its keys across re-discovery. A peer
+ * announced by several sources stays until the last one withdraws it. Peers whose transport
+ * closes leave the pool; sources that keep announcing (beacons, registries) bring them back.
+ *
+ * Events (on `events`): 'peer-up' ({ id, source, locality }), 'peer-down' ({ id, reason:
+ * 'withdrawn'|'closed'|'stopped' }), 'dial-error' ({ id, error }), 'source-error' ({ source, error }).
+ *
+ * @param {{
+ *   pool:{ add:(peer:any, opts?:any) => any, remove:(peer:any) => void },
+ *   sources?:Array<DiscoverySource>,
+ *   dial:(info:PeerInfo) => any,
+ *   filter?:(info:PeerInfo) => boolean,
+ *   peerOptions?:{ protocolBase?:string, auth?:any },
+ *   logger?:any, log?:any
+ * }} opts
+ */
+export function createDiscovery (opts) {
+  const { pool, sources = [], dial, filter, peerOptions = {} } = opts || {};
+  if (!pool || typeof pool.add !== 'function') throw new TypeError('createDiscovery: pool required');
+  if (typeof dial !== 'function') throw new TypeError('createDiscovery: dial(info) required');
+  const log = resolveLogger(opts);
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  /** @type {Map<string, { info:PeerInfo, sources:Set<string>, source:string, peer:any }>} */
+  const records = new Map();
+  /** @type {Map<DiscoverySource, () => void>} */
+  const running = new Map();
+  let closed = false;
+
+  function up (source, raw) {
+    if (closed) return;
+    let info;
+    try {
+      info = normalizeInfo(raw, source.locality);
+    } catch (error) {
+      log.warn('discovery ignored peer info', { source: source.name, message: String(error?.message || error) });
+      return;
+    }
+    if (filter && !filter(info)) return;
+    const existing = records.get(info.id);
+    if (existing) { existing.sources.add(source.name); return; }
+    const rec = { info, sources: new Set([source.name]), source: source.name, peer: null };
+    records.set(info.id, rec);
+    attach(rec);
+  }
+
+  async function attach (rec) {
+    const { info } = rec;
+    let stream;
+    try {
+      stream = await dial(info);
+      if (!stream) throw new Error('dial() returned no stream');
+    } catch (e) {
+      const error = e instanceof Error ? e : new Error(String(e));
+      if (records.get(info.id) === rec) records.delete(info.id);
+      log.warn('discovery dial failed', { id: info.id, message: error.message });
+      events.emit('dial-error', { id: info.id, error });
+      return;
+    }
+    if (closed || records.get(info.id) !== rec) {
+      try { stream.destroy?.(); } catch {}
+      try { stream.close?.(); } catch {}
+      return;
+    }
+    const peer = createPeer({ ...peerOptions, stream, logger: opts.logger, log: opts.log });
+    rec.peer = peer;
+    const meta = { ...info.meta, name: info.id, source: rec.source, locality: info.locality };
+    pool.add(peer, { weight: info.weight ?? 1, meta });
+    peer.getTransport().once?.('close', () => drop(rec, 'closed'));
+    log.debug('discovery peer up', { id: info.id, source: rec.source });
+    events.emit('peer-up', { id: info.id, source: rec.source, locality: info.locality });
+  }
+
+  function down (source, id) {
+    const rec = records.get(String(id));
+    if (!rec) return;
+    rec.sources.delete(source.name);
+    if (rec.sources.size === 0) drop(rec, 'withdrawn');
+  }
+
+  function drop (rec, reason) {
+    if (records.get(rec.info.id) !== rec) return;
+    records.delete(rec.info.id);
+    if (!rec.peer) return; // still dialing; attach() discards the stream
+    pool.remove(rec.peer);
+    try { rec.peer.getTransport()?.destroy?.(); } catch {}
+    log.debug('discovery peer down', { id: rec.info.id, reason });
+    events.emit('peer-down', { id: rec.info.id, reason });
+  }
+
+  function sinkFor (source) {
+    // Calls after the source was stopped are ignored.
+    const live = () => running.has(source) && !closed;
+    return {
+      up: (info) => { if (live()) up(source, info); },
+      down: (id) => { if (live()) down(source, id); },
+      error: (error) => {
+        log.warn('discovery source error', { source: source.name, message: String(error?.message || error) });
+        events.emit('source-error', { source: source.name, error });
+      }
+    };
+  }
+
+  /**
+   * Start another source; returns a function that stops it and withdraws its peers.
+   * @param {DiscoverySource} source
+   */
+  function addSource (source) {
+    if (closed) throw new Error('createDiscovery: discovery is closed');
+    if (!source || typeof source.start !== 'function') throw new TypeError('createDiscovery: source.start(sink) required');
+    if (running.has(source)) return () => removeSource(source);
+    let stop = () => {};
+    running.set(source, () => stop());
+    Promise.resolve()
+      .then(() => source.start(sinkFor(source)))
+      .then((out) => {
+        stop = toStop(out);
+        if (!running.has(source)) stop();
+      }, (error) => {
+        running.delete(source);
+        sinkFor(source).error(error instanceof Error ? error : new Error(String(error)));
+      });
+    return () => removeSource(source);
+  }
+
+  function removeSource (source) {
+    const stop = running.get(source);
+    if (!stop) return;
+    running.delete(source);
+    try { stop(); } catch {}
+    for (const rec of [...records.values()]) {
+      rec.sources.delete(source.name);
+      if (rec.sources.size === 0) drop(rec, 'stopped');
+    }
+  }
+
+  function close () {
+    if (closed) return;
+    for (const source of [...running.keys()]) removeSource(source);
+    closed = true;
+    for (const rec of [...records.values()]) drop(rec, 'stopped');
+    events.emit('closed');
+  }
+
+  function peers () {
+    return [...records.values()].filter((rec) => rec.peer).map((rec) => ({ ...rec.info, sources: [...rec.sources], peer: rec.peer }));
+  }
+
+  for (const source of sources) addSource(source);
+
+  return { events, addSource, removeSource, peers, close };
+}
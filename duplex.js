@@ -33,9 +33,13 @@ const resolveLogger = (cfg) => {
  *
  * Hooks (provided via cfg – optional):
  * - onOpen(handshake): functional hook for remote-open
+ * - openGate(done): defer opening/pairing the channel until `done(err?)` is called
+ *   (used by authenticated peers to hold lanes until the handshake completes)
  *
  * Behavior:
  * - Writes buffer until the Protomux channel is fully open on the listen side.
+ * - Backpressure: when Protomux reports the mux is not drained, the write callback is held until
+ *   the channel's ondrain fires, so streamx stops accepting writes past highWaterMark.
  * - destroy() closes the channel (best-effort) and unpairs to notify remote, then ends the stream.
  * - Fully synchronous: no promises/microtasks in core logic (pair remains event-driven by Protomux).
  *
@@ -82,6 +86,14 @@ const makePlexDuplex = (role, cfg = {}) => {
 
   let connected = false
   let alive = true
+  /** @type {((err?: any) => void) | null} */
+  let pendingWrite = null
+
+  const releaseWrite = (err = null) => {
+    const cb = pendingWrite
+    pendingWrite = null
+    if (cb) cb(err)
+  }
 
   // Handlers wired into Protomux channel
   _cfg.onmessage = (msg) => {
@@ -97,8 +109,12 @@ const makePlexDuplex = (role, cfg = {}) => {
     duplex.emit('remote-open', handshake)
     duplex.emit('connection', handshake)
   }
+  _cfg.ondrain = () => {
+    releaseWrite()
+  }
   _cfg.onclose = () => {
     connected = false
+    releaseWrite()
     duplex.push(null)
     if (_cfg?.protocol) log.debug('plex channel close event', { role, protocol: _cfg.protocol });
     duplex.emit('channel-close')
@@ -111,6 +127,7 @@ const makePlexDuplex = (role, cfg = {}) => {
     else log.debug('plex channel destroyed', { role, protocol: _cfg?.protocol });
     connected = false
     alive = false
+    releaseWrite()
     duplex.emit('channel-destroy')
     duplex.destroy()
   }
@@ -120,20 +137,31 @@ const makePlexDuplex = (role, cfg = {}) => {
     open (cb) {
       // Always attach handlers first (cfg already normalized above)
       this._cfg = _cfg
-      if (role === 'listen') {
-        listenChannel(this._cfg, cfg => {
-          this._cfg = cfg;
+      const proceed = () => {
+        if (role === 'listen') {
+          listenChannel(this._cfg, cfg => {
+            this._cfg = cfg;
+            return cb(null);
+          });
+        } else {
+          this._cfg = connectChannel(this._cfg)
           return cb(null);
-        });
-      } else {
-        this._cfg = connectChannel(this._cfg)
-        return cb(null);
+        }
       }
+      if (typeof cfg.openGate !== 'function') return proceed()
+      cfg.openGate((err) => {
+        if (err) return cb(err)
+        if (!alive) return cb(new Error('Plex duplex destroyed before open'))
+        proceed()
+      })
     },
     write (data, cb) {
       log.debug('plex duplex write', { role, protocol: this._cfg?.protocol, len: data?.length });
-      this._cfg.plexSend(data);
-      cb(null)
+      const drained = this._cfg.plexSend(data);
+      // A closed channel also reports false; only wait when a drain can still arrive.
+      if (drained !== false || this._cfg.plexChannel?.closed) return cb(null)
+      log.debug('plex duplex write waiting for drain', { role, protocol: this._cfg?.protocol });
+      pendingWrite = cb
     },
     read (cb) { cb(null) },
     final (cb) { cb(null) },
@@ -142,6 +170,7 @@ const makePlexDuplex = (role, cfg = {}) => {
       try {
         connected = false
         alive = false
+        releaseWrite()
         // Close underlying channel first, then unpair to notify remote.
         try {
           const ch = this._cfg && this._cfg.plexChannel
@@ -0,0 +1,321 @@
+// @ts-check
+import b4a from 'b4a';
+import { makeCodec } from './codec/index.js';
+import { defineService } from './rpc.js';
+import { exposeService, connectService, deriveId } from './service.js';
+import { ok, err, isOk, CODES, codedError } from './result/index.js';
+import { createLogger } from './log/index.js';
+import { encodePosKey, decodePosKey } from './protocol/store.js';
+
+export { encodePosKey, decodePosKey };
+
+const defaultLogger = createLogger({ name: 'plex-eventlog', context: { subsystem: 'plex' } });
+const noopLogger = { trace(){}, debug(){}, info(){}, warn(){}, error(){}, fatal(){}, log(){}, child(){ return this }, setLevel(){}, isLevelEnabled(){ return false } };
+const resolveLogger = (cfg) => {
+  const candidate = cfg?.logger ?? cfg?.log;
+  if (candidate === false) return noopLogger;
+  if (candidate && typeof candidate === 'object') return candidate;
+  return defaultLogger;
+};
+
+export const EVENTLOG_ID = deriveId('plex', 'eventlog', 1);
+export const EVENTLOG_LANE = 'events';
+
+const rawCodec = makeCodec('raw');
+
+/**
+ * Event log wire service: `append` takes the event bytes and answers `ok(undefined, { pos })`;
+ * `follow({ after })` streams `ok(value, { pos })` for every event after `after`, then live ones.
+ */
+export const eventLogService = defineService({
+  name: 'plex.eventlog',
+  methods: {
+    append: { kind: 'unary' },
+    follow: { kind: 'stream', request: 'json' }
+  }
+});
+
+function envError (env) {
+  return codedError(env?.code || CODES.Unknown, env?.message || 'event log error');
+}
+
+/**
+ * An event appended through the log, with the appends that were still in flight when it landed.
+ * @typedef {{ pos:number, value:Uint8Array, before:Array<{ settled:boolean }> }} LiveEvent
+ */
+
+/**
+ * Append-only event log over a StorePort. The port's `append({ value })` must resolve
+ * `ok(undefined, { pos })` with increasing positions and make the event scannable under
+ * `encodePosKey(pos)` (or yield `pos` on its scan envelopes).
+ *
+ * `read({ after, live = true })` yields `{ pos, value }` for stored events after `after`, then,
+ * when `live`, every event appended through this log. Appends made on the port directly are only
+ * seen by later reads.
+ *
+ * Live events are delivered in position order even when appends resolve out of order: an event
+ * that arrives ahead of a gap waits until the earlier appends still in flight have settled. A live
+ * reader buffers at most `highWaterMark` events; past that it drops them and rescans the store
+ * from its last delivered position.
+ *
+ * @param {{ append:(o:any)=>Promise<any>, scan:(o:any)=>AsyncIterable<any> }} port
+ * @param {{ highWaterMark?:number, logger?:any, log?:any }} [opts]
+ */
+export function createEventLog (port, opts = {}) {
+  if (typeof port?.append !== 'function' || typeof port?.scan !== 'function') {
+    throw new TypeError('createEventLog: port needs append and scan');
+  }
+  const log = resolveLogger(opts);
+  const highWaterMark = Math.max(1, opts.highWaterMark ?? 1024);
+  /** @type {Set<(event:LiveEvent) => void>} */
+  const listeners = new Set();
+  /** @type {Set<() => void>} live reads to wake once an append settles */
+  const nudges = new Set();
+  /** @type {Set<() => void>} live reads, ended on close */
+  const readers = new Set();
+  /** @type {Set<{ settled:boolean }>} appends through this log still waiting on the port */
+  const inflight = new Set();
+  let closed = false;
+
+  /**
+   * @param {Uint8Array} value
+   * @returns {Promise<any>} `ok(undefined, { pos })` or the port's error envelope
+   */
+  async function append (value) {
+    if (closed) return err(CODES.Closed, 'event log closed');
+    if (!b4a.isBuffer(value)) return err(CODES.BadArg, 'append.value must be bytes');
+    const ticket = { settled: false };
+    inflight.add(ticket);
+    try {
+      const env = await port.append({ value });
+      if (!isOk(env)) return env;
+      if (!Number.isSafeInteger(env.pos)) return err(CODES.DriverError, 'append did not return a position');
+      inflight.delete(ticket);
+      // Appends still in flight now may hold earlier positions; readers wait for them past a gap.
+      const event = { pos: env.pos, value, before: [...inflight] };
+      for (const fn of [...listeners]) fn(event);
+      return ok(undefined, { pos: env.pos });
+    } finally {
+      inflight.delete(ticket);
+      ticket.settled = true;
+      for (const fn of [...nudges]) fn();
+    }
+  }
+
+  /**
+   * @param {{ after?:number, live?:boolean }} [readOpts]
+   * @returns {AsyncIterableIterator<{ pos:number, value:Uint8Array }>}
+   */
+  function read ({ after = 0, live = true } = {}) {
+    // Subscribe before scanning so appends that land mid-scan are picked up from the queue.
+    /** @type {LiveEvent[]} in position order */
+    const queue = [];
+    let wake = null;
+    let done = false;
+    let overflowed = false;
+    let last = after;
+    const nudge = () => wake?.();
+    const listener = (event) => {
+      if (queue.length >= highWaterMark) {
+        if (!overflowed) log.debug('event log reader fell behind; rescanning', { after: last, highWaterMark });
+        queue.length = 0;
+        overflowed = true;
+      } else {
+        let at = queue.length;
+        while (at > 0 && queue[at - 1].pos > event.pos) at--;
+        queue.splice(at, 0, event);
+      }
+      nudge();
+    };
+    if (live) { listeners.add(listener); nudges.add(nudge); }
+    const scanFrom = (pos) => port.scan({ range: { gt: encodePosKey(pos) } })[Symbol.asyncIterator]();
+    let scan = scanFrom(after);
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      listeners.delete(listener);
+      nudges.delete(nudge);
+      readers.delete(stop);
+      queue.length = 0;
+      const it = scan;
+      scan = null;
+      try { it?.return?.(); } catch {}
+      wake?.();
+    };
+    const stop = () => finish();
+    if (closed) finish();
+    else readers.add(stop);
+
+    const iterator = {
+      async next () {
+        while (!done) {
+          if (!scan && overflowed) {
+            // Dropped events are in the store: pick them up from there.
+            overflowed = false;
+            scan = scanFrom(last);
+          }
+          if (scan) {
+            const step = await scan.next();
+            if (done) break;
+            if (step.done) {
+              scan = null;
+              if (!live) finish();
+              continue;
+            }
+            const env = step.value;
+            if (!isOk(env)) { finish(); throw envError(env); }
+            const pos = Number.isSafeInteger(env.pos) ? env.pos : decodePosKey(env.meta?.key);
+            if (pos === undefined || pos <= last) continue;
+            last = pos;
+            return { value: { pos, value: env.value }, done: false };
+          }
+          const event = queue[0];
+          if (event && event.pos <= last) { queue.shift(); continue; }
+          if (event && (event.pos === last + 1 || event.before.every((ticket) => ticket.settled))) {
+            queue.shift();
+            last = event.pos;
+            return { value: { pos: event.pos, value: event.value }, done: false };
+          }
+          await new Promise((resolve) => { wake = resolve; });
+          wake = null;
+        }
+        return { value: undefined, done: true };
+      },
+      // Settles a pending next() too: stream cancels call return() while a live read is waiting.
+      async return () {
+        finish();
+        return { value: undefined, done: true };
+      },
+      [Symbol.asyncIterator] () { return iterator; }
+    };
+    return /** @type {any} */ (iterator);
+  }
+
+  function close () {
+    if (closed) return;
+    closed = true;
+    for (const stop of [...readers]) stop();
+    listeners.clear();
+    nudges.clear();
+    log.debug('event log closed');
+  }
+
+  return { append, read, close };
+}
+
+/**
+ * Serve an event log (see `createEventLog`; a bare StorePort is wrapped) on a peer's
+ * `events` lane.
+ * @param {any} peer
+ * @param {{ id?:Uint8Array, lane?:string, eagerOpen?:boolean, descriptor?:any, advertise?:boolean }} cfg
+ * @param {ReturnType<typeof createEventLog>|{ append:(o:any)=>Promise<any>, scan:(o:any)=>AsyncIterable<any> }} logOrPort
+ */
+export function exposeEventLog (peer, { id = EVENTLOG_ID, lane = EVENTLOG_LANE, ...cfg } = {}, logOrPort) {
+  const eventLog = 'read' in logOrPort ? logOrPort : createEventLog(logOrPort);
+  return exposeService(peer, { id, lane, ...cfg }, eventLogService, {
+    append: (value) => eventLog.append(value),
+    follow: ({ after = 0 } = {}) => toEnvelopes(eventLog.read({ after }))
+  });
+}
+
+function toEnvelopes (events) {
+  return {
+    async next () {
+      const step = await events.next();
+      return step.done ? step : { value: ok(step.value.value, { pos: step.value.pos }), done: false };
+    },
+    async return () { return events.return(); },
+    [Symbol.asyncIterator] () { return this; }
+  };
+}
+
+/**
+ * @typedef {{ client:any, gen:number, dropped:() => boolean }} EventLogConnection
+ * @typedef {(after:number) => Promise<EventLogConnection>} EventLogSource
+ *   Resolves an `eventLogService` client on a connection newer than generation `after`
+ *   (0: any). `dropped()` tells whether that connection has since gone away.
+ */
+
+/**
+ * Event log client over a connection source. Used by `connectEventLog` and by
+ * `createReconnectingPeer().connectEventLog`, whose source hands out a fresh connection after
+ * every drop so subscriptions resume where they left off.
+ *
+ * - `append(value, opts)` encodes with `codec` and resolves the envelope (`pos` on success).
+ *   Appends are never replayed.
+ * - `subscribe({ after = 0, autoAck = true })` is an async iterable of `{ pos, value }`. The
+ *   subscription remembers the last acknowledged position (every delivered event when `autoAck`,
+ *   otherwise `ack(pos)`); after a drop it follows again from there, so nothing acknowledged is
+ *   delivered twice and nothing is skipped. `position` reads the acknowledged position.
+ *
+ * @param {EventLogSource} source
+ * @param {{ codec?:any, logger?:any, log?:any }} [opts]
+ */
+export function createEventLogClient (source, opts = {}) {
+  const codec = opts.codec ? makeCodec(opts.codec) : rawCodec;
+  const log = resolveLogger(opts);
+
+  async function append (value, callOpts) {
+    const { client } = await source(0);
+    return client.append(codec.encode(value), callOpts);
+  }
+
+  /**
+   * @param {{ after?:number, autoAck?:boolean }} [subOpts]
+   */
+  function subscribe ({ after = 0, autoAck = true } = {}) {
+    let acked = after;
+
+    async function * run () {
+      let gen = 0;
+      for (;;) {
+        const conn = await source(gen);
+        gen = conn.gen;
+        try {
+          for await (const env of conn.client.follow({ after: acked })) {
+            if (!isOk(env)) throw envError(env);
+            if (autoAck) acked = Math.max(acked, env.pos);
+            yield { pos: env.pos, value: codec.decode(env.value ?? new Uint8Array(0)) };
+          }
+          return;
+        } catch (error) {
+          if (!conn.dropped()) throw error;
+          log.debug('event log subscription resuming', { after: acked, message: String(error?.message || error) });
+        }
+      }
+    }
+
+    const iterable = run();
+    return {
+      get position () { return acked; },
+      /** Acknowledge everything up to `pos` (only needed with `autoAck: false`). @param {number} pos */
+      ack (pos) { if (pos > acked) acked = pos; },
+      next: () => iterable.next(),
+      return: () => iterable.return(undefined),
+      [Symbol.asyncIterator] () { return this; }
+    };
+  }
+
+  return { append, subscribe };
+}
+
+/**
+ * Connect to an event log served on a peer (see `exposeEventLog`). Subscriptions end with the
+ * connection; use `createReconnectingPeer().connectEventLog` to resume across drops.
+ * @param {any} peer
+ * @param {{ id?:Uint8Array, lane?:string, eagerOpen?:boolean, streamWindow?:number, codec?:any, logger?:any, log?:any }} [cfg]
+ */
+export function connectEventLog (peer, { id = EVENTLOG_ID, lane = EVENTLOG_LANE, eagerOpen, streamWindow, ...opts } = {}) {
+  const client = connectService(peer, { id, lane, eagerOpen, streamWindow }, eventLogService);
+  const conn = { client, gen: 1, dropped: () => false };
+  const source = async (after) => {
+    if (after >= conn.gen) throw codedError(CODES.Closed, 'event log connection closed');
+    return conn;
+  };
+  return {
+    ...createEventLogClient(source, opts),
+    close: client.close,
+    destroy: client.destroy
+  };
+}
@@ -6,6 +6,8 @@ import { defaultProtocol } from './config.js';
 import { isWebSocket } from './ws/isWebSocket.js';
 import { createWebSocketStream } from './ws/index.js';
 import { WEBSOCKET } from './ws/symbol.js';
+import { createAuthHandshake } from './auth.js';
+import { createServiceRegistry } from './registry.js';
 
 /**
  * @typedef {import('streamx').Duplex & {
@@ -28,10 +30,30 @@ import { WEBSOCKET } from './ws/symbol.js';
  *
  * Note: ids must be Uint8Array (bytes). Callers own any string→bytes conversion.
  *
- * @param {{ stream:any, protocolBase?:string }} cfg
+ * Authentication (opt-in): pass `auth: { signer, descriptor?, verify?, authorize?, timeoutMs? }`
+ * and both sides exchange challenges on the `auth` lane, answer with signed descriptors and verify
+ * them (see auth.js). Every other lane is held closed until the handshake succeeds; on failure the
+ * transport is destroyed and pending lanes error with the handshake's coded error.
+ *
+ * Service registry (opt-in): with `services: true` the peer opens the `registry` lane and mirrors
+ * the remote's advertised descriptors (see registry.js). `peer.services.advertise(descriptor, { id, lane })`
+ * publishes, `peer.services.query({ namespace, kind, labels })` asks the remote. Without it
+ * `peer.services` is null.
+ *
+ * Compression (opt-in): `compression: true | { codecs, threshold, maxBytes }` negotiates per-lane
+ * compression for every lane this peer opens (see compress/index.js); a lane's own `compression`
+ * option overrides it. Lanes whose remote doesn't offer a shared codec stay uncompressed.
+ *
+ * Encryption (opt-in, per lane): `encrypt: true` seals that lane end to end under keys agreed right
+ * after it opens (see `createLaneSession`), so it stays private over an untrusted relay while other
+ * lanes remain plaintext. Both ends must set it. With `auth`, each side signs its key-exchange hello
+ * with its signer and requires the remote's to be signed by the authenticated remote key, which
+ * stops a relay from sitting in the middle; without `auth` pass `{ signer, remotePublicKey }`.
+ *
+ * @param {{ stream:any, protocolBase?:string, services?:boolean, compression?:boolean|import('./compress/index.js').CompressionOptions, auth?:{ signer:{ publicKey:Uint8Array, sign:(message:Uint8Array)=>Uint8Array|Promise<Uint8Array> }, descriptor?:any, verify?:(message:Uint8Array, sig:Uint8Array, publicKey:Uint8Array)=>boolean|Promise<boolean>, authorize?:(descriptor:any)=>boolean|Promise<boolean>, timeoutMs?:number }, logger?:any, log?:any }} cfg
  */
 export function createPeer (cfg = {}) {
-  let { stream, protocolBase = defaultProtocol } = cfg;
+  let { stream, protocolBase = defaultProtocol, auth } = cfg;
   // Avoid mutating cfg; if a WebSocket is passed, wrap locally
   let originalWebSocket = undefined;
   if (isWebSocket(stream)) {
@@ -42,18 +64,30 @@ export function createPeer (cfg = {}) {
   // Ensure a single Protomux mux is used across all lanes for this peer
   const mux = Protomux.from(stream);
 
+  const handshake = auth
+    ? createAuthHandshake({ ...auth, stream, mux, protocolBase, logger: cfg.logger, log: cfg.log })
+    : null;
+  if (handshake) {
+    handshake.whenReady((err) => {
+      if (err) { try { stream.destroy?.(err); } catch {} }
+    });
+  }
+
   /**
    * Open a nested Plex duplex for a named lane under the base protocol.
    *
    * @param {'connect'|'listen'} role
-   * @param {{ id:Uint8Array, lane?:string, protocol?:string, handshakeEncoding?:any, handshakeMessage?:any, encoding?:any, eagerOpen?:boolean }} opts
+   * @param {{ id:Uint8Array, lane?:string, protocol?:string, handshakeEncoding?:any, handshakeMessage?:any, encoding?:any, eagerOpen?:boolean, compression?:any, encrypt?:any }} opts
    */
   function openLane (role, opts = {}) {
-    const { id, lane, protocol, handshakeEncoding, handshakeMessage, encoding, eagerOpen, onError, onPair } = opts;
+    const { id, lane, protocol, handshakeEncoding, handshakeMessage, encoding, eagerOpen, onError, onPair, compression = cfg.compression } = opts;
+    const encrypt = opts.encrypt && handshake
+      ? { signer: auth.signer, remotePublicKey: () => handshake.remoteDescriptor?.publicKey, ...(typeof opts.encrypt === 'object' ? opts.encrypt : {}) }
+      : opts.encrypt;
     if (!id || !b4a.isBuffer(id)) throw new TypeError('openLane: id (Uint8Array) required');
     const laneProtocol = protocol ?? (lane ? `${protocolBase}/${lane}` : protocolBase);
     // Pass the mux as the underlying stream to avoid creating multiple Protomux instances
-    const base = { stream, mux, id, protocol: laneProtocol, handshakeEncoding, handshakeMessage, encoding, eagerOpen, onError, onPair };
+    const base = { stream, mux, id, protocol: laneProtocol, handshakeEncoding, handshakeMessage, encoding, eagerOpen, onError, onPair, compression, encrypt, openGate: handshake?.whenReady };
     return role === 'listen' ? listenDuplex(base) : connectDuplex(base);
   }
 
@@ -79,9 +113,25 @@ export function createPeer (cfg = {}) {
      * Get a snapshot of peer configuration/state for introspection.
      * @returns {PeerConfig}
      */
-    getConfig () { return { protocolBase, mux, transport: /** @type {NLTransport} */(stream), websocket: originalWebSocket }; }
+    getConfig () { return { protocolBase, mux, transport: /** @type {NLTransport} */(stream), websocket: originalWebSocket }; },
+    /** Verified remote descriptor (null until the auth handshake completes, or when auth is off). */
+    get remoteDescriptor () { return handshake?.remoteDescriptor ?? null; },
+    /** True once the auth handshake succeeded; always false when auth is off. */
+    isAuthenticated () { return !!handshake?.isReady(); },
+    /**
+     * Resolve with the verified remote descriptor once the auth handshake completes
+     * (null when auth is off); rejects with the handshake's coded error.
+     * @returns {Promise<any>}
+     */
+    whenAuthenticated () { return handshake ? handshake.ready() : Promise.resolve(null); },
+    /** Service registry for this connection (null unless created with `services: true`). */
+    get services () { return services; }
   };
 
+  /** @type {ReturnType<typeof createServiceRegistry>|null} */
+  const services = cfg.services === true ? createServiceRegistry(peer, { logger: cfg.logger, log: cfg.log }) : null;
+  services?.open();
+
   // Expose original WebSocket (if provided) non-enumerably on the returned peer
   if (originalWebSocket) {
     Object.defineProperty(peer, WEBSOCKET, { value: originalWebSocket, enumerable: false });
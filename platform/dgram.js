@@ -0,0 +1,17 @@
+const tryImport = async (specifier) => {
+  try {
+    return await import(specifier)
+  } catch {
+    return null
+  }
+}
+
+const moduleCandidate =
+  (await tryImport('dgram')) ??
+  (await tryImport('bare-dgram'))
+
+const dgram = moduleCandidate ? (moduleCandidate.default ?? moduleCandidate) : null
+const isDgramAvailable = !!dgram
+
+export { dgram, isDgramAvailable }
+export default dgram
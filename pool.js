@@ -3,9 +3,13 @@ import process from 'process';
 import { fs, isFsAvailable } from './platform/fs.js';
 import { path } from './platform/path.js';
 import { EventEmitter } from './platform/events.js';
-import { createStorePortProxyOverPlex } from './rpc.js';
+import { defineService } from './rpc.js';
+import { connectService, connectStorePort as connectPeerStorePort, exposeService, deriveId } from './service.js';
+import { backoffDelay } from './reconnect.js';
 import b4a from 'b4a';
-import { ok } from './result/index.js';
+import c from 'compact-encoding';
+import { ok, err, CODES, codedError } from './result/index.js';
+import { encodeScanCursor } from './protocol/store.js';
 import { loadRootEnv } from './env/index.js';
 import { createLogger } from './log/index.js';
 loadRootEnv();
@@ -19,18 +23,242 @@ const resolveLogger = (cfg) => {
   return defaultLogger;
 };
 
+export const HEALTH_ID = deriveId('plex', 'health', 1);
+export const HEALTH_LANE = 'health';
+
+/** Health lane service: `ping(seq)` echoes `seq` while the remote considers itself healthy. */
+export const healthService = defineService({
+  name: 'plex.health',
+  methods: { ping: { request: c.uint, response: c.uint } }
+});
+
+/**
+ * Answer pool health checks on `peer`. `check()` may veto (return false) to report the
+ * node unhealthy without dropping the connection.
+ * @param {any} peer
+ * @param {{ id?:Uint8Array, lane?:string, check?:() => boolean|Promise<boolean> }} [cfg]
+ */
+export function exposeHealthCheck (peer, { id = HEALTH_ID, lane = HEALTH_LANE, check } = {}) {
+  return exposeService(peer, { id, lane }, healthService, {
+    async ping (seq) {
+      if (check && !(await check())) return err(CODES.NotReady, 'health check failed');
+      return seq;
+    }
+  });
+}
+
+/**
+ * Comparable number for an envelope `ver` (-1 when absent; `{feed,seq}` compares by seq).
+ * @param {any} ver
+ */
+function verOf (ver) {
+  if (typeof ver === 'number') return ver;
+  if (ver && typeof ver === 'object' && typeof ver.seq === 'number') return ver.seq;
+  return -1;
+}
+
+function replicationConfig ({ n = 3, w, r, readRepair = true } = {}) {
+  const size = Math.max(1, n);
+  const majority = Math.floor(size / 2) + 1;
+  const cfg = { n: size, w: w ?? majority, r: r ?? majority, readRepair: readRepair !== false };
+  if (!(cfg.w >= 1 && cfg.w <= size)) throw new TypeError(`replication: w must be 1..${size}`);
+  if (!(cfg.r >= 1 && cfg.r <= size)) throw new TypeError(`replication: r must be 1..${size}`);
+  return cfg;
+}
+
+// Minimal AbortSignal stand-in (rpc.js only needs aborted/reason and add/removeEventListener).
+function createCancelSignal () {
+  const listeners = new Set();
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener (type, fn) { if (type === 'abort') listeners.add(fn); },
+    removeEventListener (type, fn) { if (type === 'abort') listeners.delete(fn); }
+  };
+  return {
+    signal,
+    cancel (reason) {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      signal.reason = reason;
+      for (const fn of [...listeners]) { try { fn(); } catch {} }
+    }
+  };
+}
+
+function fnv1a (bytes, h) {
+  for (let i = 0; i < bytes.length; i++) h = Math.imul(h ^ bytes[i], 16777619);
+  return h >>> 0;
+}
+
+// murmur3 finalizer: spreads FNV's weak low bits across the whole word
+function fmix32 (h) {
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Weighted rendezvous score of `keyBytes` for a pool entry: -w / ln(u) with u uniform in (0, 1)
+ * derived from hash(key, peer). Exported for tests and custom routers.
+ * @param {Uint8Array} keyBytes
+ * @param {{ weight:number, hashToken:Uint8Array }} entry
+ */
+export function rendezvousScore (keyBytes, entry) {
+  const h1 = fmix32(fnv1a(entry.hashToken, fnv1a(keyBytes, 0x811c9dc5)));
+  const h2 = fmix32(fnv1a(entry.hashToken, fnv1a(keyBytes, 0x9e3779b9)));
+  const u = (h1 * 0x200000 + (h2 >>> 11) + 0.5) / 0x20000000000000;
+  return -Math.max(entry.weight, 1e-9) / Math.log(u);
+}
+
+/**
+ * Token bucket refilled continuously at `rate` tokens/sec up to `burst`.
+ * A request larger than `burst` is admitted once the bucket is full (the bucket goes negative),
+ * so oversized payloads are throttled rather than rejected forever.
+ * @param {number} rate
+ * @param {number} burst
+ */
+function createTokenBucket (rate, burst) {
+  const capacity = Math.max(1, burst);
+  let tokens = capacity;
+  let last = Date.now();
+  const refill = (n) => {
+    if (n > last) { tokens = Math.min(capacity, tokens + ((n - last) / 1000) * rate); last = n; }
+  };
+  return {
+    rate,
+    capacity,
+    /** Milliseconds until `amount` tokens are available (0 = now). */
+    waitMs (amount, n = Date.now()) {
+      refill(n);
+      const need = Math.min(amount, capacity);
+      return tokens >= need ? 0 : Math.ceil(((need - tokens) / rate) * 1000);
+    },
+    take (amount, n = Date.now()) { refill(n); tokens -= amount; },
+    available (n = Date.now()) { refill(n); return tokens; }
+  };
+}
+
+/**
+ * @typedef {{ maxInFlight?:number, rps?:number, bps?:number, burst?:number, bytesBurst?:number }} PoolLimits
+ * `rps`/`bps` are requests and request bytes per second (0/unset = unlimited); `burst` and
+ * `bytesBurst` default to one second's worth.
+ */
+
+/** @param {PoolLimits} [limits] */
+function createLimiter (limits) {
+  const { maxInFlight = Infinity, rps = 0, bps = 0, burst, bytesBurst } = limits || {};
+  return {
+    maxInFlight: maxInFlight > 0 ? maxInFlight : Infinity,
+    requests: rps > 0 ? createTokenBucket(rps, burst ?? rps) : null,
+    bytes: bps > 0 ? createTokenBucket(bps, bytesBurst ?? bps) : null
+  };
+}
+
+/**
+ * Milliseconds until `limiter` admits a request of `bytes` (0 = now, Infinity = wait for a slot).
+ * @param {ReturnType<typeof createLimiter>} limiter
+ * @param {number} inFlight
+ * @param {number} bytes
+ */
+function limiterWait (limiter, inFlight, bytes) {
+  if (inFlight >= limiter.maxInFlight) return Infinity;
+  const n = Date.now();
+  const reqWait = limiter.requests ? limiter.requests.waitMs(1, n) : 0;
+  const byteWait = limiter.bytes && bytes > 0 ? limiter.bytes.waitMs(bytes, n) : 0;
+  return Math.max(reqWait, byteWait);
+}
+
+function limiterTake (limiter, bytes) {
+  limiter.requests?.take(1);
+  if (bytes > 0) limiter.bytes?.take(bytes);
+}
+
+function summarizeLimiter (limiter) {
+  return {
+    maxInFlight: Number.isFinite(limiter.maxInFlight) ? limiter.maxInFlight : undefined,
+    rps: limiter.requests?.rate,
+    bps: limiter.bytes?.rate,
+    requestTokens: limiter.requests ? Math.floor(limiter.requests.available()) : undefined,
+    byteTokens: limiter.bytes ? Math.floor(limiter.bytes.available()) : undefined
+  };
+}
+
+// Approximate request size for byte-rate limits: key, value and caps payloads (or raw bytes).
+function requestBytes (opts) {
+  if (!opts || typeof opts !== 'object') return 0;
+  if (typeof opts.byteLength === 'number') return opts.byteLength;
+  let n = 0;
+  for (const k of ['key', 'value', 'caps']) {
+    const v = opts[k];
+    if (v && typeof v.byteLength === 'number') n += v.byteLength;
+    else if (typeof v === 'string') n += v.length;
+  }
+  return n;
+}
+
 /**
  * Minimal Peer Pool with round-robin selection.
  * - Add peers created via createPeer(stream)
  * - Provide a StorePort proxy that selects a peer per call.
  *
- * Future hooks reserved: weights, token buckets, health, circuit breakers.
+ * Policies: 'round-robin' (default), 'weighted' (weight × locality, penalised by failures and
+ * latency) and 'sticky' (weighted rendezvous hashing on `keyFn(opts)`; set `meta.name` on `add`
+ * for an identity that survives re-adding a peer). Sticky keys only move when their owner leaves
+ * or becomes ineligible, and then go to the next-ranked peer.
+ *
+ * Circuit breakers (per peer): `breaker: { failureThreshold = 1, resetMs = 2000, halfOpenProbes = 1 }`.
+ * Thrown call failures (transport errors, not `err` envelopes) count towards `failureThreshold`
+ * consecutive failures; the breaker then opens for `resetMs`, goes half-open and admits up to
+ * `halfOpenProbes` concurrent calls. A successful probe closes it, a failed one re-opens it.
+ *
+ * Health checks (opt-in): `health: { intervalMs = 5000, timeoutMs = 1000, id?, lane? }` (or `true`)
+ * pings every peer's health lane (see `exposeHealthCheck`). Failed pings mark the peer unhealthy
+ * and feed its breaker; unhealthy peers are skipped until a ping succeeds again.
+ *
+ * Rate limits: `limits` (per-peer default, overridable via `add(peer, { limits })`) and
+ * `poolLimits` (shared by all peers) take `{ maxInFlight, rps, bps, burst, bytesBurst }`.
+ * When a limit is hit, `onLimit` decides: 'next' (default) routes to another peer with
+ * capacity, 'queue' does the same but waits (up to `queueTimeoutMs`, 0 = no limit) when none
+ * has capacity, and 'fail' rejects as soon as the picked peer is limited. Refusals throw
+ * `CODES.NotReady` errors and emit a 'call' event of type 'limited'.
+ *
+ * Retries and hedging are per proxy: `connectStorePort({ retry, hedge })`.
+ * - `retry: { attempts = 3, backoff, methods = ['get','scan'], codes = [Timeout, NotReady, Closed] }`
+ *   re-issues listed methods when they throw (uncoded errors count as `Closed`) or return an
+ *   `err` envelope with a listed code. Streams only retry before their first item, except scans:
+ *   a scan that breaks off midway resumes after its last delivered key (via a scan cursor) on
+ *   whichever peer the retry picks, counting what was delivered against its `limit`.
+ * - `hedge: { afterMs?, percentile = 0.95, minSamples = 20, methods = ['get'] }` sends a duplicate
+ *   to another peer once the primary outlives `afterMs` (or the recent latency percentile); the
+ *   first ok response wins and the loser is cancelled with a cancel frame.
+ *
+ * Replication: `connectStorePort({ replication: { n = 3, w, r, readRepair = true } })` places each
+ * key on its top-`n` peers by rendezvous score (`keyFn(opts)` or `opts.key`). put/del fan out and
+ * resolve once `w` replicas acknowledge (w and r default to a majority); both carry a
+ * writer-assigned `ver` (hybrid ms clock), so a delete leaves a versioned tombstone that older
+ * puts cannot overwrite. get reads `r` replicas, returns the envelope with the highest `ver` (a
+ * tombstone answers `ok(undefined, { ver })`) and repairs replicas that answered with an older
+ * one: a re-put, or a re-delete when the tombstone won. Replicas drop tombstones after their
+ * `tombstoneTtlMs`, so a replica that misses a delete must be repaired within it. Quorum misses
+ * return `NotAvailable` envelopes; retries and hedging do not apply to replicated methods.
+ * Replicas version keys independently, so `batch` and `ifVer` (compare-and-swap) need an
+ * unreplicated proxy: a replicated `batch` answers `NotAvailable`, `ifVer` answers `BadArg`.
+ * `watch` follows the changes one picked peer sees; it holds an in-flight slot while open.
+ *
+ * Other clients: `connect({ key, factory, methods, optsArg })` routes any per-peer client (custom
+ * services, raw lanes, event streams) through the same selection, limits, breakers, stats and
+ * trace; `connectService({ id, lane, service })` does so for `defineService` services.
+ *
+ * Events: 'breaker' ({ peerId, from, to, failures }) and 'health' ({ peerId, healthy, error? })
+ * on state changes, alongside 'peer-add', 'peer-remove', 'peer-stats' and 'call'.
  */
 export function createPeerPool (opts = {}) {
   const log = resolveLogger(opts);
   const TRACE_PATH = process.env.PLEX_POOL_TRACE_PATH;
   const TRACE = process.env.PLEX_POOL_TRACE === '1' || !!TRACE_PATH;
   let callSeq = 0;
+  let clientSeq = 0;
   let traceStream;
 
   function trace (event, payload) {
@@ -55,15 +283,38 @@ export function createPeerPool (opts = {}) {
   const events = new EventEmitter();
   events.setMaxListeners(0);
 
-  /** @type {Array<{ id:number, peer:any, weight:number, meta?:{ source?:string, locality?:string }, inFlight:number, failures:number, successes:number, latencyMs:number, cooldownUntil:number, clients:Map<string, any> }>} */
+  /** @type {Array<{ id:number, peer:any, weight:number, meta?:{ source?:string, locality?:string, name?:string, id?:string }, hashToken:Uint8Array, inFlight:number, failures:number, successes:number, latencyMs:number, cooldownUntil:number, breaker:{ state:'closed'|'open'|'half-open', consecutiveFailures:number, probes:number }, limiter:ReturnType<typeof createLimiter>, healthy?:boolean, healthClient?:any, clients:Map<string, any> }>} */
   const peers = [];
   let rr = 0;
   let nextId = 1;
   const COOLDOWN_MS = 2000;
   const LAT_EWMA_A = 0.2; // latency EMA alpha
+  const LATENCY_WINDOW = 128; // samples kept per method for hedge percentiles
+  const VER_TICKS_PER_MS = 1024; // replicated write versions: ms clock × 1024 + counter (< 2^53)
+  let verClock = 0;
+  const breakerCfg = {
+    failureThreshold: Math.max(1, opts.breaker?.failureThreshold ?? 1),
+    resetMs: Math.max(0, opts.breaker?.resetMs ?? COOLDOWN_MS),
+    halfOpenProbes: Math.max(1, opts.breaker?.halfOpenProbes ?? 1)
+  };
+  const healthCfg = opts.health
+    ? { id: HEALTH_ID, lane: HEALTH_LANE, intervalMs: 5000, timeoutMs: 1000, ...(opts.health === true ? {} : opts.health) }
+    : null;
+  let healthTimer = null;
+  let healthRun = null;
+  let pingSeq = 0;
+  const onLimit = opts.onLimit ?? 'next';
+  const queueTimeoutMs = Math.max(0, opts.queueTimeoutMs ?? 0);
+  const poolLimiter = createLimiter(opts.poolLimits);
+  let poolInFlight = 0;
+  /** @type {Set<() => void>} */
+  const slotWaiters = new Set();
 
-  function add (peer, { weight = 1, meta } = {}) {
-    const entry = { id: nextId++, peer, weight, meta, inFlight: 0, failures: 0, successes: 0, latencyMs: 1, cooldownUntil: 0, clients: new Map() };
+  function add (peer, { weight = 1, meta, limits } = {}) {
+    const id = nextId++;
+    // Stable hashing identity so a re-added peer keeps its sticky keys (meta.name/meta.id when given).
+    const hashToken = b4a.from(String(meta?.name ?? meta?.id ?? `peer-${id}`));
+    const entry = { id, peer, weight, meta, hashToken, inFlight: 0, failures: 0, successes: 0, latencyMs: 1, cooldownUntil: 0, breaker: { state: /** @type {'closed'} */ ('closed'), consecutiveFailures: 0, probes: 0 }, limiter: createLimiter(limits ?? opts.limits), healthy: undefined, healthClient: undefined, clients: new Map() };
     peers.push(entry);
     events.emit('peer-add', summarizePeer(entry));
     return { dispose: () => remove(peer) };
@@ -73,6 +324,7 @@ export function createPeerPool (opts = {}) {
     const i = peers.findIndex(p => p.peer === peer);
     if (i >= 0) {
       for (const c of peers[i].clients.values()) { try { c.destroy?.(); } catch {} }
+      try { peers[i].healthClient?.destroy?.(); } catch {}
       events.emit('peer-remove', summarizePeer(peers[i]));
       peers.splice(i, 1);
       if (rr >= peers.length) rr = 0;
@@ -83,7 +335,149 @@ export function createPeerPool (opts = {}) {
 
   function eligiblePeers () {
     const n = now();
-    return peers.filter(p => n >= p.cooldownUntil);
+    return peers.filter(p => admits(p, n));
+  }
+
+  function admits (entry, n) {
+    if (entry.healthy === false) return false;
+    const b = entry.breaker;
+    if (b.state === 'open') {
+      if (n < entry.cooldownUntil) return false;
+      setBreaker(entry, 'half-open');
+    }
+    if (b.state === 'half-open') return b.probes < breakerCfg.halfOpenProbes;
+    return true;
+  }
+
+  function setBreaker (entry, to) {
+    const b = entry.breaker;
+    const from = b.state;
+    if (from === to) return;
+    b.state = to;
+    if (to === 'open') entry.cooldownUntil = now() + breakerCfg.resetMs;
+    if (to === 'closed') { b.consecutiveFailures = 0; entry.cooldownUntil = 0; }
+    const info = { peerId: entry.id, from, to, failures: b.consecutiveFailures };
+    if (to === 'open') log.warn('peer-pool breaker opened', info);
+    else log.debug('peer-pool breaker state', info);
+    trace('breaker', info);
+    events.emit('breaker', info);
+  }
+
+  // Breaker bookkeeping for thrown failures (transport/protocol errors).
+  function recordFailure (entry) {
+    entry.failures += 1;
+    const b = entry.breaker;
+    b.consecutiveFailures += 1;
+    if (b.state === 'half-open' || (b.state === 'closed' && b.consecutiveFailures >= breakerCfg.failureThreshold)) {
+      setBreaker(entry, 'open');
+    } else if (b.state === 'open') {
+      entry.cooldownUntil = now() + breakerCfg.resetMs;
+    }
+  }
+
+  function recordSuccess (entry) {
+    const b = entry.breaker;
+    b.consecutiveFailures = 0;
+    if (b.state === 'half-open') setBreaker(entry, 'closed');
+  }
+
+  // Half-open peers only admit a bounded number of concurrent probe calls.
+  function beginCall (entry) {
+    entry.inFlight += 1;
+    poolInFlight += 1;
+    const probe = entry.breaker.state === 'half-open';
+    if (probe) entry.breaker.probes += 1;
+    let ended = false;
+    return () => {
+      if (ended) return;
+      ended = true;
+      entry.inFlight = Math.max(0, entry.inFlight - 1);
+      poolInFlight = Math.max(0, poolInFlight - 1);
+      if (probe) entry.breaker.probes = Math.max(0, entry.breaker.probes - 1);
+      for (const wake of [...slotWaiters]) wake();
+    };
+  }
+
+  // Resolve when a call finishes or after `ms`, whichever comes first.
+  function waitForSlot (ms) {
+    return new Promise((resolve) => {
+      let timer = null;
+      const wake = () => {
+        if (timer) clearTimeout(timer);
+        slotWaiters.delete(wake);
+        resolve(undefined);
+      };
+      slotWaiters.add(wake);
+      if (Number.isFinite(ms)) timer = setTimeout(wake, Math.max(1, ms));
+    });
+  }
+
+  function setHealthy (entry, healthy, error) {
+    if (entry.healthy === healthy) return;
+    entry.healthy = healthy;
+    const info = { peerId: entry.id, healthy, error };
+    if (healthy) log.debug('peer-pool peer healthy', info);
+    else log.warn('peer-pool peer unhealthy', info);
+    trace('health', info);
+    events.emit('health', info);
+  }
+
+  async function pingPeer (entry) {
+    if (!healthCfg) return summarizePeer(entry);
+    if (!entry.healthClient) {
+      entry.healthClient = connectService(entry.peer, { id: healthCfg.id, lane: healthCfg.lane }, healthService);
+    }
+    const started = now();
+    let error;
+    try {
+      const res = await entry.healthClient.ping(++pingSeq % 0x100000000, { timeoutMs: healthCfg.timeoutMs });
+      if (!res?.ok) error = String(res?.message || res?.code || 'health check failed');
+    } catch (e) {
+      error = String(e?.message || e);
+      // Reopen the lane next round; a timed-out or broken client is not worth reusing.
+      try { entry.healthClient?.destroy?.(); } catch {}
+      entry.healthClient = undefined;
+    }
+    if (!peers.includes(entry)) return summarizePeer(entry);
+    if (error === undefined) {
+      const dur = now() - started;
+      entry.latencyMs = entry.latencyMs * (1 - LAT_EWMA_A) + dur * LAT_EWMA_A;
+      // A good ping doubles as the half-open probe once the reset window elapsed.
+      if (entry.breaker.state === 'open' && now() >= entry.cooldownUntil) setBreaker(entry, 'half-open');
+      recordSuccess(entry);
+      setHealthy(entry, true);
+    } else {
+      recordFailure(entry);
+      setHealthy(entry, false, error);
+    }
+    events.emit('peer-stats', summarizePeer(entry));
+    return summarizePeer(entry);
+  }
+
+  /**
+   * Ping every peer once (no-op without `health`). Concurrent calls share one round.
+   * @returns {Promise<ReturnType<typeof summarizePeer>[]>}
+   */
+  function checkHealth () {
+    if (!healthCfg) return Promise.resolve(stats());
+    if (!healthRun) {
+      healthRun = Promise.all(peers.map(pingPeer)).finally(() => { healthRun = null; });
+    }
+    return healthRun;
+  }
+
+  function startHealthLoop () {
+    if (!healthCfg || healthTimer) return;
+    healthTimer = setInterval(() => { checkHealth().catch(() => {}); }, healthCfg.intervalMs);
+    healthTimer.unref?.();
+  }
+
+  function stopHealthLoop () {
+    if (healthTimer) { clearInterval(healthTimer); healthTimer = null; }
+    for (const e of peers) {
+      try { e.healthClient?.destroy?.(); } catch {}
+      e.healthClient = undefined;
+    }
   }
 
   function baseLocalityWeight (p) {
@@ -118,23 +512,26 @@ export function createPeerPool (opts = {}) {
     return list[list.length - 1];
   }
 
-  function hashKey (keyBytes) {
-    // djb2
-    let h = 5381;
-    for (let i = 0; i < keyBytes.length; i++) h = ((h << 5) + h) + keyBytes[i];
-    return h >>> 0;
-  }
-
+  // Weighted rendezvous (highest random weight) hashing: every peer scores the key and the
+  // best score owns it. Removing or cooling down a peer only moves that peer's keys (each to its
+  // runner-up), and a peer with weight w owns ~w/sum(weights) of the keyspace.
   function pickSticky (list, keyBytes) {
     if (list.length === 0) return null;
     if (!keyBytes || keyBytes.length === 0) return pickRoundRobin(list);
-    const h = hashKey(keyBytes);
-    const idx = h % list.length;
-    return list[idx];
+    let best = null;
+    let bestScore = -Infinity;
+    for (const p of list) {
+      const score = rendezvousScore(keyBytes, p);
+      if (score > bestScore || (score === bestScore && best && p.id < best.id)) { best = p; bestScore = score; }
+    }
+    return best;
   }
 
   function pick ({ policy = 'round-robin', prefer, keyBytes } = {}) {
-    const list = eligiblePeers();
+    return pickFrom(eligiblePeers(), { policy, prefer, keyBytes });
+  }
+
+  function pickFrom (list, { policy = 'round-robin', prefer, keyBytes } = {}) {
     if (list.length === 0) return null;
     if (policy === 'weighted') return pickWeighted(list, prefer);
     if (policy === 'sticky') return pickSticky(list, keyBytes);
@@ -146,115 +543,412 @@ export function createPeerPool (opts = {}) {
     return `${hex}::${lane || 'rpc'}`;
   }
 
-  function getClient (entry, id, lane, eagerOpen) {
-    const k = keyOf(id, lane);
-    let cli = entry.clients.get(k);
+  function isTransportClosed (entry) {
+    const transport = entry.peer.getTransport?.();
+    return !!(transport?.destroyed || transport?.destroying);
+  }
+
+  // One client per (peer, clientKey); clients whose duplex was destroyed are rebuilt.
+  function getClient (entry, clientKey, factory) {
+    let cli = entry.clients.get(clientKey);
+    if (cli && cli.unwrap?.()?.destroyed) { entry.clients.delete(clientKey); cli = undefined; }
     if (!cli) {
-      const duplex = lane ? entry.peer.connectLane(id, lane, { eagerOpen }) : entry.peer.connectRpc(id, { eagerOpen });
-      cli = createStorePortProxyOverPlex({ duplex });
-      entry.clients.set(k, cli);
+      cli = factory(entry.peer, { peerId: entry.id, meta: entry.meta });
+      if (!cli || typeof cli !== 'object') throw new TypeError('PeerPool: client factory must return an object');
+      entry.clients.set(clientKey, cli);
     }
     return cli;
   }
 
-  function connectStorePort ({ id, lane, eagerOpen = false, policy = 'round-robin', keyFn, prefer } = {}) {
-    const selectEntry = (method, opts) => {
-      const keyBytes = typeof keyFn === 'function' ? normalizeKey(keyFn(opts)) : undefined;
-      const entry = pick({ policy, prefer, keyBytes });
-      const callId = ++callSeq;
+  function dropClients (clientKey, how) {
+    for (const e of peers) {
+      const cli = e.clients.get(clientKey);
+      if (!cli) continue;
+      e.clients.delete(clientKey);
+      try { cli[how]?.(); } catch {}
+    }
+  }
+
+  /**
+   * Selection, limits, breakers, stats, retries and hedging for one kind of client.
+   * Calls are `(...args)` forwarded to `factory(peer)`'s method; `args[optsArg]` holds the
+   * per-call options (`signal`, `timeoutMs`) and `keyFn(...args)` the sticky key.
+   */
+  function createRouter ({ clientKey, factory, optsArg = 0, policy = 'round-robin', keyFn, prefer, retry, hedge, retryMethods = [], hedgeMethods = [] }) {
+    const retryCfg = retry
+      ? {
+          attempts: Math.max(1, retry.attempts ?? 3),
+          backoff: { minMs: 20, maxMs: 1000, ...retry.backoff },
+          methods: retry.methods ?? retryMethods,
+          codes: retry.codes ?? [CODES.Timeout, CODES.NotReady, CODES.Closed]
+        }
+      : null;
+    const hedgeCfg = hedge
+      ? {
+          afterMs: hedge.afterMs,
+          percentile: Math.min(1, Math.max(0, hedge.percentile ?? 0.95)),
+          minSamples: Math.max(1, hedge.minSamples ?? 20),
+          methods: hedge.methods ?? hedgeMethods
+        }
+      : null;
+    const callOpts = (args) => args[optsArg];
+    const withCallOpts = (args, extra) => {
+      const out = [...args];
+      out[optsArg] = { ...args[optsArg], ...extra };
+      return out;
+    };
+    /** @type {Map<string, number[]>} recent successful latencies per method (hedge percentile) */
+    const latencySamples = new Map();
+    const recordLatency = (method, dur) => {
+      if (!hedgeCfg) return;
+      let samples = latencySamples.get(method);
+      if (!samples) latencySamples.set(method, samples = []);
+      samples.push(dur);
+      if (samples.length > LATENCY_WINDOW) samples.shift();
+    };
+
+    const limitedError = (callId, method, peerId, waitMs) => {
+      const error = codedError(CODES.NotReady, 'PeerPool: rate or concurrency limit reached');
+      trace('call.limited', { id: callId, method, peerId, waitMs: Number.isFinite(waitMs) ? waitMs : null });
+      events.emit('call', { type: 'limited', id: callId, method, peerId, ts: Date.now() });
+      return error;
+    };
+
+    /**
+     * Pick a peer and reserve its slot (in-flight count and tokens).
+     * Returns `{ entry, callId, endCall }`, or `{ waitMs }` when the caller should queue.
+     */
+    const admit = (method, args, callId, exclude, target) => {
+      const keyBytes = typeof keyFn === 'function' ? normalizeKey(keyFn(...args)) : undefined;
       const key = keyBytes ? toShortHex(keyBytes) : undefined;
+      const list = exclude ? eligiblePeers().filter((p) => p !== exclude) : eligiblePeers();
+      let entry = target ?? pickFrom(list, { policy, prefer, keyBytes });
       if (!entry) {
         trace('call.noPeer', { id: callId, method, policy, prefer, key });
         events.emit('call', { type: 'no-peer', id: callId, method, policy, prefer, key, ts: Date.now() });
         throw new Error('PeerPool: no peers available');
       }
+      const bytes = requestBytes(args[0]);
+      const poolWait = limiterWait(poolLimiter, poolInFlight, bytes);
+      if (poolWait > 0) {
+        if (onLimit === 'queue') return { waitMs: poolWait };
+        throw limitedError(callId, method, undefined, poolWait);
+      }
+      const peerWait = limiterWait(entry.limiter, entry.inFlight, bytes);
+      if (peerWait > 0) {
+        // Replica calls are pinned to their peer: queue or fail, never reroute.
+        if (target && onLimit === 'queue') return { waitMs: peerWait };
+        if (target || onLimit === 'fail') throw limitedError(callId, method, entry.id, peerWait);
+        let soonest = peerWait;
+        const open = list.filter((p) => {
+          if (p === entry) return false;
+          const w = limiterWait(p.limiter, p.inFlight, bytes);
+          if (w > 0) soonest = Math.min(soonest, w);
+          return w === 0;
+        });
+        const next = pickFrom(open, { policy, prefer, keyBytes });
+        if (!next) {
+          if (onLimit === 'queue') return { waitMs: soonest };
+          throw limitedError(callId, method, entry.id, soonest);
+        }
+        trace('call.reroute', { id: callId, method, from: entry.id, to: next.id });
+        entry = next;
+      }
+      if (isTransportClosed(entry)) {
+        // A dead transport would leave the call hanging until its timeout; fail fast instead.
+        const error = codedError(CODES.Closed, 'PeerPool: peer transport closed');
+        recordFailure(entry);
+        trace('call.error', { id: callId, method, peerId: entry.id, message: error.message });
+        events.emit('peer-stats', summarizePeer(entry));
+        events.emit('call', { type: 'error', peerId: entry.id, method, message: error.message });
+        throw error;
+      }
+      limiterTake(poolLimiter, bytes);
+      limiterTake(entry.limiter, bytes);
       trace('call.pick', { id: callId, method, peerId: entry.id, policy, prefer, key });
-      return { entry, callId };
+      return { entry, callId, endCall: beginCall(entry) };
     };
 
-    const callUnary = (method) => async (opts) => {
-      const { entry, callId } = selectEntry(method, opts);
-      const cli = getClient(entry, id, lane, eagerOpen);
-      if (typeof cli[method] !== 'function') {
-        const error = new Error(`Peer client missing method ${method}`);
-        entry.failures += 1;
-        entry.cooldownUntil = now() + COOLDOWN_MS;
-        trace('call.error', { id: callId, method, peerId: entry.id, message: error.message });
-        throw error;
+    const admitQueued = async (method, args, callId, first, exclude, target) => {
+      const deadline = queueTimeoutMs > 0 ? now() + queueTimeoutMs : Infinity;
+      let sel = first;
+      while (!sel.entry) {
+        const left = deadline - now();
+        if (left <= 0) throw limitedError(callId, method, undefined, sel.waitMs);
+        await waitForSlot(Math.min(sel.waitMs, left));
+        sel = admit(method, args, callId, exclude, target);
       }
+      return sel;
+    };
+
+    // Client for `entry` with a callable `method`; releases the slot and counts a failure otherwise.
+    const clientFor = (entry, method, callId, endCall) => {
+      let cli;
+      let error;
+      try {
+        cli = getClient(entry, clientKey, factory);
+        if (typeof cli[method] !== 'function') error = new Error(`Peer client missing method ${method}`);
+      } catch (e) {
+        error = e instanceof Error ? e : new Error(String(e));
+      }
+      if (!error) return cli;
+      endCall();
+      recordFailure(entry);
+      trace('call.error', { id: callId, method, peerId: entry.id, message: error.message });
+      throw error;
+    };
+
+    /**
+     * One attempt on one peer. `ctx.exclude` keeps a hedge off the primary's peer,
+     * `ctx.target` pins a replica call to its peer, `ctx.onPick` reports the chosen entry and `ctx.lost()` marks a cancelled hedge loser
+     * (its Destroyed envelope is not held against the peer).
+     */
+    const attemptUnary = async (method, args, ctx = {}) => {
+      const callId = ++callSeq;
+      let sel = admit(method, args, callId, ctx.exclude, ctx.target);
+      if (!sel.entry) sel = await admitQueued(method, args, callId, sel, ctx.exclude, ctx.target);
+      const { entry, endCall } = sel;
+      ctx.onPick?.(entry);
+      const cli = clientFor(entry, method, callId, endCall);
       const started = now();
-      entry.inFlight += 1;
       try {
-        const result = await cli[method](opts);
+        const result = await cli[method](...args);
         const dur = now() - started;
+        if (ctx.lost?.()) {
+          trace('call.cancelled', { id: callId, method, peerId: entry.id, durMs: dur });
+          events.emit('call', { type: 'cancelled', peerId: entry.id, method, durMs: dur });
+          return result;
+        }
         entry.latencyMs = entry.latencyMs * (1 - LAT_EWMA_A) + dur * LAT_EWMA_A;
+        if (result?.ok !== false) recordLatency(method, dur);
         if (result && typeof result.ok === 'boolean') {
           if (result.ok) entry.successes += 1;
           else entry.failures += 1;
         } else {
           entry.successes += 1;
         }
+        // The peer answered, so the transport is fine even when the envelope is an error.
+        recordSuccess(entry);
         trace('call.complete', { id: callId, method, peerId: entry.id, ok: result?.ok, durMs: dur });
         events.emit('peer-stats', summarizePeer(entry));
         events.emit('call', { type: 'complete', peerId: entry.id, method, ok: result?.ok, durMs: dur });
         return result;
       } catch (error) {
-        entry.failures += 1;
-        entry.cooldownUntil = now() + COOLDOWN_MS;
+        recordFailure(entry);
         trace('call.error', { id: callId, method, peerId: entry.id, message: String(error?.message || error) });
         events.emit('peer-stats', summarizePeer(entry));
         events.emit('call', { type: 'error', peerId: entry.id, method, message: String(error?.message || error) });
         throw error;
       } finally {
-        entry.inFlight = Math.max(0, entry.inFlight - 1);
+        endCall();
       }
     };
 
-    const callStream = (method) => (opts) => {
-      const { entry, callId } = selectEntry(method, opts);
-      const cli = getClient(entry, id, lane, eagerOpen);
-      if (typeof cli[method] !== 'function') {
-        entry.failures += 1;
-        entry.cooldownUntil = now() + COOLDOWN_MS;
-        const error = new Error(`Peer client missing method ${method}`);
-        trace('call.error', { id: callId, method, peerId: entry.id, message: error.message });
-        throw error;
+    const hedgeDelay = (method) => {
+      if (!hedgeCfg || !hedgeCfg.methods.includes(method)) return null;
+      if (Number.isFinite(hedgeCfg.afterMs)) return hedgeCfg.afterMs;
+      const samples = latencySamples.get(method);
+      if (!samples || samples.length < hedgeCfg.minSamples) return null;
+      const sorted = [...samples].sort((x, y) => x - y);
+      return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * hedgeCfg.percentile))];
+    };
+
+    /**
+     * Race a duplicate request on another peer once the primary is slower than the hedge delay.
+     * The first ok envelope wins; the other attempt is cancelled (cancel frame) via its signal.
+     */
+    const hedgedUnary = (method, args, delay) => new Promise((resolve, reject) => {
+      const userSignal = callOpts(args)?.signal;
+      const attempts = [];
+      let settled = false;
+      let timer = null;
+      let firstEntry = null;
+
+      const cleanups = [];
+      const finish = (fn, value, winner) => {
+        if (settled) return;
+        settled = true;
+        if (timer) clearTimeout(timer);
+        for (const off of cleanups) off();
+        for (const a of attempts) {
+          if (a !== winner && !a.done) { a.lost = true; a.cancel.cancel({ code: CODES.Destroyed, message: 'Hedged request lost' }); }
+        }
+        fn(value);
+      };
+      const onDone = (a, fn, value) => {
+        a.done = true;
+        if (settled) return;
+        if (fn === resolve && value?.ok !== false) return finish(resolve, value, a);
+        // Failed: a still-running sibling may yet succeed; otherwise report (and let retries decide).
+        if (attempts.some((x) => !x.done)) return;
+        finish(fn, value, a);
+      };
+      const launch = (exclude) => {
+        const cancel = createCancelSignal();
+        const a = { cancel, done: false, lost: false };
+        attempts.push(a);
+        if (userSignal) {
+          const onAbort = () => cancel.cancel(userSignal.reason);
+          if (userSignal.aborted) onAbort();
+          else {
+            userSignal.addEventListener?.('abort', onAbort, { once: true });
+            cleanups.push(() => userSignal.removeEventListener?.('abort', onAbort));
+          }
+        }
+        const ctx = { exclude, onPick: (entry) => { if (!firstEntry) firstEntry = entry; }, lost: () => a.lost };
+        attemptUnary(method, withCallOpts(args, { signal: cancel.signal }), ctx)
+          .then((res) => onDone(a, resolve, res), (error) => onDone(a, reject, error));
+      };
+
+      launch(undefined);
+      timer = setTimeout(() => {
+        timer = null;
+        if (settled) return;
+        const others = firstEntry ? eligiblePeers().filter((p) => p !== firstEntry) : [];
+        if (!others.length || userSignal?.aborted) return;
+        trace('call.hedge', { method, delayMs: delay, from: firstEntry?.id });
+        events.emit('call', { type: 'hedge', method, peerId: firstEntry?.id, delayMs: delay });
+        launch(firstEntry);
+      }, delay);
+    });
+
+    const errorCode = (error) => error?.code || CODES.Closed;
+
+    const shouldRetry = (method, code, attempt, args) => {
+      if (!retryCfg || attempt >= retryCfg.attempts || callOpts(args)?.signal?.aborted) return false;
+      if (!retryCfg.codes.includes(code)) return false;
+      return retryCfg.methods.includes(method);
+    };
+
+    const retryPause = async (method, attempt, code) => {
+      const delayMs = backoffDelay(attempt, retryCfg.backoff);
+      trace('call.retry', { method, attempt, code, delayMs });
+      events.emit('call', { type: 'retry', method, attempt, code, delayMs });
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    };
+
+    const callUnary = (method) => async (...args) => {
+      for (let attempt = 1; ; attempt++) {
+        const delay = hedgeDelay(method);
+        let result;
+        try {
+          result = delay === null ? await attemptUnary(method, args) : await hedgedUnary(method, args, delay);
+        } catch (error) {
+          if (!shouldRetry(method, errorCode(error), attempt, args)) throw error;
+          await retryPause(method, attempt, errorCode(error));
+          continue;
+        }
+        if (result?.ok === false && shouldRetry(method, result.code, attempt, args)) {
+          await retryPause(method, attempt, result.code);
+          continue;
+        }
+        return result;
+      }
+    };
+
+    // Streams are only retried before their first item, so consumers never see duplicates;
+    // scans that already yielded resume from a cursor past their last key instead.
+    const callStream = (method) => (...args) => {
+      if (!retryCfg || !retryCfg.methods.includes(method)) return startStream(method, args);
+      return (async function * () {
+        let callArgs = args;
+        let delivered = 0;
+        /** @type {Uint8Array|null} */
+        let lastKey = null;
+        for (let attempt = 1; ; attempt++) {
+          let yielded = false;
+          let retryCode = null;
+          let finished = false;
+          const it = startStream(method, callArgs)[Symbol.asyncIterator]();
+          try {
+            for (;;) {
+              const step = await it.next();
+              if (step.done) { finished = true; return step.value; }
+              const env = step.value;
+              if (!yielded && env?.ok === false && shouldRetry(method, env.code, attempt, callArgs)) { retryCode = env.code; break; }
+              yielded = true;
+              delivered++;
+              if (env?.meta?.key) lastKey = env.meta.key;
+              yield env;
+            }
+          } catch (error) {
+            finished = true;
+            retryCode = errorCode(error);
+            if (!shouldRetry(method, retryCode, attempt, callArgs)) throw error;
+            if (yielded) {
+              // A scan that broke off resumes after the last key it delivered; other streams can't.
+              if (method !== 'scan' || !lastKey) throw error;
+              const [opts = {}, ...rest] = args;
+              const cursor = encodeScanCursor({ key: lastKey, reverse: !!opts.reverse });
+              if (opts.limit > 0 && delivered >= opts.limit) return ok(cursor);
+              callArgs = [{ ...opts, cursor, limit: opts.limit > 0 ? opts.limit - delivered : undefined }, ...rest];
+              trace('call.resume', { method, delivered });
+              events.emit('call', { type: 'resume', method, delivered });
+            }
+          } finally {
+            if (!finished) { try { await it.return?.(); } catch {} }
+          }
+          if (retryCode === null) return;
+          await retryPause(method, attempt, retryCode);
+        }
+      })();
+    };
+
+    const startStream = (method, args) => {
+      const callId = ++callSeq;
+      const sel = admit(method, args, callId);
+      if (!sel.entry) {
+        return (async function * () {
+          return yield * runStream(method, args, await admitQueued(method, args, callId, sel));
+        })();
       }
-      const iterator = cli[method](opts);
+      return runStream(method, args, sel);
+    };
+
+    const runStream = (method, args, { entry, callId, endCall }) => {
+      const cli = clientFor(entry, method, callId, endCall);
+      const iterator = cli[method](...args);
       if (!iterator || typeof iterator[Symbol.asyncIterator] !== 'function') {
-        entry.failures += 1;
-        entry.cooldownUntil = now() + COOLDOWN_MS;
+        endCall();
+        recordFailure(entry);
         const error = new Error(`Method ${method} must return an AsyncIterable`);
         trace('call.error', { id: callId, method, peerId: entry.id, message: error.message });
         throw error;
       }
       const started = now();
-      entry.inFlight += 1;
       let lastOk = null;
 
+      // Iterated by hand to hand the stream's return value (a scan cursor) through.
       const wrapped = (async function * () {
+        const it = iterator[Symbol.asyncIterator]();
         let thrown;
+        let finished = false;
         try {
-          for await (const env of iterator) {
+          for (;;) {
+            const step = await it.next();
+            if (step.done) { finished = true; return step.value; }
+            const env = step.value;
             try { if (env && typeof env.ok === 'boolean') lastOk = env.ok; } catch {}
             yield env;
           }
         } catch (err) {
+          finished = true;
           thrown = err;
           throw err;
         } finally {
-          entry.inFlight = Math.max(0, entry.inFlight - 1);
+          if (!finished) { try { await it.return?.(); } catch {} }
+          endCall();
           const dur = now() - started;
           entry.latencyMs = entry.latencyMs * (1 - LAT_EWMA_A) + dur * LAT_EWMA_A;
           if (thrown) {
-            entry.failures += 1;
-            entry.cooldownUntil = now() + COOLDOWN_MS;
+            recordFailure(entry);
             trace('call.error', { id: callId, method, peerId: entry.id, message: String(thrown?.message || thrown) });
             events.emit('peer-stats', summarizePeer(entry));
             events.emit('call', { type: 'error', peerId: entry.id, method, message: String(thrown?.message || thrown) });
           } else {
             if (lastOk === false) entry.failures += 1;
             else entry.successes += 1;
+            recordSuccess(entry);
             trace('call.complete', { id: callId, method, peerId: entry.id, ok: lastOk, durMs: dur });
             events.emit('peer-stats', summarizePeer(entry));
             events.emit('call', { type: 'complete', peerId: entry.id, method, ok: lastOk, durMs: dur });
@@ -265,18 +959,190 @@ export function createPeerPool (opts = {}) {
       return wrapped;
     };
 
+    return { attemptUnary, callUnary, callStream };
+  }
+
+  function connectStorePort ({ id, lane, eagerOpen = false, policy = 'round-robin', keyFn, prefer, retry, hedge, replication } = {}) {
+    const replCfg = replication ? replicationConfig(replication) : null;
+    const { attemptUnary, callUnary, callStream } = createRouter({
+      clientKey: keyOf(id, lane),
+      factory: (peer) => connectPeerStorePort(peer, { id, lane, eagerOpen }),
+      policy,
+      keyFn,
+      prefer,
+      retry,
+      hedge,
+      retryMethods: ['get', 'scan'],
+      hedgeMethods: ['get']
+    });
+
+    const replicaKey = (opts) => normalizeKey(typeof keyFn === 'function' ? keyFn(opts) : opts?.key);
+
+    // Top-N eligible peers by rendezvous score: the same placement 'sticky' uses for a single owner.
+    const replicasFor = (keyBytes) => eligiblePeers()
+      .map((p) => ({ p, score: rendezvousScore(keyBytes, p) }))
+      .sort((x, y) => y.score - x.score)
+      .slice(0, replCfg.n)
+      .map((x) => x.p);
+
+    const failureOf = (entry, reason) => ({ peerId: entry.id, code: reason?.code || CODES.Closed, message: String(reason?.message || reason) });
+
+    /** Fan a put/del out to the key's replicas; ok once `w` acknowledge. */
+    const replicatedWrite = (method) => (opts) => new Promise((resolve) => {
+      if (opts?.ifVer !== undefined) return resolve(err(CODES.BadArg, `replicated ${method} does not support ifVer`));
+      const keyBytes = replicaKey(opts);
+      if (!keyBytes) return resolve(err(CODES.BadArg, `replicated ${method} requires a key`));
+      const replicas = replicasFor(keyBytes);
+      if (replicas.length < replCfg.w) {
+        return resolve(err(CODES.NotAvailable, `replicated ${method} needs ${replCfg.w} peers, ${replicas.length} eligible`));
+      }
+      const ver = Number.isSafeInteger(opts?.ver) && opts.ver > 0 ? opts.ver : nextVer();
+      observeVer(ver);
+      const req = { ...opts, ver };
+      let acks = 0;
+      let settled = false;
+      const failures = [];
+      const settle = (env) => { if (!settled) { settled = true; resolve(env); } };
+      const onAck = () => {
+        acks++;
+        if (acks >= replCfg.w) settle(ok(undefined, { ver }));
+      };
+      const onFail = (entry, reason) => {
+        failures.push(failureOf(entry, reason));
+        if (replicas.length - failures.length < replCfg.w) {
+          settle(err(CODES.NotAvailable, `write quorum not reached (${acks}/${replCfg.w})`, { details: { acks, failures } }));
+        }
+      };
+      trace('replica.write', { method, peers: replicas.map((p) => p.id), w: replCfg.w, ver });
+      for (const entry of replicas) {
+        attemptUnary(method, [req], { target: entry })
+          .then((res) => (res?.ok === false ? onFail(entry, res) : onAck()), (error) => onFail(entry, error));
+      }
+    });
+
+    /** Read `r` replicas (moving down the ranking past failures), return the newest `ver` and repair the rest. */
+    const quorumGet = async (opts) => {
+      const keyBytes = replicaKey(opts);
+      if (!keyBytes) return err(CODES.BadArg, 'replicated get requires a key');
+      const replicas = replicasFor(keyBytes);
+      if (replicas.length < replCfg.r) {
+        return err(CODES.NotAvailable, `replicated get needs ${replCfg.r} peers, ${replicas.length} eligible`);
+      }
+      /** @type {Array<{ entry:any, env:any }>} */
+      const answers = [];
+      const failures = [];
+      await new Promise((resolve) => {
+        let next = 0;
+        let pending = 0;
+        const launch = () => {
+          while (pending + answers.length < replCfg.r && next < replicas.length) {
+            const entry = replicas[next++];
+            pending++;
+            attemptUnary('get', [opts], { target: entry }).then((env) => {
+              pending--;
+              if (env?.ok === false) failures.push(failureOf(entry, env));
+              else answers.push({ entry, env });
+              launch();
+            }, (error) => {
+              pending--;
+              failures.push(failureOf(entry, error));
+              launch();
+            });
+          }
+          if (pending === 0) resolve(undefined);
+        };
+        launch();
+      });
+      if (answers.length < replCfg.r) {
+        return err(CODES.NotAvailable, `read quorum not reached (${answers.length}/${replCfg.r})`, { details: { failures } });
+      }
+      let winner = answers[0];
+      for (const a of answers) if (verOf(a.env.ver) > verOf(winner.env.ver)) winner = a;
+      observeVer(winner.env.ver);
+      if (replCfg.readRepair && verOf(winner.env.ver) > 0) {
+        // A winner without a value is a tombstone: stale replicas get the delete, not a put.
+        const method = winner.env.value === undefined ? 'del' : 'put';
+        for (const a of answers) {
+          if (verOf(a.env.ver) >= verOf(winner.env.ver)) continue;
+          const repair = { key: opts.key, value: method === 'put' ? winner.env.value : undefined, ver: verOf(winner.env.ver), caps: opts.caps };
+          trace('replica.repair', { peerId: a.entry.id, method, ver: repair.ver });
+          events.emit('call', { type: 'read-repair', peerId: a.entry.id, method: 'get', repair: method, ver: repair.ver });
+          attemptUnary(method, [repair], { target: a.entry }).catch(() => {});
+        }
+      }
+      return winner.env;
+    };
+
     return {
-      get: callUnary('get'),
-      put: callUnary('put'),
-      del: callUnary('del'),
+      get: replCfg ? quorumGet : callUnary('get'),
+      put: replCfg ? replicatedWrite('put') : callUnary('put'),
+      del: replCfg ? replicatedWrite('del') : callUnary('del'),
       append: callUnary('append'),
+      batch: replCfg ? async () => err(CODES.NotAvailable, 'batch is not supported on replicated stores') : callUnary('batch'),
       scan: callStream('scan'),
+      watch: callStream('watch'),
       async waitReady () {},
       async close () { close(); return ok(); },
       async destroy () { destroy(); return ok(); }
     };
   }
 
+  /**
+   * Load-balance any client: `factory(peer, { peerId, meta })` builds one client per peer (cached
+   * under `key`) and `methods` maps method names to 'unary' or 'stream'. Returned proxies call
+   * `client[name](...args)` on the picked peer; close/destroy only release this key's clients.
+   * Retries and hedging apply to the methods listed in `retry.methods` / `hedge.methods`.
+   */
+  function connect ({ key, factory, methods, optsArg = 0, policy = 'round-robin', keyFn, prefer, retry, hedge } = {}) {
+    if (typeof factory !== 'function') throw new TypeError('PeerPool.connect: factory must be a function');
+    const kinds = Object.entries(methods || {});
+    if (!kinds.length) throw new TypeError('PeerPool.connect: methods required');
+    const clientKey = key ?? `client:${++clientSeq}`;
+    const { callUnary, callStream } = createRouter({ clientKey, factory, optsArg, policy, keyFn, prefer, retry, hedge });
+    /** @type {Record<string, any>} */
+    const out = {
+      async waitReady () {},
+      async close () { dropClients(clientKey, 'close'); return ok(); },
+      async destroy () { dropClients(clientKey, 'destroy'); return ok(); }
+    };
+    for (const [name, kind] of kinds) {
+      if (name in out) throw new TypeError(`PeerPool.connect: method name "${name}" is reserved`);
+      if (kind !== 'unary' && kind !== 'stream') throw new TypeError(`PeerPool.connect: unknown kind "${kind}" for ${name}`);
+      out[name] = kind === 'stream' ? callStream(name) : callUnary(name);
+    }
+    return out;
+  }
+
+  /**
+   * Pool proxy for a `defineService` service: stream and bidi methods route as streams,
+   * unary and client-stream methods as unary calls (per-call options are the second argument).
+   */
+  function connectPoolService ({ id, lane, eagerOpen = false, streamWindow, service, ...routing } = {}) {
+    const svc = defineService(service);
+    /** @type {Record<string, 'unary'|'stream'>} */
+    const methods = {};
+    for (const m of svc.methods) methods[m.name] = m.kind === 'stream' || m.kind === 'bidi' ? 'stream' : 'unary';
+    return connect({
+      ...routing,
+      key: `svc:${keyOf(id, lane)}`,
+      factory: (peer) => connectService(peer, { id, lane, eagerOpen, streamWindow }, svc),
+      methods,
+      optsArg: 1
+    });
+  }
+
+  // Hybrid clock for replicated writes: wall-clock based, never repeats, and jumps past any
+  // newer version observed on reads so later writes win over what we have seen.
+  function nextVer () {
+    verClock = Math.max(verClock + 1, Date.now() * VER_TICKS_PER_MS);
+    return verClock;
+  }
+
+  function observeVer (ver) {
+    const n = verOf(ver);
+    if (n > verClock) verClock = n;
+  }
+
   function normalizeKey (k) {
     if (!k) return undefined;
     if (b4a.isBuffer(k)) return k;
@@ -291,8 +1157,8 @@ export function createPeerPool (opts = {}) {
     return hex.length > 32 ? `${hex.slice(0, 32)}...` : hex;
   }
 
-  function close () { for (const e of peers) for (const c of e.clients.values()) { try { c.close?.(); } catch {} } }
-  function destroy () { for (const e of peers) for (const c of e.clients.values()) { try { c.destroy?.(); } catch {} } }
+  function close () { stopHealthLoop(); for (const e of peers) for (const c of e.clients.values()) { try { c.close?.(); } catch {} } }
+  function destroy () { stopHealthLoop(); for (const e of peers) for (const c of e.clients.values()) { try { c.destroy?.(); } catch {} } }
 
   function summarizePeer (entry) {
     return {
@@ -303,7 +1169,10 @@ export function createPeerPool (opts = {}) {
       failures: entry.failures,
       successes: entry.successes,
       latencyMs: entry.latencyMs,
-      cooldownUntil: entry.cooldownUntil
+      cooldownUntil: entry.cooldownUntil,
+      breaker: entry.breaker.state,
+      healthy: entry.healthy,
+      limits: summarizeLimiter(entry.limiter)
     };
   }
 
@@ -311,5 +1180,12 @@ export function createPeerPool (opts = {}) {
     return peers.map(summarizePeer);
   }
 
-  return { add, remove, connectStorePort, close, destroy, stats, events };
+  /** Pool-wide limit state (shared buckets and in-flight count). */
+  function poolStats () {
+    return { inFlight: poolInFlight, queued: slotWaiters.size, limits: summarizeLimiter(poolLimiter) };
+  }
+
+  startHealthLoop();
+
+  return { add, remove, connect, connectStorePort, connectService: connectPoolService, checkHealth, close, destroy, stats, poolStats, events };
 }
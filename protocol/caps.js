@@ -0,0 +1,239 @@
+// @ts-check
+import c from 'compact-encoding';
+import b4a from 'b4a';
+import { makeCodec } from '../codec/index.js';
+import { ok, err, CODES, codedError } from '../result/index.js';
+import { generateKeyPair, sign, verify, PUBLIC_KEY_BYTES, SECRET_KEY_BYTES } from '../crypto/index.js';
+
+/*
+ * Capability tokens v1 (macaroon/biscuit-style attenuation).
+ *
+ * token = { version, issuer, blocks[], proof }
+ * block = { subject, methods[], prefix, exp, nextKey, sig }
+ *
+ * Block 0 is signed by the issuer key; block i>0 by the key whose public half is
+ * blocks[i-1].nextKey. `proof` is the secret key matching the last block's nextKey, so
+ * whoever holds a token can append a narrower block (and hand the new proof on) but
+ * cannot remove or widen earlier ones. Each signature also covers the previous
+ * signature, which pins block order. The subject is fixed by block 0: later blocks
+ * leave it empty or repeat it.
+ */
+
+const U = c.uint;
+const S = c.utf8;
+const U8 = c.uint8array;
+const A = (enc) => c.array(enc);
+
+export const CAP_TOKEN_VERSION = 1;
+const CAPS_CONTEXT = b4a.from('plex-caps/v1');
+const EMPTY = new Uint8Array(0);
+
+// Signed part of a block (everything but the signature)
+const blockBodyEncoding = {
+  preencode (st, b) {
+    S.preencode(st, b?.subject || '');
+    A(S).preencode(st, b?.methods || []);
+    U8.preencode(st, b?.prefix || EMPTY);
+    U.preencode(st, b?.exp || 0);
+    U8.preencode(st, b?.nextKey || EMPTY);
+  },
+  encode (st, b) {
+    S.encode(st, b?.subject || '');
+    A(S).encode(st, b?.methods || []);
+    U8.encode(st, b?.prefix || EMPTY);
+    U.encode(st, b?.exp || 0);
+    U8.encode(st, b?.nextKey || EMPTY);
+  },
+  decode (st) {
+    return {
+      subject: S.decode(st),
+      methods: A(S).decode(st),
+      prefix: U8.decode(st) || EMPTY,
+      exp: U.decode(st),
+      nextKey: U8.decode(st) || EMPTY
+    };
+  }
+};
+
+const blockEncoding = {
+  preencode (st, b) { blockBodyEncoding.preencode(st, b); U8.preencode(st, b?.sig || EMPTY); },
+  encode (st, b) { blockBodyEncoding.encode(st, b); U8.encode(st, b?.sig || EMPTY); },
+  decode (st) { const body = blockBodyEncoding.decode(st); return { ...body, sig: U8.decode(st) || EMPTY }; }
+};
+
+const capTokenEncoding = {
+  preencode (st, t) {
+    U.preencode(st, t?.version ?? CAP_TOKEN_VERSION);
+    U8.preencode(st, t?.issuer || EMPTY);
+    A(blockEncoding).preencode(st, t?.blocks || []);
+    U8.preencode(st, t?.proof || EMPTY);
+  },
+  encode (st, t) {
+    U.encode(st, t?.version ?? CAP_TOKEN_VERSION);
+    U8.encode(st, t?.issuer || EMPTY);
+    A(blockEncoding).encode(st, t?.blocks || []);
+    U8.encode(st, t?.proof || EMPTY);
+  },
+  decode (st) {
+    return {
+      version: U.decode(st),
+      issuer: U8.decode(st) || EMPTY,
+      blocks: A(blockEncoding).decode(st),
+      proof: U8.decode(st) || EMPTY
+    };
+  }
+};
+
+export const capTokenCodec = makeCodec(capTokenEncoding);
+const blockBodyCodec = makeCodec(blockBodyEncoding);
+
+function toPrefix (prefix) {
+  if (prefix == null) return EMPTY;
+  return b4a.isBuffer(prefix) ? prefix : b4a.from(String(prefix));
+}
+
+function signedBytes (prevSig, body) {
+  return b4a.concat([CAPS_CONTEXT, prevSig, blockBodyCodec.encode(body)]);
+}
+
+function makeBlock (prevSig, secretKey, { subject = '', methods = [], prefix, exp = 0 } = {}) {
+  const next = generateKeyPair();
+  const body = { subject, methods: [...methods], prefix: toPrefix(prefix), exp, nextKey: next.publicKey };
+  return { block: { ...body, sig: sign(signedBytes(prevSig, body), secretKey) }, proof: next.secretKey };
+}
+
+/**
+ * True for decoded/issued token objects (as opposed to raw caps bytes).
+ * @param {any} v
+ */
+export function isCapToken (v) {
+  return !!v && typeof v === 'object' && !b4a.isBuffer(v) && b4a.isBuffer(v.issuer) && Array.isArray(v.blocks);
+}
+
+/**
+ * Issue a root token signed by `issuer`.
+ * `methods` empty means every method; `exp` is ms since epoch (0 = no expiry).
+ * @param {{ publicKey:Uint8Array, secretKey:Uint8Array }} issuer
+ * @param {{ subject?:string, methods?:string[], prefix?:Uint8Array|string, exp?:number }} [claims]
+ */
+export function issueCapToken (issuer, claims = {}) {
+  if (!issuer?.publicKey || !issuer?.secretKey) throw new TypeError('issueCapToken: issuer key pair required');
+  const { block, proof } = makeBlock(EMPTY, issuer.secretKey, claims);
+  return { version: CAP_TOKEN_VERSION, issuer: issuer.publicKey, blocks: [block], proof };
+}
+
+/**
+ * Derive a narrower token by appending a block signed with the holder's proof key.
+ * Claims can only narrow: methods must be a subset, the prefix must extend the current one,
+ * and the expiry can only move earlier. The subject stays the one the issuer set (pass it
+ * again or leave it out). Violations throw a `BadArg` error.
+ * @param {any} token
+ * @param {{ subject?:string, methods?:string[], prefix?:Uint8Array|string, exp?:number }} [claims]
+ */
+export function attenuateCapToken (token, claims = {}) {
+  const t = b4a.isBuffer(token) ? decodeCapToken(token) : token;
+  if (!isCapToken(t) || !t.blocks.length) throw new TypeError('attenuateCapToken: token required');
+  if (!t.proof || t.proof.byteLength !== SECRET_KEY_BYTES) throw new TypeError('attenuateCapToken: token has no proof key');
+  const current = effectiveClaims(t.blocks);
+  if (!current.ok) throw badArg(current.message);
+  const narrowed = effectiveClaims([...t.blocks, { subject: claims.subject || '', methods: claims.methods || [], prefix: toPrefix(claims.prefix), exp: claims.exp || 0 }]);
+  if (!narrowed.ok) throw badArg(narrowed.message);
+  const prevSig = t.blocks[t.blocks.length - 1].sig;
+  const { block, proof } = makeBlock(prevSig, t.proof, claims);
+  return { version: t.version, issuer: t.issuer, blocks: [...t.blocks, block], proof };
+}
+
+function badArg (message) {
+  return codedError(CODES.BadArg, message);
+}
+
+/**
+ * Fold blocks into the effective (intersected) claims.
+ * @returns {{ ok:true, subject:string, methods?:string[], prefix?:Uint8Array, exp?:number } | { ok:false, message:string }}
+ */
+function effectiveClaims (blocks) {
+  const subject = blocks[0]?.subject || '';
+  /** @type {string[]|undefined} */
+  let methods;
+  let prefix = EMPTY;
+  let exp = 0;
+  for (const b of blocks) {
+    if (b.subject && b.subject !== subject) return { ok: false, message: 'attenuation changes subject' };
+    if (b.methods?.length) {
+      if (methods && b.methods.some((m) => !methods.includes(m))) return { ok: false, message: 'attenuation widens methods' };
+      methods = [...b.methods];
+    }
+    if (b.prefix?.byteLength) {
+      if (b.prefix.byteLength < prefix.byteLength || !b4a.equals(b.prefix.subarray(0, prefix.byteLength), prefix)) {
+        return { ok: false, message: 'attenuation widens prefix' };
+      }
+      prefix = b.prefix;
+    }
+    if (b.exp) {
+      if (exp && b.exp > exp) return { ok: false, message: 'attenuation extends expiry' };
+      exp = b.exp;
+    }
+  }
+  return { ok: true, subject, methods, prefix: prefix.byteLength ? prefix : undefined, exp: exp || undefined };
+}
+
+/**
+ * Verify a token's signature chain and proof, returning its effective claims.
+ * `trusted` decides which issuer keys are accepted (list of public keys or predicate).
+ * Expiry is *not* enforced here; callers (e.g. `createCapsVerifier`) check `exp` against their clock.
+ * @param {any} token token object or encoded bytes
+ * @param {{ trusted: Uint8Array[] | ((issuer:Uint8Array)=>boolean) }} opts
+ * @returns {{ ok:true, value:{ issuer:Uint8Array, subject:string, methods?:string[], prefix?:Uint8Array, exp?:number } } | { ok:false, code:string, message:string }}
+ */
+export function verifyCapToken (token, { trusted }) {
+  let t = token;
+  if (b4a.isBuffer(token)) {
+    try { t = decodeCapToken(token); } catch { return err(CODES.CodecError, 'malformed capability token'); }
+  }
+  if (!isCapToken(t) || !t.blocks.length) return err(CODES.CapabilityDenied, 'not a capability token');
+  if (t.version !== CAP_TOKEN_VERSION) return err(CODES.CapabilityDenied, `unsupported capability token version ${t.version}`);
+  const isTrusted = typeof trusted === 'function'
+    ? trusted(t.issuer)
+    : Array.isArray(trusted) && trusted.some((k) => b4a.equals(k, t.issuer));
+  if (!isTrusted) return err(CODES.CapabilityDenied, 'untrusted capability issuer');
+
+  let key = t.issuer;
+  let prevSig = EMPTY;
+  for (const b of t.blocks) {
+    if (!verify(signedBytes(prevSig, b), b.sig, key)) return err(CODES.CryptoError, 'capability signature chain broken');
+    if (!b.nextKey || b.nextKey.byteLength !== PUBLIC_KEY_BYTES) return err(CODES.CryptoError, 'capability block missing next key');
+    key = b.nextKey;
+    prevSig = b.sig;
+  }
+  // ed25519 secret keys embed their public key in the trailing 32 bytes.
+  if (!t.proof || t.proof.byteLength !== SECRET_KEY_BYTES || !b4a.equals(t.proof.subarray(SECRET_KEY_BYTES - PUBLIC_KEY_BYTES), key)) {
+    return err(CODES.CryptoError, 'capability proof does not match the last block');
+  }
+  const claims = effectiveClaims(t.blocks);
+  if (!claims.ok) return err(CODES.CapabilityDenied, claims.message);
+  const { ok: _ok, ...value } = claims;
+  return ok({ issuer: t.issuer, ...value });
+}
+
+/** @param {any} token */
+export function encodeCapToken (token) {
+  return capTokenCodec.encode(token);
+}
+
+/** @param {Uint8Array} bytes */
+export function decodeCapToken (bytes) {
+  return capTokenCodec.decode(bytes);
+}
+
+/**
+ * `resolve` function for `createCapsVerifier` (service.js): decodes caps bytes as a token,
+ * verifies it against `trusted` issuers and returns its claims (null when invalid).
+ * @param {{ trusted: Uint8Array[] | ((issuer:Uint8Array)=>boolean) }} opts
+ */
+export function capTokenResolver ({ trusted }) {
+  return (caps) => {
+    if (!caps) return null;
+    const res = verifyCapToken(caps, { trusted });
+    return res.ok ? res.value : null;
+  };
+}
@@ -0,0 +1,43 @@
+// @ts-check
+import c from 'compact-encoding';
+import { makeCodec } from '../codec/index.js';
+
+const U = c.uint;
+const S = c.utf8;
+const B = c.uint8array;
+
+export const PUBSUB_SUB = 0;
+export const PUBSUB_UNSUB = 1;
+export const PUBSUB_MSG = 2;
+export const PUBSUB_CREDIT = 3;
+
+// Events lane message:
+//   sub { sid, pattern, credit } | unsub { sid } | msg { sid, topic, payload } | credit { sid, credit }
+// `sid` is chosen by the subscribing side; `credit` is how many more messages it accepts.
+const messageEncoding = {
+  preencode (state, m) {
+    U.preencode(state, m.type);
+    U.preencode(state, m.sid);
+    if (m.type === PUBSUB_SUB) { S.preencode(state, m.pattern || ''); U.preencode(state, m.credit || 0); }
+    else if (m.type === PUBSUB_MSG) { S.preencode(state, m.topic || ''); B.preencode(state, m.payload || new Uint8Array(0)); }
+    else if (m.type === PUBSUB_CREDIT) U.preencode(state, m.credit || 0);
+  },
+  encode (state, m) {
+    U.encode(state, m.type);
+    U.encode(state, m.sid);
+    if (m.type === PUBSUB_SUB) { S.encode(state, m.pattern || ''); U.encode(state, m.credit || 0); }
+    else if (m.type === PUBSUB_MSG) { S.encode(state, m.topic || ''); B.encode(state, m.payload || new Uint8Array(0)); }
+    else if (m.type === PUBSUB_CREDIT) U.encode(state, m.credit || 0);
+  },
+  decode (state) {
+    const type = U.decode(state);
+    const sid = U.decode(state);
+    if (type === PUBSUB_SUB) return { type, sid, pattern: S.decode(state), credit: U.decode(state) };
+    if (type === PUBSUB_UNSUB) return { type, sid };
+    if (type === PUBSUB_MSG) return { type, sid, topic: S.decode(state), payload: B.decode(state) || new Uint8Array(0) };
+    if (type === PUBSUB_CREDIT) return { type, sid, credit: U.decode(state) };
+    throw new Error(`pubsub: unknown message type ${type}`);
+  }
+};
+
+export const pubsubMessageCodec = makeCodec(messageEncoding);
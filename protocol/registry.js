@@ -0,0 +1,65 @@
+// @ts-check
+import c from 'compact-encoding';
+import { makeCodec } from '../codec/index.js';
+import { descriptorCodec } from './descriptor.js';
+
+const U = c.uint;
+const S = c.utf8;
+const B = c.uint8array;
+const D = descriptorCodec.cSchema;
+
+export const REGISTRY_SNAPSHOT = 0;
+export const REGISTRY_ADD = 1;
+export const REGISTRY_REMOVE = 2;
+
+// Advertised service: { key, id, lane, descriptor } (`key` is unique per advertising peer)
+const entryEncoding = {
+  preencode (state, e) {
+    S.preencode(state, e?.key || '');
+    B.preencode(state, e?.id || new Uint8Array(0));
+    S.preencode(state, e?.lane || '');
+    D.preencode(state, e?.descriptor || {});
+  },
+  encode (state, e) {
+    S.encode(state, e?.key || '');
+    B.encode(state, e?.id || new Uint8Array(0));
+    S.encode(state, e?.lane || '');
+    D.encode(state, e?.descriptor || {});
+  },
+  decode (state) {
+    return {
+      key: S.decode(state),
+      id: B.decode(state) || new Uint8Array(0),
+      lane: S.decode(state),
+      descriptor: D.decode(state)
+    };
+  }
+};
+
+const entries = c.array(entryEncoding);
+
+// Registry lane message: snapshot { entries } | add { entry } | remove { key }
+const messageEncoding = {
+  preencode (state, m) {
+    U.preencode(state, m.type);
+    if (m.type === REGISTRY_SNAPSHOT) entries.preencode(state, m.entries || []);
+    else if (m.type === REGISTRY_ADD) entryEncoding.preencode(state, m.entry);
+    else S.preencode(state, m.key || '');
+  },
+  encode (state, m) {
+    U.encode(state, m.type);
+    if (m.type === REGISTRY_SNAPSHOT) entries.encode(state, m.entries || []);
+    else if (m.type === REGISTRY_ADD) entryEncoding.encode(state, m.entry);
+    else S.encode(state, m.key || '');
+  },
+  decode (state) {
+    const type = U.decode(state);
+    if (type === REGISTRY_SNAPSHOT) return { type, entries: entries.decode(state) };
+    if (type === REGISTRY_ADD) return { type, entry: entryEncoding.decode(state) };
+    if (type === REGISTRY_REMOVE) return { type, key: S.decode(state) };
+    throw new Error(`registry: unknown message type ${type}`);
+  }
+};
+
+export const registryEntryCodec = makeCodec(entryEncoding);
+export const registryMessageCodec = makeCodec(messageEncoding);
@@ -2,6 +2,7 @@
 import c from 'compact-encoding';
 import b4a from 'b4a';
 import { makeCodec } from '../codec/index.js';
+import { isCapToken, encodeCapToken } from './caps.js';
 
 const U8 = c.uint8array;
 const B = c.bool;
@@ -9,6 +10,7 @@ const B = c.bool;
 function capsToBytes(caps) {
   if (caps == null) return null;
   if (caps instanceof Uint8Array) return caps.byteLength ? caps : null;
+  if (isCapToken(caps)) return encodeCapToken(caps);
   if (typeof caps === 'string') {
     const bytes = b4a.from(caps, 'utf8');
     return bytes.byteLength ? bytes : null;
@@ -58,23 +60,87 @@ const keyReq = {
   }
 };
 
-// put request { key, value }
+// Writer-assigned version (replicated puts/read-repair). Trailing and only written when set,
+// so unversioned puts keep their previous bytes and older peers ignore it.
+function hasVer(m) {
+  return Number.isSafeInteger(m?.ver) && m.ver > 0;
+}
+
+// Compare-and-swap guard: the write only applies while the key is at version `ifVer`
+// (0 = the key must not exist).
+function hasIfVer(m) {
+  return Number.isSafeInteger(m?.ifVer) && m.ifVer >= 0;
+}
+
+function ifVerPreencode(st, m) {
+  B.preencode(st, true);
+  c.uint.preencode(st, m.ifVer);
+}
+
+function ifVerEncode(st, m) {
+  B.encode(st, true);
+  c.uint.encode(st, m.ifVer);
+}
+
+function ifVerDecode(st, out) {
+  if (st.start < st.end && B.decode(st)) out.ifVer = c.uint.decode(st);
+}
+
+// put request { key, value, caps?, ver?, ifVer? }
+// Trailer: ver (0 = none) when ver or ifVer is set, then the ifVer guard.
 const putReq = {
   preencode(st, m) {
     U8.preencode(st, m?.key || new Uint8Array(0));
     U8.preencode(st, m?.value || new Uint8Array(0));
     capsPreencode(st, m?.caps);
+    if (hasVer(m) || hasIfVer(m)) c.uint.preencode(st, hasVer(m) ? m.ver : 0);
+    if (hasIfVer(m)) ifVerPreencode(st, m);
   },
   encode(st, m) {
     U8.encode(st, m?.key || new Uint8Array(0));
     U8.encode(st, m?.value || new Uint8Array(0));
     capsEncode(st, m?.caps);
+    if (hasVer(m) || hasIfVer(m)) c.uint.encode(st, hasVer(m) ? m.ver : 0);
+    if (hasIfVer(m)) ifVerEncode(st, m);
   },
   decode(st) {
     const key = U8.decode(st) || new Uint8Array(0);
     const value = U8.decode(st) || new Uint8Array(0);
     const caps = capsDecode(st);
-    return caps ? { key, value, caps } : { key, value };
+    const out = caps ? { key, value, caps } : { key, value };
+    if (st.start < st.end) {
+      const ver = c.uint.decode(st);
+      if (ver > 0) out.ver = ver;
+    }
+    ifVerDecode(st, out);
+    return out;
+  }
+};
+
+// del request { key, caps?, ifVer?, ver? }
+// Trailer: the ifVer guard (absent flag when only ver is set), then the writer-assigned
+// tombstone ver of a replicated delete.
+const delReq = {
+  preencode(st, m) {
+    keyReq.preencode(st, m);
+    if (hasIfVer(m)) ifVerPreencode(st, m);
+    else if (hasVer(m)) B.preencode(st, false);
+    if (hasVer(m)) c.uint.preencode(st, m.ver);
+  },
+  encode(st, m) {
+    keyReq.encode(st, m);
+    if (hasIfVer(m)) ifVerEncode(st, m);
+    else if (hasVer(m)) B.encode(st, false);
+    if (hasVer(m)) c.uint.encode(st, m.ver);
+  },
+  decode(st) {
+    const out = keyReq.decode(st);
+    ifVerDecode(st, out);
+    if (st.start < st.end) {
+      const ver = c.uint.decode(st);
+      if (ver > 0) out.ver = ver;
+    }
+    return out;
   }
 };
 
@@ -95,7 +161,12 @@ const appendReq = {
   }
 };
 
-// scan request { prefix?, reverse?, range? {gte?,gt?,lte?,lt?} }
+function hasPaging(m) {
+  return (Number.isSafeInteger(m?.limit) && m.limit > 0) || (m?.cursor instanceof Uint8Array && m.cursor.byteLength > 0);
+}
+
+// scan request { prefix?, reverse?, range? {gte?,gt?,lte?,lt?}, caps?, limit?, cursor? }
+// Paging trails the caps and is only written when set: limit (0 = none), then the cursor.
 const scanReq = {
   preencode(st, m) {
     const hasPrefix = !!m?.prefix && m.prefix.byteLength > 0;
@@ -109,6 +180,10 @@ const scanReq = {
     B.preencode(st, lp); if (lp) U8.preencode(st, r.lte);
     B.preencode(st, lt); if (lt) U8.preencode(st, r.lt);
     capsPreencode(st, m?.caps);
+    if (!hasPaging(m)) return;
+    c.uint.preencode(st, m.limit > 0 ? m.limit : 0);
+    B.preencode(st, !!m.cursor?.byteLength);
+    if (m.cursor?.byteLength) U8.preencode(st, m.cursor);
   },
   encode(st, m) {
     const hasPrefix = !!m?.prefix && m.prefix.byteLength > 0;
@@ -122,27 +197,152 @@ const scanReq = {
     B.encode(st, lp); if (lp) U8.encode(st, r.lte);
     B.encode(st, lt); if (lt) U8.encode(st, r.lt);
     capsEncode(st, m?.caps);
+    if (!hasPaging(m)) return;
+    c.uint.encode(st, m.limit > 0 ? m.limit : 0);
+    B.encode(st, !!m.cursor?.byteLength);
+    if (m.cursor?.byteLength) U8.encode(st, m.cursor);
   },
   decode(st) {
     const out = {};
     const hasPrefix = B.decode(st);
     if (hasPrefix) out.prefix = U8.decode(st);
     out.reverse = B.decode(st);
-    const gp = B.decode(st); const gt = B.decode(st); const lp = B.decode(st); const lt = B.decode(st);
+    // Each bound is its flag followed by its bytes, in encode order.
     const range = {};
-    if (gp) range.gte = U8.decode(st);
-    if (gt) range.gt = U8.decode(st);
-    if (lp) range.lte = U8.decode(st);
-    if (lt) range.lt = U8.decode(st);
+    if (B.decode(st)) range.gte = U8.decode(st);
+    if (B.decode(st)) range.gt = U8.decode(st);
+    if (B.decode(st)) range.lte = U8.decode(st);
+    if (B.decode(st)) range.lt = U8.decode(st);
     if (Object.keys(range).length) out.range = range;
     const caps = capsDecode(st);
     if (caps) out.caps = caps;
+    if (st.start < st.end) {
+      const limit = c.uint.decode(st);
+      if (limit > 0) out.limit = limit;
+      if (B.decode(st)) out.cursor = U8.decode(st);
+    }
     return out;
   }
 };
 
+const CURSOR_V1 = 1;
+
+// Scan continuation: the last key a page delivered and the direction it was walked in.
+const scanCursor = {
+  preencode(st, m) {
+    c.uint.preencode(st, CURSOR_V1);
+    B.preencode(st, !!m.reverse);
+    U8.preencode(st, m.key);
+  },
+  encode(st, m) {
+    c.uint.encode(st, CURSOR_V1);
+    B.encode(st, !!m.reverse);
+    U8.encode(st, m.key);
+  },
+  decode(st) {
+    if (c.uint.decode(st) !== CURSOR_V1) throw new Error('scan cursor: unknown version');
+    const reverse = B.decode(st);
+    return { reverse, key: U8.decode(st) || new Uint8Array(0) };
+  }
+};
+
+/**
+ * Opaque continuation token for a scan that stopped at `key` (see `scan({ limit, cursor })`).
+ * Stateless, so any peer serving the same keyspace can resume from it.
+ * @param {{ key:Uint8Array, reverse?:boolean }} at
+ */
+export function encodeScanCursor(at) {
+  return c.encode(scanCursor, at);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {{ key:Uint8Array, reverse:boolean }|null} null for anything that is not a cursor
+ */
+export function decodeScanCursor(bytes) {
+  try {
+    return c.decode(scanCursor, bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store key for log position `pos`: 8 bytes big-endian, so byte order is position order.
+ * @param {number} pos
+ */
+export function encodePosKey(pos) {
+  if (!Number.isSafeInteger(pos) || pos < 0) throw new TypeError('encodePosKey: pos must be a non-negative safe integer');
+  const key = b4a.alloc(8);
+  const view = new DataView(key.buffer, key.byteOffset, 8);
+  view.setUint32(0, Math.floor(pos / 0x100000000));
+  view.setUint32(4, pos >>> 0);
+  return key;
+}
+
+/**
+ * Position of an `encodePosKey` key (undefined for anything that is not 8 bytes).
+ * @param {Uint8Array|undefined} key
+ */
+export function decodePosKey(key) {
+  if (!key || key.byteLength !== 8) return undefined;
+  const view = new DataView(key.buffer, key.byteOffset, 8);
+  return view.getUint32(0) * 0x100000000 + view.getUint32(4);
+}
+
+const BATCH_PUT = 0;
+const BATCH_DEL = 1;
+
+// One batch operation: { type: 'put', key, value, ifVer? } | { type: 'del', key, ifVer? }
+const batchOp = {
+  preencode(st, op) {
+    c.uint.preencode(st, op?.type === 'del' ? BATCH_DEL : BATCH_PUT);
+    U8.preencode(st, op?.key || new Uint8Array(0));
+    if (op?.type !== 'del') U8.preencode(st, op?.value || new Uint8Array(0));
+    B.preencode(st, hasIfVer(op));
+    if (hasIfVer(op)) c.uint.preencode(st, op.ifVer);
+  },
+  encode(st, op) {
+    c.uint.encode(st, op?.type === 'del' ? BATCH_DEL : BATCH_PUT);
+    U8.encode(st, op?.key || new Uint8Array(0));
+    if (op?.type !== 'del') U8.encode(st, op?.value || new Uint8Array(0));
+    B.encode(st, hasIfVer(op));
+    if (hasIfVer(op)) c.uint.encode(st, op.ifVer);
+  },
+  decode(st) {
+    const kind = c.uint.decode(st);
+    if (kind !== BATCH_PUT && kind !== BATCH_DEL) throw new Error(`batch: unknown op ${kind}`);
+    const key = U8.decode(st) || new Uint8Array(0);
+    const op = kind === BATCH_DEL ? { type: 'del', key } : { type: 'put', key, value: U8.decode(st) || new Uint8Array(0) };
+    if (B.decode(st)) op.ifVer = c.uint.decode(st);
+    return op;
+  }
+};
+
+const batchOps = c.array(batchOp);
+
+// batch request { ops, caps? }: applied all-or-nothing by the serving port
+const batchReq = {
+  preencode(st, m) {
+    batchOps.preencode(st, m?.ops || []);
+    capsPreencode(st, m?.caps);
+  },
+  encode(st, m) {
+    batchOps.encode(st, m?.ops || []);
+    capsEncode(st, m?.caps);
+  },
+  decode(st) {
+    const ops = batchOps.decode(st);
+    const caps = capsDecode(st);
+    return caps ? { ops, caps } : { ops };
+  }
+};
+
 export const getReqCodec = makeCodec(keyReq);
-export const delReqCodec = makeCodec(keyReq);
+export const delReqCodec = makeCodec(delReq);
 export const putReqCodec = makeCodec(putReq);
 export const appendReqCodec = makeCodec(appendReq);
 export const scanReqCodec = makeCodec(scanReq);
+export const batchReqCodec = makeCodec(batchReq);
+// watch takes the scan request shape; `reverse` has no meaning for a change feed and is ignored
+export const watchReqCodec = makeCodec(scanReq);
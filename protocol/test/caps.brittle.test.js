@@ -0,0 +1,92 @@
+// @ts-check
+import test from 'brittle';
+import b4a from 'b4a';
+import c from 'compact-encoding';
+import { generateKeyPair, sign } from '../../crypto/index.js';
+import { CODES } from '../../result/index.js';
+import { issueCapToken, attenuateCapToken, verifyCapToken, encodeCapToken, decodeCapToken, capTokenResolver } from '../caps.js';
+import { getReqCodec } from '../store.js';
+
+const issuer = generateKeyPair();
+const trusted = [issuer.publicKey];
+
+// Appends a block signed with the token's proof without going through attenuateCapToken's checks.
+function appendRawBlock (token, { subject = '', methods = [], prefix = new Uint8Array(0), exp = 0 }) {
+  const next = generateKeyPair();
+  const body = { subject, methods, prefix, exp, nextKey: next.publicKey };
+  const state = c.state();
+  c.utf8.preencode(state, subject); c.array(c.utf8).preencode(state, methods); c.uint8array.preencode(state, prefix);
+  c.uint.preencode(state, exp); c.uint8array.preencode(state, next.publicKey);
+  state.buffer = b4a.alloc(state.end);
+  c.utf8.encode(state, subject); c.array(c.utf8).encode(state, methods); c.uint8array.encode(state, prefix);
+  c.uint.encode(state, exp); c.uint8array.encode(state, next.publicKey);
+  const prevSig = token.blocks[token.blocks.length - 1].sig;
+  const sig = sign(b4a.concat([b4a.from('plex-caps/v1'), prevSig, state.buffer]), token.proof);
+  return { ...token, blocks: [...token.blocks, { ...body, sig }], proof: next.secretKey };
+}
+
+test('caps: issue, encode and verify a root token', (t) => {
+  const token = issueCapToken(issuer, { subject: 'svc-a', methods: ['get', 'scan'], prefix: 'users/', exp: 5000 });
+  const decoded = decodeCapToken(encodeCapToken(token));
+  const res = verifyCapToken(decoded, { trusted });
+  t.is(res.ok, true);
+  t.is(res.value.subject, 'svc-a');
+  t.alike(res.value.methods, ['get', 'scan']);
+  t.is(b4a.toString(res.value.prefix), 'users/');
+  t.is(res.value.exp, 5000);
+});
+
+test('caps: attenuation narrows claims and keeps the chain valid', (t) => {
+  const root = issueCapToken(issuer, { subject: 'third-party', methods: ['get', 'put', 'scan'], prefix: 'users/' });
+  const narrow = attenuateCapToken(root, { methods: ['get'], prefix: 'users/42/', exp: 1000 });
+  const res = verifyCapToken(encodeCapToken(narrow), { trusted });
+  t.is(res.ok, true);
+  t.is(res.value.subject, 'third-party');
+  t.alike(res.value.methods, ['get']);
+  t.is(b4a.toString(res.value.prefix), 'users/42/');
+  t.is(res.value.exp, 1000);
+
+  t.exception(() => attenuateCapToken(narrow, { methods: ['put'] }), /widens methods/);
+  t.exception(() => attenuateCapToken(narrow, { prefix: 'admin/' }), /widens prefix/);
+  t.exception(() => attenuateCapToken(narrow, { exp: 2000 }), /extends expiry/);
+});
+
+test('caps: the subject is fixed by the issuer', (t) => {
+  const root = issueCapToken(issuer, { subject: 'svc-a', methods: ['get'] });
+  t.is(verifyCapToken(attenuateCapToken(root, { subject: 'svc-a', prefix: 'a/' }), { trusted }).value.subject, 'svc-a');
+  t.exception(() => attenuateCapToken(root, { subject: 'admin' }), /changes subject/);
+  t.exception(() => attenuateCapToken(issueCapToken(issuer, {}), { subject: 'admin' }), /changes subject/);
+
+  // A holder signing a re-subjected block by hand still fails verification.
+  const relabelled = appendRawBlock(root, { subject: 'admin' });
+  const res = verifyCapToken(encodeCapToken(relabelled), { trusted });
+  t.is(res.ok, false);
+  t.is(res.code, CODES.CapabilityDenied);
+  t.ok(verifyCapToken(appendRawBlock(root, { prefix: b4a.from('a/') }), { trusted }).ok, 'hand-signed blocks are otherwise valid');
+});
+
+test('caps: tampering, stripped blocks and untrusted issuers are rejected', (t) => {
+  const root = issueCapToken(issuer, { methods: ['get', 'put'] });
+  const narrow = attenuateCapToken(root, { methods: ['get'] });
+
+  const widened = decodeCapToken(encodeCapToken(narrow));
+  widened.blocks[1].methods = ['get', 'put'];
+  t.is(verifyCapToken(widened, { trusted }).code, CODES.CryptoError);
+
+  // Dropping the narrowing block leaves a proof that no longer matches the last block.
+  const stripped = { ...narrow, blocks: narrow.blocks.slice(0, 1) };
+  t.is(verifyCapToken(stripped, { trusted }).code, CODES.CryptoError);
+
+  const other = generateKeyPair();
+  t.is(verifyCapToken(root, { trusted: [other.publicKey] }).code, CODES.CapabilityDenied);
+  t.is(verifyCapToken(b4a.from('not a token'), { trusted }).ok, false);
+});
+
+test('caps: token objects travel as caps bytes on store requests', (t) => {
+  const token = issueCapToken(issuer, { methods: ['get'] });
+  const dec = getReqCodec.decode(getReqCodec.encode({ key: b4a.from('k'), caps: token }));
+  const claims = capTokenResolver({ trusted })(dec.caps);
+  t.ok(claims);
+  t.alike(claims.methods, ['get']);
+  t.is(capTokenResolver({ trusted })(b4a.from('opaque')), null);
+});
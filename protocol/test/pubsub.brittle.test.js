@@ -0,0 +1,18 @@
+// @ts-check
+import test from 'brittle';
+import b4a from 'b4a';
+import { pubsubMessageCodec, PUBSUB_SUB, PUBSUB_UNSUB, PUBSUB_MSG, PUBSUB_CREDIT } from '../pubsub.js';
+
+test('pubsub messages roundtrip sub, unsub, msg and credit', (t) => {
+  const rt = (m) => pubsubMessageCodec.decode(pubsubMessageCodec.encode(m));
+  t.alike(rt({ type: PUBSUB_SUB, sid: 3, pattern: 'orders/*', credit: 64 }), { type: PUBSUB_SUB, sid: 3, pattern: 'orders/*', credit: 64 });
+  t.alike(rt({ type: PUBSUB_UNSUB, sid: 3 }), { type: PUBSUB_UNSUB, sid: 3 });
+  const msg = rt({ type: PUBSUB_MSG, sid: 3, topic: 'orders/new', payload: b4a.from('hi') });
+  t.is(msg.topic, 'orders/new');
+  t.ok(b4a.equals(msg.payload, b4a.from('hi')));
+  t.alike(rt({ type: PUBSUB_CREDIT, sid: 3, credit: 32 }), { type: PUBSUB_CREDIT, sid: 3, credit: 32 });
+});
+
+test('pubsub decode rejects unknown message types', async (t) => {
+  await t.exception(() => pubsubMessageCodec.decode(b4a.from([9, 1])));
+});
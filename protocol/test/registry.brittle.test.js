@@ -0,0 +1,20 @@
+// @ts-check
+import test from 'brittle';
+import b4a from 'b4a';
+import { registryMessageCodec, REGISTRY_SNAPSHOT, REGISTRY_ADD, REGISTRY_REMOVE } from '../registry.js';
+
+test('registry messages roundtrip snapshot, add and remove', (t) => {
+  const entry = { key: '1', id: b4a.from('abcd', 'hex'), lane: 'rpc', descriptor: { name: 'users', kind: 'store', namespace: 'app', labels: { tier: 'hot' } } };
+  const snap = registryMessageCodec.decode(registryMessageCodec.encode({ type: REGISTRY_SNAPSHOT, entries: [entry] }));
+  t.is(snap.type, REGISTRY_SNAPSHOT);
+  t.is(snap.entries.length, 1);
+  t.is(snap.entries[0].key, '1');
+  t.ok(b4a.equals(snap.entries[0].id, entry.id));
+  t.is(snap.entries[0].descriptor.name, 'users');
+  t.alike(snap.entries[0].descriptor.labels, { tier: 'hot' });
+
+  const add = registryMessageCodec.decode(registryMessageCodec.encode({ type: REGISTRY_ADD, entry }));
+  t.is(add.entry.lane, 'rpc');
+  const rm = registryMessageCodec.decode(registryMessageCodec.encode({ type: REGISTRY_REMOVE, key: '1' }));
+  t.alike(rm, { type: REGISTRY_REMOVE, key: '1' });
+});
@@ -1,6 +1,6 @@
 import test from 'brittle';
 import b4a from 'b4a';
-import { getReqCodec, delReqCodec, putReqCodec, appendReqCodec, scanReqCodec } from '../store.js';
+import { getReqCodec, delReqCodec, putReqCodec, appendReqCodec, scanReqCodec, batchReqCodec, watchReqCodec, encodeScanCursor, decodeScanCursor, encodePosKey, decodePosKey } from '../store.js';
 
 function eqKey(t, got, exp, label) { t.is(b4a.toString(got), b4a.toString(exp), label); }
 
@@ -22,6 +22,15 @@ test('store CE: scan roundtrip basic', (t) => {
   t.is(dec.caps, undefined, 'scan.caps absent');
 });
 
+test('store CE: scan range bounds roundtrip', (t) => {
+  const dec = scanReqCodec.decode(scanReqCodec.encode({ range: { gt: b4a.from('a'), lte: b4a.from('m') }, caps: b4a.from('cap') }));
+  eqKey(t, dec.range.gt, b4a.from('a'), 'scan.range.gt');
+  eqKey(t, dec.range.lte, b4a.from('m'), 'scan.range.lte');
+  t.is(dec.range.gte, undefined);
+  t.is(dec.range.lt, undefined);
+  eqKey(t, dec.caps, b4a.from('cap'), 'scan.caps after range');
+});
+
 test('store CE: capability tokens roundtrip', (t) => {
   const k = b4a.from('cap-key');
   const v = b4a.from('cap-value');
@@ -53,3 +62,97 @@ test('store CE: capability tokens roundtrip', (t) => {
   eqKey(t, dec.key, k, 'del.cap.key');
   t.ok(b4a.equals(dec.caps, tokenBytes), 'del.cap token bytes');
 });
+
+test('store CE: put carries an optional trailing ver', (t) => {
+  const k = b4a.from('k');
+  const v = b4a.from('v');
+  const ver = Date.now() * 1024;
+  const plain = putReqCodec.encode({ key: k, value: v });
+  const versioned = putReqCodec.encode({ key: k, value: v, ver });
+  t.ok(b4a.equals(versioned.subarray(0, plain.byteLength), plain), 'unversioned bytes unchanged');
+  t.is(putReqCodec.decode(versioned).ver, ver);
+  t.is(putReqCodec.decode(plain).ver, undefined);
+  t.is(putReqCodec.decode(putReqCodec.encode({ key: k, value: v, caps: 'tok', ver: 5 })).ver, 5);
+});
+
+test('store CE: put/del carry an optional ifVer guard', (t) => {
+  const k = b4a.from('k');
+  const v = b4a.from('v');
+  const plainDel = delReqCodec.encode({ key: k });
+  const guardedDel = delReqCodec.encode({ key: k, ifVer: 3 });
+  t.ok(b4a.equals(guardedDel.subarray(0, plainDel.byteLength), plainDel), 'unguarded del bytes unchanged');
+  t.is(delReqCodec.decode(guardedDel).ifVer, 3);
+  t.is(delReqCodec.decode(plainDel).ifVer, undefined);
+  t.is(delReqCodec.decode(delReqCodec.encode({ key: k, caps: 'tok', ifVer: 0 })).ifVer, 0, 'ifVer 0 (must be absent) survives');
+
+  const tombstone = delReqCodec.decode(delReqCodec.encode({ key: k, ver: 7 }));
+  t.is(tombstone.ver, 7, 'del carries a writer-assigned tombstone ver');
+  t.is(tombstone.ifVer, undefined);
+  const both = delReqCodec.decode(delReqCodec.encode({ key: k, caps: 'tok', ver: 8, ifVer: 2 }));
+  t.is(both.ver, 8);
+  t.is(both.ifVer, 2);
+  t.is(delReqCodec.decode(guardedDel).ver, undefined);
+
+  let dec = putReqCodec.decode(putReqCodec.encode({ key: k, value: v, ifVer: 0 }));
+  t.is(dec.ifVer, 0);
+  t.is(dec.ver, undefined, 'no ver when only ifVer is set');
+  dec = putReqCodec.decode(putReqCodec.encode({ key: k, value: v, caps: 'tok', ver: 9, ifVer: 4 }));
+  t.is(dec.ver, 9);
+  t.is(dec.ifVer, 4);
+});
+
+test('store CE: batch roundtrip', (t) => {
+  const ops = [
+    { type: 'put', key: b4a.from('a'), value: b4a.from('1') },
+    { type: 'put', key: b4a.from('b'), value: b4a.from('2'), ifVer: 0 },
+    { type: 'del', key: b4a.from('c'), ifVer: 7 },
+    { type: 'del', key: b4a.from('d') }
+  ];
+  let dec = batchReqCodec.decode(batchReqCodec.encode({ ops }));
+  t.is(dec.ops.length, 4);
+  t.is(dec.caps, undefined, 'batch.caps absent');
+  t.alike(dec.ops.map((op) => op.type), ['put', 'put', 'del', 'del']);
+  t.alike(dec.ops.map((op) => b4a.toString(op.key)), ['a', 'b', 'c', 'd']);
+  t.is(b4a.toString(dec.ops[1].value), '2');
+  t.is(dec.ops[2].value, undefined, 'del carries no value');
+  t.alike(dec.ops.map((op) => op.ifVer), [undefined, 0, 7, undefined]);
+
+  dec = batchReqCodec.decode(batchReqCodec.encode({ ops: [], caps: 'tok' }));
+  t.is(dec.ops.length, 0);
+  t.is(b4a.toString(dec.caps), 'tok');
+});
+
+test('store CE: watch takes the scan request shape', (t) => {
+  const prefix = b4a.from('p/');
+  const dec = watchReqCodec.decode(watchReqCodec.encode({ prefix, range: { lt: b4a.from('p/z') }, caps: 'tok' }));
+  eqKey(t, dec.prefix, prefix, 'watch.prefix');
+  eqKey(t, dec.range.lt, b4a.from('p/z'), 'watch.range.lt');
+  t.is(b4a.toString(dec.caps), 'tok');
+});
+
+test('store CE: scan paging trails the caps and cursors roundtrip', (t) => {
+  const plain = scanReqCodec.encode({ prefix: b4a.from('p/') });
+  t.is(scanReqCodec.encode({ prefix: b4a.from('p/'), limit: 0 }).byteLength, plain.byteLength, 'no paging, no trailer');
+
+  const cursor = encodeScanCursor({ key: b4a.from('p/7'), reverse: true });
+  let dec = scanReqCodec.decode(scanReqCodec.encode({ prefix: b4a.from('p/'), reverse: true, limit: 25, cursor }));
+  t.is(dec.limit, 25);
+  eqKey(t, dec.cursor, cursor, 'scan.cursor');
+  dec = scanReqCodec.decode(scanReqCodec.encode({ cursor, caps: 'tok' }));
+  t.is(dec.limit, undefined, 'cursor without a limit');
+  t.is(b4a.toString(dec.caps), 'tok');
+
+  const at = decodeScanCursor(cursor);
+  eqKey(t, at.key, b4a.from('p/7'), 'cursor.key');
+  t.is(at.reverse, true);
+  t.is(decodeScanCursor(b4a.from([9, 0, 0])), null, 'unknown version');
+  t.is(decodeScanCursor(b4a.from('')), null);
+});
+
+test('store CE: log position keys are 8-byte big-endian', (t) => {
+  t.is(encodePosKey(1).byteLength, 8);
+  t.is(decodePosKey(encodePosKey(2 ** 33 + 5)), 2 ** 33 + 5);
+  t.ok(b4a.compare(encodePosKey(0xff), encodePosKey(0x100)) < 0, 'byte order is position order');
+  t.is(decodePosKey(b4a.from('abc')), undefined);
+  t.exception.all(() => encodePosKey(1.5), /non-negative safe integer/);
+});
@@ -0,0 +1,262 @@
+// @ts-check
+import { EventEmitter } from './platform/events.js';
+import { makeCodec } from './codec/index.js';
+import { deriveId } from './service.js';
+import { pubsubMessageCodec, PUBSUB_SUB, PUBSUB_UNSUB, PUBSUB_MSG, PUBSUB_CREDIT } from './protocol/pubsub.js';
+import { CODES, codedError } from './result/index.js';
+import { createLogger } from './log/index.js';
+
+const defaultLogger = createLogger({ name: 'plex-pubsub', context: { subsystem: 'plex' } });
+const noopLogger = { trace(){}, debug(){}, info(){}, warn(){}, error(){}, fatal(){}, log(){}, child(){ return this }, setLevel(){}, isLevelEnabled(){ return false } };
+const resolveLogger = (cfg) => {
+  const candidate = cfg?.logger ?? cfg?.log;
+  if (candidate === false) return noopLogger;
+  if (candidate && typeof candidate === 'object') return candidate;
+  return defaultLogger;
+};
+
+export const PUBSUB_ID = deriveId('plex', 'pubsub', 1);
+
+const rawCodec = makeCodec('raw');
+
+/**
+ * Topic pattern match over `/`-separated segments: `*` matches exactly one segment and a
+ * trailing `**` matches the rest (zero or more segments).
+ * @param {string} pattern
+ * @param {string} topic
+ */
+export function matchTopic (pattern, topic) {
+  const p = pattern.split('/');
+  const t = topic.split('/');
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] === '**' && i === p.length - 1) return true;
+    if (i >= t.length) return false;
+    if (p[i] !== '*' && p[i] !== t[i]) return false;
+  }
+  return p.length === t.length;
+}
+
+/**
+ * Topic pub/sub over a peer's `events` lane. Both sides open the lane (it is symmetric), so
+ * either side can publish and subscribe; `publish` only reaches the remote side's subscriptions.
+ *
+ * - `subscribe(pattern, { codec, highWaterMark = 64 })` returns an async iterable of
+ *   `{ topic, value }`. Each subscription grants the publisher `highWaterMark` messages of credit
+ *   and tops it up as the consumer pulls, so a slow subscriber never buffers more than that.
+ * - `publish(topic, value, { codec })` encodes once and fans out to every matching remote
+ *   subscription. Subscriptions out of credit queue up to `maxQueue` messages on the publishing
+ *   side; beyond that the oldest are dropped ('drop' event). Returns the number of matching
+ *   subscriptions.
+ * - When the lane closes every local subscription ends and remote subscriptions are forgotten.
+ *
+ * Codecs come from `makeCodec` (default raw bytes); `codec` on the pubsub sets the default for
+ * both directions. Events: 'open', 'subscribe' / 'unsubscribe' ({ sid, pattern }) for remote
+ * subscriptions, 'drop' ({ sid, pattern, topic, dropped }), 'close'.
+ *
+ * @param {any} peer
+ * @param {{ id?:Uint8Array, codec?:any, maxQueue?:number, logger?:any, log?:any }} [opts]
+ */
+export function createPubSub (peer, opts = {}) {
+  const { id = PUBSUB_ID, maxQueue = 1024 } = opts;
+  const defaultCodec = opts.codec ? makeCodec(opts.codec) : rawCodec;
+  const log = resolveLogger(opts);
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  /** @type {Map<number, ReturnType<typeof createSubscription>>} our subscriptions, by sid */
+  const subs = new Map();
+  /** @type {Map<number, { sid:number, pattern:string, credit:number, queue:Array<{ topic:string, payload:Uint8Array }>, dropped:number }>} */
+  const remoteSubs = new Map();
+  let nextSid = 1;
+  let open = false;
+  let closed = false;
+
+  const duplex = peer.connectStream(id, { eagerOpen: true });
+  duplex.on('remote-open', () => {
+    if (closed) return;
+    open = true;
+    for (const sub of subs.values()) send({ type: PUBSUB_SUB, sid: sub.sid, pattern: sub.pattern, credit: sub.highWaterMark });
+    events.emit('open');
+  });
+  duplex.on('data', onData);
+  duplex.on('error', (error) => log.debug('pubsub lane error', { message: String(error?.message || error) }));
+  duplex.on('close', () => shutdown());
+
+  function send (msg) {
+    if (!open || closed) return;
+    try { duplex.write(pubsubMessageCodec.encode(msg)); } catch (error) {
+      log.warn('pubsub send failed', { message: String(error?.message || error) });
+    }
+  }
+
+  function onData (buf) {
+    let msg;
+    try { msg = pubsubMessageCodec.decode(buf); } catch (error) {
+      log.warn('pubsub message dropped', { message: String(error?.message || error) });
+      return;
+    }
+    if (msg.type === PUBSUB_MSG) {
+      subs.get(msg.sid)?.push(msg.topic, msg.payload);
+    } else if (msg.type === PUBSUB_SUB) {
+      remoteSubs.set(msg.sid, { sid: msg.sid, pattern: msg.pattern, credit: msg.credit, queue: [], dropped: 0 });
+      events.emit('subscribe', { sid: msg.sid, pattern: msg.pattern });
+    } else if (msg.type === PUBSUB_UNSUB) {
+      const rs = remoteSubs.get(msg.sid);
+      if (!rs) return;
+      remoteSubs.delete(msg.sid);
+      events.emit('unsubscribe', { sid: rs.sid, pattern: rs.pattern });
+    } else if (msg.type === PUBSUB_CREDIT) {
+      const rs = remoteSubs.get(msg.sid);
+      if (!rs) return;
+      rs.credit += msg.credit;
+      while (rs.credit > 0 && rs.queue.length) {
+        const next = rs.queue.shift();
+        rs.credit--;
+        send({ type: PUBSUB_MSG, sid: rs.sid, topic: next.topic, payload: next.payload });
+      }
+    }
+  }
+
+  /**
+   * @param {string} pattern
+   * @param {{ codec?:any, highWaterMark?:number }} [subOpts]
+   */
+  function createSubscription (pattern, { codec, highWaterMark = 64 } = {}) {
+    const sid = nextSid++;
+    const decoder = codec ? makeCodec(codec) : defaultCodec;
+    const hwm = Math.max(1, highWaterMark);
+    /** @type {Array<{ topic:string, value:any }>} */
+    const queue = [];
+    /** @type {((step:IteratorResult<any>) => void)|null} */
+    let pending = null;
+    let consumed = 0;
+    let done = false;
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      subs.delete(sid);
+      if (pending) { const resolve = pending; pending = null; resolve({ value: undefined, done: true }); }
+    };
+
+    const sub = {
+      sid,
+      pattern,
+      highWaterMark: hwm,
+      /** Deliver one message from the lane (decode failures are logged and skipped, returning their credit). */
+      push (topic, payload) {
+        if (done) return;
+        let value;
+        try { value = decoder.decode(payload); } catch (error) {
+          log.warn('pubsub decode failed', { topic, message: String(error?.message || error) });
+          delivered();
+          return;
+        }
+        const item = { topic, value };
+        if (pending) { const resolve = pending; pending = null; delivered(); resolve({ value: item, done: false }); }
+        else queue.push(item);
+      },
+      end: finish,
+      unsubscribe () {
+        if (done) return;
+        send({ type: PUBSUB_UNSUB, sid });
+        finish();
+      },
+      next () {
+        if (queue.length) { delivered(); return Promise.resolve({ value: queue.shift(), done: false }); }
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => { pending = resolve; });
+      },
+      return () {
+        sub.unsubscribe();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator] () { return sub; }
+    };
+
+    // Return credit in half-window batches as the consumer drains messages.
+    function delivered () {
+      consumed++;
+      if (consumed >= Math.ceil(hwm / 2)) {
+        send({ type: PUBSUB_CREDIT, sid, credit: consumed });
+        consumed = 0;
+      }
+    }
+
+    return sub;
+  }
+
+  /**
+   * Subscribe to remote publications whose topic matches `pattern`.
+   * @param {string} pattern
+   * @param {{ codec?:any, highWaterMark?:number }} [subOpts]
+   */
+  function subscribe (pattern, subOpts) {
+    if (typeof pattern !== 'string' || !pattern) throw new TypeError('pubsub.subscribe: pattern required');
+    if (closed) throw codedError(CODES.Closed, 'pubsub lane closed');
+    const sub = createSubscription(pattern, subOpts);
+    subs.set(sub.sid, sub);
+    send({ type: PUBSUB_SUB, sid: sub.sid, pattern, credit: sub.highWaterMark });
+    return {
+      pattern,
+      unsubscribe: sub.unsubscribe,
+      [Symbol.asyncIterator] () { return sub; }
+    };
+  }
+
+  /**
+   * Publish `value` on `topic` to every matching remote subscription.
+   * @param {string} topic
+   * @param {any} value
+   * @param {{ codec?:any }} [pubOpts]
+   * @returns {number} matching subscriptions
+   */
+  function publish (topic, value, { codec } = {}) {
+    if (typeof topic !== 'string' || !topic) throw new TypeError('pubsub.publish: topic required');
+    if (closed) throw codedError(CODES.Closed, 'pubsub lane closed');
+    let payload = null;
+    let matched = 0;
+    for (const rs of remoteSubs.values()) {
+      if (!matchTopic(rs.pattern, topic)) continue;
+      payload ??= (codec ? makeCodec(codec) : defaultCodec).encode(value);
+      matched++;
+      if (rs.credit > 0) {
+        rs.credit--;
+        send({ type: PUBSUB_MSG, sid: rs.sid, topic, payload });
+        continue;
+      }
+      rs.queue.push({ topic, payload });
+      if (rs.queue.length > maxQueue) {
+        const lost = rs.queue.shift();
+        rs.dropped++;
+        events.emit('drop', { sid: rs.sid, pattern: rs.pattern, topic: lost?.topic, dropped: rs.dropped });
+      }
+    }
+    return matched;
+  }
+
+  function shutdown () {
+    if (closed) return;
+    closed = true;
+    open = false;
+    for (const sub of [...subs.values()]) sub.end();
+    remoteSubs.clear();
+    events.emit('close');
+  }
+
+  function close () {
+    if (closed) return;
+    try { duplex.destroy?.(); } catch {}
+    shutdown();
+  }
+
+  /** Remote subscriptions with their credit and backlog. */
+  function stats () {
+    return {
+      subscriptions: subs.size,
+      remote: [...remoteSubs.values()].map((rs) => ({ sid: rs.sid, pattern: rs.pattern, credit: rs.credit, queued: rs.queue.length, dropped: rs.dropped }))
+    };
+  }
+
+  return { events, subscribe, publish, stats, close, isOpen () { return open; } };
+}
@@ -0,0 +1,337 @@
+// @ts-check
+import { EventEmitter } from './platform/events.js';
+import { createPeer } from './peer.js';
+import { connectStorePort as connectStorePortOnPeer, exposeStorePort as exposeStorePortOnPeer, connectService } from './service.js';
+import { createEventLogClient, eventLogService, EVENTLOG_ID, EVENTLOG_LANE } from './eventlog.js';
+import { CODES, codedError } from './result/index.js';
+import { createLogger } from './log/index.js';
+
+const defaultLogger = createLogger({ name: 'plex-reconnect', context: { subsystem: 'plex' } });
+const noopLogger = { trace(){}, debug(){}, info(){}, warn(){}, error(){}, fatal(){}, log(){}, child(){ return this }, setLevel(){}, isLevelEnabled(){ return false } };
+const resolveLogger = (cfg) => {
+  const candidate = cfg?.logger ?? cfg?.log;
+  if (candidate === false) return noopLogger;
+  if (candidate && typeof candidate === 'object') return candidate;
+  return defaultLogger;
+};
+
+// Whether a call that was in flight when the connection dropped may be re-issued. Reads always
+// may; put/del only when pinned to a version (`ver` or `ifVer`), so replaying a write that already
+// landed is a no-op or a CASFailed rather than a second write with a fresh version and change event.
+function isReplayable (method, o) {
+  if (method === 'get') return true;
+  if (method !== 'put' && method !== 'del') return false;
+  return o?.ver !== undefined || o?.ifVer !== undefined;
+}
+
+function isGone (stream) {
+  return !!(stream?.destroyed || stream?.destroying);
+}
+
+/**
+ * Delay before reconnect attempt `attempt` (1-based): exponential growth capped at `maxMs`,
+ * with `jitter` (0..1) randomly shaving up to that fraction off to spread reconnect storms.
+ * @param {number} attempt
+ * @param {{ minMs?:number, maxMs?:number, factor?:number, jitter?:number }} [backoff]
+ * @param {() => number} [random]
+ */
+export function backoffDelay (attempt, { minMs = 100, maxMs = 10000, factor = 2, jitter = 0.5 } = {}, random = Math.random) {
+  const base = Math.min(maxMs, minMs * Math.pow(factor, Math.max(0, attempt - 1)));
+  const spread = Math.min(1, Math.max(0, jitter));
+  return Math.round(base * (1 - spread * random()));
+}
+
+/**
+ * Peer wrapper that redials its transport whenever it dies.
+ *
+ * - `dial()` returns a stream (or WebSocket, or a Promise of either) for each attempt.
+ * - `use(setup)` runs `setup(peer)` on every (re)connected peer, so listen-side lanes come back;
+ *   a returned function or `{ dispose }` is called when that connection drops.
+ * - `connectStorePort(cfg)` returns a proxy that survives reconnects: calls made while
+ *   disconnected wait (`pending: 'queue'`, default) or fail with `NotReady` (`pending: 'fail'`),
+ *   and in-flight gets, plus puts/dels carrying `ver` or `ifVer`, are re-issued after
+ *   reconnecting when `retryIdempotent` is on. Other in-flight calls (unversioned put/del, append,
+ *   batch) are not replayed: they reject with `NotReady`, as `pending: 'fail'` does, because they
+ *   may already have landed. A replayed `ifVer` write that had landed reports `CASFailed`. Scans
+ *   are never replayed, and a watch ends with its connection (watch again, after a scan, to catch up).
+ * - `connectEventLog(cfg)` returns an event log client whose subscriptions resume from their
+ *   last acknowledged position on the next connection (see `createEventLogClient`).
+ *
+ * Events (on `events`): 'connected' (first connection), 'disconnected', 'reconnecting'
+ * ({ attempt, delayMs, error? }), 'reconnected' ({ attempt, generation }), 'give-up', 'closed'.
+ *
+ * @param {{
+ *   dial:() => any,
+ *   peerOptions?:{ protocolBase?:string, auth?:any },
+ *   backoff?:{ minMs?:number, maxMs?:number, factor?:number, jitter?:number },
+ *   maxAttempts?:number,
+ *   logger?:any, log?:any
+ * }} opts
+ */
+export function createReconnectingPeer (opts) {
+  const { dial, peerOptions = {}, backoff = {}, maxAttempts = Infinity } = opts || {};
+  if (typeof dial !== 'function') throw new TypeError('createReconnectingPeer: dial() required');
+  const log = resolveLogger(opts);
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  /** @type {'connecting'|'connected'|'disconnected'|'closed'} */
+  let state = 'connecting';
+  let peer = null;
+  let generation = 0;
+  let attempt = 0;
+  let timer = null;
+  /** @type {Set<(peer:any)=>any>} */
+  const setups = new Set();
+  /** @type {Array<() => void>} */
+  let teardowns = [];
+  /** @type {Array<{ after:number, resolve:(peer:any)=>void, reject:(err:Error)=>void }>} */
+  let waiters = [];
+
+  function attach (stream) {
+    const next = createPeer({ ...peerOptions, stream, logger: opts.logger, log: opts.log });
+    const transport = next.getTransport();
+    const gen = ++generation;
+    peer = next;
+    state = 'connected';
+    const reconnected = gen > 1;
+    const attempts = attempt;
+    attempt = 0;
+    transport.once?.('close', () => onDrop(gen));
+    for (const setup of setups) runSetup(setup, next);
+    const list = waiters;
+    waiters = [];
+    for (const w of list) {
+      if (w.after < gen) w.resolve(next);
+      else waiters.push(w);
+    }
+    if (reconnected) {
+      log.info('peer reconnected', { generation: gen, attempts });
+      events.emit('reconnected', { attempt: attempts, generation: gen });
+    } else {
+      events.emit('connected', { generation: gen });
+    }
+  }
+
+  function runSetup (setup, target) {
+    try {
+      const out = setup(target);
+      if (typeof out === 'function') teardowns.push(out);
+      else if (out && typeof out.dispose === 'function') teardowns.push(() => out.dispose());
+    } catch (error) {
+      log.warn('reconnect setup failed', { message: String(error?.message || error) });
+    }
+  }
+
+  function onDrop (gen) {
+    if (gen !== generation || state !== 'connected') return;
+    state = 'disconnected';
+    peer = null;
+    const list = teardowns;
+    teardowns = [];
+    for (const fn of list) { try { fn(); } catch {} }
+    log.info('peer transport closed', { generation: gen });
+    events.emit('disconnected', { generation: gen });
+    schedule();
+  }
+
+  function schedule (error) {
+    if (state === 'closed') return;
+    attempt += 1;
+    if (attempt > maxAttempts) {
+      state = 'closed';
+      const giveUp = codedError(CODES.NotAvailable, `reconnect gave up after ${maxAttempts} attempts`);
+      log.warn('reconnect giving up', { attempts: maxAttempts });
+      events.emit('give-up', { attempts: maxAttempts, error });
+      failWaiters(giveUp);
+      return;
+    }
+    const delayMs = backoffDelay(attempt, backoff);
+    events.emit('reconnecting', { attempt, delayMs, error });
+    timer = setTimeout(() => { timer = null; connect(); }, delayMs);
+  }
+
+  async function connect () {
+    if (state === 'closed') return;
+    state = 'connecting';
+    let stream;
+    try {
+      stream = await dial();
+      if (!stream) throw new Error('dial() returned no stream');
+    } catch (error) {
+      log.debug('dial failed', { attempt, message: String(error?.message || error) });
+      state = 'disconnected';
+      schedule(error instanceof Error ? error : new Error(String(error)));
+      return;
+    }
+    if (state === 'closed') {
+      try { stream.destroy?.(); } catch {}
+      return;
+    }
+    attach(stream);
+  }
+
+  function failWaiters (error) {
+    const list = waiters;
+    waiters = [];
+    for (const w of list) w.reject(error);
+  }
+
+  /** Resolve with a connected peer (immediately when connected). */
+  function waitConnected () {
+    if (state === 'connected') return Promise.resolve(peer);
+    return waitAfter(generation);
+  }
+
+  // Resolve with the first peer of a generation newer than `after`.
+  function waitAfter (after) {
+    if (state === 'closed') return Promise.reject(codedError(CODES.Closed, 'reconnecting peer closed'));
+    if (state === 'connected' && generation > after) return Promise.resolve(peer);
+    return new Promise((resolve, reject) => waiters.push({ after, resolve, reject }));
+  }
+
+  /**
+   * Run `setup(peer)` on the current and every future connection.
+   * @param {(peer:any)=>any} setup
+   */
+  function use (setup) {
+    setups.add(setup);
+    if (state === 'connected') runSetup(setup, peer);
+    return { dispose: () => setups.delete(setup) };
+  }
+
+  /**
+   * Expose a StorePort on every connection (listen side of a reconnecting link).
+   * @param {{ id:Uint8Array, lane?:string, eagerOpen?:boolean, verifyCaps?:any }} cfg
+   * @param {any} port
+   */
+  function exposeStorePort (cfg, port) {
+    return use((p) => exposeStorePortOnPeer(p, cfg, port));
+  }
+
+  // Resolve a connected peer newer than generation `after`; `pending` decides whether to wait.
+  function acquire (after, pending) {
+    // A destroyed transport counts as down even before its 'close' event reaches onDrop.
+    if (state === 'connected' && isGone(peer.getTransport())) after = Math.max(after, generation);
+    if (state === 'connected' && generation > after) return Promise.resolve(peer);
+    if (state === 'closed') return Promise.reject(codedError(CODES.Closed, 'reconnecting peer closed'));
+    if (pending === 'fail') return Promise.reject(codedError(CODES.NotReady, 'peer is reconnecting'));
+    return waitAfter(after);
+  }
+
+  /**
+   * StorePort proxy that follows the current connection.
+   * @param {{ id:Uint8Array, lane?:string, eagerOpen?:boolean, streamWindow?:number, pending?:'queue'|'fail', retryIdempotent?:boolean }} cfg
+   */
+  function connectStorePort (cfg) {
+    const { pending = 'queue', retryIdempotent = true, ...laneCfg } = cfg || {};
+    let client = null;
+    let clientGen = 0;
+
+    const clientFor = (p) => {
+      if (client && clientGen === generation) return client;
+      try { client?.destroy?.(); } catch {}
+      const created = connectStorePortOnPeer(p, /** @type {any} */ (laneCfg));
+      // A lane can close on its own (remote disposed it); reopen on the next call.
+      created.unwrap?.()?.once?.('close', () => { if (client === created) client = null; });
+      client = created;
+      clientGen = generation;
+      return created;
+    };
+
+    const callUnary = (method) => async (o) => {
+      let after = 0;
+      for (;;) {
+        const p = await acquire(after, pending);
+        const gen = generation;
+        try {
+          return await clientFor(p)[method](o);
+        } catch (error) {
+          // The lane can fail before the transport's 'close' reaches us, so check the stream too.
+          const dropped = gen !== generation || state !== 'connected' || isGone(p.getTransport());
+          if (!dropped) throw error;
+          if (!retryIdempotent || !isReplayable(method, o)) {
+            throw codedError(CODES.NotReady, `connection dropped during ${method}; not replayed`);
+          }
+          // Retry only on a newer connection, never on the one that just failed.
+          after = gen;
+          log.debug('replaying call after reconnect', { method });
+        }
+      }
+    };
+
+    return {
+      get: callUnary('get'),
+      put: callUnary('put'),
+      del: callUnary('del'),
+      append: callUnary('append'),
+      batch: callUnary('batch'),
+      async * scan (o) {
+        const p = await acquire(0, pending);
+        return yield * clientFor(p).scan(o);
+      },
+      async * watch (o) {
+        const p = await acquire(0, pending);
+        yield * clientFor(p).watch(o);
+      },
+      async waitReady () { await waitConnected(); },
+      async close () { try { await client?.close?.(); } catch {} client = null; },
+      async destroy () { try { await client?.destroy?.(); } catch {} client = null; }
+    };
+  }
+
+  /**
+   * Event log client that follows the current connection; subscriptions pick up again after a
+   * drop from their last acknowledged position.
+   * @param {{ id?:Uint8Array, lane?:string, eagerOpen?:boolean, streamWindow?:number, pending?:'queue'|'fail', codec?:any }} [cfg]
+   */
+  function connectEventLog (cfg) {
+    const { pending = 'queue', codec, id = EVENTLOG_ID, lane = EVENTLOG_LANE, ...laneCfg } = cfg || {};
+    let conn = null;
+
+    const source = async (after) => {
+      const p = await acquire(after, pending);
+      const gen = generation;
+      if (conn?.gen === gen) return conn;
+      try { conn?.client.destroy?.(); } catch {}
+      const client = connectService(p, { ...laneCfg, id, lane }, eventLogService);
+      conn = { client, gen, dropped: () => gen !== generation || state !== 'connected' || isGone(p.getTransport()) };
+      return conn;
+    };
+
+    return {
+      ...createEventLogClient(source, { codec, logger: opts.logger, log: opts.log }),
+      async close () { try { await conn?.client.close?.(); } catch {} conn = null; },
+      async destroy () { try { await conn?.client.destroy?.(); } catch {} conn = null; }
+    };
+  }
+
+  /** Stop reconnecting and tear down the current transport. */
+  function close () {
+    if (state === 'closed') return;
+    const current = peer;
+    state = 'closed';
+    peer = null;
+    if (timer) { clearTimeout(timer); timer = null; }
+    for (const fn of teardowns) { try { fn(); } catch {} }
+    teardowns = [];
+    failWaiters(codedError(CODES.Closed, 'reconnecting peer closed'));
+    try { current?.getTransport().destroy?.(); } catch {}
+    events.emit('closed');
+  }
+
+  connect();
+
+  return {
+    events,
+    get peer () { return peer; },
+    get generation () { return generation; },
+    isConnected () { return state === 'connected'; },
+    waitConnected,
+    use,
+    exposeStorePort,
+    connectStorePort,
+    connectEventLog,
+    close
+  };
+}
@@ -0,0 +1,234 @@
+// @ts-check
+import { EventEmitter } from './platform/events.js';
+import { deriveId } from './service.js';
+import { registryMessageCodec, REGISTRY_SNAPSHOT, REGISTRY_ADD, REGISTRY_REMOVE } from './protocol/registry.js';
+import { CODES, codedError } from './result/index.js';
+import { createLogger } from './log/index.js';
+
+const defaultLogger = createLogger({ name: 'plex-registry', context: { subsystem: 'plex' } });
+const noopLogger = { trace(){}, debug(){}, info(){}, warn(){}, error(){}, fatal(){}, log(){}, child(){ return this }, setLevel(){}, isLevelEnabled(){ return false } };
+const resolveLogger = (cfg) => {
+  const candidate = cfg?.logger ?? cfg?.log;
+  if (candidate === false) return noopLogger;
+  if (candidate && typeof candidate === 'object') return candidate;
+  return defaultLogger;
+};
+
+export const REGISTRY_ID = deriveId('plex', 'registry', 1);
+export const REGISTRY_LANE = 'registry';
+
+const EMPTY = new Uint8Array(0);
+
+/**
+ * @typedef {{ name?:string, kind?:string|string[], namespace?:string, labels?:Record<string, string> }} ServiceQuery
+ * @typedef {{ key:string, id:Uint8Array, lane:string, descriptor:any }} ServiceEntry
+ */
+
+/**
+ * True when `descriptor` matches every field of `query`: `name` exactly, `kind` exactly (or one
+ * of a list), `namespace` exactly or as a `/`-separated prefix, and every given label value.
+ * @param {any} descriptor
+ * @param {ServiceQuery} [query]
+ */
+export function matchDescriptor (descriptor, query = {}) {
+  const d = descriptor || {};
+  if (query.name != null && d.name !== query.name) return false;
+  if (query.kind != null && !(Array.isArray(query.kind) ? query.kind.includes(d.kind) : d.kind === query.kind)) return false;
+  if (query.namespace != null) {
+    const ns = d.namespace || '';
+    if (ns !== query.namespace && !ns.startsWith(`${query.namespace}/`)) return false;
+  }
+  for (const [k, v] of Object.entries(query.labels || {})) {
+    if (d.labels?.[k] !== String(v)) return false;
+  }
+  return true;
+}
+
+// Label values travel as strings (see protocol/descriptor.js).
+function normalizeDescriptor (descriptor) {
+  const labels = {};
+  for (const [k, v] of Object.entries(descriptor?.labels || {})) labels[k] = String(v);
+  return { ...descriptor, labels };
+}
+
+/**
+ * Service registry for one peer, carried on a symmetric lane: both sides open it, send a
+ * snapshot of their advertisements once paired, then stream add/remove changes. Queries are
+ * answered from the mirrored remote view (`query` waits for the first snapshot).
+ *
+ * Usually reached as `peer.services`; `exposeStorePort` and `exposeService` advertise through it.
+ *
+ * Events (on `events`): 'add' (ServiceEntry), 'remove' (ServiceEntry), 'synced', 'closed'.
+ *
+ * @param {any} peer
+ * @param {{ id?:Uint8Array, lane?:string, logger?:any, log?:any }} [opts]
+ */
+export function createServiceRegistry (peer, opts = {}) {
+  const { id = REGISTRY_ID, lane = REGISTRY_LANE } = opts;
+  const log = resolveLogger(opts);
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  /** @type {Map<string, ServiceEntry>} */
+  const local = new Map();
+  /** @type {Map<string, ServiceEntry>} */
+  const remote = new Map();
+  /** @type {Set<{ resolve:() => void, reject:(error:Error) => void }>} */
+  const syncWaiters = new Set();
+  let duplex = null;
+  let open = false;
+  let synced = false;
+  let closed = false;
+  let seq = 0;
+
+  function ensureLane () {
+    if (duplex || closed) return;
+    const d = peer.connectLane(id, lane, { eagerOpen: true });
+    duplex = d;
+    d.on('remote-open', () => {
+      if (duplex !== d) return;
+      open = true;
+      send({ type: REGISTRY_SNAPSHOT, entries: [...local.values()] });
+    });
+    d.on('data', onData);
+    d.on('error', (error) => log.debug('registry lane error', { message: String(error?.message || error) }));
+    d.on('close', () => onLaneClosed(d));
+  }
+
+  function send (msg) {
+    if (!open || !duplex) return;
+    try { duplex.write(registryMessageCodec.encode(msg)); } catch (error) {
+      log.warn('registry send failed', { message: String(error?.message || error) });
+    }
+  }
+
+  function onData (buf) {
+    let msg;
+    try { msg = registryMessageCodec.decode(buf); } catch (error) {
+      log.warn('registry message dropped', { message: String(error?.message || error) });
+      return;
+    }
+    if (msg.type === REGISTRY_SNAPSHOT) {
+      const next = new Map(msg.entries.map((e) => [e.key, e]));
+      for (const [key, entry] of remote) {
+        if (!next.has(key)) { remote.delete(key); events.emit('remove', entry); }
+      }
+      for (const [key, entry] of next) {
+        const known = remote.has(key);
+        remote.set(key, entry);
+        if (!known) events.emit('add', entry);
+      }
+      if (!synced) {
+        synced = true;
+        for (const w of [...syncWaiters]) w.resolve();
+        events.emit('synced');
+      }
+    } else if (msg.type === REGISTRY_ADD) {
+      remote.set(msg.entry.key, msg.entry);
+      events.emit('add', msg.entry);
+    } else if (msg.type === REGISTRY_REMOVE) {
+      const entry = remote.get(msg.key);
+      if (entry && remote.delete(msg.key)) events.emit('remove', entry);
+    }
+  }
+
+  function onLaneClosed (d) {
+    if (duplex !== d) return;
+    duplex = null;
+    open = false;
+    synced = false;
+    for (const entry of [...remote.values()]) events.emit('remove', entry);
+    remote.clear();
+    const error = codedError(CODES.Closed, 'registry lane closed');
+    for (const w of [...syncWaiters]) w.reject(error);
+    events.emit('closed');
+  }
+
+  function waitSynced (timeoutMs) {
+    if (synced) return Promise.resolve();
+    if (closed) return Promise.reject(codedError(CODES.Closed, 'registry closed'));
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const w = {
+        resolve: () => { done(); resolve(undefined); },
+        reject: (error) => { done(); reject(error); }
+      };
+      const done = () => { if (timer) clearTimeout(timer); syncWaiters.delete(w); };
+      syncWaiters.add(w);
+      if (timeoutMs > 0) timer = setTimeout(() => w.reject(codedError(CODES.Timeout, 'registry sync timed out')), timeoutMs);
+    });
+  }
+
+  /**
+   * Advertise `descriptor` to the remote peer until `withdraw()`. `id`/`lane` say where the
+   * service is reachable (omit both for descriptors that are not lane-bound).
+   * @param {any} descriptor
+   * @param {{ id?:Uint8Array, lane?:string }} [where]
+   */
+  function advertise (descriptor, { id: serviceId, lane: serviceLane } = {}) {
+    const key = String(++seq);
+    const entry = {
+      key,
+      id: serviceId ?? EMPTY,
+      lane: serviceLane ?? (serviceId ? 'rpc' : ''),
+      descriptor: normalizeDescriptor(descriptor)
+    };
+    local.set(key, entry);
+    ensureLane();
+    send({ type: REGISTRY_ADD, entry });
+    return {
+      withdraw () {
+        if (!local.delete(key)) return;
+        send({ type: REGISTRY_REMOVE, key });
+      }
+    };
+  }
+
+  /**
+   * Remote services matching `query`, once the remote's snapshot arrived. Rejects with `Timeout`
+   * after `timeoutMs`, or with `Closed` when the lane goes away (including a remote that does
+   * not serve the registry lane, which rejects it on open).
+   * @param {ServiceQuery} [query]
+   * @param {{ timeoutMs?:number }} [opts]
+   * @returns {Promise<ServiceEntry[]>}
+   */
+  async function query (query, { timeoutMs = 5000 } = {}) {
+    ensureLane();
+    await waitSynced(timeoutMs);
+    return list(query);
+  }
+
+  /** Remote services matching `query` seen so far (no waiting). @param {ServiceQuery} [query] */
+  function list (query) {
+    return [...remote.values()].filter((e) => matchDescriptor(e.descriptor, query));
+  }
+
+  /** This side's advertisements matching `query`. @param {ServiceQuery} [query] */
+  function listLocal (query) {
+    return [...local.values()].filter((e) => matchDescriptor(e.descriptor, query));
+  }
+
+  function close () {
+    if (closed) return;
+    closed = true;
+    const d = duplex;
+    if (d) {
+      try { d.destroy?.(); } catch {}
+      onLaneClosed(d);
+    }
+    local.clear();
+  }
+
+  return {
+    events,
+    advertise,
+    query,
+    list,
+    local: listLocal,
+    /** Start the lane without advertising anything (lets the remote query this side). */
+    open () { ensureLane(); },
+    isSynced () { return synced; },
+    close
+  };
+}
+
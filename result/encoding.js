@@ -13,7 +13,7 @@
  *       if hasVer:
  *         bool : verIsObj
  *         if verIsObj: uint feed, uint seq
- *         else       : uint verNumber
+ *         else       : uint verNumber   // up to 2^53 (writer clocks, see pool replication)
  *     bool : hasPos
  *       if hasPos: uint pos
  *     bool : hasMeta
@@ -37,6 +37,12 @@ import b4a from "b4a";
 // Duped constant to avoid circular import with index.js
 const V = 1
 
+// Numeric versions are non-negative safe integers (values below 2^32 encode exactly as before).
+const verNumber = (ver) => {
+  const n = Math.floor(Number(ver))
+  return Number.isSafeInteger(n) && n > 0 ? n : 0
+}
+
 /** @typedef {{ v:1, ok:true, value?:Uint8Array, ver?:number|{feed:number,seq:number}, pos?:number, meta?:any }} OkEnv */
 /** @typedef {{ v:1, ok:false, code:string, message:string, details?:any, cause?:{name:string, stack?:string}, meta?:any }} ErrEnv */
 
@@ -59,7 +65,7 @@ export const okV1 = {
         c.uint.preencode(st, ver.feed >>> 0)
         c.uint.preencode(st, ver.seq >>> 0)
       } else {
-        c.uint.preencode(st, /** @type {number} */ (env.ver) >>> 0)
+        c.uint.preencode(st, verNumber(env.ver))
       }
     }
 
@@ -89,7 +95,7 @@ export const okV1 = {
         c.uint.encode(st, ver.feed >>> 0)
         c.uint.encode(st, ver.seq >>> 0)
       } else {
-        c.uint.encode(st, /** @type {number} */ (env.ver) >>> 0)
+        c.uint.encode(st, verNumber(env.ver))
       }
     }
 
@@ -119,7 +125,7 @@ export const okV1 = {
       if (isObj) {
         out.ver = { feed: c.uint.decode(st) >>> 0, seq: c.uint.decode(st) >>> 0 }
       } else {
-        out.ver = c.uint.decode(st) >>> 0
+        out.ver = c.uint.decode(st)
       }
     }
 
@@ -91,6 +91,18 @@ export function fromThrowable(e, fallbackCode = CODES.DriverError, meta) {
   return err(normalizeCode(fallbackCode), String(e ?? 'Error'), { cause: { name: 'Error' }, meta });
 }
 
+/**
+ * Create a throwable Error carrying a domain code: the counterpart of `err` for APIs that throw.
+ * @param {keyof typeof CODES|string} code
+ * @param {string} message
+ * @returns {Error & { code?: string }}
+ */
+export function codedError(code, message) {
+  const error = /** @type {Error & { code?: string }} */ (new Error(message));
+  error.code = code;
+  return error;
+}
+
 /**
  * Is the given value a success envelope?
  * @param {any} env
@@ -32,3 +32,9 @@ test('result CE: discriminated union roundtrip', (t) => {
   t.is(c.decode(resultV1, bb).ok, false)
 })
 
+test('result CE: numeric ver keeps 53-bit precision', (t) => {
+  const ver = Date.now() * 1024 + 7
+  t.is(decodeResult(encodeResult(ok(b4a.from('v'), { ver }))).ver, ver)
+  t.is(decodeResult(encodeResult(ok(undefined, { ver: 3 }))).ver, 3)
+  t.alike(decodeResult(encodeResult(ok(undefined, { ver: { feed: 1, seq: 2 } }))).ver, { feed: 1, seq: 2 })
+})
@@ -4,9 +4,10 @@ import { fs, isFsAvailable } from './platform/fs.js';
 import { path } from './platform/path.js';
 import b4a from 'b4a';
 import c from 'compact-encoding';
-import { ok, err, CODES } from './result/index.js';
+import { ok, err, isOk, isErr, CODES, codedError, encodeResult, decodeResult } from './result/index.js';
+import { makeCodec } from './codec/index.js';
 import { encodeU16LE, decodeU16LE, encodeU32LE, decodeU32LE, encodeBool, decodeBool } from './bytes/index.js';
-import { getReqCodec, delReqCodec, putReqCodec, appendReqCodec, scanReqCodec } from './protocol/store.js';
+import { getReqCodec, delReqCodec, putReqCodec, appendReqCodec, scanReqCodec, batchReqCodec, watchReqCodec } from './protocol/store.js';
 import { loadRootEnv } from './env/index.js';
 import { createLogger } from './log/index.js';
 loadRootEnv();
@@ -30,6 +31,9 @@ const envMax = Number(process.env.PLEX_RPC_MAX_REQUEST_BYTES);
 const MAX_REQ_BYTES = Number.isFinite(envMax) && envMax > 0 ? envMax : DEFAULT_MAX_REQ_BYTES;
 const DEFAULT_MAX_CLIENT_ROUTES = 256;
 const DEFAULT_MAX_SERVER_ROUTES = 256;
+const DEFAULT_STREAM_WINDOW = 64;
+// Credit frames carry the window as a u32.
+const MAX_STREAM_WINDOW = 0xffffffff;
 
 function resolveRouteLimit(raw, fallback) {
   if (raw === undefined || raw === null || raw === '') return fallback;
@@ -46,14 +50,41 @@ function getMaxServerRoutes() {
   return resolveRouteLimit(process.env.PLEX_RPC_MAX_SERVER_ROUTES, DEFAULT_MAX_SERVER_ROUTES);
 }
 
+// A window goes on the wire, so unlike the route limits a bad one is an error rather than a fallback.
+function resolveStreamWindow(raw, label) {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  if (!Number.isInteger(raw) || raw < 0 || raw > MAX_STREAM_WINDOW) {
+    throw codedError(CODES.BadArg, `${label} must be an integer in 0..${MAX_STREAM_WINDOW}`);
+  }
+  return raw;
+}
+
+// Items a stream route may have in flight before the server waits for more credit; 0 disables flow control.
+function getStreamWindow() {
+  const raw = process.env.PLEX_RPC_STREAM_WINDOW;
+  return resolveStreamWindow(raw ? Number(raw) : undefined, 'PLEX_RPC_STREAM_WINDOW') ?? DEFAULT_STREAM_WINDOW;
+}
+
 // Frame type constants
 const FT_REQ = 0;
 const FT_RES = 1;
 const FT_CANCEL = 2;
+// Client -> server request chunk for client-streaming/bidi routes; more=false ends the client half.
+const FT_DATA = 3;
+// Client -> server stream credit. The initial window is sent just before the REQ so servers that
+// predate it (and ignore unknown frame types) keep streaming unbounded; later frames grant more.
+// Frames arrive in order, so a server only remembers the latest initial window and drops it at
+// the next REQ: a window that is not followed by its own REQ is ignored.
+const FT_CREDIT = 4;
 
 const FT_REQ_BUF = new Uint8Array([FT_REQ]);
 const FT_RES_BUF = new Uint8Array([FT_RES]);
 const FT_CANCEL_BUF = new Uint8Array([FT_CANCEL]);
+const FT_DATA_BUF = new Uint8Array([FT_DATA]);
+const FT_CREDIT_BUF = new Uint8Array([FT_CREDIT]);
+
+// Method kinds whose requests arrive as a stream of FT_DATA chunks after the opening FT_REQ.
+const INBOUND_KINDS = new Set(['client-stream', 'bidi']);
 
 // Method ids (StorePort v1)
 const MID_GET = 0;
@@ -61,15 +92,19 @@ const MID_PUT = 1;
 const MID_DEL = 2;
 const MID_SCAN = 3;
 const MID_APPEND = 4;
+const MID_BATCH = 5;
+const MID_WATCH = 6;
 
-export const METHOD = { GET: MID_GET, PUT: MID_PUT, DEL: MID_DEL, SCAN: MID_SCAN };
+export const METHOD = { GET: MID_GET, PUT: MID_PUT, DEL: MID_DEL, SCAN: MID_SCAN, BATCH: MID_BATCH, WATCH: MID_WATCH };
 
 const MID_NAME = {
   [MID_GET]: 'GET',
   [MID_PUT]: 'PUT',
   [MID_DEL]: 'DEL',
   [MID_SCAN]: 'SCAN',
-  [MID_APPEND]: 'APPEND'
+  [MID_APPEND]: 'APPEND',
+  [MID_BATCH]: 'BATCH',
+  [MID_WATCH]: 'WATCH'
 };
 
 const EMPTY = new Uint8Array(0);
@@ -79,7 +114,9 @@ const encReq = {
   [MID_DEL]: (o) => c.encode(delReqCodec.cSchema, o || {}),
   [MID_PUT]: (o) => c.encode(putReqCodec.cSchema, o || {}),
   [MID_APPEND]: (o) => c.encode(appendReqCodec.cSchema, o || {}),
-  [MID_SCAN]: (o) => c.encode(scanReqCodec.cSchema, o || {})
+  [MID_SCAN]: (o) => c.encode(scanReqCodec.cSchema, o || {}),
+  [MID_BATCH]: (o) => c.encode(batchReqCodec.cSchema, o || {}),
+  [MID_WATCH]: (o) => c.encode(watchReqCodec.cSchema, o || {})
 };
 
 const decReq = {
@@ -87,7 +124,19 @@ const decReq = {
   [MID_DEL]: (buf) => c.decode(delReqCodec.cSchema, buf),
   [MID_PUT]: (buf) => c.decode(putReqCodec.cSchema, buf),
   [MID_SCAN]: (buf) => c.decode(scanReqCodec.cSchema, buf),
-  [MID_APPEND]: (buf) => c.decode(appendReqCodec.cSchema, buf)
+  [MID_APPEND]: (buf) => c.decode(appendReqCodec.cSchema, buf),
+  [MID_BATCH]: (buf) => c.decode(batchReqCodec.cSchema, buf),
+  [MID_WATCH]: (buf) => c.decode(watchReqCodec.cSchema, buf)
+};
+
+const portFn = {
+  [MID_GET]: 'get',
+  [MID_PUT]: 'put',
+  [MID_DEL]: 'del',
+  [MID_SCAN]: 'scan',
+  [MID_APPEND]: 'append',
+  [MID_BATCH]: 'batch',
+  [MID_WATCH]: 'watch'
 };
 
 function encodeBytes(u8) {
@@ -114,6 +163,24 @@ function decodeString(buf, offset = 0) {
   return [b4a.toString(buf.subarray(start, end), 'utf8'), end];
 }
 
+// Numeric versions and log positions ride as optional trailing hi/lo u32 pairs so older decoders
+// ignore them. A position needs the version slot in front of it (0 when there is no version).
+function encodeU64(n) {
+  return b4a.concat([encodeU32LE(Math.floor(n / 0x100000000)), encodeU32LE(n >>> 0)]);
+}
+
+function decodeU64(buf, offset) {
+  return decodeU32LE(buf, offset) * 0x100000000 + decodeU32LE(buf, offset + 4);
+}
+
+function encodeTrailer(env) {
+  const hasVer = Number.isSafeInteger(env.ver) && env.ver > 0;
+  const hasPos = Number.isSafeInteger(env.pos) && env.pos >= 0;
+  if (!hasVer && !hasPos) return EMPTY;
+  const ver = encodeU64(hasVer ? env.ver : 0);
+  return hasPos ? b4a.concat([ver, encodeU64(env.pos)]) : ver;
+}
+
 function encodeEnvelope(env) {
   const okFlag = encodeBool(!!env?.ok);
   if (env?.ok) {
@@ -126,12 +193,14 @@ function encodeEnvelope(env) {
       encodeBool(hasValue),
       valueBytes,
       encodeBool(hasMetaKey),
-      metaKeyBytes
+      metaKeyBytes,
+      encodeTrailer(env)
     ]);
   }
   const code = encodeString(env?.code || CODES.Unknown);
   const message = encodeString(env?.message || '');
-  return b4a.concat([okFlag, code, message]);
+  // Errors trail the current ver too, so a CASFailed tells the client what to retry against.
+  return b4a.concat([okFlag, code, message, encodeTrailer({ ver: env?.ver })]);
 }
 
 function decodeEnvelope(buf) {
@@ -143,11 +212,18 @@ function decodeEnvelope(buf) {
     const hasKey = decodeBool(buf, off); off += 1;
     let key; [key, off] = decodeBytes(buf, off);
     const meta = hasKey ? { key } : undefined;
-    return ok(value, meta ? { meta } : undefined);
+    const ver = off + 8 <= buf.length ? decodeU64(buf, off) || undefined : undefined;
+    const pos = off + 16 <= buf.length ? decodeU64(buf, off + 8) : undefined;
+    return ok(value, { meta, ver, pos });
   }
   let code; [code, off] = decodeString(buf, off);
   let message; [message, off] = decodeString(buf, off);
-  return err(code, message);
+  const out = err(code, message);
+  if (off + 8 <= buf.length) {
+    const ver = decodeU64(buf, off);
+    if (ver) out.ver = ver;
+  }
+  return out;
 }
 
 function encReqFrame(rid, mid, payload) {
@@ -162,12 +238,20 @@ function encCancelFrame(rid, mid) {
   return b4a.concat([FT_CANCEL_BUF, encodeU32LE(rid), new Uint8Array([mid])]);
 }
 
+function encDataFrame(rid, mid, more, payload) {
+  return b4a.concat([FT_DATA_BUF, encodeU32LE(rid), new Uint8Array([mid, more ? 1 : 0]), payload || EMPTY]);
+}
+
+function encCreditFrame(rid, mid, initial, credits) {
+  return b4a.concat([FT_CREDIT_BUF, encodeU32LE(rid), new Uint8Array([mid, initial ? 1 : 0]), encodeU32LE(credits)]);
+}
+
 function decFrame(buf) {
   let off = 0;
   const t = buf[off++];
   const rid = decodeU32LE(buf, off); off += 4;
   const mid = buf[off++];
-  if (t === FT_RES) {
+  if (t === FT_RES || t === FT_DATA) {
     const more = buf[off++] === 1;
     const payload = buf.subarray(off);
     return { t, rid, mid, more, payload };
@@ -179,6 +263,11 @@ function decFrame(buf) {
   if (t === FT_CANCEL) {
     return { t, rid, mid };
   }
+  if (t === FT_CREDIT) {
+    const initial = buf[off++] === 1;
+    const credits = decodeU32LE(buf, off);
+    return { t, rid, mid, initial, credits };
+  }
   return { t: 255 };
 }
 
@@ -243,6 +332,8 @@ function frameTypeName(t) {
   if (t === FT_REQ) return 'req';
   if (t === FT_RES) return 'res';
   if (t === FT_CANCEL) return 'cancel';
+  if (t === FT_DATA) return 'data';
+  if (t === FT_CREDIT) return 'credit';
   return 'unknown';
 }
 
@@ -252,16 +343,100 @@ function envelopeFromError(e, fallback = 'Unknown error') {
 }
 
 /**
- * @param {{ duplex:any, port:{ get?:(o:any)=>Promise<any>, put?:(o:any)=>Promise<any>, del?:(o:any)=>Promise<any>, append?:(o:any)=>Promise<any>, scan?:(o:any)=>AsyncIterable<any> }, logger?:any, log?:any }} io
+ * Pull-based queue exposed as an AsyncIterable; feeds inbound request chunks to handlers.
  */
-export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
+function createChunkQueue() {
+  const queue = [];
+  const waiters = [];
+  let done = false;
+  let error = null;
+
+  const pump = () => {
+    while (waiters.length) {
+      if (queue.length) waiters.shift().resolve({ value: queue.shift(), done: false });
+      else if (error) waiters.shift().reject(error);
+      else if (done) waiters.shift().resolve({ value: undefined, done: true });
+      else break;
+    }
+  };
+
+  const iterable = {
+    next() {
+      if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+      if (error) return Promise.reject(error);
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve, reject) => { waiters.push({ resolve, reject }); });
+    },
+    async return() {
+      done = true;
+      queue.length = 0;
+      pump();
+      return { value: undefined, done: true };
+    },
+    [Symbol.asyncIterator]() { return this; }
+  };
+
+  return {
+    iterable,
+    push(value) {
+      if (done || error) return;
+      queue.push(value);
+      pump();
+    },
+    end() {
+      done = true;
+      pump();
+    },
+    fail(e) {
+      if (done || error) return;
+      error = e instanceof Error ? e : new Error(String(e));
+      pump();
+    }
+  };
+}
+
+function isIterable(source) {
+  return !!source && (typeof source[Symbol.asyncIterator] === 'function' || typeof source[Symbol.iterator] === 'function');
+}
+
+/**
+ * StorePort method table: how each method id is named, framed and (de)serialized.
+ * @returns {Map<number, { name:string, kind:'unary'|'stream', encodeRequest:(o:any)=>Uint8Array, decodeRequest:(buf:Uint8Array)=>any, encodeResponse:(env:any)=>Uint8Array, decodeResponse:(buf:Uint8Array)=>any }>}
+ */
+function storeMethods() {
+  const methods = new Map();
+  for (const mid of [MID_GET, MID_PUT, MID_DEL, MID_SCAN, MID_APPEND, MID_BATCH, MID_WATCH]) {
+    methods.set(mid, {
+      name: MID_NAME[mid],
+      kind: mid === MID_SCAN || mid === MID_WATCH ? 'stream' : 'unary',
+      encodeRequest: encReq[mid],
+      decodeRequest: decReq[mid],
+      encodeResponse: encodeEnvelope,
+      decodeResponse: decodeEnvelope
+    });
+  }
+  return methods;
+}
+
+/**
+ * Serve a method table over a Plex duplex using REQ/RES/CANCEL framing.
+ * Shared by the StorePort server and schema-driven services.
+ *
+ * @param {{ duplex:any, methods:Map<number, any>, encodeFallback?:(env:any)=>Uint8Array, logger?:any, log?:any }} io
+ */
+function serveRoutes({ duplex, methods, encodeFallback = encodeEnvelope, logger, log: logOpt }) {
   const baseLog = resolveLogger({ logger, log: logOpt });
   const log = baseLog;
   const serverLog = serverLogger(baseLog);
   const inflight = new Map();
+  /** @type {{ rid:number, credits:number }|null} initial stream window announced just ahead of its REQ */
+  let pendingWindow = null;
   const maxServerRoutes = getMaxServerRoutes();
   const serverLimitEnabled = maxServerRoutes > 0;
 
+  const methodName = (mid) => methods.get(mid)?.name ?? mid;
+  const encodeResponse = (mid, env) => (methods.get(mid)?.encodeResponse ?? encodeFallback)(env);
+
   const finishStream = (entry) => {
     if (entry.end) entry.end();
     inflight.delete(entry.rid);
@@ -278,18 +453,22 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
   };
 
   function respondOnce(rid, mid, env) {
-    const payload = encodeEnvelope(env ?? ok());
+    const payload = encodeResponse(mid, env ?? ok());
     const frame = encResFrame(rid, mid, false, payload);
     sendFrame({ rid, mid, more: false, payloadLen: payload.length }, frame);
   }
 
-  async function handleUnary(rid, mid, handler, opts) {
+  async function handleUnary(rid, mid, handler, opts, inbound) {
     const entry = {
       rid,
       mid,
       type: 'unary',
+      inbound,
       cancelled: false,
-      cancel: async () => { entry.cancelled = true; },
+      cancel: async () => {
+        entry.cancelled = true;
+        inbound?.fail(new Error('Request cancelled'));
+      },
       end: () => {},
       fail: () => {}
     };
@@ -306,25 +485,41 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
     }
   }
 
-  async function handleScan(rid, mid, iterator) {
+  function waitCredit(entry) {
+    return new Promise((resolve) => { entry.wake = resolve; });
+  }
+
+  async function handleScan(rid, mid, iterator, inbound, window) {
     const entry = {
       rid,
       mid,
       type: 'stream',
+      inbound,
+      credits: window > 0 ? window : Infinity,
+      wake: null,
+      grant: (n) => {
+        entry.credits += n;
+        const wake = entry.wake;
+        entry.wake = null;
+        wake?.();
+      },
       cancel: async () => {
         entry.cancelled = true;
+        entry.grant(0);
+        inbound?.fail(new Error('Stream cancelled'));
         if (iterator?.return) {
           try { await iterator.return(); } catch {}
         }
       },
-      end: () => {
+      end: (final) => {
         if (entry.done) return;
         entry.done = true;
-        const terminal = encResFrame(rid, mid, false, EMPTY);
-        sendFrame({ rid, mid, more: false, payloadLen: 0 }, terminal);
+        const payload = final === undefined ? EMPTY : encodeResponse(mid, final);
+        const terminal = encResFrame(rid, mid, false, payload);
+        sendFrame({ rid, mid, more: false, payloadLen: payload.length }, terminal);
       },
       fail: (err) => {
-        const payload = encodeEnvelope(envelopeFromError(err));
+        const payload = encodeResponse(mid, envelopeFromError(err));
         const frame = encResFrame(rid, mid, false, payload);
         sendFrame({ rid, mid, more: false, payloadLen: payload.length }, frame);
       },
@@ -333,15 +528,32 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
     };
     inflight.set(rid, entry);
 
+    // Iterated by hand so the handler's return value (an ok envelope, e.g. a scan's continuation
+    // cursor) can ride on the terminal frame.
+    const it = iterator[Symbol.asyncIterator]();
+    let final;
+    // Like for-await: return() the iterator when leaving early, not when it finished or threw.
+    let open = false;
     try {
-      for await (const env of iterator) {
+      for (;;) {
+        open = false;
+        const step = await it.next();
+        if (step.done) {
+          if (isOk(step.value) || isErr(step.value)) final = step.value;
+          break;
+        }
+        open = true;
         if (entry.cancelled) break;
-        const payload = encodeEnvelope(env);
+        const payload = encodeResponse(mid, step.value);
         const frame = encResFrame(rid, mid, true, payload);
         sendFrame({ rid, mid, more: true, payloadLen: payload.length }, frame);
+        entry.credits -= 1;
+        while (entry.credits <= 0 && !entry.cancelled) await waitCredit(entry);
       }
-      if (!entry.cancelled) entry.end();
+      if (open) await it.return?.();
+      if (!entry.cancelled) entry.end(final);
     } catch (err) {
+      if (open) { try { await it.return?.(); } catch {} }
       if (!entry.cancelled) entry.fail(err);
     } finally {
       inflight.delete(rid);
@@ -350,6 +562,8 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
 
   function handleReq(rid, mid, payload) {
     trace(log, 'server', 'req', { rid, mid, payloadLen: payload?.length ?? 0 });
+    const window = pendingWindow?.rid === rid ? pendingWindow.credits : undefined;
+    pendingWindow = null;
     if (STALL_WARN_MS > 0) {
       serverLog.debug('received request', { rid, mid, payloadLen: payload?.length ?? 0 });
     }
@@ -357,9 +571,11 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
       respondOnce(rid, mid, err(CODES.PayloadTooLarge, 'Request payload exceeds limit', { details: { limit: MAX_REQ_BYTES, actual: payload.length } }));
       return;
     }
+    const method = methods.get(mid);
+    const streamsIn = INBOUND_KINDS.has(method?.kind);
     let opts = {};
     try {
-      opts = decReq[mid]?.(payload) ?? {};
+      opts = method && !streamsIn ? method.decodeRequest(payload) : {};
     } catch {
       respondOnce(rid, mid, err(CODES.Unknown, 'Bad request payload'));
       return;
@@ -369,7 +585,7 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
       serverLog.warn('server route limit reached', {
         rid,
         mid,
-        method: MID_NAME[mid] || mid,
+        method: methodName(mid),
         limit: maxServerRoutes,
         inflight: inflight.size
       });
@@ -380,40 +596,98 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
       return;
     }
 
-    const unary = {
-      [MID_GET]: port.get,
-      [MID_PUT]: port.put,
-      [MID_DEL]: port.del,
-      [MID_APPEND]: port.append
-    };
+    if (streamsIn) {
+      if (typeof method.handler !== 'function') {
+        respondOnce(rid, mid, err(CODES.Unknown, `${method.name} not supported`));
+        return;
+      }
+      handleInbound(rid, mid, method, window);
+      return;
+    }
 
-    if (mid === MID_SCAN) {
-      if (typeof port.scan !== 'function') {
-        respondOnce(rid, mid, err(CODES.Unknown, 'Scan not supported'));
+    if (method?.kind === 'stream') {
+      if (typeof method.handler !== 'function') {
+        respondOnce(rid, mid, err(CODES.Unknown, `${method.name} not supported`));
         return;
       }
       let iterator;
       try {
-        iterator = port.scan(opts);
+        iterator = method.handler(opts);
       } catch (err) {
         respondOnce(rid, mid, envelopeFromError(err));
         return;
       }
       if (!iterator || typeof iterator[Symbol.asyncIterator] !== 'function') {
-        respondOnce(rid, mid, err(CODES.Unknown, 'scan() must return AsyncIterable'));
+        respondOnce(rid, mid, err(CODES.Unknown, `${method.name}() must return AsyncIterable`));
         return;
       }
-      handleScan(rid, mid, iterator);
+      handleScan(rid, mid, iterator, undefined, window);
       return;
     }
 
-    const fn = unary[mid];
+    const fn = method?.handler;
     if (typeof fn !== 'function') {
       respondOnce(rid, mid, err(CODES.Unknown, 'Unknown method'));
       return;
     }
 
-    handleUnary(rid, mid, fn.bind(port), opts);
+    handleUnary(rid, mid, fn, opts);
+  }
+
+  function handleInbound(rid, mid, method, window) {
+    const inbound = createChunkQueue();
+    if (method.kind === 'client-stream') {
+      handleUnary(rid, mid, method.handler, inbound.iterable, inbound);
+      return;
+    }
+    let iterator;
+    try {
+      iterator = method.handler(inbound.iterable);
+    } catch (err) {
+      respondOnce(rid, mid, envelopeFromError(err));
+      return;
+    }
+    if (!iterator || typeof iterator[Symbol.asyncIterator] !== 'function') {
+      respondOnce(rid, mid, err(CODES.Unknown, `${method.name}() must return AsyncIterable`));
+      return;
+    }
+    handleScan(rid, mid, iterator, inbound, window);
+  }
+
+  function abortInbound(entry, env) {
+    if (entry.cancelled) return;
+    entry.done = true;
+    entry.cancel().catch(() => {});
+    respondOnce(entry.rid, entry.mid, env);
+  }
+
+  function handleData(rid, more, payload) {
+    const entry = inflight.get(rid);
+    if (!entry?.inbound || entry.cancelled) return;
+    if (!more) {
+      entry.inbound.end();
+      return;
+    }
+    if (payload && payload.length > MAX_REQ_BYTES) {
+      abortInbound(entry, err(CODES.PayloadTooLarge, 'Request payload exceeds limit', { details: { limit: MAX_REQ_BYTES, actual: payload.length } }));
+      return;
+    }
+    let chunk;
+    try {
+      chunk = methods.get(entry.mid).decodeRequest(payload);
+    } catch {
+      abortInbound(entry, err(CODES.Unknown, 'Bad request payload'));
+      return;
+    }
+    entry.inbound.push(chunk);
+  }
+
+  function handleCredit(rid, initial, credits) {
+    if (initial) {
+      pendingWindow = { rid, credits };
+      return;
+    }
+    inflight.get(rid)?.grant?.(credits);
   }
 
   function handleCancel(rid) {
@@ -430,6 +704,8 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
     traceFrame(log, 'server', 'rx', buf, { frame: frameTypeName(f.t), rid: f.rid, mid: f.mid, more: f.more === true, payloadLen: f.payload ? f.payload.length : 0 });
     if (f.t === FT_REQ) return handleReq(f.rid, f.mid, f.payload);
     if (f.t === FT_CANCEL) return handleCancel(f.rid);
+    if (f.t === FT_DATA) return handleData(f.rid, f.more, f.payload);
+    if (f.t === FT_CREDIT) return handleCredit(f.rid, f.initial, f.credits);
   };
 
   duplex.on('data', onData);
@@ -439,6 +715,7 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
       try { entry.cancel?.(); } catch {}
     }
     inflight.clear();
+    pendingWindow = null;
   };
   duplex.on('close', serverFlush);
   duplex.on('end', serverFlush);
@@ -455,9 +732,27 @@ export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
 }
 
 /**
- * @param {{ duplex:any, logger?:any, log?:any }} io
+ * @param {{ duplex:any, port:{ get?:(o:any)=>Promise<any>, put?:(o:any)=>Promise<any>, del?:(o:any)=>Promise<any>, append?:(o:any)=>Promise<any>, batch?:(o:any)=>Promise<any>, scan?:(o:any)=>AsyncIterable<any>, watch?:(o:any)=>AsyncIterable<any> }, logger?:any, log?:any }} io
+ */
+export function serveStorePortOverPlex({ duplex, port, logger, log: logOpt }) {
+  const methods = storeMethods();
+  for (const [mid, method] of methods) {
+    const fn = port?.[portFn[mid]];
+    if (typeof fn === 'function') method.handler = fn.bind(port);
+  }
+  return serveRoutes({ duplex, methods, logger, log: logOpt });
+}
+
+/**
+ * Client side of the REQ/RES/CANCEL framing for a method table.
+ * Shared by the StorePort proxy and schema-driven service clients.
+ *
+ * Stream routes grant the server `streamWindow` items up front and top the credit up as the
+ * consumer pulls, so the local queue never holds more than one window.
+ *
+ * @param {{ duplex:any, methods:Map<number, any>, decodeFallback?:(buf:Uint8Array)=>any, streamWindow?:number, logger?:any, log?:any }} io
  */
-export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
+function createRouteClient({ duplex, methods, decodeFallback = decodeEnvelope, streamWindow, logger, log: logOpt }) {
   const baseLog = resolveLogger({ logger, log: logOpt });
   const log = baseLog;
   const clientLog = clientLogger(baseLog);
@@ -468,6 +763,9 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
   const recentlyClosed = new Map();
   const maxClientRoutes = getMaxClientRoutes();
   const clientLimitEnabled = maxClientRoutes > 0;
+  const window = resolveStreamWindow(streamWindow, 'streamWindow') ?? getStreamWindow();
+
+  const methodName = (mid) => methods.get(mid)?.name ?? mid;
 
   function trackClosed(route) {
     if (!route || ORPHAN_TTL_MS <= 0) return;
@@ -631,7 +929,7 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
           clientLog.warn('request stalled without response', {
             rid: route.rid,
             mid: route.mid,
-            method: MID_NAME[route.mid] || route.mid,
+            method: methodName(route.mid),
             ms: Date.now() - route.startedAt,
             routes: routes.size,
             ...route.meta
@@ -646,7 +944,7 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
         clientLog.warn('request still pending', {
           rid: route.rid,
           mid: route.mid,
-          method: MID_NAME[route.mid] || route.mid,
+          method: methodName(route.mid),
           ageMs,
           routes: routes.size,
           ...route.meta
@@ -667,46 +965,71 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
     } catch {}
   }
 
+  function sendCredit(route, initial, credits) {
+    const frame = encCreditFrame(route.rid, route.mid, initial, credits);
+    traceFrame(log, 'client', 'tx', frame, { rid: route.rid, mid: route.mid, frame: 'credit', credits });
+    duplex.write(frame);
+  }
+
+  // Called for every item handed to the consumer; grants credit back in half-window batches.
+  function consumed(route) {
+    if (!(window > 0) || route.state !== 'active') return;
+    route.consumed += 1;
+    if (route.consumed < Math.ceil(window / 2)) return;
+    const credits = route.consumed;
+    route.consumed = 0;
+    try { sendCredit(route, false, credits); } catch {}
+  }
+
   function enforceRequestLimit(length, mid) {
     if (length > MAX_REQ_BYTES) {
-      const method = MID_NAME[mid] || mid;
-      const error = new Error(`Request payload exceeds limit (${length} > ${MAX_REQ_BYTES}) for ${method}`);
-      error.code = CODES.PayloadTooLarge;
-      throw error;
+      const method = methodName(mid);
+      throw codedError(CODES.PayloadTooLarge, `Request payload exceeds limit (${length} > ${MAX_REQ_BYTES}) for ${method}`);
     }
   }
 
-  function startRoute(mid, opts, type) {
+  function splitCallOptions(opts) {
+    let signal;
+    let timeoutOverride;
+    if (opts && typeof opts === 'object') {
+      signal = opts.signal;
+      if (Object.prototype.hasOwnProperty.call(opts, 'timeoutMs')) timeoutOverride = opts.timeoutMs;
+      else if (Object.prototype.hasOwnProperty.call(opts, 'timeout')) timeoutOverride = opts.timeout;
+    }
+    return { signal, timeoutOverride };
+  }
+
+  /**
+   * @param {number} mid
+   * @param {any} opts request value (StorePort options carry signal/timeout inline)
+   * @param {'unary'|'stream'} type
+   * @param {{ signal?:any, timeoutMs?:number, timeout?:number }} [callOpts] per-call options kept off the wire
+   */
+  function startRoute(mid, opts, type, callOpts) {
     const rid = nextRid++;
 
     if (clientLimitEnabled && routes.size >= maxClientRoutes) {
       clientLog.warn('client route limit reached', {
         rid,
         mid,
-        method: MID_NAME[mid] || mid,
+        method: methodName(mid),
         limit: maxClientRoutes,
         routes: routes.size
       });
-      const limitError = new Error('Too many in-flight Plex client routes');
-      limitError.code = CODES.NotReady;
+      const limitError = codedError(CODES.NotReady, 'Too many in-flight Plex client routes');
       try { duplex.destroy?.(limitError); } catch {}
       throw limitError;
     }
-    let signal;
-    let timeoutOverride;
+    const { signal, timeoutOverride } = splitCallOptions(callOpts ?? opts);
     let payloadOpts = opts;
-    if (opts && typeof opts === 'object') {
-      signal = opts.signal;
-      if (Object.prototype.hasOwnProperty.call(opts, 'timeoutMs')) timeoutOverride = opts.timeoutMs;
-      else if (Object.prototype.hasOwnProperty.call(opts, 'timeout')) timeoutOverride = opts.timeout;
-      if (signal || timeoutOverride !== undefined) {
-        payloadOpts = { ...opts };
-        if ('signal' in payloadOpts) delete payloadOpts.signal;
-        if ('timeoutMs' in payloadOpts) delete payloadOpts.timeoutMs;
-        if ('timeout' in payloadOpts) delete payloadOpts.timeout;
-      }
+    if (!callOpts && opts && typeof opts === 'object' && (signal || timeoutOverride !== undefined)) {
+      payloadOpts = { ...opts };
+      if ('signal' in payloadOpts) delete payloadOpts.signal;
+      if ('timeoutMs' in payloadOpts) delete payloadOpts.timeoutMs;
+      if ('timeout' in payloadOpts) delete payloadOpts.timeout;
     }
-    const payload = encReq[mid] ? encReq[mid](payloadOpts || {}) : EMPTY;
+    const method = methods.get(mid);
+    const payload = method?.encodeRequest && !INBOUND_KINDS.has(method.kind) ? method.encodeRequest(payloadOpts) : EMPTY;
     enforceRequestLimit(payload.length, mid);
     const computedTimeout = computeTimeoutMs(timeoutOverride);
     const route = {
@@ -716,7 +1039,7 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
       state: 'active',
       startedAt: Date.now(),
       seenData: false,
-      meta: describeOpts(mid, (opts && typeof opts === 'object') ? opts : {}),
+      meta: describeOpts(mid, (opts && typeof opts === 'object') ? { ...opts, ...callOpts } : { ...callOpts }),
       stallTimer: null,
       pendingTimer: null,
       timeoutTimer: null,
@@ -730,11 +1053,12 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
       route.meta.timeoutMs = computedTimeout;
     }
     trace(log, 'client', 'req', { rid, mid, payloadLen: payload.length, ...route.meta });
-    clientLog.debug('request sent', { rid, mid, payloadLen: payload.length, method: MID_NAME[mid] || mid, ...route.meta });
+    clientLog.debug('request sent', { rid, mid, payloadLen: payload.length, method: methodName(mid), ...route.meta });
     setupTimers(route);
     attachAbortSignal(route, signal);
     scheduleRouteTimeout(route, computedTimeout);
     try {
+      if (type === 'stream' && window > 0) sendCredit(route, true, window);
       const frame = encReqFrame(rid, mid, payload);
       traceFrame(log, 'client', 'tx', frame, { rid, mid, frame: 'req', payloadLen: payload.length });
       duplex.write(frame);
@@ -745,9 +1069,54 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
     return route;
   }
 
-  function callUnary(mid, opts) {
+  function waitWritable() {
+    return new Promise((resolve) => {
+      const done = () => {
+        duplex.off?.('drain', done);
+        duplex.off?.('close', done);
+        resolve();
+      };
+      duplex.on('drain', done);
+      duplex.on('close', done);
+    });
+  }
+
+  /**
+   * Send request chunks from `source` as FT_DATA frames, then the end-of-stream marker.
+   * Stops when the route settles (response, cancel, timeout) and honours duplex backpressure.
+   */
+  async function pumpSource(route, source) {
+    const method = methods.get(route.mid);
+    try {
+      for await (const chunk of source) {
+        if (route.state !== 'active') break;
+        const payload = method.encodeRequest(chunk);
+        enforceRequestLimit(payload.length, route.mid);
+        const frame = encDataFrame(route.rid, route.mid, true, payload);
+        traceFrame(log, 'client', 'tx', frame, { rid: route.rid, mid: route.mid, frame: 'data', more: true, payloadLen: payload.length });
+        if (duplex.write(frame) === false && !duplex.destroyed) await waitWritable();
+      }
+      if (route.state !== 'active') return;
+      const end = encDataFrame(route.rid, route.mid, false, EMPTY);
+      traceFrame(log, 'client', 'tx', end, { rid: route.rid, mid: route.mid, frame: 'data', more: false, payloadLen: 0 });
+      duplex.write(end);
+    } catch (error) {
+      if (route.state !== 'active') return;
+      clientLog.debug('request source failed', { rid: route.rid, mid: route.mid, method: methodName(route.mid), message: String(error?.message || error) });
+      sendCancel(route);
+      closeRoute(route, error instanceof Error ? error : new Error(String(error)));
+    }
+  }
+
+  function assertSource(mid, source) {
+    if (!INBOUND_KINDS.has(methods.get(mid)?.kind)) return;
+    if (!isIterable(source)) throw new TypeError(`${methodName(mid)}: request source must be an (async) iterable`);
+  }
+
+  function callUnary(mid, opts, callOpts, source) {
     return new Promise((resolve, reject) => {
-      const route = startRoute(mid, opts, 'unary');
+      assertSource(mid, source);
+      const route = startRoute(mid, opts, 'unary', callOpts);
       route.resolve = resolve;
       route.reject = reject;
       route.result = ok();
@@ -757,15 +1126,18 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
         sendCancel(route);
         closeRoute(route, new Error('Request cancelled'));
       };
+      if (source) pumpSource(route, source);
     });
   }
 
-  function createStream(mid, opts) {
-    const route = startRoute(mid, opts, 'stream');
+  function createStream(mid, opts, callOpts, source) {
+    assertSource(mid, source);
+    const route = startRoute(mid, opts, 'stream', callOpts);
     route.queue = [];
     route.waiters = [];
     route.done = false;
     route.error = null;
+    route.consumed = 0;
 
     const pump = () => {
       if (route.waiters.length) {
@@ -775,9 +1147,10 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
         } else if (route.queue.length) {
           const { resolve } = route.waiters.shift();
           resolve({ value: route.queue.shift(), done: false });
+          consumed(route);
         } else if (route.done) {
           const { resolve } = route.waiters.shift();
-          resolve({ value: undefined, done: true });
+          resolve({ value: route.final, done: true });
         }
       }
     };
@@ -809,6 +1182,7 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
       async next() {
         if (route.queue.length) {
           const value = route.queue.shift();
+          consumed(route);
           return { value, done: false };
         }
         if (route.error) {
@@ -817,7 +1191,7 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
           throw err;
         }
         if (route.done || route.state === 'closed') {
-          return { value: undefined, done: true };
+          return { value: route.final, done: true };
         }
         return await new Promise((resolve, reject) => {
           route.waiters.push({ resolve, reject });
@@ -839,6 +1213,7 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
     };
 
     route.iterator = iterator;
+    if (source) pumpSource(route, source);
     return iterator;
   }
 
@@ -864,12 +1239,15 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
 
     if (frame.payload && frame.payload.length) {
       try {
-        const env = decodeEnvelope(frame.payload);
+        const env = (methods.get(route.mid)?.decodeResponse ?? decodeFallback)(frame.payload);
         if (route.type === 'unary') {
           route.result = env;
           route.seenData = true;
         } else if (route.type === 'stream') {
-          route.push?.(env);
+          // A terminal ok envelope is the stream's return value (a scan's continuation cursor),
+          // not an item; terminal errors stay items.
+          if (!frame.more && isOk(env)) route.final = env;
+          else route.push?.(env);
         }
       } catch (error) {
         closeRoute(route, error instanceof Error ? error : new Error(String(error)));
@@ -888,13 +1266,8 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
   duplex.on('error', (err) => flushAllClient(err instanceof Error ? err : new Error(String(err))));
 
   return {
-    async waitReady() {},
-    async ready() {},
-    async get(o) { return callUnary(MID_GET, o); },
-    async put(o) { return callUnary(MID_PUT, o); },
-    async del(o) { return callUnary(MID_DEL, o); },
-    async append(o) { return callUnary(MID_APPEND, o); },
-    scan(o) { return createStream(MID_SCAN, o); },
+    callUnary,
+    createStream,
     async close() {
       try { duplex.destroy?.(); } catch {}
       return ok();
@@ -906,3 +1279,173 @@ export function createStorePortProxyOverPlex({ duplex, logger, log: logOpt }) {
     unwrap() { return duplex; }
   };
 }
+
+/**
+ * @param {{ duplex:any, streamWindow?:number, logger?:any, log?:any }} io
+ */
+export function createStorePortProxyOverPlex({ duplex, streamWindow, logger, log: logOpt }) {
+  const client = createRouteClient({ duplex, methods: storeMethods(), streamWindow, logger, log: logOpt });
+  return {
+    async waitReady() {},
+    async ready() {},
+    async get(o) { return client.callUnary(MID_GET, o); },
+    async put(o) { return client.callUnary(MID_PUT, o); },
+    async del(o) { return client.callUnary(MID_DEL, o); },
+    async append(o) { return client.callUnary(MID_APPEND, o); },
+    async batch(o) { return client.callUnary(MID_BATCH, o); },
+    scan(o) { return client.createStream(MID_SCAN, o); },
+    watch(o) { return client.createStream(MID_WATCH, o); },
+    close: client.close,
+    destroy: client.destroy,
+    unwrap: client.unwrap
+  };
+}
+
+
+// Schema-driven services --------------------------------------------------
+
+const SERVICE = Symbol.for('plex.service');
+const SERVICE_KINDS = new Set(['unary', 'stream', 'client-stream', 'bidi']);
+const RESERVED_METHODS = new Set(['close', 'destroy', 'unwrap', 'ready', 'waitReady', 'then']);
+const rawCodec = makeCodec('raw');
+
+function encodeServiceEnvelope(codec, env) {
+  if (env?.ok === true && env.value !== undefined) {
+    return encodeResult({ ...env, value: codec.encode(env.value) });
+  }
+  return encodeResult(env);
+}
+
+function decodeServiceEnvelope(codec, buf) {
+  const env = decodeResult(buf);
+  if (env.ok === true && env.value !== undefined) env.value = codec.decode(env.value);
+  return env;
+}
+
+/**
+ * Handlers may return plain values; wrap anything that is not already an envelope.
+ * @param {any} value
+ */
+function toEnvelope(value) {
+  if (value === undefined) return ok();
+  return isOk(value) || isErr(value) ? value : ok(value);
+}
+
+/**
+ * Define a schema-driven RPC service.
+ * Methods are assigned wire ids in declaration order unless an explicit `id` (0..255) is given,
+ * so appending methods keeps existing ids stable.
+ *
+ * @param {{ name?:string, methods:Record<string, { id?:number, kind?:'unary'|'stream'|'client-stream'|'bidi', request?:any, response?:any }> }} def
+ */
+export function defineService(def) {
+  if (def && def[SERVICE]) return def;
+  const entries = Object.entries(def?.methods || {});
+  if (!entries.length) throw new TypeError('defineService: methods required');
+  const methods = [];
+  const used = new Set();
+  let nextId = 0;
+  for (const [name, spec] of entries) {
+    if (RESERVED_METHODS.has(name)) throw new TypeError(`defineService: method name "${name}" is reserved`);
+    const kind = spec?.kind ?? 'unary';
+    if (!SERVICE_KINDS.has(kind)) throw new TypeError(`defineService: unknown kind "${kind}" for ${name}`);
+    const id = spec?.id ?? nextId;
+    if (!Number.isInteger(id) || id < 0 || id > 255) throw new TypeError(`defineService: id for ${name} must be 0..255`);
+    if (used.has(id)) throw new TypeError(`defineService: duplicate method id ${id} (${name})`);
+    used.add(id);
+    nextId = id + 1;
+    methods.push(Object.freeze({
+      name,
+      id,
+      kind,
+      request: spec?.request ? makeCodec(spec.request) : rawCodec,
+      response: spec?.response ? makeCodec(spec.response) : rawCodec
+    }));
+  }
+  const service = { name: def?.name ?? 'service', methods: Object.freeze(methods) };
+  Object.defineProperty(service, SERVICE, { value: true, enumerable: false });
+  return Object.freeze(service);
+}
+
+function serviceMethods(service) {
+  const methods = new Map();
+  for (const m of service.methods) {
+    methods.set(m.id, {
+      name: m.name,
+      kind: m.kind,
+      encodeRequest: (value) => m.request.encode(value),
+      decodeRequest: (buf) => m.request.decode(buf),
+      encodeResponse: (env) => encodeServiceEnvelope(m.response, env),
+      decodeResponse: (buf) => decodeServiceEnvelope(m.response, buf)
+    });
+  }
+  return methods;
+}
+
+/**
+ * Serve a service definition over a Plex duplex.
+ * Unary handlers receive the decoded request and return a value or envelope;
+ * stream handlers return an AsyncIterable of values or envelopes.
+ * Client-stream and bidi handlers receive an AsyncIterable of decoded requests instead,
+ * returning a single value (client-stream) or an AsyncIterable (bidi).
+ *
+ * @param {{ duplex:any, service:any, handlers:Record<string, (req:any)=>any>, logger?:any, log?:any }} io
+ */
+export function serveService({ duplex, service, handlers, logger, log: logOpt }) {
+  const svc = defineService(service);
+  const methods = serviceMethods(svc);
+  for (const m of svc.methods) {
+    const fn = handlers?.[m.name];
+    if (typeof fn !== 'function') continue;
+    const method = methods.get(m.id);
+    if (m.kind === 'stream' || m.kind === 'bidi') {
+      method.handler = (req) => mapIterable(fn.call(handlers, req), toEnvelope);
+    } else {
+      method.handler = async (req) => toEnvelope(await fn.call(handlers, req));
+    }
+  }
+  return serveRoutes({ duplex, methods, encodeFallback: encodeResult, logger, log: logOpt });
+}
+
+/**
+ * Create a client for a service definition over a Plex duplex.
+ * Each method becomes `client[name](request, { timeoutMs?, signal? })`, returning a
+ * Promise of an envelope (unary) or an AsyncIterable of envelopes (stream).
+ * Client-stream and bidi methods take an (async) iterable of requests in place of `request`.
+ *
+ * @param {{ duplex:any, service:any, streamWindow?:number, logger?:any, log?:any }} io
+ */
+export function createServiceClient({ duplex, service, streamWindow, logger, log: logOpt }) {
+  const svc = defineService(service);
+  const client = createRouteClient({ duplex, methods: serviceMethods(svc), decodeFallback: decodeResult, streamWindow, logger, log: logOpt });
+  const out = {
+    async waitReady() {},
+    async ready() {},
+    close: client.close,
+    destroy: client.destroy,
+    unwrap: client.unwrap
+  };
+  for (const m of svc.methods) {
+    if (m.kind === 'stream') out[m.name] = (req, opts) => client.createStream(m.id, req, opts ?? {});
+    else if (m.kind === 'bidi') out[m.name] = (source, opts) => client.createStream(m.id, undefined, opts ?? {}, source);
+    else if (m.kind === 'client-stream') out[m.name] = async (source, opts) => client.callUnary(m.id, undefined, opts ?? {}, source);
+    else out[m.name] = async (req, opts) => client.callUnary(m.id, req, opts ?? {});
+  }
+  return out;
+}
+
+function mapIterable(iterable, fn) {
+  if (!iterable || typeof iterable[Symbol.asyncIterator] !== 'function') return iterable;
+  const it = iterable[Symbol.asyncIterator]();
+  return {
+    async next() {
+      const step = await it.next();
+      return step.done ? step : { value: fn(step.value), done: false };
+    },
+    async return(value) {
+      if (typeof it.return === 'function') return it.return(value);
+      return { value, done: true };
+    },
+    [Symbol.asyncIterator]() { return this; }
+  };
+}
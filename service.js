@@ -1,7 +1,9 @@
 // @ts-check
 import b4a from 'b4a';
 import { utf8 } from './bytes/index.js';
-import { serveStorePortOverPlex, createStorePortProxyOverPlex } from './rpc.js';
+import { ok, err, isOk, CODES } from './result/index.js';
+import { isCapToken, encodeCapToken } from './protocol/caps.js';
+import { serveStorePortOverPlex, createStorePortProxyOverPlex, serveService, createServiceClient } from './rpc.js';
 
 /**
  * Derive a stable service id (bytes) from namespace/name/version.
@@ -17,17 +19,34 @@ export function deriveId(namespace, name, version) {
   return b4a.concat([utf8.encode('svc:'), ns, utf8.encode('/'), nm, utf8.encode('/'), ver]);
 }
 
+/**
+ * Advertise an exposed service on the peer's registry lane (when it has one); returns the withdraw.
+ * @param {any} peer
+ * @param {any} descriptor
+ * @param {{ id:Uint8Array, lane?:string }} where
+ */
+function advertiseOn(peer, descriptor, { id, lane }) {
+  const ad = peer.services?.advertise(descriptor, { id, lane: lane ?? 'rpc' });
+  return () => ad?.withdraw();
+}
+
 /**
  * Expose a Store Port over a peer's RPC lane.
+ * When `verifyCaps` is given every call is checked (see `guardStorePort`) before the port runs.
+ * With `advertise: true` the port is listed on the peer's registry lane (see `createPeer`'s
+ * `services`) as `{ kind: 'store', ...descriptor }` until disposed.
  * @param {ReturnType<import('./peer.js').createPeer>} peer
- * @param {{ id:Uint8Array, lane?:string, eagerOpen?:boolean }} cfg
+ * @param {{ id:Uint8Array, lane?:string, eagerOpen?:boolean, compression?:any, encrypt?:any, verifyCaps?:CapsVerifier, descriptor?:any, advertise?:boolean }} cfg
  * @param {{ get?:(o:any)=>Promise<any>, put?:(o:any)=>Promise<any>, del?:(o:any)=>Promise<any>, append?:(o:any)=>Promise<any>, scan?:(o:any)=>AsyncIterable<any> }} port
  */
-export function exposeStorePort(peer, { id, lane, eagerOpen = false }, port) {
-  const duplex = lane ? peer.listenLane(id, lane, { eagerOpen }) : peer.listenRpc(id, { eagerOpen });
-  const server = serveStorePortOverPlex({ duplex, port: normalizeStorePort(port) });
+export function exposeStorePort(peer, { id, lane, eagerOpen = false, compression, encrypt, verifyCaps, descriptor, advertise = false }, port) {
+  const duplex = lane ? peer.listenLane(id, lane, { eagerOpen, compression, encrypt }) : peer.listenRpc(id, { eagerOpen, compression, encrypt });
+  const normalized = normalizeStorePort(port);
+  const server = serveStorePortOverPlex({ duplex, port: verifyCaps ? guardStorePort(normalized, verifyCaps) : normalized });
+  const withdraw = advertise ? advertiseOn(peer, { kind: 'store', ...descriptor }, { id, lane }) : null;
   return {
     dispose() {
+      withdraw?.();
       try { duplex.destroy?.(); } catch {}
       server.close?.();
     }
@@ -37,16 +56,79 @@ export function exposeStorePort(peer, { id, lane, eagerOpen = false }, port) {
 /**
  * Connect to a Store Port exposed over a peer.
  * @param {ReturnType<import('./peer.js').createPeer>} peer
- * @param {{ id:Uint8Array, lane?:string, eagerOpen?:boolean }} cfg
+ * @param {{ id:Uint8Array, lane?:string, eagerOpen?:boolean, compression?:any, encrypt?:any, streamWindow?:number }} cfg
  */
-export function connectStorePort(peer, { id, lane, eagerOpen = false }) {
-  const duplex = lane ? peer.connectLane(id, lane, { eagerOpen }) : peer.connectRpc(id, { eagerOpen });
-  return createStorePortProxyOverPlex({ duplex });
+export function connectStorePort(peer, { id, lane, eagerOpen = false, compression, encrypt, streamWindow }) {
+  const duplex = lane ? peer.connectLane(id, lane, { eagerOpen, compression, encrypt }) : peer.connectRpc(id, { eagerOpen, compression, encrypt });
+  return createStorePortProxyOverPlex({ duplex, streamWindow });
 }
 
+/**
+ * Expose a schema-driven service (see `defineService`) over a peer's RPC lane.
+ * With `advertise: true` it is listed on the registry lane as `{ kind: 'service', name: service.name, ...descriptor }`.
+ * @param {ReturnType<import('./peer.js').createPeer>} peer
+ * @param {{ id:Uint8Array, lane?:string, eagerOpen?:boolean, compression?:any, encrypt?:any, descriptor?:any, advertise?:boolean }} cfg
+ * @param {any} service
+ * @param {Record<string, (req:any)=>any>} handlers
+ */
+export function exposeService(peer, { id, lane, eagerOpen = false, compression, encrypt, descriptor, advertise = false }, service, handlers) {
+  const duplex = lane ? peer.listenLane(id, lane, { eagerOpen, compression, encrypt }) : peer.listenRpc(id, { eagerOpen, compression, encrypt });
+  const server = serveService({ duplex, service, handlers });
+  const withdraw = advertise ? advertiseOn(peer, { kind: 'service', name: service?.name, ...descriptor }, { id, lane }) : null;
+  return {
+    dispose() {
+      withdraw?.();
+      try { duplex.destroy?.(); } catch {}
+      server.close?.();
+    }
+  };
+}
+
+/**
+ * Connect to a schema-driven service exposed over a peer.
+ * @param {ReturnType<import('./peer.js').createPeer>} peer
+ * @param {{ id:Uint8Array, lane?:string, eagerOpen?:boolean, compression?:any, encrypt?:any, streamWindow?:number }} cfg
+ * @param {any} service
+ */
+export function connectService(peer, { id, lane, eagerOpen = false, compression, encrypt, streamWindow }, service) {
+  const duplex = lane ? peer.connectLane(id, lane, { eagerOpen, compression, encrypt }) : peer.connectRpc(id, { eagerOpen, compression, encrypt });
+  return createServiceClient({ duplex, service, streamWindow });
+}
+
+/**
+ * Read one page of `store.scan(req)` (use `limit` to size it). Resolves
+ * `ok(entries, { meta: { cursor } })` with the page's envelopes and, when keys remain, the cursor
+ * that continues it (`{ ...req, cursor }`, on this store or any peer serving the same keys), or the
+ * first err envelope the scan yielded.
+ * @param {{ scan:(o:any)=>AsyncIterable<any> }} store
+ * @param {any} [req]
+ */
+export async function scanPage(store, req = {}) {
+  const it = store.scan(req)[Symbol.asyncIterator]();
+  const entries = [];
+  for (;;) {
+    const step = await it.next();
+    if (step.done) return ok(entries, { meta: { cursor: isOk(step.value) ? step.value.value : undefined } });
+    if (!isOk(step.value)) {
+      try { await it.return?.(); } catch {}
+      return step.value;
+    }
+    entries.push(step.value);
+  }
+}
+
+/**
+ * Attach a capability to every call on `store`.
+ * `token` may be raw bytes, a string, or a capability token object from `protocol/caps.js`.
+ * @template {Record<string, any>} T
+ * @param {T} store
+ * @param {Uint8Array|string|object} token
+ */
 export function withStoreCaps(store, token) {
   if (!token) return store;
-  const capsBytes = token instanceof Uint8Array ? token : b4a.from(String(token));
+  const capsBytes = isCapToken(token)
+    ? encodeCapToken(token)
+    : token instanceof Uint8Array ? token : b4a.from(String(token));
 
   const inject = (opts = {}) => {
     if (!opts || typeof opts !== 'object') return { caps: capsBytes };
@@ -59,7 +141,9 @@ export function withStoreCaps(store, token) {
     async put(opts) { return store.put?.(inject(opts)); },
     async del(opts) { return store.del?.(inject(opts)); },
     async append(opts) { return store.append?.(inject(opts)); },
+    async batch(opts) { return store.batch?.(inject(opts)); },
     scan(opts) { return store.scan?.(inject(opts)); },
+    watch(opts) { return store.watch?.(inject(opts)); },
     async close() { return store.close?.(); },
     async destroy() { return store.destroy?.(); },
     unwrap() { return store.unwrap?.() ?? store; }
@@ -68,6 +152,146 @@ export function withStoreCaps(store, token) {
   return wrapped;
 }
 
+/**
+ * @typedef {'get'|'put'|'del'|'append'|'batch'|'scan'|'watch'} StoreMethod
+ * @typedef {{ method:StoreMethod, caps?:Uint8Array, request:any }} CapsCheck
+ * @typedef {(check:CapsCheck)=>boolean|{ ok:boolean }|Promise<boolean|{ ok:boolean }>} CapsVerifier
+ * A verifier allows a call by returning `true` (or an ok envelope). Anything else denies it:
+ * an err envelope is returned to the caller as-is, other values become `CapabilityDenied`.
+ */
+
+const READ_METHODS = new Set(['get', 'scan', 'watch']);
+
+function denied(message) {
+  return err(CODES.CapabilityDenied, message);
+}
+
+async function checkCaps(verifier, method, request) {
+  let verdict;
+  try {
+    verdict = await verifier({ method, caps: request?.caps, request });
+  } catch (error) {
+    return denied(String(error?.message || error || 'capability check failed'));
+  }
+  if (verdict === true || isOk(verdict)) return null;
+  if (verdict && verdict.ok === false && verdict.code) return verdict;
+  return denied(`${method} not permitted by capability`);
+}
+
+/**
+ * Stream that yields `denial` (when the check denies) or the port's stream. A plain iterator, not
+ * a generator: `return()` must reach a live watch while its `next()` is still pending.
+ * @param {Promise<any>} check resolves to the denial envelope or null
+ * @param {() => AsyncIterable<any>} open
+ */
+function checkedStream(check, open) {
+  let inner = null;
+  let done = false;
+  const iterator = {
+    async next() {
+      if (done) return { value: undefined, done: true };
+      if (!inner) {
+        const denial = await check;
+        if (done) return { value: undefined, done: true };
+        if (denial) {
+          done = true;
+          return { value: denial, done: false };
+        }
+        inner = open()[Symbol.asyncIterator]();
+      }
+      return inner.next();
+    },
+    async return() {
+      done = true;
+      await inner?.return?.();
+      return { value: undefined, done: true };
+    },
+    [Symbol.asyncIterator]() { return iterator; }
+  };
+  return iterator;
+}
+
+/**
+ * Wrap a Store Port so every call passes `verifier` before the port is invoked.
+ * Denied unary calls resolve to the denial envelope; denied scans and watches yield it as their
+ * only item.
+ * @param {any} port
+ * @param {CapsVerifier} verifier
+ */
+export function guardStorePort(port, verifier) {
+  if (typeof verifier !== 'function') throw new TypeError('guardStorePort: verifier must be a function');
+  const guarded = { ...port };
+  for (const method of /** @type {const} */ (['get', 'put', 'del', 'append', 'batch'])) {
+    if (typeof port[method] !== 'function') continue;
+    guarded[method] = async (opts) => {
+      const denial = await checkCaps(verifier, method, opts);
+      return denial ?? port[method](opts);
+    };
+  }
+  if (typeof port.scan === 'function') {
+    guarded.scan = async function* (opts) {
+      const denial = await checkCaps(verifier, 'scan', opts);
+      if (denial) {
+        yield denial;
+        return;
+      }
+      return yield* port.scan(opts);
+    };
+  }
+  if (typeof port.watch === 'function') {
+    guarded.watch = (opts) => checkedStream(checkCaps(verifier, 'watch', opts), () => port.watch(opts));
+  }
+  return guarded;
+}
+
+function startsWith(bytes, prefix) {
+  return !!bytes && bytes.byteLength >= prefix.byteLength && b4a.equals(bytes.subarray(0, prefix.byteLength), prefix);
+}
+
+function scanWithin(request, prefix) {
+  if (startsWith(request?.prefix, prefix)) return true;
+  const r = request?.range;
+  const lower = r?.gte ?? r?.gt;
+  const upper = r?.lte ?? r?.lt;
+  return startsWith(lower, prefix) && startsWith(upper, prefix);
+}
+
+/**
+ * Build a claims-based verifier. `resolve(caps, check)` maps the caps bytes to claims
+ * (or null for an unknown token); claims are then checked per method:
+ * - `access`: 'read' (get/scan/watch) or 'read-write' (default 'read-write')
+ * - `methods`: explicit allow-list of method names (overrides `access`)
+ * - `prefix`: key-prefix scope; get/put/del keys, every batch op key and scan/watch bounds must
+ *   stay inside it, and append (which has no key) is refused under a prefix scope
+ * - `exp`: expiry in ms since epoch
+ * @param {{ resolve:(caps:Uint8Array|undefined, check:CapsCheck)=>any, now?:()=>number }} opts
+ * @returns {CapsVerifier}
+ */
+export function createCapsVerifier({ resolve, now = Date.now }) {
+  if (typeof resolve !== 'function') throw new TypeError('createCapsVerifier: resolve must be a function');
+  return async (check) => {
+    const { method, caps, request } = check;
+    const claims = await resolve(caps, check);
+    if (!claims) return denied(caps ? 'unknown capability' : 'capability required');
+    if (typeof claims.exp === 'number' && now() >= claims.exp) return denied('capability expired');
+    if (Array.isArray(claims.methods)) {
+      if (!claims.methods.includes(method)) return denied(`${method} not permitted by capability`);
+    } else if (claims.access === 'read' && !READ_METHODS.has(method)) {
+      return denied(`${method} requires write access`);
+    }
+    if (claims.prefix != null) {
+      const prefix = b4a.isBuffer(claims.prefix) ? claims.prefix : b4a.from(String(claims.prefix));
+      const inScope = method === 'scan' || method === 'watch'
+        ? scanWithin(request, prefix)
+        : method === 'batch'
+          ? Array.isArray(request?.ops) && request.ops.every((op) => startsWith(op?.key, prefix))
+          : method !== 'append' && startsWith(request?.key, prefix);
+      if (!inScope) return denied(`${method} outside capability scope`);
+    }
+    return true;
+  };
+}
+
 function normalizeStorePort(port = {}) {
   if (typeof port !== 'object') throw new TypeError('Store port must be an object');
   const adapted = {};
@@ -75,13 +299,15 @@ function normalizeStorePort(port = {}) {
   if (typeof port.put === 'function') adapted.put = port.put.bind(port);
   if (typeof port.del === 'function') adapted.del = port.del.bind(port);
   if (typeof port.append === 'function') adapted.append = port.append.bind(port);
+  if (typeof port.batch === 'function') adapted.batch = port.batch.bind(port);
   if (typeof port.scan === 'function') {
+    // yield* hands the scan's return value (a continuation cursor) through
     adapted.scan = async function* (opts) {
-      for await (const env of port.scan.call(this, opts)) {
-        yield env;
-      }
+      return yield* port.scan.call(this, opts);
     };
   }
+  // Passed through as-is: a generator wrapper would hold a cancel until the next change arrives.
+  if (typeof port.watch === 'function') adapted.watch = port.watch.bind(port);
   if (typeof port.close === 'function') adapted.close = port.close.bind(port);
   if (typeof port.destroy === 'function') adapted.destroy = port.destroy.bind(port);
   return adapted;
@@ -0,0 +1,546 @@
+// @ts-check
+import c from 'compact-encoding';
+import b4a from 'b4a';
+import { fs, isFsAvailable } from '../platform/fs.js';
+import { path } from '../platform/path.js';
+import { ok, err, CODES } from '../result/index.js';
+import { encodePosKey, encodeScanCursor } from '../protocol/store.js';
+import { createLogger } from '../log/index.js';
+import { DEFAULT_TOMBSTONE_TTL_MS, casError, createChangeFeed, createSortedKeys, expireTombstones, planBatch, resolveVer, scanPaging, scanRequestError } from './shared.js';
+
+const defaultLogger = createLogger({ name: 'plex-store-file', context: { subsystem: 'plex' } });
+const noopLogger = { trace(){}, debug(){}, info(){}, warn(){}, error(){}, fatal(){}, log(){}, child(){ return this }, setLevel(){}, isLevelEnabled(){ return false } };
+const resolveLogger = (cfg) => {
+  const candidate = cfg?.logger ?? cfg?.log;
+  if (candidate === false) return noopLogger;
+  if (candidate && typeof candidate === 'object') return candidate;
+  return defaultLogger;
+};
+
+const LOG_FILE = 'store.log';
+const HEADER = 8; // u32le body length + u32le crc32(body)
+
+const OP_PUT = 0;
+const OP_DEL = 1;
+const OP_META = 2;
+const OP_BATCH = 3;
+
+const U = c.uint;
+const U8 = c.uint8array;
+
+// Log record: put { key, value, ver, pos } | del { key, ver } | meta { lastPos }
+// | batch { ops: [put|del] }, one frame so a batch replays whole or not at all
+// (pos 0 = not appended; del ver 0 = the key was already missing, nothing to remember)
+const recordEncoding = {
+  preencode (st, r) {
+    U.preencode(st, r.op);
+    if (r.op === OP_META) { U.preencode(st, r.lastPos); return; }
+    if (r.op === OP_BATCH) { batchEncoding.preencode(st, r.ops); return; }
+    U8.preencode(st, r.key);
+    if (r.op === OP_PUT) { U8.preencode(st, r.value); U.preencode(st, r.ver); U.preencode(st, r.pos || 0); }
+    else U.preencode(st, r.ver || 0);
+  },
+  encode (st, r) {
+    U.encode(st, r.op);
+    if (r.op === OP_META) { U.encode(st, r.lastPos); return; }
+    if (r.op === OP_BATCH) { batchEncoding.encode(st, r.ops); return; }
+    U8.encode(st, r.key);
+    if (r.op === OP_PUT) { U8.encode(st, r.value); U.encode(st, r.ver); U.encode(st, r.pos || 0); }
+    else U.encode(st, r.ver || 0);
+  },
+  decode (st) {
+    const op = U.decode(st);
+    if (op === OP_META) return { op, lastPos: U.decode(st) };
+    if (op === OP_BATCH) {
+      const ops = batchEncoding.decode(st);
+      if (ops.some((sub) => sub.op !== OP_PUT && sub.op !== OP_DEL)) throw new Error('store.file: bad batch record');
+      return { op, ops };
+    }
+    const key = U8.decode(st) || new Uint8Array(0);
+    if (op === OP_DEL) return { op, key, ver: U.decode(st) };
+    if (op !== OP_PUT) throw new Error(`store.file: unknown record op ${op}`);
+    return { op, key, value: U8.decode(st) || new Uint8Array(0), ver: U.decode(st), pos: U.decode(st) };
+  }
+};
+
+const batchEncoding = c.array(recordEncoding);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let v = n;
+    for (let k = 0; k < 8; k++) v = v & 1 ? 0xedb88320 ^ (v >>> 1) : v >>> 1;
+    table[n] = v >>> 0;
+  }
+  return table;
+})();
+
+function crc32 (bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function encodeFrame (record) {
+  const body = c.encode(recordEncoding, record);
+  const frame = b4a.alloc(HEADER + body.byteLength);
+  const view = new DataView(frame.buffer, frame.byteOffset, HEADER);
+  view.setUint32(0, body.byteLength, true);
+  view.setUint32(4, crc32(body), true);
+  frame.set(body, HEADER);
+  return frame;
+}
+
+/**
+ * Record at `offset`, or null when the bytes there are not a whole, intact frame
+ * (a torn write at the tail after a crash).
+ * @param {Uint8Array} buf
+ * @param {number} offset
+ */
+function decodeFrameAt (buf, offset) {
+  if (offset + HEADER > buf.byteLength) return null;
+  const view = new DataView(buf.buffer, buf.byteOffset + offset, HEADER);
+  const length = view.getUint32(0, true);
+  const end = offset + HEADER + length;
+  if (end > buf.byteLength) return null;
+  const body = buf.subarray(offset + HEADER, end);
+  if (crc32(body) !== view.getUint32(4, true)) return null;
+  try {
+    return { record: c.decode(recordEncoding, body), length: HEADER + length };
+  } catch {
+    return null;
+  }
+}
+
+// Callback fs APIs exist in both Node's fs and bare-fs; the promise variants do not line up.
+function call (fn, ...args) {
+  return new Promise((resolve, reject) => {
+    fn.call(fs, ...args, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+/**
+ * `offset`/`length` locate the frame holding the value (`slot` picks the op in a batch frame);
+ * `weight` is the share of the log this entry turns into garbage once overwritten.
+ * @typedef {{ key:Uint8Array, ver:number, pos?:number, offset:number, length:number, weight:number, slot?:number }} IndexEntry
+ */
+
+/**
+ * Version a deleted key was removed at, kept so versions keep rising when it is written again.
+ * `at` is when it was recorded (or replayed from the log) in this process.
+ * @typedef {{ key:Uint8Array, ver:number, weight:number, at:number }} Tombstone
+ */
+
+/**
+ * Durable StorePort on the local filesystem with the same semantics as `createMemoryStore`.
+ *
+ * Every write appends a checksummed record to `<dir>/store.log`; an in-memory index maps keys to
+ * their latest record, so reads cost one positioned read. Opening replays the log and cuts off a
+ * torn tail left by a crash. Overwritten records are garbage: once there are at least
+ * `compactMinBytes` of it and it makes up more than `compactRatio` of the file, the live records
+ * are copied to a fresh log that replaces the old one (`compact()` forces it). A deleted key
+ * keeps a small tombstone record with its last version for `tombstoneTtlMs` (see
+ * `createMemoryStore`); the clock restarts when the log is reopened, and expired tombstones are
+ * garbage that the next compaction drops.
+ *
+ * File access is serialized (reads included), and `sync` (default true) fsyncs after each write
+ * where the runtime supports it. The store opens lazily; `ready()` waits for it. Uses
+ * `platform/fs.js`, so it runs on Node and Bare.
+ *
+ * `batch` writes all its ops as one record, so after a crash either every op is replayed or none.
+ * `watch` streams changes once they are on disk; `close()` ends every watch.
+ *
+ * @param {{ dir:string, sync?:boolean, compactRatio?:number, compactMinBytes?:number, watchHighWaterMark?:number, tombstoneTtlMs?:number, logger?:any, log?:any }} opts
+ */
+export function createFileStore (opts) {
+  const { dir, sync = true, compactRatio = 0.5, compactMinBytes = 64 * 1024, watchHighWaterMark = 1024, tombstoneTtlMs = DEFAULT_TOMBSTONE_TTL_MS } = opts || {};
+  if (typeof dir !== 'string' || !dir) throw new TypeError('createFileStore: dir required');
+  const log = resolveLogger(opts);
+  const file = path.join(dir, LOG_FILE);
+
+  /** @type {Map<string, IndexEntry>} */
+  const index = new Map();
+  /** @type {Map<string, Tombstone>} oldest first */
+  const tombstones = new Map();
+  const keys = createSortedKeys();
+  const feed = createChangeFeed({ highWaterMark: watchHighWaterMark });
+  let fd = -1;
+  let size = 0;
+  let garbage = 0;
+  let lastPos = 0;
+  let closed = false;
+  let tail = Promise.resolve();
+
+  const hex = (key) => b4a.toString(key, 'hex');
+  const versionOf = (key) => index.get(hex(key))?.ver ?? 0;
+  const deletedAt = (key) => tombstones.get(hex(key))?.ver ?? 0;
+
+  // Run `fn` after every file operation queued before it.
+  function serial (fn) {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  async function openFile (target) {
+    try {
+      return await call(fs.open, target, 'r+');
+    } catch (error) {
+      if (error?.code !== 'ENOENT') throw error;
+      return call(fs.open, target, 'w+');
+    }
+  }
+
+  async function writeAt (handle, bytes, position) {
+    let done = 0;
+    while (done < bytes.byteLength) {
+      done += await call(fs.write, handle, bytes, done, bytes.byteLength - done, position + done);
+    }
+  }
+
+  async function flush (handle) {
+    if (sync && typeof fs.fsync === 'function') await call(fs.fsync, handle);
+  }
+
+  // Make a rename in `dir` durable. Some platforms cannot open or fsync a directory; the rename
+  // itself is still atomic there.
+  async function flushDir () {
+    if (!sync || typeof fs.fsync !== 'function') return;
+    let handle = -1;
+    try {
+      handle = await call(fs.open, dir, 'r');
+      await call(fs.fsync, handle);
+    } catch (error) {
+      log.debug('could not sync the store directory', { dir, message: String(error?.message || error) });
+    } finally {
+      if (handle >= 0) await call(fs.close, handle).catch(() => {});
+    }
+  }
+
+  // Tombstones past `tombstoneTtlMs` turn into garbage.
+  function expire () {
+    expireTombstones(tombstones, Date.now() - tombstoneTtlMs, (dead) => { garbage += dead.weight; });
+  }
+
+  async function readAt (offset, length) {
+    const buf = b4a.alloc(length);
+    let done = 0;
+    while (done < length) {
+      const n = await call(fs.read, fd, buf, done, length - done, offset + done);
+      if (!n) throw new Error('store.file: unexpected end of log');
+      done += n;
+    }
+    return buf;
+  }
+
+  // Index one record from the frame at `offset`; a batch frame splits its length over its ops.
+  function track (record, offset, length) {
+    if (record.op !== OP_BATCH) { trackOne(record, offset, length, length); return; }
+    const ops = record.ops;
+    const share = Math.floor(length / Math.max(1, ops.length));
+    for (let slot = 0; slot < ops.length; slot++) {
+      const weight = slot === ops.length - 1 ? length - share * slot : share;
+      trackOne(ops[slot], offset, length, weight, slot);
+    }
+  }
+
+  function trackOne (record, offset, length, weight, slot) {
+    const id = hex(record.key);
+    const previous = index.get(id);
+    if (previous) garbage += previous.weight;
+    if (record.op === OP_DEL) {
+      if (previous) { index.delete(id); keys.remove(record.key); }
+      if (!record.ver) { garbage += weight; return; }
+      const dead = tombstones.get(id);
+      if (dead) { garbage += dead.weight; tombstones.delete(id); }
+      tombstones.set(id, { key: record.key, ver: record.ver, weight, at: Date.now() });
+      return;
+    }
+    const dead = tombstones.get(id);
+    if (dead) { garbage += dead.weight; tombstones.delete(id); }
+    /** @type {IndexEntry} */
+    const entry = { key: record.key, ver: record.ver, offset, length, weight };
+    if (slot !== undefined) entry.slot = slot;
+    if (record.pos) { entry.pos = record.pos; lastPos = Math.max(lastPos, record.pos); }
+    index.set(id, entry);
+    keys.insert(record.key);
+  }
+
+  const opened = (async () => {
+    if (!isFsAvailable) throw new Error('fs module is not available in this runtime');
+    await call(fs.mkdir, dir, { recursive: true });
+    fd = await openFile(file);
+    const buf = await call(fs.readFile, file);
+    let offset = 0;
+    while (offset < buf.byteLength) {
+      const frame = decodeFrameAt(buf, offset);
+      if (!frame) break;
+      if (frame.record.op === OP_META) lastPos = Math.max(lastPos, frame.record.lastPos);
+      else track(frame.record, offset, frame.length);
+      offset += frame.length;
+    }
+    if (offset < buf.byteLength) {
+      log.warn('store log has a damaged tail; truncating', { file, offset, dropped: buf.byteLength - offset });
+      await call(fs.ftruncate, fd, offset);
+    }
+    size = offset;
+  })();
+  opened.catch(() => {});
+
+  /** Resolves once the log is open and replayed (rejects when it cannot be opened). */
+  function ready () {
+    return opened;
+  }
+
+  // Run one storage operation: after open, serialized, IO failures as DriverError envelopes.
+  async function guarded (label, fn) {
+    if (closed) return err(CODES.Closed, 'file store closed');
+    try {
+      await opened;
+      return await serial(async () => {
+        if (closed) return err(CODES.Closed, 'file store closed');
+        return fn();
+      });
+    } catch (error) {
+      log.warn('file store operation failed', { op: label, message: String(error?.message || error) });
+      return err(CODES.DriverError, `${label} failed: ${error?.message || error}`);
+    }
+  }
+
+  async function writeRecord (record) {
+    const frame = encodeFrame(record);
+    const offset = size;
+    await writeAt(fd, frame, offset);
+    await flush(fd);
+    size += frame.byteLength;
+    track(record, offset, frame.byteLength);
+    expire();
+  }
+
+  function maybeCompact () {
+    if (garbage < compactMinBytes || garbage <= size * compactRatio) return;
+    serial(() => compactNow()).catch((error) => {
+      log.warn('file store compaction failed', { message: String(error?.message || error) });
+    });
+  }
+
+  async function readValue (entry) {
+    const frame = decodeFrameAt(await readAt(entry.offset, entry.length), 0);
+    const record = entry.slot === undefined ? frame?.record : frame?.record.ops?.[entry.slot];
+    if (!record || record.op !== OP_PUT) throw new Error('store.file: damaged record');
+    return record.value;
+  }
+
+  // Copy the live records and tombstones into a fresh log, then swap it in; values from batch
+  // frames are rewritten as plain puts. Runs inside `serial`.
+  //
+  // The handle the fresh log is written through is renamed along with it and becomes the store's
+  // handle, so nothing has to be reopened after the rename. Until the rename succeeds `fd` stays on
+  // the old log, which is left intact; a failed compaction only costs the temporary file.
+  async function compactNow () {
+    if (closed) return;
+    expire();
+    const next = `${file}.compact`;
+    const handle = await call(fs.open, next, 'w+');
+    /** @type {Array<[IndexEntry|Tombstone, number, number]>} */
+    const moved = [];
+    let offset = 0;
+    try {
+      const meta = encodeFrame({ op: OP_META, lastPos });
+      await writeAt(handle, meta, offset);
+      offset += meta.byteLength;
+      for (const key of keys.walk()) {
+        const entry = index.get(hex(key));
+        if (!entry) continue;
+        const frame = entry.slot === undefined
+          ? await readAt(entry.offset, entry.length)
+          : encodeFrame({ op: OP_PUT, key: entry.key, value: await readValue(entry), ver: entry.ver, pos: entry.pos });
+        await writeAt(handle, frame, offset);
+        moved.push([entry, offset, frame.byteLength]);
+        offset += frame.byteLength;
+      }
+      for (const dead of tombstones.values()) {
+        const frame = encodeFrame({ op: OP_DEL, key: dead.key, ver: dead.ver });
+        await writeAt(handle, frame, offset);
+        moved.push([dead, offset, frame.byteLength]);
+        offset += frame.byteLength;
+      }
+      await flush(handle);
+      await call(fs.rename, next, file);
+    } catch (error) {
+      await call(fs.close, handle).catch(() => {});
+      await call(fs.unlink, next).catch(() => {});
+      throw error;
+    }
+    await flushDir();
+    const previous = fd;
+    fd = handle;
+    await call(fs.close, previous).catch((error) => {
+      log.warn('could not close the old store log', { file, message: String(error?.message || error) });
+    });
+    for (const [entry, at, length] of moved) {
+      entry.weight = length;
+      if (!('offset' in entry)) continue;
+      entry.offset = at;
+      entry.length = length;
+      delete entry.slot;
+    }
+    log.debug('file store compacted', { file, before: size, after: offset });
+    size = offset;
+    garbage = 0;
+  }
+
+  const isBytes = (v) => b4a.isBuffer(v);
+
+  async function get ({ key } = {}) {
+    if (!isBytes(key)) return err(CODES.BadArg, 'get.key must be bytes');
+    return guarded('get', async () => {
+      const entry = index.get(hex(key));
+      if (entry) return ok(await readValue(entry), { ver: entry.ver });
+      return tombstones.has(hex(key)) ? ok(undefined, { ver: deletedAt(key) }) : ok();
+    });
+  }
+
+  async function put ({ key, value, ver, ifVer } = {}) {
+    if (!isBytes(key)) return err(CODES.BadArg, 'put.key must be bytes');
+    if (!isBytes(value)) return err(CODES.BadArg, 'put.value must be bytes');
+    const env = await guarded('put', async () => {
+      const current = index.get(hex(key));
+      const cas = casError('put', current?.ver ?? 0, ifVer);
+      if (cas) return cas;
+      const next = resolveVer('put', current?.ver ?? deletedAt(key), ver);
+      if (next.env) return next.env;
+      await writeRecord({ op: OP_PUT, key, value, ver: next.ver, pos: current?.pos });
+      feed.publish({ type: 'put', key, value, ver: next.ver, pos: current?.pos });
+      return ok(undefined, { ver: next.ver });
+    });
+    maybeCompact();
+    return env;
+  }
+
+  async function del ({ key, ver, ifVer } = {}) {
+    if (!isBytes(key)) return err(CODES.BadArg, 'del.key must be bytes');
+    const env = await guarded('del', async () => {
+      const current = index.get(hex(key));
+      const cas = casError('del', current?.ver ?? 0, ifVer);
+      if (cas) return cas;
+      if (!current && (ver === undefined || ver === null)) return ok();
+      const next = resolveVer('del', current?.ver ?? deletedAt(key), ver);
+      if (next.env) return next.env;
+      await writeRecord({ op: OP_DEL, key, ver: next.ver });
+      if (current) feed.publish({ type: 'del', key });
+      return ok(undefined, { ver: next.ver });
+    });
+    maybeCompact();
+    return env;
+  }
+
+  /**
+   * Apply `ops` all or nothing (see `createMemoryStore`).
+   * @param {{ ops?:Array<{ type:'put'|'del', key:Uint8Array, value?:Uint8Array, ifVer?:number }> }} [req]
+   */
+  async function batch (req = {}) {
+    const env = await guarded('batch', async () => {
+      const plan = planBatch(req, versionOf, deletedAt);
+      if (plan.env) return plan.env;
+      if (!plan.ops.length) return ok();
+      // Appended keys keep their position unless the batch deleted them first.
+      const deleted = new Set();
+      /** @type {Map<string, boolean>} whether each touched key exists after the ops so far */
+      const present = new Map();
+      /** @type {import('./shared.js').StoreChange[]} */
+      const changes = [];
+      const ops = plan.ops.map((op) => {
+        const id = hex(op.key);
+        const existed = present.has(id) ? present.get(id) : index.has(id);
+        if (op.type === 'del') {
+          deleted.add(id);
+          present.set(id, false);
+          if (existed) changes.push({ type: 'del', key: op.key });
+          return { op: OP_DEL, key: op.key, ver: op.ver };
+        }
+        const pos = deleted.has(id) ? undefined : index.get(id)?.pos;
+        present.set(id, true);
+        changes.push({ type: 'put', key: op.key, value: /** @type {Uint8Array} */ (op.value), ver: /** @type {number} */ (op.ver), pos });
+        return { op: OP_PUT, key: op.key, value: op.value, ver: op.ver, pos };
+      });
+      await writeRecord({ op: OP_BATCH, ops });
+      for (const change of changes) feed.publish(change);
+      return ok();
+    });
+    maybeCompact();
+    return env;
+  }
+
+  async function append ({ value } = {}) {
+    if (!isBytes(value)) return err(CODES.BadArg, 'append.value must be bytes');
+    return guarded('append', async () => {
+      const pos = lastPos + 1;
+      const key = encodePosKey(pos);
+      await writeRecord({ op: OP_PUT, key, value, ver: 1, pos });
+      feed.publish({ type: 'put', key, value, ver: 1, pos });
+      return ok(undefined, { pos });
+    });
+  }
+
+  /**
+   * @param {{ prefix?:Uint8Array, reverse?:boolean, range?:{ gte?:Uint8Array, gt?:Uint8Array, lte?:Uint8Array, lt?:Uint8Array }, limit?:number, cursor?:Uint8Array }} [req]
+   */
+  async function * scan (req = {}) {
+    const invalid = scanRequestError(req);
+    if (invalid) { yield invalid; return; }
+    const page = scanPaging(req);
+    if (page.env) { yield page.env; return; }
+    const started = await guarded('scan', async () => ok());
+    if (!started.ok) { yield started; return; }
+    let count = 0;
+    /** @type {Uint8Array|null} */
+    let last = null;
+    for (const key of keys.walk({ ...req, after: page.after })) {
+      if (count === page.limit && index.has(hex(key))) return ok(encodeScanCursor({ key: /** @type {Uint8Array} */ (last), reverse: !!req.reverse }));
+      const env = await guarded('scan', async () => {
+        const entry = index.get(hex(key));
+        return entry ? ok(await readValue(entry), { ver: entry.ver, pos: entry.pos, meta: { key } }) : null;
+      });
+      if (env === null) continue;
+      yield env;
+      if (!env.ok) return;
+      count++;
+      last = key;
+    }
+  }
+
+  /**
+   * Changes to matching keys from now on (see `createMemoryStore`).
+   * @param {{ prefix?:Uint8Array, range?:{ gte?:Uint8Array, gt?:Uint8Array, lte?:Uint8Array, lt?:Uint8Array } }} [req]
+   */
+  function watch (req) {
+    return feed.watch(req);
+  }
+
+  /** Rewrite the log with only live records now. */
+  async function compact () {
+    await opened;
+    if (closed) return;
+    await serial(() => compactNow());
+  }
+
+  /** Close the log file and end every watch; later calls answer `Closed`. */
+  async function close () {
+    if (closed) return;
+    feed.close();
+    await opened.catch(() => {});
+    await serial(async () => {
+      closed = true;
+      if (fd >= 0) await call(fs.close, fd);
+      fd = -1;
+    });
+  }
+
+  /** Live keys, log size and garbage bytes (what compaction would reclaim). */
+  function stats () {
+    return { keys: keys.size, bytes: size, garbage };
+  }
+
+  return { get, put, del, append, batch, scan, watch, ready, compact, close, stats };
+}
@@ -0,0 +1,3 @@
+// @ts-check
+export { createMemoryStore } from './memory.js';
+export { createFileStore } from './file.js';
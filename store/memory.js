@@ -0,0 +1,165 @@
+// @ts-check
+import b4a from 'b4a';
+import { ok, err, CODES } from '../result/index.js';
+import { encodePosKey, encodeScanCursor } from '../protocol/store.js';
+import { DEFAULT_TOMBSTONE_TTL_MS, casError, createChangeFeed, createSortedKeys, expireTombstones, planBatch, resolveVer, scanPaging, scanRequestError } from './shared.js';
+
+/**
+ * @typedef {{ key:Uint8Array, value:Uint8Array, ver:number, pos?:number }} MemoryRecord
+ */
+
+const isBytes = (v) => b4a.isBuffer(v);
+
+/**
+ * In-memory StorePort: the reference semantics for every port served over plex, and a ready
+ * test double for `exposeStorePort`/`serveStorePortOverPlex`.
+ *
+ * - Keys are bytes kept in byte order. `get` answers `ok(value, { ver })`, `ok(undefined, { ver })`
+ *   for a deleted key (its tombstone version) or `ok()` for one never written.
+ * - `put` without `ver` bumps the key's version by one. A writer-assigned `ver` (replicated
+ *   writes, read-repair) only lands when it is newer than the stored one; stale writes are
+ *   ignored and answer with the current version.
+ * - `del` is a version too: the key's tombstone remembers it, so a key written again after a
+ *   delete carries on above it and a stale `ifVer` can never match a recreated key. Like `put`,
+ *   `del` takes a writer-assigned `ver` that only lands when newer (replicated deletes), and it
+ *   lands on a missing key as well so older replicated puts stay out. Tombstones are kept for
+ *   `tombstoneTtlMs` (default 24 hours, `Infinity` keeps them); after that the key counts as never
+ *   written, so keep it above the longest a replica or an `ifVer` holder can lag behind a delete.
+ * - `put` and `del` take an optional `ifVer` (compare-and-swap): the write only applies while
+ *   the key is at that version (0: the key must be missing), otherwise it answers `CASFailed`
+ *   with the current `ver`.
+ * - `batch({ ops })` applies a list of `{ type: 'put'|'del', key, value?, ifVer? }` all or
+ *   nothing: if any op is malformed or fails its `ifVer` check, nothing is written.
+ * - `append({ value })` stores the value under `encodePosKey(pos)` with positions 1, 2, ... and
+ *   answers `ok(undefined, { pos })`, so `createEventLog` can follow the store directly.
+ * - `scan({ prefix, range: { gte, gt, lte, lt }, reverse })` yields `ok(value, { ver, meta: { key } })`
+ *   (plus `pos` for appended entries) for keys matching every given bound, ascending unless
+ *   `reverse`. Scans walk the live key set, so keys written behind the cursor are skipped and
+ *   keys written ahead of it are seen.
+ * - `scan({ ..., limit })` stops after `limit` entries; when keys remain it returns (as the
+ *   iterator's final value) `ok(cursor)`. The same request plus `cursor` continues right after
+ *   the last delivered key, on this store or any other holding the same keys.
+ * - `watch({ prefix, range })` streams every later change to matching keys: puts as
+ *   `ok(value, { ver, pos, meta: { key } })`, deletes as `ok(undefined, { meta: { key } })`.
+ *   Changes pile up per key while the consumer lags; past `watchHighWaterMark` distinct keys the
+ *   watch ends with `NotAvailable` (see `createChangeFeed`). Start watching before scanning to
+ *   see every change after the snapshot.
+ *
+ * Capability checks are not done here; wrap with `guardStorePort` or expose with `verifyCaps`.
+ */
+export function createMemoryStore ({ watchHighWaterMark = 1024, tombstoneTtlMs = DEFAULT_TOMBSTONE_TTL_MS } = {}) {
+  /** @type {Map<string, MemoryRecord>} */
+  const records = new Map();
+  /** @type {Map<string, { ver:number, at:number }>} version each deleted key was removed at, oldest first */
+  const tombstones = new Map();
+  const keys = createSortedKeys();
+  const feed = createChangeFeed({ highWaterMark: watchHighWaterMark });
+  let lastPos = 0;
+
+  const hex = (key) => b4a.toString(key, 'hex');
+  const versionOf = (key) => records.get(hex(key))?.ver ?? 0;
+  const deletedAt = (key) => tombstones.get(hex(key))?.ver ?? 0;
+
+  function write (key, value, ver, pos) {
+    /** @type {MemoryRecord} */
+    const record = { key, value, ver };
+    if (pos !== undefined) record.pos = pos;
+    records.set(hex(key), record);
+    tombstones.delete(hex(key));
+    keys.insert(key);
+    feed.publish({ type: 'put', key, value, ver, pos });
+  }
+
+  function remove (key, ver) {
+    if (ver) {
+      const now = Date.now();
+      expireTombstones(tombstones, now - tombstoneTtlMs);
+      tombstones.delete(hex(key));
+      tombstones.set(hex(key), { ver, at: now });
+    }
+    if (!records.delete(hex(key))) return;
+    keys.remove(key);
+    feed.publish({ type: 'del', key });
+  }
+
+  async function get ({ key } = {}) {
+    if (!isBytes(key)) return err(CODES.BadArg, 'get.key must be bytes');
+    const record = records.get(hex(key));
+    if (record) return ok(record.value, { ver: record.ver });
+    return tombstones.has(hex(key)) ? ok(undefined, { ver: deletedAt(key) }) : ok();
+  }
+
+  async function put ({ key, value, ver, ifVer } = {}) {
+    if (!isBytes(key)) return err(CODES.BadArg, 'put.key must be bytes');
+    if (!isBytes(value)) return err(CODES.BadArg, 'put.value must be bytes');
+    const current = records.get(hex(key));
+    const cas = casError('put', current?.ver ?? 0, ifVer);
+    if (cas) return cas;
+    const next = resolveVer('put', current?.ver ?? deletedAt(key), ver);
+    if (next.env) return next.env;
+    write(key, value, next.ver, current?.pos);
+    return ok(undefined, { ver: next.ver });
+  }
+
+  async function del ({ key, ver, ifVer } = {}) {
+    if (!isBytes(key)) return err(CODES.BadArg, 'del.key must be bytes');
+    const known = versionOf(key);
+    const cas = casError('del', known, ifVer);
+    if (cas) return cas;
+    if (!known && (ver === undefined || ver === null)) return ok();
+    const next = resolveVer('del', known || deletedAt(key), ver);
+    if (next.env) return next.env;
+    remove(key, next.ver);
+    return ok(undefined, { ver: next.ver });
+  }
+
+  /**
+   * @param {{ ops?:Array<{ type:'put'|'del', key:Uint8Array, value?:Uint8Array, ifVer?:number }> }} [req]
+   */
+  async function batch (req = {}) {
+    const plan = planBatch(req, versionOf, deletedAt);
+    if (plan.env) return plan.env;
+    for (const op of plan.ops) {
+      if (op.type === 'put') write(op.key, /** @type {Uint8Array} */ (op.value), /** @type {number} */ (op.ver), records.get(hex(op.key))?.pos);
+      else remove(op.key, /** @type {number} */ (op.ver));
+    }
+    return ok();
+  }
+
+  async function append ({ value } = {}) {
+    if (!isBytes(value)) return err(CODES.BadArg, 'append.value must be bytes');
+    const pos = ++lastPos;
+    write(encodePosKey(pos), value, 1, pos);
+    return ok(undefined, { pos });
+  }
+
+  /**
+   * @param {{ prefix?:Uint8Array, reverse?:boolean, range?:{ gte?:Uint8Array, gt?:Uint8Array, lte?:Uint8Array, lt?:Uint8Array }, limit?:number, cursor?:Uint8Array }} [req]
+   */
+  async function * scan (req = {}) {
+    const invalid = scanRequestError(req);
+    if (invalid) { yield invalid; return; }
+    const page = scanPaging(req);
+    if (page.env) { yield page.env; return; }
+    let count = 0;
+    /** @type {Uint8Array|null} */
+    let last = null;
+    for (const key of keys.walk({ ...req, after: page.after })) {
+      const record = records.get(hex(key));
+      if (!record) continue;
+      if (count === page.limit) return ok(encodeScanCursor({ key: /** @type {Uint8Array} */ (last), reverse: !!req.reverse }));
+      yield ok(record.value, { ver: record.ver, pos: record.pos, meta: { key } });
+      count++;
+      last = key;
+    }
+  }
+
+  /**
+   * @param {{ prefix?:Uint8Array, range?:{ gte?:Uint8Array, gt?:Uint8Array, lte?:Uint8Array, lt?:Uint8Array } }} [req]
+   */
+  function watch (req) {
+    return feed.watch(req);
+  }
+
+  return { get, put, del, append, batch, scan, watch };
+}
@@ -0,0 +1,350 @@
+// @ts-check
+import b4a from 'b4a';
+import { ok, err, CODES } from '../result/index.js';
+import { decodeScanCursor } from '../protocol/store.js';
+
+const BOUNDS = ['gte', 'gt', 'lte', 'lt'];
+
+function hasPrefix (key, prefix) {
+  return key.byteLength >= prefix.byteLength && b4a.equals(key.subarray(0, prefix.byteLength), prefix);
+}
+
+/**
+ * True when `key` lies inside the scan bounds (`gte`/`gt` below, `lte`/`lt` above).
+ * @param {Uint8Array} key
+ * @param {{ gte?:Uint8Array, gt?:Uint8Array, lte?:Uint8Array, lt?:Uint8Array }} range
+ */
+function inRange (key, range) {
+  if (range.gte && b4a.compare(key, range.gte) < 0) return false;
+  if (range.gt && b4a.compare(key, range.gt) <= 0) return false;
+  if (range.lte && b4a.compare(key, range.lte) > 0) return false;
+  if (range.lt && b4a.compare(key, range.lt) >= 0) return false;
+  return true;
+}
+
+/**
+ * True when `key` matches a scan/watch request's `prefix` and every `range` bound.
+ * @param {Uint8Array} key
+ * @param {{ prefix?:Uint8Array, range?:{ gte?:Uint8Array, gt?:Uint8Array, lte?:Uint8Array, lt?:Uint8Array } }} req
+ */
+export function matchesRequest (key, req) {
+  if (req?.prefix && !hasPrefix(key, req.prefix)) return false;
+  return inRange(key, req?.range || {});
+}
+
+/**
+ * Error envelope for a malformed scan (or watch) request, or null.
+ * @param {any} req
+ * @param {string} [label] method name for the error message
+ */
+export function scanRequestError (req, label = 'scan') {
+  const range = req?.range || {};
+  for (const bound of BOUNDS) {
+    if (range[bound] !== undefined && !b4a.isBuffer(range[bound])) return err(CODES.BadArg, `${label}.range.${bound} must be bytes`);
+  }
+  if (req?.prefix !== undefined && !b4a.isBuffer(req.prefix)) return err(CODES.BadArg, `${label}.prefix must be bytes`);
+  return null;
+}
+
+/**
+ * Page bounds of a scan request: `{ limit }` (Infinity when unset) plus `after`, the key a
+ * `cursor` resumes beyond, or `{ env }` for a bad limit or a cursor from another kind of scan.
+ * @param {any} req
+ * @returns {{ limit:number, after?:Uint8Array, env?:undefined }|{ env:any }}
+ */
+export function scanPaging (req) {
+  const limit = req?.limit ?? 0;
+  if (!Number.isSafeInteger(limit) || limit < 0) return { env: err(CODES.BadArg, 'scan.limit must be a positive integer') };
+  const page = { limit: limit || Infinity };
+  if (req?.cursor === undefined || req.cursor === null) return page;
+  if (!b4a.isBuffer(req.cursor)) return { env: err(CODES.BadArg, 'scan.cursor must be bytes') };
+  const at = decodeScanCursor(req.cursor);
+  if (!at || at.reverse !== !!req.reverse) return { env: err(CODES.BadArg, 'scan.cursor does not belong to this scan') };
+  return { ...page, after: at.key };
+}
+
+/**
+ * Version a put or delete lands with: none given bumps the stored one; a writer-assigned `ver`
+ * (replicated writes, read-repair) only lands when newer. Returns `{ ver }` to write, or
+ * `{ env }` to answer without writing.
+ * @param {string} label method name for the error message
+ * @param {number} known stored version, or the version a deleted key was removed at (0 when never written)
+ * @param {any} ver requested version
+ * @returns {{ ver:number, env?:undefined }|{ env:any, ver?:undefined }}
+ */
+export function resolveVer (label, known, ver) {
+  if (ver === undefined || ver === null) return { ver: known + 1 };
+  if (!Number.isSafeInteger(ver) || ver <= 0) return { env: err(CODES.BadArg, `${label}.ver must be a positive integer`) };
+  if (ver <= known) return { env: ok(undefined, { ver: known }) };
+  return { ver };
+}
+
+/**
+ * Compare-and-swap check: null when the write may go ahead, else a `CASFailed` envelope carrying
+ * the stored `ver` (absent when the key is missing). `ifVer` 0 means the key must not exist;
+ * undefined skips the check.
+ * @param {string} label method name for the error message
+ * @param {number} known stored version (0 when missing)
+ * @param {any} ifVer expected version
+ */
+export function casError (label, known, ifVer) {
+  if (ifVer === undefined || ifVer === null) return null;
+  if (!Number.isSafeInteger(ifVer) || ifVer < 0) return err(CODES.BadArg, `${label}.ifVer must be a non-negative integer`);
+  if (ifVer === known) return null;
+  const env = err(CODES.CASFailed, known ? `${label}: version is ${known}, expected ${ifVer}` : `${label}: key is missing, expected version ${ifVer}`);
+  if (known) env.ver = known;
+  return env;
+}
+
+/**
+ * Validate and CAS-check a batch against the stored versions. Returns `{ ops }` with each op's
+ * landing version (`ver`: a put's new version, a delete's tombstone version when the key
+ * existed), or `{ env }` when nothing may be applied. Ops see the effects of earlier ops in the
+ * same batch.
+ * @param {any} req `{ ops: Array<{ type:'put'|'del', key, value?, ifVer? }> }`
+ * @param {(key:Uint8Array) => number} versionOf stored version of a key (0 when missing)
+ * @param {(key:Uint8Array) => number} [deletedAt] version a missing key was deleted at (0 when never)
+ * @returns {{ ops:Array<{ type:'put'|'del', key:Uint8Array, value?:Uint8Array, ver?:number }>, env?:undefined }|{ env:any, ops?:undefined }}
+ */
+export function planBatch (req, versionOf, deletedAt = () => 0) {
+  const ops = req?.ops;
+  if (!Array.isArray(ops)) return { env: err(CODES.BadArg, 'batch.ops must be an array') };
+  /** @type {Map<string, { live:number, base:number }>} versions as of the ops planned so far */
+  const pending = new Map();
+  const planned = [];
+  for (let i = 0; i < ops.length; i++) {
+    const op = ops[i];
+    const label = `batch.ops[${i}]`;
+    if (op?.type !== 'put' && op?.type !== 'del') return { env: err(CODES.BadArg, `${label}.type must be 'put' or 'del'`) };
+    if (!b4a.isBuffer(op.key)) return { env: err(CODES.BadArg, `${label}.key must be bytes`) };
+    if (op.type === 'put' && !b4a.isBuffer(op.value)) return { env: err(CODES.BadArg, `${label}.value must be bytes`) };
+    const id = b4a.toString(op.key, 'hex');
+    let known = pending.get(id);
+    if (!known) {
+      const live = versionOf(op.key);
+      known = { live, base: live || deletedAt(op.key) };
+    }
+    const cas = casError(label, known.live, op.ifVer);
+    if (cas) return { env: cas };
+    const ver = known.base + 1;
+    if (op.type === 'put') {
+      pending.set(id, { live: ver, base: ver });
+      planned.push({ type: 'put', key: op.key, value: op.value, ver });
+    } else if (known.live) {
+      pending.set(id, { live: 0, base: ver });
+      planned.push({ type: 'del', key: op.key, ver });
+    } else {
+      planned.push({ type: 'del', key: op.key });
+    }
+  }
+  return { ops: planned };
+}
+
+/** How long a deleted key's tombstone is kept by default: 24 hours. */
+export const DEFAULT_TOMBSTONE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Forget tombstones recorded at or before `cutoff` (ms since epoch). `tombstones` must iterate in
+ * the order they were recorded (callers delete a key before setting it again), so this stops at
+ * the first one still in date.
+ * @template {{ at:number }} T
+ * @param {Map<string, T>} tombstones
+ * @param {number} cutoff
+ * @param {(tombstone:T) => void} [onDrop]
+ */
+export function expireTombstones (tombstones, cutoff, onDrop) {
+  for (const [id, tombstone] of tombstones) {
+    if (tombstone.at > cutoff) return;
+    tombstones.delete(id);
+    onDrop?.(tombstone);
+  }
+}
+
+/**
+ * Byte-ordered key set with the StorePort scan walk on top.
+ */
+export function createSortedKeys () {
+  /** @type {Uint8Array[]} */
+  const keys = [];
+
+  // First index whose key is >= `key` (or > `key` when `after`).
+  function lowerBound (key, after = false) {
+    let lo = 0;
+    let hi = keys.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      const cmp = b4a.compare(keys[mid], key);
+      if (cmp < 0 || (after && cmp === 0)) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /** @param {Uint8Array} key */
+  function insert (key) {
+    const at = lowerBound(key);
+    if (at < keys.length && b4a.equals(keys[at], key)) return;
+    keys.splice(at, 0, key);
+  }
+
+  /** @param {Uint8Array} key */
+  function remove (key) {
+    const at = lowerBound(key);
+    if (at < keys.length && b4a.equals(keys[at], key)) keys.splice(at, 1);
+  }
+
+  /**
+   * Keys matching `prefix` and every `range` bound, ascending unless `reverse`, starting past
+   * `after` when given. The walk reads the live set on every step, so keys written behind the
+   * cursor are skipped and keys written ahead of it are seen.
+   * @param {{ prefix?:Uint8Array, reverse?:boolean, range?:{ gte?:Uint8Array, gt?:Uint8Array, lte?:Uint8Array, lt?:Uint8Array }, after?:Uint8Array }} [req]
+   * @returns {Generator<Uint8Array>}
+   */
+  function * walk ({ prefix, reverse = false, range = {}, after } = {}) {
+    // Index of the first candidate: the near bound, or the prefix start when scanning forward.
+    const start = () => {
+      if (reverse) {
+        let at = keys.length - 1;
+        if (range.lte) at = Math.min(at, lowerBound(range.lte, true) - 1);
+        if (range.lt) at = Math.min(at, lowerBound(range.lt) - 1);
+        return at;
+      }
+      let at = 0;
+      if (range.gte) at = Math.max(at, lowerBound(range.gte));
+      if (range.gt) at = Math.max(at, lowerBound(range.gt, true));
+      if (prefix) at = Math.max(at, lowerBound(prefix));
+      return at;
+    };
+    // Index of the next candidate after the last yielded key (which may since have been removed).
+    const resume = (last) => reverse ? lowerBound(last) - 1 : lowerBound(last, true);
+    // A resumed walk starts past `after`, but never outside the requested bounds.
+    const first = () => {
+      if (!after) return start();
+      return reverse ? Math.min(start(), resume(after)) : Math.max(start(), resume(after));
+    };
+    /** @type {Uint8Array|null} */
+    let cursor = null;
+    for (;;) {
+      let at = cursor ? resume(cursor) : first();
+      let key = null;
+      while (at >= 0 && at < keys.length) {
+        const candidate = keys[at];
+        // Keys are sorted, so once past the far bound (or the prefix block) nothing further matches.
+        if (!reverse && ((range.lte && b4a.compare(candidate, range.lte) > 0) || (range.lt && b4a.compare(candidate, range.lt) >= 0))) break;
+        if (reverse && ((range.gte && b4a.compare(candidate, range.gte) < 0) || (range.gt && b4a.compare(candidate, range.gt) <= 0))) break;
+        if (prefix && !hasPrefix(candidate, prefix) && (b4a.compare(candidate, prefix) > 0) !== reverse) break;
+        if ((!prefix || hasPrefix(candidate, prefix)) && inRange(candidate, range)) { key = candidate; break; }
+        at += reverse ? -1 : 1;
+      }
+      if (!key) return;
+      cursor = key;
+      yield key;
+    }
+  }
+
+  return { insert, remove, walk, get size () { return keys.length; } };
+}
+
+/**
+ * @typedef {{ type:'put', key:Uint8Array, value:Uint8Array, ver:number, pos?:number }|{ type:'del', key:Uint8Array }} StoreChange
+ */
+
+/**
+ * Fan-out of store changes to `watch` streams. A watcher's pending changes are coalesced per key
+ * (only the latest change of a key waits to be read), so a slow consumer costs at most
+ * `highWaterMark` buffered changes; once more distinct keys than that are pending, the watch ends
+ * with a `NotAvailable` error and the client re-scans.
+ *
+ * Watch streams yield `ok(value, { ver, pos, meta: { key } })` for puts and
+ * `ok(undefined, { meta: { key } })` for deletes, and end with a `Closed` error once the feed
+ * closes. They are plain iterator objects so that
+ * `return()` also settles a pending `next()` (stream cancels and lane closes call it).
+ * @param {{ highWaterMark?:number }} [opts]
+ */
+export function createChangeFeed ({ highWaterMark = 1024 } = {}) {
+  /** @type {Set<(change:StoreChange) => void>} */
+  const watchers = new Set();
+  /** @type {Set<(terminal?:any) => void>} */
+  const stops = new Set();
+  let closed = false;
+
+  /** @param {StoreChange} change */
+  function publish (change) {
+    for (const fn of watchers) fn(change);
+  }
+
+  /**
+   * @param {{ prefix?:Uint8Array, range?:{ gte?:Uint8Array, gt?:Uint8Array, lte?:Uint8Array, lt?:Uint8Array } }} [req]
+   * @returns {AsyncIterableIterator<any>}
+   */
+  function watch (req = {}) {
+    /** @type {Map<string, StoreChange>} */
+    const pending = new Map();
+    /** @type {any} terminal envelope to yield before ending */
+    let final = scanRequestError(req, 'watch') || (closed ? err(CODES.Closed, 'watch: store closed') : null);
+    /** @type {((step:IteratorResult<any>) => void)|null} */
+    let wake = null;
+    let done = !!final;
+
+    const finish = (terminal) => {
+      if (done) return;
+      watchers.delete(onChange);
+      stops.delete(finish);
+      done = true;
+      if (terminal) final = terminal;
+      if (wake) { const resolve = wake; wake = null; resolve(step()); }
+    };
+
+    /** @param {StoreChange} change */
+    function onChange (change) {
+      if (!matchesRequest(change.key, req)) return;
+      if (wake) { const resolve = wake; wake = null; resolve({ value: toEnvelope(change), done: false }); return; }
+      const id = b4a.toString(change.key, 'hex');
+      pending.delete(id);
+      pending.set(id, change);
+      if (pending.size > highWaterMark) {
+        pending.clear();
+        finish(err(CODES.NotAvailable, `watch fell more than ${highWaterMark} keys behind`));
+      }
+    }
+
+    // Next step once nothing is pending: the terminal envelope (once), then done.
+    function step () {
+      if (final) { const value = final; final = null; return { value, done: false }; }
+      return { value: undefined, done: true };
+    }
+
+    if (!done) { watchers.add(onChange); stops.add(finish); }
+
+    const iterator = {
+      next () {
+        const [id, change] = pending.entries().next().value || [];
+        if (change) { pending.delete(id); return Promise.resolve({ value: toEnvelope(change), done: false }); }
+        if (done) return Promise.resolve(step());
+        return new Promise((resolve) => { wake = resolve; });
+      },
+      return () {
+        pending.clear();
+        final = null;
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator] () { return iterator; }
+    };
+    return /** @type {any} */ (iterator);
+  }
+
+  /** End every watch (the store is closing). */
+  function close () {
+    closed = true;
+    for (const stop of [...stops]) stop(err(CODES.Closed, 'watch: store closed'));
+  }
+
+  return { publish, watch, close, get size () { return watchers.size; } };
+}
+
+/** @param {StoreChange} change */
+function toEnvelope (change) {
+  if (change.type === 'del') return ok(undefined, { meta: { key: change.key } });
+  return ok(change.value, { ver: change.ver, pos: change.pos, meta: { key: change.key } });
+}
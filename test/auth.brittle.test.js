@@ -0,0 +1,138 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { CODES } from '../result/index.js'
+import Protomux from 'protomux'
+import { createPeer } from '../peer.js'
+import { connectChannel } from '../channel.js'
+import { defaultProtocol } from '../config.js'
+import { authMessage, AUTH_CONTEXT, AUTH_LANE } from '../auth.js'
+import { createSigner, generateKeyPair, sign, verify } from '../crypto/index.js'
+
+function createAuthedPair (t, { server = {}, client = {} } = {}) {
+  const [a, b] = duplexThrough()
+  const srvPeer = createPeer({ stream: a, log: false, auth: { signer: createSigner(), descriptor: { name: 'server', kind: 'driver' }, ...server } })
+  const cliPeer = createPeer({ stream: b, log: false, auth: { signer: createSigner(), descriptor: { name: 'client', kind: 'app' }, ...client } })
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  return { srvPeer, cliPeer }
+}
+
+test('crypto: sign/verify roundtrip and seeded key pairs', t => {
+  const seed = b4a.alloc(32, 7)
+  const k1 = generateKeyPair(seed)
+  const k2 = generateKeyPair(seed)
+  t.alike(k1.publicKey, k2.publicKey)
+
+  const msg = b4a.from('hello')
+  const sig = sign(msg, k1.secretKey)
+  t.ok(verify(msg, sig, k1.publicKey))
+  t.absent(verify(b4a.from('other'), sig, k1.publicKey))
+  t.absent(verify(msg, sig.subarray(1), k1.publicKey))
+})
+
+test('auth: peers exchange and verify signed descriptors', async t => {
+  const { srvPeer, cliPeer } = createAuthedPair(t)
+
+  const [fromClient, fromServer] = await Promise.all([srvPeer.whenAuthenticated(), cliPeer.whenAuthenticated()])
+  t.is(fromClient.name, 'client')
+  t.is(fromServer.name, 'server')
+  t.ok(srvPeer.isAuthenticated())
+  t.is(cliPeer.remoteDescriptor, fromServer)
+  t.is(fromServer.publicKey.byteLength, 32)
+})
+
+test('auth: lanes open only after the handshake', async t => {
+  const { srvPeer, cliPeer } = createAuthedPair(t)
+  const id = b4a.from('aa', 'hex')
+
+  // Created before authentication completes; both stay gated until it does.
+  const srv = srvPeer.listenRpc(id, { eagerOpen: true })
+  const cli = cliPeer.connectRpc(id, { eagerOpen: true })
+  t.teardown(() => { srv.destroy(); cli.destroy() })
+  t.absent(cliPeer.isAuthenticated())
+
+  const received = new Promise((resolve) => srv.once('data', resolve))
+  cli.write(b4a.from('after-auth'))
+  const msg = await received
+  t.is(b4a.toString(msg), 'after-auth')
+  t.ok(cliPeer.isAuthenticated())
+})
+
+test('auth: forged signatures fail with CryptoError', async t => {
+  const honest = createSigner()
+  const other = generateKeyPair()
+  const forger = { publicKey: honest.publicKey, sign: (message) => sign(message, other.secretKey) }
+  const { srvPeer, cliPeer } = createAuthedPair(t, { client: { signer: forger } })
+
+  const lane = srvPeer.listenRpc(b4a.from('ab', 'hex'), { eagerOpen: true })
+  const laneError = new Promise((resolve) => lane.once('error', resolve))
+
+  await t.exception(srvPeer.whenAuthenticated(), /verification failed/)
+  const error = await srvPeer.whenAuthenticated().catch((e) => e)
+  t.is(error.code, CODES.CryptoError)
+  t.absent(srvPeer.remoteDescriptor)
+  t.is((await laneError).code, CODES.CryptoError)
+  await cliPeer.whenAuthenticated().catch(() => {})
+})
+
+test('auth: authorize hook and pluggable verify', async t => {
+  const seen = []
+  const { srvPeer, cliPeer } = createAuthedPair(t, {
+    server: {
+      verify (message, sig, publicKey) {
+        seen.push(message)
+        return verify(message, sig, publicKey)
+      },
+      authorize: (descriptor) => descriptor.kind === 'driver'
+    }
+  })
+
+  const error = await srvPeer.whenAuthenticated().catch((e) => e)
+  t.is(error.code, CODES.CapabilityDenied)
+  t.is(seen.length, 1)
+  t.alike(seen[0].subarray(0, 12), b4a.from('plex-auth/v1'))
+  await cliPeer.whenAuthenticated().catch(() => {})
+})
+
+test('auth: signed message binds context, role, both nonces and descriptor', t => {
+  const challenger = b4a.alloc(32, 1)
+  const responder = b4a.alloc(32, 2)
+  const a = authMessage(challenger, responder, { name: 'x' })
+  t.unlike(a, authMessage(challenger, responder, { name: 'y' }))
+  t.unlike(a, authMessage(responder, challenger, { name: 'x' }), 'direction matters')
+  t.alike(a.subarray(0, 12), b4a.from('plex-auth/v1'))
+  t.alike(a.subarray(13, 45), challenger)
+  t.alike(a.subarray(45, 77), responder)
+})
+
+test('auth: a relay reflecting our own messages back is rejected', async t => {
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const peer = createPeer({ stream: a, log: false, auth: { signer: createSigner(), descriptor: { name: 'victim' } } })
+  const lane = peer.listenRpc(b4a.from('ac', 'hex'), { eagerOpen: true })
+  lane.on('error', () => {})
+
+  // Echoes every auth message (challenge, signed answer, acknowledgement) back to the sender.
+  const relay = connectChannel({
+    stream: b,
+    mux: Protomux.from(b),
+    id: b4a.from(AUTH_CONTEXT),
+    protocol: `${defaultProtocol}/${AUTH_LANE}`,
+    onmessage: (buf) => relay.plexSend(buf),
+    log: false
+  })
+
+  const error = await peer.whenAuthenticated().catch((e) => e)
+  t.is(error.code, CODES.CryptoError)
+  t.absent(peer.remoteDescriptor)
+})
+
+test('auth: a remote presenting our own key is rejected', async t => {
+  const signer = createSigner()
+  const { srvPeer, cliPeer } = createAuthedPair(t, { server: { signer }, client: { signer } })
+
+  // Whichever side rejects first closes the lane on the other.
+  const errors = await Promise.all([srvPeer, cliPeer].map((peer) => peer.whenAuthenticated().catch((e) => e)))
+  t.ok(errors.every((e) => e instanceof Error), 'neither side authenticates')
+  t.ok(errors.some((e) => e.code === CODES.CryptoError && /own key/.test(e.message)))
+})
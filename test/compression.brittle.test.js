@@ -0,0 +1,189 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { listenDuplex, connectDuplex } from '../index.js'
+import { createPeer } from '../peer.js'
+import { exposeStorePort, connectStorePort } from '../service.js'
+import { createMemoryStore } from '../store/index.js'
+import { lz4, resolveCompression, DEFAULT_MAX_BYTES } from '../compress/index.js'
+import { CODES } from '../result/index.js'
+
+const id = b4a.from('c0', 'hex')
+
+async function until (fn) {
+  for (let i = 0; i < 200 && !fn(); i++) await new Promise((resolve) => setTimeout(resolve, 5))
+}
+
+function repetitive (n) {
+  return b4a.from(JSON.stringify(Array.from({ length: n }, (_, i) => ({ id: i, name: `user-${i}`, active: true }))))
+}
+
+// Bytes the listen side's transport received, to see what actually crossed the wire.
+function pair (t, serverCfg, clientCfg) {
+  const [a, b] = duplexThrough()
+  let wire = 0
+  a.on('data', (chunk) => { wire += chunk.byteLength })
+  const server = listenDuplex({ stream: a, id, eagerOpen: true, log: false, ...serverCfg })
+  const client = connectDuplex({ stream: b, id, eagerOpen: true, log: false, ...clientCfg })
+  t.teardown(() => { try { server.destroy() } catch {}; try { client.destroy() } catch {} })
+  return { server, client, wire: () => wire }
+}
+
+function nextData (duplex) {
+  return new Promise((resolve) => duplex.once('data', resolve))
+}
+
+test('lz4 block codec roundtrips and rejects corrupt input', t => {
+  const inputs = [b4a.alloc(0), b4a.from('a'), b4a.from('abcabcabcabcabcabcabcabc'), repetitive(200), b4a.alloc(70000, 7)]
+  for (const src of inputs) {
+    const packed = lz4.compress(src)
+    t.alike(lz4.decompress(packed, src.byteLength), src)
+  }
+  t.ok(lz4.compress(repetitive(200)).byteLength < repetitive(200).byteLength / 2)
+  t.exception(() => lz4.decompress(b4a.from([0xf0, 1]), 20), /corrupt/)
+  try { lz4.decompress(lz4.compress(b4a.from('hello world')), 5) } catch (error) { t.is(error.code, CODES.CodecError) }
+  const runs = b4a.alloc(1 << 18)
+  const packedRuns = lz4.compress(runs)
+  t.alike(lz4.decompress(packedRuns, runs.byteLength), runs, 'the densest block still fits the expansion bound')
+  try {
+    lz4.decompress(b4a.from([0x1f, 0x61, 0x01, 0x00, 0xff]), 2 ** 40)
+    t.fail('a length no block of that size can reach')
+  } catch (error) {
+    t.is(error.code, CODES.CodecError, 'rejected before allocating')
+  }
+
+  t.is(resolveCompression(false), null)
+  t.alike(resolveCompression(true).codecs, [lz4])
+  t.is(resolveCompression({ threshold: 0 }).threshold, 0)
+  t.is(resolveCompression(true).maxBytes, DEFAULT_MAX_BYTES)
+  t.exception(() => resolveCompression({ codecs: ['zstd'] }), /unknown codec zstd/)
+})
+
+test('duplexes negotiate compression and pack large messages only', async t => {
+  const { server, client, wire } = pair(t, { compression: true }, { compression: true })
+  await until(() => client.config.plexCompression?.codec && server.config.plexCompression?.codec)
+  t.alike(client.config.plexCompression, { codecs: ['lz4'], remote: ['lz4'], codec: 'lz4' })
+
+  const large = repetitive(400)
+  const before = wire()
+  const got = nextData(server)
+  client.write(large)
+  t.alike(await got, large, 'delivered intact')
+  t.ok(wire() - before < large.byteLength / 2, 'sent compressed')
+
+  const small = b4a.from('tiny message')
+  const gotSmall = nextData(server)
+  client.write(small)
+  t.alike(await gotSmall, small, 'below the threshold stays plain')
+
+  const noise = b4a.alloc(4096)
+  for (let i = 0; i < noise.byteLength; i++) noise[i] = (i * 2654435761) >>> 24
+  const gotNoise = nextData(client)
+  server.write(noise)
+  t.alike(await gotNoise, noise, 'incompressible data falls back to a plain frame')
+})
+
+test('the offer rides in the open handshake next to the caller payload', async t => {
+  const { server, client } = pair(t, { compression: true, handshakeMessage: b4a.from('srv') }, { compression: true, handshakeMessage: b4a.from('cli') })
+  const [fromServer, fromClient] = await Promise.all([
+    new Promise((resolve) => client.once('remote-open', (hs) => resolve([hs, client.config.plexCompression.codec]))),
+    new Promise((resolve) => server.once('remote-open', (hs) => resolve([hs, server.config.plexCompression.codec])))
+  ])
+  t.alike(fromServer, [b4a.from('srv'), 'lz4'], 'negotiated before the lane reports open')
+  t.alike(fromClient, [b4a.from('cli'), 'lz4'])
+})
+
+test('compression falls back to identity without a shared codec', async t => {
+  const { server, client, wire } = pair(t, {}, { compression: true })
+  const got = nextData(server)
+  const large = repetitive(400)
+  client.write(large)
+  t.alike(await got, large)
+  t.is(client.config.plexCompression.codec, null, 'the plain side never offered')
+  t.ok(wire() > large.byteLength)
+
+  const custom = { name: 'custom', compress: lz4.compress, decompress: lz4.decompress }
+  const mismatched = pair(t, { compression: { codecs: [custom] } }, { compression: true })
+  await until(() => mismatched.client.config.plexCompression?.remote)
+  t.alike(mismatched.client.config.plexCompression.remote, ['custom'])
+  t.is(mismatched.client.config.plexCompression.codec, null)
+  const echoed = nextData(mismatched.client)
+  mismatched.server.write(large)
+  t.alike(await echoed, large)
+})
+
+test('each side packs with its own preference among what the remote offers', async t => {
+  const used = []
+  const tagged = (name) => ({
+    name,
+    compress (bytes) { used.push(name); return lz4.compress(bytes) },
+    decompress: lz4.decompress
+  })
+  const { server, client } = pair(t, { compression: { codecs: [tagged('b'), tagged('a')], threshold: 0 } }, { compression: { codecs: [tagged('a'), tagged('b')], threshold: 0 } })
+  await until(() => client.config.plexCompression?.codec && server.config.plexCompression?.codec)
+  t.is(client.config.plexCompression.codec, 'a')
+  t.is(server.config.plexCompression.codec, 'b')
+  const msg = b4a.from('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa')
+  const got = nextData(server)
+  client.write(msg)
+  t.alike(await got, msg)
+  t.alike(used, ['a'])
+})
+
+test('messages above the remote maxBytes go out plain', async t => {
+  const { server, client, wire } = pair(t, { compression: { maxBytes: 8192 } }, { compression: true })
+  await until(() => client.config.plexCompression?.codec && server.config.plexCompression?.codec)
+  const large = repetitive(400)
+  t.ok(large.byteLength > 8192)
+  let before = wire()
+  const got = nextData(server)
+  client.write(large)
+  t.alike(await got, large, 'delivered, and the channel stays open')
+  t.ok(wire() - before > large.byteLength, 'sent uncompressed')
+
+  const medium = repetitive(60)
+  t.ok(medium.byteLength < 8192)
+  before = wire()
+  const gotMedium = nextData(server)
+  client.write(medium)
+  t.alike(await gotMedium, medium)
+  t.ok(wire() - before < medium.byteLength / 2, 'smaller ones are still packed')
+})
+
+test('a corrupt compressed frame closes the channel', async t => {
+  const liar = { name: 'lz4', compress: () => b4a.from([0xf0, 1, 2]), decompress: lz4.decompress }
+  const { server, client } = pair(t, { compression: true }, { compression: { codecs: [liar] } })
+  await until(() => client.config.plexCompression?.codec)
+  const closed = new Promise((resolve) => server.once('channel-close', resolve))
+  let received = 0
+  server.on('data', () => { received++ })
+  client.write(repetitive(100))
+  await closed
+  t.is(received, 0)
+})
+
+test('peers compress RPC payloads above the threshold', async t => {
+  let packed = 0
+  const counting = { name: 'lz4', compress (bytes) { packed++; return lz4.compress(bytes) }, decompress: lz4.decompress }
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const server = createPeer({ stream: a, log: false, compression: { codecs: [counting] } })
+  const client = createPeer({ stream: b, log: false, compression: { codecs: [counting] } })
+  const store = createMemoryStore()
+  exposeStorePort(server, { id }, store)
+  const remote = connectStorePort(client, { id })
+
+  await remote.put({ key: b4a.from('small'), value: b4a.from('v') })
+  t.is(packed, 0, 'small requests go out plain')
+  const value = repetitive(300)
+  t.ok((await remote.put({ key: b4a.from('big'), value })).ok)
+  t.is(b4a.toString((await store.get({ key: b4a.from('big') })).value), b4a.toString(value))
+  t.is(packed, 1)
+  t.is(b4a.toString((await remote.get({ key: b4a.from('big') })).value), b4a.toString(value))
+  t.is(packed, 2, 'and so does the large reply')
+
+  const plain = connectStorePort(client, { id: b4a.from('c1', 'hex'), compression: false })
+  exposeStorePort(server, { id: b4a.from('c1', 'hex') }, store)
+  t.is(b4a.toString((await plain.get({ key: b4a.from('big') })).value), b4a.toString(value))
+  t.is(packed, 2, 'a lane can opt out')
+})
@@ -0,0 +1,186 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { createPeerPool } from '../pool.js'
+import { exposeStorePort } from '../service.js'
+import { ok } from '../result/index.js'
+import { createDiscovery, createLocalRegistry, staticSource, registrySource, exposeDiscoveryRegistry, udpBeaconSource } from '../discovery.js'
+
+const id = b4a.from('f3', 'hex')
+
+// dial(info) opens an in-memory connection to the node named by info.address.
+function createNetwork (t) {
+  const streams = []
+  t.teardown(() => { for (const s of streams) { try { s.destroy() } catch {} } })
+  return {
+    dial (info) {
+      if (info.address === 'nowhere') throw new Error('unreachable')
+      const [a, b] = duplexThrough()
+      streams.push(a, b)
+      const tag = b4a.from(String(info.address))
+      exposeStorePort(createPeer({ stream: a, log: false }), { id }, {
+        async get () { return ok(tag) },
+        async put () { return ok() },
+        async del () { return ok() },
+        async *scan () {}
+      })
+      return b
+    }
+  }
+}
+
+function collect (discovery) {
+  const seen = []
+  discovery.events.on('peer-up', (e) => seen.push(['up', e.id, e.source, e.locality]))
+  discovery.events.on('peer-down', (e) => seen.push(['down', e.id, e.reason]))
+  return seen
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('discovery: local registry adds and removes pool peers', async t => {
+  const net = createNetwork(t)
+  const registry = createLocalRegistry()
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => pool.destroy())
+  const discovery = createDiscovery({ pool, dial: net.dial, sources: [registry.source()], log: false })
+  t.teardown(() => discovery.close())
+  const seen = collect(discovery)
+
+  const a = registry.announce({ id: 'a', address: 'node-a', meta: { zone: 'x' } })
+  registry.announce({ id: 'b', address: 'node-b' })
+  await sleep(10)
+  t.alike(seen, [['up', 'a', 'local', 'local'], ['up', 'b', 'local', 'local']])
+  t.alike(pool.stats().map((s) => s.meta), [
+    { zone: 'x', name: 'a', source: 'local', locality: 'local' },
+    { name: 'b', source: 'local', locality: 'local' }
+  ])
+
+  const store = pool.connectStorePort({ id })
+  const tags = [(await store.get({})).value, (await store.get({})).value].map((v) => b4a.toString(v)).sort()
+  t.alike(tags, ['node-a', 'node-b'])
+
+  a.withdraw()
+  t.alike(seen.at(-1), ['down', 'a', 'withdrawn'])
+  t.alike(pool.stats().map((s) => s.meta.name), ['b'])
+
+  discovery.peers()[0].peer.getTransport().destroy()
+  await sleep(10)
+  t.alike(seen.at(-1), ['down', 'b', 'closed'])
+  t.is(pool.stats().length, 0)
+})
+
+test('discovery: static peers, dial errors and shared announcements', async t => {
+  const net = createNetwork(t)
+  const registry = createLocalRegistry()
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => pool.destroy())
+  const errors = []
+  const discovery = createDiscovery({
+    pool,
+    dial: net.dial,
+    sources: [staticSource([{ id: 'a', address: 'node-a' }, { id: 'z', address: 'nowhere' }])],
+    log: false
+  })
+  t.teardown(() => discovery.close())
+  discovery.events.on('dial-error', (e) => errors.push([e.id, e.error.message]))
+  await sleep(10)
+  t.alike(errors, [['z', 'unreachable']])
+  t.alike(pool.stats().map((s) => [s.meta.name, s.meta.locality]), [['a', 'wan']])
+
+  const stop = discovery.addSource(registry.source())
+  const ann = registry.announce({ id: 'a', address: 'node-a' })
+  await sleep(10)
+  t.alike(discovery.peers()[0].sources, ['static', 'local'])
+  ann.withdraw()
+  t.is(pool.stats().length, 1, 'static still holds the peer')
+  stop()
+  discovery.close()
+  t.is(pool.stats().length, 0)
+})
+
+test('discovery: registry served over a plex lane', async t => {
+  const net = createNetwork(t)
+  const registry = createLocalRegistry()
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const h = exposeDiscoveryRegistry(createPeer({ stream: a, log: false }), registry)
+  t.teardown(() => h.dispose())
+  registry.announce({ id: 'a', address: 'node-a', locality: 'lan' })
+
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => pool.destroy())
+  const hub = createPeer({ stream: b, log: false })
+  const discovery = createDiscovery({ pool, dial: net.dial, sources: [registrySource(hub)], log: false })
+  t.teardown(() => discovery.close())
+  const seen = collect(discovery)
+  await sleep(30)
+
+  const later = registry.announce({ id: 'c', address: 'node-c' })
+  await sleep(20)
+  later.withdraw()
+  await sleep(20)
+  t.alike(seen, [['up', 'a', 'registry', 'lan'], ['up', 'c', 'registry', 'wan'], ['down', 'c', 'withdrawn']])
+
+  b.destroy()
+  await sleep(20)
+  t.alike(seen.at(-1), ['down', 'a', 'withdrawn'])
+  t.is(pool.stats().length, 0)
+})
+
+// In-process stand-in for dgram: every bound socket receives every sent datagram.
+function createFakeDgram () {
+  const sockets = new Set()
+  return {
+    createSocket () {
+      const handlers = {}
+      const socket = {
+        on (name, fn) { handlers[name] = fn; return socket },
+        bind (port, cb) { sockets.add(socket); cb?.() },
+        addMembership () {},
+        setMulticastLoopback () {},
+        send (buf, off, len, port, host, cb) {
+          for (const s of sockets) s.deliver(buf.subarray(off, off + len))
+          cb?.()
+        },
+        deliver (buf) { handlers.message?.(buf, { address: '10.0.0.9', port: 49737 }) },
+        close () { sockets.delete(socket) }
+      }
+      return socket
+    }
+  }
+}
+
+test('discovery: udp beacons announce, expire and leave', async t => {
+  const net = createNetwork(t)
+  const dgram = createFakeDgram()
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => pool.destroy())
+  const received = []
+  const discovery = createDiscovery({
+    pool,
+    dial: (info) => { received.push(info.address); return net.dial({ ...info, address: info.id }) },
+    sources: [udpBeaconSource({ dgram, announce: { id: 'self' }, intervalMs: 10, ttlMs: 25 })],
+    log: false
+  })
+  t.teardown(() => discovery.close())
+  const seen = collect(discovery)
+
+  const other = udpBeaconSource({ dgram, announce: { id: 'b', address: { port: 4000 } }, intervalMs: 10 })
+  const stopOther = other.start({ up () {}, down () {}, error () {} })
+  await sleep(15)
+  t.alike(seen, [['up', 'b', 'udp', 'lan']], 'own beacon ignored')
+  t.alike(received, [{ port: 4000, host: '10.0.0.9' }])
+
+  stopOther()
+  t.alike(seen.at(-1), ['down', 'b', 'withdrawn'])
+
+  const quiet = udpBeaconSource({ dgram, announce: { id: 'q' }, intervalMs: 1000 })
+  const stopQuiet = quiet.start({ up () {}, down () {}, error () {} })
+  await sleep(5)
+  t.is(seen.filter((e) => e[1] === 'q').length, 1)
+  await sleep(60)
+  t.alike(seen.at(-1), ['down', 'q', 'withdrawn'], 'expired after ttl')
+  stopQuiet()
+})
@@ -0,0 +1,178 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { exposeStorePort, connectStorePort } from '../service.js'
+import { createReconnectingPeer } from '../reconnect.js'
+import { ok } from '../result/index.js'
+import { makeCodec } from '../codec/index.js'
+import { createEventLog, exposeEventLog, connectEventLog, encodePosKey, decodePosKey } from '../eventlog.js'
+
+// Append-only port: events are stored under their position key and scanned in order.
+function createLogPort () {
+  const events = []
+  return {
+    events,
+    async append ({ value }) {
+      events.push(value)
+      return ok(undefined, { pos: events.length })
+    },
+    async *scan ({ range } = {}) {
+      const after = range?.gt ? decodePosKey(range.gt) : 0
+      for (let pos = after + 1; pos <= events.length; pos++) {
+        yield ok(events[pos - 1], { meta: { key: encodePosKey(pos) } })
+      }
+    }
+  }
+}
+
+function createPair (t) {
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  return { srv: createPeer({ stream: a, log: false }), cli: createPeer({ stream: b, log: false }), a, b }
+}
+
+async function take (iterable, n) {
+  const out = []
+  for await (const e of iterable) {
+    out.push([e.pos, e.value])
+    if (out.length === n) break
+  }
+  return out
+}
+
+test('eventlog: position keys sort in position order', async t => {
+  t.is(decodePosKey(encodePosKey(0)), 0)
+  t.is(decodePosKey(encodePosKey(2 ** 40 + 7)), 2 ** 40 + 7)
+  t.ok(b4a.compare(encodePosKey(255), encodePosKey(256)) < 0)
+  t.is(decodePosKey(b4a.from('short')), undefined)
+  await t.exception.all(() => encodePosKey(-1), /non-negative/)
+})
+
+test('eventlog: replay then live events with positions from the ok envelope', async t => {
+  const { srv, cli } = createPair(t)
+  const eventLog = createEventLog(createLogPort(), { log: false })
+  exposeEventLog(srv, {}, eventLog)
+  const events = connectEventLog(cli, { codec: 'json', log: false })
+
+  t.is((await events.append({ n: 1 })).pos, 1)
+  t.is((await events.append({ n: 2 })).pos, 2)
+
+  const sub = events.subscribe({ after: 1 })
+  t.alike((await sub.next()).value, { pos: 2, value: { n: 2 } }, 'replays after the cursor')
+
+  await eventLog.append(makeCodec('json').encode({ n: 3 }))
+  t.alike((await sub.next()).value, { pos: 3, value: { n: 3 } }, 'then follows live appends')
+  t.is(sub.position, 3)
+  await sub.return()
+})
+
+test('eventlog: store port appends carry pos over the wire', async t => {
+  const { srv, cli } = createPair(t)
+  const port = createLogPort()
+  exposeStorePort(srv, { id: b4a.from('e1', 'hex') }, port)
+  const remote = connectStorePort(cli, { id: b4a.from('e1', 'hex') })
+  t.is((await remote.append({ value: b4a.from('a') })).pos, 1)
+
+  const eventLog = createEventLog(remote, { log: false })
+  t.is((await eventLog.append(b4a.from('b'))).pos, 2)
+  const replayed = await take(eventLog.read({ live: false }), 2)
+  t.alike(replayed.map(([pos, v]) => [pos, b4a.toString(v)]), [[1, 'a'], [2, 'b']])
+})
+
+test('eventlog: live reads deliver in position order when appends resolve out of order', async t => {
+  const port = createLogPort()
+  const append = port.append
+  const delays = [30, 0, 0]
+  port.append = async (req) => {
+    const env = await append(req)
+    await new Promise((resolve) => setTimeout(resolve, delays[env.pos - 1]))
+    return env
+  }
+  const eventLog = createEventLog(port, { log: false })
+  const reader = eventLog.read()
+  const got = take(reader, 3)
+  const appended = await Promise.all(['a', 'b', 'c'].map((v) => eventLog.append(b4a.from(v))))
+  t.alike(appended.map((env) => env.pos), [1, 2, 3])
+  t.alike((await got).map(([pos, v]) => [pos, b4a.toString(v)]), [[1, 'a'], [2, 'b'], [3, 'c']], 'pos 2 and 3 waited for pos 1')
+
+  const failing = createLogPort()
+  let fail = true
+  const flaky = createEventLog({
+    async append (req) {
+      if (!fail) return failing.append(req)
+      fail = false
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      throw new Error('lost')
+    },
+    scan: failing.scan
+  }, { log: false })
+  const next = flaky.read().next()
+  const lost = flaky.append(b4a.from('x'))
+  await failing.append({ value: b4a.from('direct') })
+  await flaky.append(b4a.from('y'))
+  let settled = false
+  lost.catch(() => { settled = true })
+  const event = (await next).value
+  t.ok(settled, 'the event past the gap waited for the append in flight')
+  t.alike([event.pos, b4a.toString(event.value)], [2, 'y'], 'and is delivered once that append failed')
+  await t.exception(lost, /lost/)
+})
+
+test('eventlog: a live reader that falls behind rescans instead of buffering', async t => {
+  const port = createLogPort()
+  const scan = port.scan
+  let scans = 0
+  // Scans stop at the events stored when they started, so only a rescan sees later ones.
+  port.scan = async function * (req) {
+    scans++
+    const end = port.events.length
+    for await (const env of scan(req)) {
+      if (decodePosKey(env.meta.key) > end) return
+      yield env
+    }
+  }
+  const eventLog = createEventLog(port, { highWaterMark: 2, log: false })
+  const reader = eventLog.read()
+  const first = reader.next()
+  await eventLog.append(b4a.from('a'))
+  t.is((await first).value.pos, 1)
+  for (const v of ['b', 'c', 'd', 'e', 'f']) await eventLog.append(b4a.from(v))
+
+  const rest = await take(reader, 5)
+  t.alike(rest.map(([pos, v]) => [pos, b4a.toString(v)]), [[2, 'b'], [3, 'c'], [4, 'd'], [5, 'e'], [6, 'f']])
+  t.is(scans, 2, 'the overflow was picked up from the store')
+})
+
+test('eventlog: subscriptions resume from the last acknowledged position after a reconnect', async t => {
+  const eventLog = createEventLog(createLogPort(), { log: false })
+  const links = []
+  t.teardown(() => { for (const s of links) { try { s.destroy() } catch {} } })
+  const rp = createReconnectingPeer({
+    dial () {
+      const [a, b] = duplexThrough()
+      exposeEventLog(createPeer({ stream: a, log: false }), {}, eventLog)
+      links.push(b)
+      return b
+    },
+    backoff: { minMs: 5, maxMs: 5, jitter: 0 },
+    log: false
+  })
+  t.teardown(() => rp.close())
+  const events = rp.connectEventLog({ codec: 'utf8' })
+  for (const v of ['a', 'b', 'c']) await events.append(v)
+
+  const sub = events.subscribe({ autoAck: false })
+  const seen = []
+  for await (const e of sub) {
+    seen.push([e.pos, e.value])
+    if (seen.length === 1) sub.ack(e.pos)
+    else if (seen.length === 2) links[0].destroy() // drop before acknowledging pos 2
+    else if (seen.length === 3) {
+      sub.ack(e.pos)
+      await eventLog.append(makeCodec('utf8').encode('d'))
+    } else if (e.pos === 4) break
+  }
+  t.alike(seen, [[1, 'a'], [2, 'b'], [2, 'b'], [3, 'c'], [4, 'd']], 'unacknowledged event redelivered, nothing skipped')
+  t.is(links.length, 2)
+})
@@ -0,0 +1,52 @@
+// Fixtures shared by the test files. pool-policy also runs under Bare, so nothing here may
+// import a module without a Bare mapping at the top level.
+import fs from 'fs'
+import path from 'path'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { ok } from '../result/index.js'
+
+// StorePort whose get always answers its tag, so reads show which peer served them.
+export function createProbePort (tag) {
+  const tagBuf = b4a.from(tag)
+  return {
+    async get () { return ok(tagBuf) },
+    async put () { return ok() },
+    async del () { return ok() },
+    async *scan () {}
+  }
+}
+
+// Serves `expose(srv)` (a handle or an array of handles, disposed on teardown) across an
+// in-memory stream pair and returns the client peer with its end of the stream.
+export function createServedPeer (t, expose) {
+  const [a, b] = duplexThrough()
+  const srv = createPeer({ stream: a, log: false })
+  const cli = createPeer({ stream: b, log: false })
+  const handles = [expose(srv)].flat().filter(Boolean)
+  t.teardown(() => {
+    for (const h of handles) h.dispose()
+    try { a.destroy() } catch {}
+    try { b.destroy() } catch {}
+  })
+  return { cli, stream: b }
+}
+
+// os has no Bare import mapping, hence the lazy import.
+export async function tmpDir (t, prefix = 'plex-test-') {
+  const os = await import('os')
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// Scan envelopes as [key, value] strings, or [key, value, ver] with `{ ver: true }`.
+export async function entriesOf (iterable, { ver = false } = {}) {
+  const out = []
+  for await (const env of iterable) {
+    const entry = [b4a.toString(env.meta.key), b4a.toString(env.value)]
+    out.push(ver ? [...entry, env.ver] : entry)
+  }
+  return out
+}
@@ -0,0 +1,175 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { listenDuplex, connectDuplex } from '../index.js'
+import { createPeer } from '../peer.js'
+import { exposeStorePort, connectStorePort } from '../service.js'
+import { createMemoryStore } from '../store/index.js'
+import { createSigner } from '../crypto/index.js'
+
+const id = b4a.from('e0', 'hex')
+const SECRET = 'attack at dawn'
+
+// A relay between two transports that records what crosses it and can corrupt it.
+function relay (t, { tamper } = {}) {
+  const [client, clientSide] = duplexThrough()
+  const [server, serverSide] = duplexThrough()
+  const seen = []
+  for (const side of [clientSide, serverSide]) side.on('error', () => {})
+  clientSide.on('data', (chunk) => {
+    seen.push(b4a.from(chunk))
+    serverSide.write(tamper ? tamper(chunk) : chunk)
+  })
+  serverSide.on('data', (chunk) => {
+    seen.push(b4a.from(chunk))
+    clientSide.write(chunk)
+  })
+  t.teardown(() => { for (const s of [client, clientSide, server, serverSide]) { try { s.destroy() } catch {} } })
+  return { client, server, saw: (text) => seen.some((chunk) => b4a.toString(chunk).includes(text)) }
+}
+
+async function until (fn) {
+  for (let i = 0; i < 200 && !fn(); i++) await new Promise((resolve) => setTimeout(resolve, 5))
+}
+
+function pair (t, link, serverCfg, clientCfg) {
+  const server = listenDuplex({ stream: link.server, id, eagerOpen: true, log: false, ...serverCfg })
+  const client = connectDuplex({ stream: link.client, id, eagerOpen: true, log: false, ...clientCfg })
+  t.teardown(() => { try { server.destroy() } catch {}; try { client.destroy() } catch {} })
+  return { server, client }
+}
+
+function nextData (duplex) {
+  return new Promise((resolve) => duplex.once('data', resolve))
+}
+
+test('encrypted duplexes key a session and seal every message', async t => {
+  const link = relay(t)
+  const { server, client } = pair(t, link, { encrypt: true }, { encrypt: true })
+  const got = nextData(server)
+  client.write(b4a.from(SECRET))
+  t.is(b4a.toString(await got), SECRET, 'writes before the key exchange are queued, then sealed')
+  t.alike(client.config.plexEncryption, { state: 'ready', verified: false })
+
+  const reply = nextData(client)
+  server.write(b4a.from(`${SECRET}, confirmed`))
+  t.is(b4a.toString(await reply), `${SECRET}, confirmed`)
+  t.absent(link.saw(SECRET), 'the relay never sees the plaintext')
+})
+
+test('an encrypted lane refuses plaintext and tampered frames', async t => {
+  const plain = relay(t)
+  const mixed = pair(t, plain, { encrypt: true }, {})
+  const closed = new Promise((resolve) => mixed.server.once('channel-close', resolve))
+  let received = 0
+  mixed.server.on('data', () => { received++ })
+  mixed.client.write(b4a.from(SECRET))
+  await closed
+  t.is(received, 0, 'plaintext closes the lane unread')
+  t.is(mixed.server.config.plexEncryption.state, 'failed')
+
+  const flipped = relay(t, {
+    tamper: (chunk) => {
+      if (chunk.byteLength < 200) return chunk
+      const copy = b4a.from(chunk)
+      copy[copy.byteLength - 1] ^= 1
+      return copy
+    }
+  })
+  const { server, client } = pair(t, flipped, { encrypt: true }, { encrypt: true })
+  const shut = new Promise((resolve) => server.once('channel-close', resolve))
+  server.on('data', () => { received++ })
+  client.write(b4a.alloc(300, 'x'))
+  await shut
+  t.is(received, 0, 'a corrupted frame fails authentication')
+  t.is(server.config.plexEncryption.state, 'failed')
+})
+
+test('signed hellos pin the remote key', async t => {
+  const alice = createSigner()
+  const bob = createSigner()
+  const link = relay(t)
+  const ok = pair(t, link, { encrypt: { signer: bob, remotePublicKey: alice.publicKey } }, { encrypt: { signer: alice, remotePublicKey: bob.publicKey } })
+  const got = nextData(ok.server)
+  ok.client.write(b4a.from(SECRET))
+  t.is(b4a.toString(await got), SECRET)
+  t.ok(ok.server.config.plexEncryption.verified)
+
+  const mallory = createSigner()
+  const impostor = pair(t, relay(t), { encrypt: { signer: bob, remotePublicKey: alice.publicKey } }, { encrypt: { signer: mallory, remotePublicKey: bob.publicKey } })
+  await until(() => impostor.server.config.plexEncryption?.state === 'failed')
+  t.is(impostor.server.config.plexEncryption.state, 'failed', 'a hello signed by another key is refused')
+
+  const anonymous = pair(t, relay(t), { encrypt: { remotePublicKey: alice.publicKey } }, { encrypt: true })
+  await until(() => anonymous.server.config.plexEncryption?.state === 'failed')
+  t.is(anonymous.server.config.plexEncryption.state, 'failed', 'an unsigned hello is refused when a key is pinned')
+})
+
+test('a slow signer still sends its hello before any sealed frame', async t => {
+  const alice = createSigner()
+  const bob = createSigner()
+  const slow = {
+    publicKey: alice.publicKey,
+    async sign (message) {
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      return alice.sign(message)
+    }
+  }
+  const { server, client } = pair(t, relay(t), { encrypt: { signer: bob, remotePublicKey: alice.publicKey } }, { encrypt: { signer: slow, remotePublicKey: bob.publicKey } })
+  await until(() => client.config.plexEncryption?.state === 'ready')
+  const got = nextData(server)
+  client.write(b4a.from(SECRET))
+  const reply = nextData(client)
+  server.write(b4a.from('ack'))
+  t.is(b4a.toString(await got), SECRET)
+  t.is(b4a.toString(await reply), 'ack')
+  t.is(client.config.plexEncryption.state, 'ready')
+  t.is(server.config.plexEncryption.state, 'ready')
+})
+
+test('writes before the key exchange push back until it completes', async t => {
+  const alice = createSigner()
+  const slow = {
+    publicKey: alice.publicKey,
+    async sign (message) {
+      await new Promise((resolve) => setTimeout(resolve, 50))
+      return alice.sign(message)
+    }
+  }
+  const { server, client } = pair(t, relay(t), { encrypt: { remotePublicKey: alice.publicKey } }, { encrypt: { signer: slow } })
+  const received = []
+  server.on('data', (msg) => received.push(msg[0]))
+  await new Promise((resolve) => client.once('open', resolve))
+
+  // Yield between writes so each one reaches the lane before the next is buffered.
+  let sent = 0
+  let accepted = true
+  while (accepted && sent < 64) {
+    accepted = client.write(b4a.alloc(1024, sent++))
+    await new Promise((resolve) => setImmediate(resolve))
+  }
+  t.absent(accepted, 'the duplex reports backpressure while the lane is keying')
+  t.is(received.length, 0, 'nothing goes out before our hello')
+
+  await until(() => received.length === sent)
+  t.alike(received, Array.from({ length: sent }, (_, i) => i), 'every queued write arrives, in order')
+})
+
+test('authenticated peers encrypt a single lane with their auth keys', async t => {
+  const link = relay(t)
+  const server = createPeer({ stream: link.server, log: false, auth: { signer: createSigner(), descriptor: { name: 'server' } } })
+  const client = createPeer({ stream: link.client, log: false, auth: { signer: createSigner(), descriptor: { name: 'client' } } })
+  const store = createMemoryStore()
+  await store.put({ key: b4a.from('plain'), value: b4a.from('visible to the relay') })
+  await store.put({ key: b4a.from('secret'), value: b4a.from(SECRET) })
+
+  exposeStorePort(server, { id: b4a.from('e1', 'hex'), encrypt: true }, store)
+  exposeStorePort(server, { id: b4a.from('e2', 'hex') }, store)
+  const sealed = connectStorePort(client, { id: b4a.from('e1', 'hex'), encrypt: true })
+  const open = connectStorePort(client, { id: b4a.from('e2', 'hex') })
+
+  t.is(b4a.toString((await sealed.get({ key: b4a.from('secret') })).value), SECRET)
+  t.is(b4a.toString((await open.get({ key: b4a.from('plain') })).value), 'visible to the relay')
+  t.absent(link.saw(SECRET), 'the encrypted lane stays private')
+  t.ok(link.saw('visible to the relay'), 'other lanes stay plaintext')
+})
@@ -246,6 +246,45 @@ test('backpressure/order: many messages in both directions', async t => {
   t.alike(clientSeen, Array.from({ length: N }, (_, i) => 's' + i))
 })
 
+test('backpressure: writes wait for the mux to drain', async t => {
+  t.plan(3)
+
+  const [a, b] = duplexThrough()
+  const id = b4a.from('0a', 'hex')
+
+  const server = listenDuplex({ stream: a, id, eagerOpen: true })
+  const client = connectDuplex({ stream: b, id, eagerOpen: true })
+
+  t.teardown(() => {
+    try { server.destroy() } catch {}
+    try { client.destroy() } catch {}
+  })
+
+  await new Promise((resolve) => server.once('connection', resolve))
+
+  const serverSeen = []
+  server.on('data', (buf) => serverSeen.push(b4a.toString(buf)))
+
+  // Make the transport report a full buffer until we emit 'drain' ourselves.
+  const write = b.write
+  b.write = function (buf) { write.call(this, buf); return false }
+
+  client.write(b4a.from('m0'))
+  client.write(b4a.from('m1'))
+  client.write(b4a.from('m2'))
+  await new Promise((r) => setTimeout(r, 20))
+  t.alike(serverSeen, ['m0'], 'only the first write reaches the mux before drain')
+
+  b.emit('drain')
+  await new Promise((r) => setTimeout(r, 20))
+  t.alike(serverSeen, ['m0', 'm1'], 'drain releases one held write')
+
+  b.write = write
+  b.emit('drain')
+  await new Promise((r) => setTimeout(r, 20))
+  t.alike(serverSeen, ['m0', 'm1', 'm2'])
+})
+
 test('remote close path: server.destroy notifies client and flips state', async t => {
   t.plan(3)
 
@@ -0,0 +1,78 @@
+import { test } from 'brittle'
+import b4a from 'b4a'
+import c from 'compact-encoding'
+import { createPeerPool } from '../pool.js'
+import { defineService } from '../rpc.js'
+import { exposeService } from '../service.js'
+import { ok, CODES } from '../result/index.js'
+import { createServedPeer } from './helpers.js'
+
+const id = b4a.from('f2', 'hex')
+
+const whoService = defineService({
+  name: 'who',
+  methods: {
+    whoami: { request: c.utf8, response: c.utf8 },
+    count: { kind: 'stream', request: c.uint, response: c.uint }
+  }
+})
+
+function serveWho (tag) {
+  return (srv) => exposeService(srv, { id }, whoService, {
+    whoami (name) { return ok(`${tag}:${name}`) },
+    async * count (n) { for (let i = 0; i < n; i++) yield ok(i) }
+  })
+}
+
+test('pool clients: services route unary and stream methods across peers', async t => {
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => pool.destroy())
+  pool.add(createServedPeer(t, serveWho('p1')).cli)
+  pool.add(createServedPeer(t, serveWho('p2')).cli)
+  const calls = []
+  pool.events.on('call', (e) => { if (e.type === 'complete') calls.push([e.method, e.peerId]) })
+
+  const who = pool.connectService({ id, service: whoService })
+  const names = [(await who.whoami('a')).value, (await who.whoami('b')).value]
+  t.alike(names, ['p1:a', 'p2:b'])
+
+  const items = []
+  for await (const env of who.count(3)) items.push(env.value)
+  t.alike(items, [0, 1, 2])
+  t.alike(calls, [['whoami', 1], ['whoami', 2], ['count', 1]])
+  t.is(pool.stats()[0].successes, 2)
+})
+
+test('pool clients: custom factories are cached per key and released on close', async t => {
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => pool.destroy())
+  const built = []
+  const closed = []
+  const factory = (peer, { peerId }) => {
+    built.push(peerId)
+    return {
+      async ping (opts) { return ok(`${peerId}:${opts.key}`) },
+      close () { closed.push(peerId) }
+    }
+  }
+  pool.add({ getTransport () { return null } }, { meta: { name: 'a' } })
+  pool.add({ getTransport () { return null } }, { meta: { name: 'b' } })
+
+  const client = pool.connect({ key: 'pinger', factory, methods: { ping: 'unary' }, policy: 'sticky', keyFn: (opts) => opts.key })
+  const first = await client.ping({ key: 'k1' })
+  t.is((await client.ping({ key: 'k1' })).value, first.value)
+  await client.ping({ key: 'k2' })
+  await client.ping({ key: 'k3' })
+  t.ok(built.length <= 2, 'one client per peer')
+
+  const missing = pool.connect({ key: 'pinger', factory, methods: { pong: 'unary' } })
+  const error = await missing.pong({}).catch((e) => e)
+  t.ok(/missing method pong/.test(error.message))
+
+  await client.close()
+  t.alike(closed.sort(), built.sort())
+  await t.exception.all(() => pool.connect({ factory, methods: { close: 'unary' } }), /reserved/)
+  const failing = pool.connect({ factory () { throw Object.assign(new Error('no lane'), { code: CODES.NotAvailable }) }, methods: { ping: 'unary' } })
+  t.is((await failing.ping({}).catch((e) => e)).code, CODES.NotAvailable)
+  t.is(pool.poolStats().inFlight, 0)
+})
@@ -0,0 +1,71 @@
+import { test } from 'brittle'
+import b4a from 'b4a'
+import { createPeerPool, exposeHealthCheck } from '../pool.js'
+import { exposeStorePort } from '../service.js'
+import { createProbePort, createServedPeer } from './helpers.js'
+
+const id = b4a.from('ee', 'hex')
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('pool health: breaker opens after consecutive failures and re-opens on a failed probe', async t => {
+  const p1 = createServedPeer(t, (srv) => exposeStorePort(srv, { id }, createProbePort('p1')))
+  const p2 = createServedPeer(t, (srv) => exposeStorePort(srv, { id }, createProbePort('p2')))
+  const pool = createPeerPool({ log: false, breaker: { failureThreshold: 2, resetMs: 20 } })
+  t.teardown(() => pool.destroy())
+  pool.add(p1.cli)
+  pool.add(p2.cli)
+  const transitions = []
+  pool.events.on('breaker', ({ peerId, from, to }) => transitions.push(`${peerId}:${from}->${to}`))
+
+  const store = pool.connectStorePort({ id })
+  t.is(b4a.toString((await store.get({})).value), 'p1')
+  p1.stream.destroy()
+  await sleep(5)
+
+  let failures = 0
+  for (let i = 0; i < 6; i++) {
+    const res = await store.get({}).catch(() => null)
+    if (res === null) failures++
+    else t.is(b4a.toString(res.value), 'p2')
+  }
+  t.is(failures, 2)
+  t.alike(transitions, ['1:closed->open'])
+  t.is(pool.stats()[0].breaker, 'open')
+
+  await sleep(30)
+  for (let i = 0; i < 2; i++) await store.get({}).catch(() => null)
+  t.alike(transitions, ['1:closed->open', '1:open->half-open', '1:half-open->open'])
+})
+
+test('pool health: failed pings take peers out of rotation until they recover', async t => {
+  let healthy = true
+  const p1 = createServedPeer(t, (srv) => [
+    exposeStorePort(srv, { id }, createProbePort('p1')),
+    exposeHealthCheck(srv, { check: () => healthy })
+  ])
+  const p2 = createServedPeer(t, (srv) => [exposeStorePort(srv, { id }, createProbePort('p2')), exposeHealthCheck(srv, {})])
+  const pool = createPeerPool({ log: false, health: { intervalMs: 60000, timeoutMs: 500 } })
+  t.teardown(() => pool.destroy())
+  pool.add(p1.cli)
+  pool.add(p2.cli)
+  const changes = []
+  pool.events.on('health', ({ peerId, healthy }) => changes.push([peerId, healthy]))
+
+  await pool.checkHealth()
+  t.alike(changes.sort((x, y) => x[0] - y[0]), [[1, true], [2, true]])
+  changes.length = 0
+
+  healthy = false
+  const stats = await pool.checkHealth()
+  t.is(stats[0].healthy, false)
+  t.is(stats[0].breaker, 'open')
+
+  const store = pool.connectStorePort({ id })
+  for (let i = 0; i < 4; i++) t.is(b4a.toString((await store.get({})).value), 'p2')
+
+  healthy = true
+  await pool.checkHealth()
+  t.alike(changes, [[1, false], [1, true]])
+  t.is(pool.stats()[0].healthy, true)
+})
@@ -0,0 +1,91 @@
+import { test } from 'brittle'
+import b4a from 'b4a'
+import { createPeerPool } from '../pool.js'
+import { exposeStorePort } from '../service.js'
+import { ok, CODES } from '../result/index.js'
+import { createServedPeer } from './helpers.js'
+
+const id = b4a.from('ef', 'hex')
+
+// get() parks until release() so tests control how many calls stay in flight.
+function createGatedPort (tag) {
+  const tagBuf = b4a.from(tag)
+  const parked = []
+  return {
+    parked,
+    release () { for (const resolve of parked.splice(0)) resolve() },
+    async get () { await new Promise((resolve) => parked.push(resolve)); return ok(tagBuf) },
+    async put () { return ok() },
+    async del () { return ok() },
+    async *scan () {}
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('pool limits: max in-flight reroutes to a free peer, then fails fast', async t => {
+  const p1 = createGatedPort('p1')
+  const p2 = createGatedPort('p2')
+  const pool = createPeerPool({ log: false, limits: { maxInFlight: 1 } })
+  t.teardown(() => pool.destroy())
+  pool.add(createServedPeer(t, (srv) => exposeStorePort(srv, { id }, p1)).cli)
+  pool.add(createServedPeer(t, (srv) => exposeStorePort(srv, { id }, p2)).cli)
+  const store = pool.connectStorePort({ id })
+
+  const first = store.get({})
+  const second = store.get({})
+  const error = await store.get({}).catch((e) => e)
+  t.is(error.code, CODES.NotReady)
+
+  const [s1, s2] = pool.stats()
+  t.is(s1.inFlight, 1)
+  t.is(s2.inFlight, 1)
+  t.is(s1.limits.maxInFlight, 1)
+
+  await sleep(10)
+  p1.release(); p2.release()
+  const tags = [await first, await second].map((env) => b4a.toString(env.value)).sort()
+  t.alike(tags, ['p1', 'p2'])
+})
+
+test('pool limits: queue policy waits for a pool-wide slot', async t => {
+  const port = createGatedPort('p1')
+  const pool = createPeerPool({ log: false, poolLimits: { maxInFlight: 1 }, onLimit: 'queue' })
+  t.teardown(() => pool.destroy())
+  pool.add(createServedPeer(t, (srv) => exposeStorePort(srv, { id }, port)).cli)
+  const store = pool.connectStorePort({ id })
+
+  const calls = [store.get({}), store.get({}), store.get({})]
+  await sleep(10)
+  t.is(pool.poolStats().inFlight, 1)
+  t.is(pool.poolStats().queued, 2)
+  t.is(port.parked.length, 1)
+
+  for (let i = 0; i < 3; i++) {
+    port.release()
+    await sleep(10)
+  }
+  const results = await Promise.all(calls)
+  t.ok(results.every((env) => env.ok))
+  t.is(pool.poolStats().inFlight, 0)
+})
+
+test('pool limits: token buckets cap requests and bytes per second', async t => {
+  const port = createGatedPort('p1')
+  const pool = createPeerPool({ log: false, limits: { rps: 2, bps: 16 }, onLimit: 'fail' })
+  t.teardown(() => pool.destroy())
+  pool.add(createServedPeer(t, (srv) => exposeStorePort(srv, { id }, port)).cli)
+  const store = pool.connectStorePort({ id })
+
+  t.ok((await store.put({ key: b4a.from('k'), value: b4a.alloc(4) })).ok)
+  const tooBig = await store.put({ key: b4a.from('k'), value: b4a.alloc(15) }).catch((e) => e)
+  t.is(tooBig.code, CODES.NotReady)
+  t.ok((await store.del({ key: b4a.from('k') })).ok)
+  const tooMany = await store.del({ key: b4a.from('k') }).catch((e) => e)
+  t.is(tooMany.code, CODES.NotReady)
+
+  const { limits } = pool.stats()[0]
+  t.is(limits.rps, 2)
+  t.is(limits.bps, 16)
+  t.is(limits.requestTokens, 0)
+})
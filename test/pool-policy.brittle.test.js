@@ -1,37 +1,14 @@
 import { test } from 'brittle'
-import duplexThrough from 'duplex-through'
 import b4a from 'b4a'
-import { createPeer } from '../peer.js'
 import { createPeerPool } from '../pool.js'
 import { exposeStorePort } from '../service.js'
-import { ok } from '../result/index.js'
-
-function createProbePort(tag) {
-  const tagBuf = b4a.from(tag)
-  return {
-    async get() { return ok(tagBuf) },
-    async put() { return ok() },
-    async del() { return ok() },
-    async *scan() {}
-  }
-}
+import { createProbePort, createServedPeer } from './helpers.js'
 
 test('pool policy: weighted favors higher-weight peers', async t => {
-  const [a1, b1] = duplexThrough();
-  const [a2, b2] = duplexThrough();
-  const [a3, b3] = duplexThrough();
   const id = b4a.from('aa', 'hex')
-
-  const srv1 = createPeer({ stream: a1 })
-  const cli1 = createPeer({ stream: b1 })
-  const srv2 = createPeer({ stream: a2 })
-  const cli2 = createPeer({ stream: b2 })
-  const srv3 = createPeer({ stream: a3 })
-  const cli3 = createPeer({ stream: b3 })
-
-  const h1 = exposeStorePort(srv1, { id }, createProbePort('p1'))
-  const h2 = exposeStorePort(srv2, { id }, createProbePort('p2'))
-  const h3 = exposeStorePort(srv3, { id }, createProbePort('p3'))
+  const { cli: cli1 } = createServedPeer(t, (srv) => exposeStorePort(srv, { id }, createProbePort('p1')))
+  const { cli: cli2 } = createServedPeer(t, (srv) => exposeStorePort(srv, { id }, createProbePort('p2')))
+  const { cli: cli3 } = createServedPeer(t, (srv) => exposeStorePort(srv, { id }, createProbePort('p3')))
 
   const pool = createPeerPool()
   pool.add(cli1, { weight: 1, meta: { locality: 'wan' } })
@@ -46,21 +23,13 @@ test('pool policy: weighted favors higher-weight peers', async t => {
     counts[tag]++
   }
   t.ok(counts.p2 > counts.p1 && counts.p2 > counts.p3)
-  t.teardown(() => { h1.dispose(); h2.dispose(); h3.dispose(); pool.destroy() })
+  t.teardown(() => pool.destroy())
 })
 
 test('pool policy: sticky maps same key to same peer', async t => {
-  const [a1, b1] = duplexThrough();
-  const [a2, b2] = duplexThrough();
   const id = b4a.from('bb', 'hex')
-
-  const srv1 = createPeer({ stream: a1 })
-  const cli1 = createPeer({ stream: b1 })
-  const srv2 = createPeer({ stream: a2 })
-  const cli2 = createPeer({ stream: b2 })
-
-  const h1 = exposeStorePort(srv1, { id }, createProbePort('L'))
-  const h2 = exposeStorePort(srv2, { id }, createProbePort('R'))
+  const { cli: cli1 } = createServedPeer(t, (srv) => exposeStorePort(srv, { id }, createProbePort('L')))
+  const { cli: cli2 } = createServedPeer(t, (srv) => exposeStorePort(srv, { id }, createProbePort('R')))
 
   const pool = createPeerPool()
   pool.add(cli1)
@@ -76,5 +45,31 @@ test('pool policy: sticky maps same key to same peer', async t => {
   const tag2 = new Set(res2.map(e => b4a.toString(e.value)))
   t.is(tag1.size, 1)
   t.is(tag2.size, 1)
-  t.teardown(() => { h1.dispose(); h2.dispose(); pool.destroy() })
+  t.teardown(() => pool.destroy())
+})
+
+test('pool policy: sticky rendezvous hashing only moves keys of a removed peer', async t => {
+  const id = b4a.from('bc', 'hex')
+  const served = []
+  const pool = createPeerPool({ log: false })
+  for (const tag of ['a', 'b', 'c', 'd']) {
+    const { cli } = createServedPeer(t, (srv) => exposeStorePort(srv, { id }, createProbePort(tag)))
+    served.push({ tag, cli })
+    pool.add(cli, { weight: tag === 'd' ? 3 : 1, meta: { name: tag } })
+  }
+  t.teardown(() => pool.destroy())
+  const store = pool.connectStorePort({ id, policy: 'sticky', keyFn: (opts) => opts.key })
+
+  const keys = Array.from({ length: 120 }, (_, i) => b4a.from(`key-${i}`))
+  const owners = async () => Promise.all(keys.map(async (key) => b4a.toString((await store.get({ key })).value)))
+
+  const before = await owners()
+  const counts = before.reduce((m, tag) => { m[tag] = (m[tag] || 0) + 1; return m }, {})
+  t.ok(counts.d > counts.a && counts.d > counts.b && counts.d > counts.c, 'weight-aware ownership')
+
+  pool.remove(served[1].cli)
+  const after = await owners()
+  const moved = before.filter((tag, i) => tag !== after[i])
+  t.ok(moved.length > 0)
+  t.ok(moved.every((tag) => tag === 'b'), 'only keys owned by the removed peer move')
 })
@@ -0,0 +1,146 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { createPeerPool } from '../pool.js'
+import { exposeStorePort } from '../service.js'
+import { createMemoryStore } from '../store/index.js'
+import { ok, err, CODES } from '../result/index.js'
+
+const id = b4a.from('f1', 'hex')
+
+// Keeps { value, ver } per key and ignores writes older than what it holds.
+function createVersionedPort () {
+  const m = new Map()
+  const hex = (u8) => b4a.toString(u8, 'hex')
+  const port = {
+    m,
+    failPuts: false,
+    async get ({ key }) {
+      const rec = m.get(hex(key))
+      return rec ? ok(rec.value, { ver: rec.ver }) : ok()
+    },
+    async put ({ key, value, ver }) {
+      if (port.failPuts) return err(CODES.DriverError, 'disk full')
+      const cur = m.get(hex(key))
+      if (!cur || !(cur.ver > ver)) m.set(hex(key), { value, ver })
+      return ok(undefined, { ver })
+    },
+    async del ({ key }) { m.delete(hex(key)); return ok() },
+    async *scan () {}
+  }
+  return port
+}
+
+// The reference store (versioned tombstones included) with deletes that can be made to fail.
+function createFlakyStore () {
+  const store = createMemoryStore()
+  const port = {
+    ...store,
+    failDels: false,
+    async del (opts) { return port.failDels ? err(CODES.DriverError, 'disk full') : store.del(opts) }
+  }
+  return port
+}
+
+function createReplicaSet (t, count, createPort = createVersionedPort) {
+  const ports = []
+  const pool = createPeerPool({ log: false })
+  for (let i = 0; i < count; i++) {
+    const [a, b] = duplexThrough()
+    const port = createPort()
+    const h = exposeStorePort(createPeer({ stream: a, log: false }), { id }, port)
+    pool.add(createPeer({ stream: b, log: false }), { meta: { name: `replica-${i}` } })
+    ports.push(port)
+    t.teardown(() => { h.dispose(); try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  }
+  t.teardown(() => pool.destroy())
+  return { pool, ports }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('pool replication: writes reach n replicas with one version and reads agree', async t => {
+  const { pool, ports } = createReplicaSet(t, 4)
+  const store = pool.connectStorePort({ id, replication: { n: 3, w: 2, r: 2 } })
+  const key = b4a.from('user/1')
+
+  const put = await store.put({ key, value: b4a.from('v1') })
+  t.ok(put.ok)
+  t.ok(put.ver > Date.now())
+  await sleep(10)
+
+  const holders = ports.filter((p) => p.m.size === 1)
+  t.is(holders.length, 3)
+  t.ok(holders.every((p) => p.m.get(b4a.toString(key, 'hex')).ver === put.ver))
+
+  const res = await store.get({ key })
+  t.is(b4a.toString(res.value), 'v1')
+  t.is(res.ver, put.ver)
+})
+
+test('pool replication: quorum reads return the newest version and repair stale replicas', async t => {
+  const { pool, ports } = createReplicaSet(t, 3)
+  const store = pool.connectStorePort({ id, replication: { n: 3, w: 2, r: 3 } })
+  const key = b4a.from('user/2')
+  const hex = b4a.toString(key, 'hex')
+
+  await store.put({ key, value: b4a.from('old') })
+  ports[0].failPuts = true
+  const second = await store.put({ key, value: b4a.from('new') })
+  t.ok(second.ok, 'two of three acks still meet w=2')
+  ports[0].failPuts = false
+  await sleep(10)
+  t.is(b4a.toString(ports[0].m.get(hex).value), 'old')
+
+  const repaired = new Promise((resolve) => pool.events.on('call', (e) => { if (e.type === 'read-repair') resolve(e) }))
+  const res = await store.get({ key })
+  t.is(b4a.toString(res.value), 'new')
+  t.is(res.ver, second.ver)
+  t.is((await repaired).ver, second.ver)
+  await sleep(10)
+  t.is(b4a.toString(ports[0].m.get(hex).value), 'new')
+})
+
+test('pool replication: a delete that missed a replica wins the read and is repaired', async t => {
+  const { pool, ports } = createReplicaSet(t, 3, createFlakyStore)
+  const store = pool.connectStorePort({ id, replication: { n: 3, w: 2, r: 3 } })
+  const key = b4a.from('user/3')
+
+  const put = await store.put({ key, value: b4a.from('v1') })
+  ports[0].failDels = true
+  const del = await store.del({ key })
+  t.ok(del.ok, 'two of three acks still meet w=2')
+  t.ok(del.ver > put.ver, 'the delete carries a newer version')
+  ports[0].failDels = false
+  await sleep(10)
+  t.is(b4a.toString((await ports[0].get({ key })).value), 'v1', 'one replica missed it')
+
+  const repaired = new Promise((resolve) => pool.events.on('call', (e) => { if (e.type === 'read-repair') resolve(e) }))
+  const res = await store.get({ key })
+  t.ok(res.ok)
+  t.is(res.value, undefined, 'the tombstone wins over the stale value')
+  t.is(res.ver, del.ver)
+  const event = await repaired
+  t.is(event.repair, 'del')
+  t.is(event.ver, del.ver)
+  await sleep(10)
+  const healed = await ports[0].get({ key })
+  t.is(healed.value, undefined, 'the stale replica is deleted, not the value resurrected')
+  t.is(healed.ver, del.ver)
+
+  t.is((await ports[1].put({ key, value: b4a.from('late'), ver: put.ver })).ver, del.ver, 'a late replay of the older put is ignored')
+  t.is((await store.get({ key })).value, undefined)
+})
+
+test('pool replication: missing quorums surface NotAvailable', async t => {
+  const { pool, ports } = createReplicaSet(t, 3)
+  const store = pool.connectStorePort({ id, replication: { n: 3, w: 2 } })
+  ports[0].failPuts = true
+  ports[1].failPuts = true
+
+  const res = await store.put({ key: b4a.from('k'), value: b4a.from('v') })
+  t.is(res.code, CODES.NotAvailable)
+  t.is(res.details.failures.length, 2)
+  await t.exception.all(() => pool.connectStorePort({ id, replication: { n: 2, w: 3 } }), /w must be/)
+})
@@ -0,0 +1,116 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { createPeerPool } from '../pool.js'
+import { exposeStorePort } from '../service.js'
+import { createMemoryStore } from '../store/index.js'
+import { ok, err, CODES } from '../result/index.js'
+import { createServedPeer } from './helpers.js'
+
+const id = b4a.from('f0', 'hex')
+
+test('pool retry: idempotent calls retry on retryable codes, writes do not', async t => {
+  let gets = 0
+  let puts = 0
+  const port = {
+    async get () { return ++gets < 3 ? err(CODES.Timeout, 'slow') : ok(b4a.from('v')) },
+    async put () { puts++; return err(CODES.Timeout, 'slow') },
+    async del () { return ok() },
+    async *scan () {}
+  }
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => pool.destroy())
+  pool.add(createServedPeer(t, (srv) => exposeStorePort(srv, { id }, port)).cli)
+  const retries = []
+  pool.events.on('call', (e) => { if (e.type === 'retry') retries.push([e.method, e.attempt, e.code]) })
+
+  const store = pool.connectStorePort({ id, retry: { attempts: 3, backoff: { minMs: 1, jitter: 0 } } })
+  const res = await store.get({ key: b4a.from('k') })
+  t.is(b4a.toString(res.value), 'v')
+  t.alike(retries, [['get', 1, CODES.Timeout], ['get', 2, CODES.Timeout]])
+
+  const put = await store.put({ key: b4a.from('k'), value: b4a.from('v') })
+  t.is(put.code, CODES.Timeout)
+  t.is(puts, 1)
+})
+
+test('pool retry: scans retry only before their first item', async t => {
+  let scans = 0
+  const port = {
+    async get () { return ok() },
+    async put () { return ok() },
+    async del () { return ok() },
+    async *scan () {
+      if (++scans === 1) { yield err(CODES.NotReady, 'warming up'); return }
+      yield ok(b4a.from('1'), { meta: { key: b4a.from('a') } })
+    }
+  }
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => pool.destroy())
+  pool.add(createServedPeer(t, (srv) => exposeStorePort(srv, { id }, port)).cli)
+  const store = pool.connectStorePort({ id, retry: { attempts: 2, backoff: { minMs: 1, jitter: 0 } } })
+
+  const items = []
+  for await (const env of store.scan({})) items.push(env)
+  t.is(scans, 2)
+  t.is(items.length, 1)
+  t.ok(items[0].ok)
+})
+
+test('pool hedge: slow primary is raced on another peer and the loser cancelled', async t => {
+  const parked = []
+  const slow = {
+    async get () { await new Promise((resolve) => parked.push(resolve)); return ok(b4a.from('slow')) },
+    async put () { return ok() },
+    async del () { return ok() },
+    async *scan () {}
+  }
+  const fast = { ...slow, async get () { return ok(b4a.from('fast')) } }
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => { for (const r of parked) r(); pool.destroy() })
+  pool.add(createServedPeer(t, (srv) => exposeStorePort(srv, { id }, slow)).cli)
+  pool.add(createServedPeer(t, (srv) => exposeStorePort(srv, { id }, fast)).cli)
+  const seen = []
+  pool.events.on('call', (e) => { if (e.type === 'hedge' || e.type === 'cancelled') seen.push([e.type, e.peerId]) })
+
+  const store = pool.connectStorePort({ id, hedge: { afterMs: 15 } })
+  const res = await store.get({ key: b4a.from('k') })
+  t.is(b4a.toString(res.value), 'fast')
+  t.alike(seen, [['hedge', 1], ['cancelled', 1]])
+  t.is(pool.stats()[0].inFlight, 0)
+  t.is(pool.stats()[0].failures, 0)
+})
+
+test('pool retry: a scan cut off midway resumes from its cursor on another peer', async t => {
+  const store = createMemoryStore()
+  for (const name of ['a', 'b', 'c', 'd', 'e']) await store.put({ key: b4a.from(name), value: b4a.from(name) })
+  let cut = null
+  const flaky = {
+    ...store,
+    async * scan (o) {
+      let n = 0
+      for await (const env of store.scan(o)) {
+        yield env
+        if (++n === 2) { cut(); await new Promise(() => {}) }
+      }
+    }
+  }
+  const [a, b] = duplexThrough()
+  exposeStorePort(createPeer({ stream: a, log: false }), { id }, flaky)
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  cut = () => setImmediate(() => a.destroy())
+
+  const pool = createPeerPool({ log: false })
+  t.teardown(() => pool.destroy())
+  pool.add(createPeer({ stream: b, log: false }))
+  pool.add(createServedPeer(t, (srv) => exposeStorePort(srv, { id }, store)).cli)
+  const resumed = []
+  pool.events.on('call', (e) => { if (e.type === 'resume') resumed.push(e.delivered) })
+  const remote = pool.connectStorePort({ id, retry: { attempts: 3, backoff: { minMs: 1, jitter: 0 } } })
+
+  const keys = []
+  for await (const env of remote.scan({ limit: 4 })) keys.push(b4a.toString(env.meta.key))
+  t.alike(keys, ['a', 'b', 'c', 'd'], 'no duplicates, no gaps, limit kept across the resume')
+  t.alike(resumed, [2])
+})
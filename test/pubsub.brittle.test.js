@@ -0,0 +1,110 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import { createPeer } from '../peer.js'
+import { createPubSub, matchTopic } from '../pubsub.js'
+
+function createPair (t) {
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const left = createPubSub(createPeer({ stream: a, log: false }), { codec: 'json', log: false })
+  const right = createPubSub(createPeer({ stream: b, log: false }), { codec: 'json', log: false })
+  return { left, right, a, b }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+async function take (sub, n) {
+  const out = []
+  for await (const m of sub) {
+    out.push([m.topic, m.value])
+    if (out.length === n) break
+  }
+  return out
+}
+
+test('pubsub: topic patterns', t => {
+  t.ok(matchTopic('orders/new', 'orders/new'))
+  t.ok(matchTopic('orders/*', 'orders/new'))
+  t.absent(matchTopic('orders/*', 'orders/new/eu'))
+  t.ok(matchTopic('orders/**', 'orders/new/eu'))
+  t.ok(matchTopic('orders/**', 'orders'))
+  t.absent(matchTopic('orders', 'orders/new'))
+  t.ok(matchTopic('*/new', 'users/new'))
+})
+
+test('pubsub: fan-out to matching subscriptions and unsubscribe', async t => {
+  const { left, right } = createPair(t)
+  const all = right.subscribe('orders/**')
+  const created = right.subscribe('orders/created')
+  const other = right.subscribe('users/*')
+  const notes = right.subscribe('notes', { codec: 'utf8' })
+  const gone = []
+  left.events.on('unsubscribe', (e) => gone.push(e.pattern))
+  await sleep(10)
+  t.is(left.stats().remote.length, 4)
+
+  t.is(left.publish('orders/created', { id: 1 }), 2)
+  t.is(left.publish('orders/shipped', { id: 1 }), 1)
+  t.is(left.publish('billing/paid', { id: 1 }), 0)
+  t.alike(await take(all, 2), [['orders/created', { id: 1 }], ['orders/shipped', { id: 1 }]])
+  t.alike(await take(created, 1), [['orders/created', { id: 1 }]])
+  left.publish('notes', 'plain text', { codec: 'utf8' })
+  t.alike(await take(notes, 1), [['notes', 'plain text']], 'per-call codecs')
+
+  other.unsubscribe()
+  await sleep(10)
+  t.alike(gone.sort(), ['notes', 'orders/**', 'orders/created', 'users/*'], 'breaking out of for-await unsubscribes')
+  t.is(left.publish('users/new', {}), 0)
+})
+
+test('pubsub: per-subscription credit holds back a slow subscriber', async t => {
+  const { left, right } = createPair(t)
+  const slow = right.subscribe('tick', { highWaterMark: 2 })
+  const fast = right.subscribe('tick')
+  await sleep(10)
+  for (let i = 0; i < 5; i++) left.publish('tick', i)
+  await sleep(10)
+  const [slowStats, fastStats] = left.stats().remote
+  t.is(slowStats.queued, 3, 'slow subscriber holds at its window')
+  t.is(fastStats.queued, 0)
+  t.alike((await take(fast, 5)).map((m) => m[1]), [0, 1, 2, 3, 4])
+
+  t.alike((await take(slow, 5)).map((m) => m[1]), [0, 1, 2, 3, 4], 'credit releases the backlog in order')
+})
+
+test('pubsub: undecodable messages are skipped without leaking credit', async t => {
+  const { left, right } = createPair(t)
+  const sub = right.subscribe('t', { highWaterMark: 2 })
+  await sleep(10)
+  for (let i = 0; i < 4; i++) left.publish('t', 'not json', { codec: 'utf8' })
+  left.publish('t', { ok: true })
+  t.alike(await take(sub, 1), [['t', { ok: true }]])
+  t.is(left.stats().remote[0].queued, 0, 'the publisher still has credit')
+})
+
+test('pubsub: bounded publisher queue drops the oldest', async t => {
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const left = createPubSub(createPeer({ stream: a, log: false }), { codec: 'json', maxQueue: 2, log: false })
+  const right = createPubSub(createPeer({ stream: b, log: false }), { codec: 'json', log: false })
+  const sub = right.subscribe('t', { highWaterMark: 1 })
+  await sleep(10)
+  const drops = []
+  left.events.on('drop', (e) => drops.push(e.dropped))
+  for (let i = 0; i < 5; i++) left.publish('t', i)
+  t.alike(drops, [1, 2])
+  t.alike((await take(sub, 3)).map((m) => m[1]), [0, 3, 4])
+})
+
+test('pubsub: lane close ends subscriptions and forgets remote ones', async t => {
+  const { left, right, b } = createPair(t)
+  const sub = right.subscribe('a/*')
+  await sleep(10)
+  t.is(left.stats().remote.length, 1)
+  const pending = take(sub, 1)
+  b.destroy()
+  t.alike(await pending, [], 'iterator finishes')
+  await sleep(10)
+  t.is(left.stats().remote.length, 0)
+  await t.exception(() => right.subscribe('a/*'), /closed/)
+})
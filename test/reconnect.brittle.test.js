@@ -0,0 +1,136 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { exposeStorePort } from '../service.js'
+import { createReconnectingPeer, backoffDelay } from '../reconnect.js'
+import { ok, CODES, isOk } from '../result/index.js'
+
+const id = b4a.from('dd', 'hex')
+const fast = { minMs: 5, maxMs: 20, jitter: 0 }
+
+function createMemoryPort () {
+  const m = new Map()
+  const hex = (u8) => b4a.toString(u8, 'hex')
+  return {
+    async get ({ key }) { return ok(m.get(hex(key))) },
+    async put ({ key, value }) { m.set(hex(key), value); return ok() },
+    async del ({ key }) { m.delete(hex(key)); return ok() },
+    async *scan () {}
+  }
+}
+
+// Every dial hands out a fresh in-memory link whose far end serves `port`.
+function createDialer (t, port) {
+  const links = []
+  const dial = () => {
+    const [a, b] = duplexThrough()
+    const server = createPeer({ stream: a, log: false })
+    exposeStorePort(server, { id }, port)
+    links.push(b)
+    return b
+  }
+  t.teardown(() => { for (const s of links) { try { s.destroy() } catch {} } })
+  return { dial, links }
+}
+
+test('reconnect: backoff grows exponentially, caps and applies jitter', t => {
+  t.is(backoffDelay(1, { minMs: 100, jitter: 0 }), 100)
+  t.is(backoffDelay(4, { minMs: 100, jitter: 0 }), 800)
+  t.is(backoffDelay(20, { minMs: 100, maxMs: 1000, jitter: 0 }), 1000)
+  t.is(backoffDelay(1, { minMs: 100, jitter: 0.5 }, () => 1), 50)
+})
+
+test('reconnect: proxy resumes after the transport drops', async t => {
+  const port = createMemoryPort()
+  const { dial, links } = createDialer(t, port)
+  const rp = createReconnectingPeer({ dial, backoff: fast, log: false })
+  t.teardown(() => rp.close())
+  const store = rp.connectStorePort({ id })
+
+  const seen = []
+  rp.events.on('disconnected', () => seen.push('disconnected'))
+  rp.events.on('reconnecting', ({ attempt }) => seen.push(`reconnecting:${attempt}`))
+  const reconnected = new Promise((resolve) => rp.events.once('reconnected', resolve))
+
+  t.ok(isOk(await store.put({ key: b4a.from('k'), value: b4a.from('v1') })))
+  links[0].destroy()
+
+  const res = await store.get({ key: b4a.from('k') })
+  t.is(b4a.toString(res.value), 'v1')
+  const info = await reconnected
+  t.is(info.generation, 2)
+  t.alike(seen, ['disconnected', 'reconnecting:1'])
+  t.is(links.length, 2)
+})
+
+test('reconnect: failed dials back off until one succeeds', async t => {
+  const { dial } = createDialer(t, createMemoryPort())
+  let calls = 0
+  const attempts = []
+  const rp = createReconnectingPeer({
+    dial: async () => { if (++calls < 3) throw new Error('refused'); return dial() },
+    backoff: fast,
+    log: false
+  })
+  t.teardown(() => rp.close())
+  rp.events.on('reconnecting', ({ attempt, delayMs, error }) => attempts.push([attempt, delayMs, error?.message]))
+
+  await rp.waitConnected()
+  t.alike(attempts, [[1, 5, 'refused'], [2, 10, 'refused']])
+  t.ok(rp.isConnected())
+})
+
+test('reconnect: in-flight idempotent calls retry, fail policy rejects while down', async t => {
+  const port = createMemoryPort()
+  let stall = true
+  const get = port.get
+  port.get = (o) => stall ? new Promise(() => {}) : get(o)
+  const { dial, links } = createDialer(t, port)
+  const rp = createReconnectingPeer({ dial, backoff: fast, maxAttempts: 5, log: false })
+  t.teardown(() => rp.close())
+  await rp.waitConnected()
+
+  const queued = rp.connectStorePort({ id })
+  const failing = rp.connectStorePort({ id, pending: 'fail' })
+  await queued.put({ key: b4a.from('k'), value: b4a.from('v') })
+
+  const inflight = queued.get({ key: b4a.from('k') })
+  await new Promise((resolve) => setTimeout(resolve, 10))
+  stall = false
+  links[0].destroy()
+
+  const error = await failing.get({ key: b4a.from('k') }).catch((e) => e)
+  t.is(error.code, CODES.NotReady)
+  t.is(b4a.toString((await inflight).value), 'v')
+  t.is(rp.generation, 2)
+})
+
+test('reconnect: in-flight writes replay only when pinned to a version', async t => {
+  const port = createMemoryPort()
+  let stall = true
+  let puts = 0
+  const put = port.put
+  port.put = (o) => { puts++; return stall ? new Promise(() => {}) : put(o) }
+  const { dial, links } = createDialer(t, port)
+  const rp = createReconnectingPeer({ dial, backoff: fast, maxAttempts: 5, log: false })
+  t.teardown(() => rp.close())
+  await rp.waitConnected()
+  const store = rp.connectStorePort({ id })
+
+  const unversioned = store.put({ key: b4a.from('a'), value: b4a.from('1') })
+  await new Promise((resolve) => setTimeout(resolve, 10))
+  links[0].destroy()
+  const error = await unversioned.catch((e) => e)
+  t.is(error.code, CODES.NotReady, 'may have landed, so it is not replayed')
+  t.is(puts, 1)
+
+  await rp.waitConnected()
+  const versioned = store.put({ key: b4a.from('b'), value: b4a.from('2'), ver: 7 })
+  await new Promise((resolve) => setTimeout(resolve, 10))
+  stall = false
+  links[1].destroy()
+  t.ok(isOk(await versioned), 'a versioned write is replayed')
+  t.is(puts, 3)
+  t.is(b4a.toString((await store.get({ key: b4a.from('b') })).value), '2')
+})
@@ -0,0 +1,81 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { exposeStorePort, connectStorePort, deriveId } from '../service.js'
+import { matchDescriptor } from '../registry.js'
+import { ok } from '../result/index.js'
+
+const port = {
+  async get () { return ok(b4a.from('v')) },
+  async put () { return ok() },
+  async del () { return ok() },
+  async *scan () {}
+}
+
+function createPair (t) {
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  return { srv: createPeer({ stream: a, log: false, services: true }), cli: createPeer({ stream: b, log: false, services: true }), a, b }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+test('registry: peers list exposed store ports and follow them coming and going', async t => {
+  const { srv, cli, a } = createPair(t)
+  const usersId = deriveId('app', 'users', 1)
+  const users = exposeStorePort(srv, { id: usersId, advertise: true, descriptor: { name: 'users', namespace: 'app/data', labels: { tier: 'hot' } } }, port)
+  exposeStorePort(srv, { id: deriveId('app', 'logs', 1), lane: 'logs', advertise: true, descriptor: { name: 'logs', namespace: 'ops' } }, port)
+  exposeStorePort(srv, { id: deriveId('app', 'hidden', 1) }, port)
+
+  const found = await cli.services.query({ namespace: 'app' })
+  t.is(found.length, 1)
+  t.is(found[0].descriptor.name, 'users')
+  t.is(found[0].descriptor.kind, 'store')
+  t.is(found[0].lane, 'rpc')
+  t.ok(b4a.equals(found[0].id, usersId))
+  t.is((await cli.services.query({ kind: 'store' })).length, 2)
+  t.is((await cli.services.query({ labels: { tier: 'cold' } })).length, 0)
+
+  const store = connectStorePort(cli, { id: found[0].id })
+  t.is(b4a.toString((await store.get({ key: b4a.from('k') })).value), 'v')
+
+  const changes = []
+  cli.services.events.on('add', (e) => changes.push(['add', e.descriptor.name]))
+  cli.services.events.on('remove', (e) => changes.push(['remove', e.descriptor.name]))
+  users.dispose()
+  const h = exposeStorePort(srv, { id: deriveId('app', 'orders', 1), advertise: true, descriptor: { name: 'orders' } }, port)
+  await sleep(10)
+  t.alike(changes, [['remove', 'users'], ['add', 'orders']])
+  t.alike(cli.services.list().map((e) => e.descriptor.name).sort(), ['logs', 'orders'])
+  t.alike(srv.services.local({ name: 'orders' }).map((e) => e.descriptor.name), ['orders'])
+
+  a.destroy()
+  await sleep(10)
+  t.is(cli.services.list().length, 0)
+  h.dispose()
+})
+
+test('registry: both sides advertise and peers without the lane fail fast', async t => {
+  const { srv, cli } = createPair(t)
+  cli.services.advertise({ name: 'client-cache', kind: 'cache' })
+  const seen = await srv.services.query({ kind: 'cache' })
+  t.alike(seen.map((e) => [e.descriptor.name, e.lane]), [['client-cache', '']])
+
+  const [x, y] = duplexThrough()
+  t.teardown(() => { try { x.destroy() } catch {}; try { y.destroy() } catch {} })
+  createPeer({ stream: x, log: false })
+  const lonely = createPeer({ stream: y, log: false, services: true })
+  const error = await lonely.services.query({}, { timeoutMs: 1000 }).catch((e) => e)
+  t.is(error.code, 'Closed')
+})
+
+test('registry: matchDescriptor checks name, kind, namespace prefix and labels', t => {
+  const d = { name: 'users', kind: 'store', namespace: 'app/data', labels: { tier: 'hot', v: '2' } }
+  t.ok(matchDescriptor(d, {}))
+  t.ok(matchDescriptor(d, { namespace: 'app' }))
+  t.absent(matchDescriptor(d, { namespace: 'ap' }))
+  t.ok(matchDescriptor(d, { kind: ['cache', 'store'], labels: { v: 2 } }))
+  t.absent(matchDescriptor(d, { name: 'orders' }))
+  t.absent(matchDescriptor(d, { labels: { tier: 'cold' } }))
+})
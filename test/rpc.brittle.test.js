@@ -5,7 +5,9 @@ import b4a from 'b4a'
 import { ok, err, CODES, isOk } from '../result/index.js'
 import { createPeer } from '../peer.js'
 import { serveStorePortOverPlex, createStorePortProxyOverPlex } from '../rpc.js'
-import { withStoreCaps } from '../service.js'
+import { withStoreCaps, exposeStorePort, connectStorePort, createCapsVerifier } from '../service.js'
+import { issueCapToken, attenuateCapToken, capTokenResolver } from '../protocol/caps.js'
+import { generateKeyPair } from '../crypto/index.js'
 
 const setEnv = (key, value) => {
   process.env[key] = value
@@ -23,6 +25,12 @@ const restoreEnv = (key, original) => {
   }
 }
 
+const u32 = (n) => {
+  const buf = b4a.alloc(4)
+  new DataView(buf.buffer, buf.byteOffset, 4).setUint32(0, n, true)
+  return buf
+}
+
 const asap = typeof queueMicrotask === 'function'
   ? queueMicrotask
   : (fn) => Promise.resolve().then(fn)
@@ -169,6 +177,91 @@ test('rpc: withStoreCaps injects capability tokens', async t => {
   t.is(b4a.toString(lastKey), 'second')
 })
 
+test('rpc: exposeStorePort verifies caps before invoking the port', async t => {
+  const [a, b] = duplexThrough()
+  const id = b4a.from('caps-guard')
+  const srvPeer = createPeer({ stream: a })
+  const cliPeer = createPeer({ stream: b })
+
+  const port = createMemoryPort()
+  await port.put({ key: b4a.from('users/1'), value: b4a.from('ada') })
+  await port.put({ key: b4a.from('admin/1'), value: b4a.from('root') })
+  port.append = async () => ok()
+
+  let now = 1000
+  const tokens = {
+    reader: { access: 'read', prefix: 'users/' },
+    writer: { access: 'read-write', prefix: 'users/' },
+    expired: { access: 'read-write', exp: 500 }
+  }
+  const verifyCaps = createCapsVerifier({
+    resolve: (caps) => (caps ? tokens[b4a.toString(caps)] : null),
+    now: () => now
+  })
+  const handle = exposeStorePort(srvPeer, { id, eagerOpen: true, verifyCaps }, port)
+  const remote = connectStorePort(cliPeer, { id, eagerOpen: true })
+  t.teardown(() => { handle.dispose(); remote.destroy() })
+
+  const anon = await remote.get({ key: b4a.from('users/1') })
+  t.is(anon.code, CODES.CapabilityDenied)
+
+  const reader = withStoreCaps(remote, 'reader')
+  const read = await reader.get({ key: b4a.from('users/1') })
+  t.is(b4a.toString(read.value), 'ada')
+  t.is((await reader.get({ key: b4a.from('admin/1') })).code, CODES.CapabilityDenied)
+  t.is((await reader.put({ key: b4a.from('users/2'), value: b4a.from('x') })).code, CODES.CapabilityDenied)
+  t.absent(port._debug.m.has(b4a.toString(b4a.from('users/2'), 'hex')), 'port never invoked on denial')
+
+  const scanned = []
+  for await (const env of reader.scan({ prefix: b4a.from('users/') })) scanned.push(env.ok)
+  t.alike(scanned, [true])
+  const outside = []
+  for await (const env of reader.scan({})) outside.push(env.code)
+  t.alike(outside, [CODES.CapabilityDenied])
+
+  const writer = withStoreCaps(remote, 'writer')
+  t.is((await writer.put({ key: b4a.from('users/2'), value: b4a.from('bob') })).ok, true)
+  t.is((await writer.append({ value: b4a.from('log') })).code, CODES.CapabilityDenied)
+
+  const expired = withStoreCaps(remote, 'expired')
+  const late = await expired.get({ key: b4a.from('users/1') })
+  t.is(late.code, CODES.CapabilityDenied)
+  t.is(late.message, 'capability expired')
+  now = 100
+  t.is((await expired.get({ key: b4a.from('users/1') })).ok, true)
+})
+
+test('rpc: signed capability tokens attenuate end to end', async t => {
+  const [a, b] = duplexThrough()
+  const id = b4a.from('caps-token')
+  const srvPeer = createPeer({ stream: a })
+  const cliPeer = createPeer({ stream: b })
+
+  const issuer = generateKeyPair()
+  const port = createMemoryPort()
+  await port.put({ key: b4a.from('users/1'), value: b4a.from('ada') })
+  await port.put({ key: b4a.from('users/2'), value: b4a.from('bob') })
+
+  const verifyCaps = createCapsVerifier({ resolve: capTokenResolver({ trusted: [issuer.publicKey] }) })
+  const handle = exposeStorePort(srvPeer, { id, eagerOpen: true, verifyCaps }, port)
+  const remote = connectStorePort(cliPeer, { id, eagerOpen: true })
+  t.teardown(() => { handle.dispose(); remote.destroy() })
+
+  const root = issueCapToken(issuer, { methods: ['get', 'put', 'scan'], prefix: 'users/' })
+  const delegated = attenuateCapToken(root, { methods: ['get'], prefix: 'users/1' })
+
+  const owner = withStoreCaps(remote, root)
+  t.is((await owner.put({ key: b4a.from('users/3'), value: b4a.from('cy') })).ok, true)
+
+  const guest = withStoreCaps(remote, delegated)
+  t.is(b4a.toString((await guest.get({ key: b4a.from('users/1') })).value), 'ada')
+  t.is((await guest.get({ key: b4a.from('users/2') })).code, CODES.CapabilityDenied)
+  t.is((await guest.put({ key: b4a.from('users/1'), value: b4a.from('x') })).code, CODES.CapabilityDenied)
+
+  const forged = withStoreCaps(remote, issueCapToken(generateKeyPair(), {}))
+  t.is((await forged.get({ key: b4a.from('users/1') })).code, CODES.CapabilityDenied)
+})
+
 test('rpc: unary put/get/del roundtrip', async t => {
   t.plan(5)
   const [a, b] = duplexThrough()
@@ -240,6 +333,140 @@ test('rpc: scan streaming and cancel', async t => {
   t.pass('cancel propagated')
 })
 
+test('rpc: scan respects the client credit window', async t => {
+  const [a, b] = duplexThrough()
+  const id = b4a.from('bc', 'hex')
+
+  const srvPeer = createPeer({ stream: a })
+  const cliPeer = createPeer({ stream: b })
+  const srv = srvPeer.listenRpc(id, { eagerOpen: true })
+  const cli = cliPeer.connectRpc(id, { eagerOpen: true })
+  t.teardown(() => { try { srv.destroy() } catch {}; try { cli.destroy() } catch {} })
+
+  let produced = 0
+  serveStorePortOverPlex({
+    duplex: srv,
+    port: {
+      async * scan () {
+        for (let i = 0; i < 20; i++) {
+          produced++
+          yield ok(b4a.from(String(i)))
+        }
+      }
+    },
+    log: false
+  })
+  const remote = createStorePortProxyOverPlex({ duplex: cli, streamWindow: 4, log: false })
+
+  const iterator = remote.scan({})
+  const first = await iterator.next()
+  t.is(b4a.toString(first.value.value), '0')
+  await new Promise(r => setTimeout(r, 20))
+  t.ok(produced <= 6, `server paused at the window (produced ${produced})`)
+
+  const seen = ['0']
+  for await (const env of iterator) seen.push(b4a.toString(env.value))
+  t.is(seen.length, 20)
+  t.is(produced, 20)
+})
+
+test('rpc: scan without a window streams unbounded', async t => {
+  const [a, b] = duplexThrough()
+  const id = b4a.from('bd', 'hex')
+
+  const srvPeer = createPeer({ stream: a })
+  const cliPeer = createPeer({ stream: b })
+  const srv = srvPeer.listenRpc(id, { eagerOpen: true })
+  const cli = cliPeer.connectRpc(id, { eagerOpen: true })
+  t.teardown(() => { try { srv.destroy() } catch {}; try { cli.destroy() } catch {} })
+
+  let produced = 0
+  serveStorePortOverPlex({
+    duplex: srv,
+    port: {
+      async * scan () {
+        for (let i = 0; i < 20; i++) {
+          produced++
+          yield ok(b4a.from(String(i)))
+        }
+      }
+    },
+    log: false
+  })
+  const remote = createStorePortProxyOverPlex({ duplex: cli, streamWindow: 0, log: false })
+
+  const iterator = remote.scan({})
+  await iterator.next()
+  await new Promise(r => setTimeout(r, 20))
+  t.is(produced, 20)
+  await iterator.return()
+})
+
+test('rpc: stream windows must be u32 integers', t => {
+  const [, b] = duplexThrough()
+  const cli = createPeer({ stream: b }).connectRpc(b4a.from('bf', 'hex'))
+  t.teardown(() => { try { cli.destroy() } catch {} })
+
+  for (const streamWindow of [1.5, -1, 2 ** 32, NaN, Infinity, '8']) {
+    try {
+      createStorePortProxyOverPlex({ duplex: cli, streamWindow, log: false })
+      t.fail(`accepted ${streamWindow}`)
+    } catch (error) {
+      t.is(error.code, CODES.BadArg, `rejects ${streamWindow}`)
+    }
+  }
+  t.ok(createStorePortProxyOverPlex({ duplex: cli, streamWindow: 2 ** 32 - 1, log: false }), 'the largest u32 is allowed')
+
+  const previous = process.env.PLEX_RPC_STREAM_WINDOW
+  setEnv('PLEX_RPC_STREAM_WINDOW', 'lots')
+  t.teardown(() => restoreEnv('PLEX_RPC_STREAM_WINDOW', previous))
+  try {
+    createStorePortProxyOverPlex({ duplex: cli, log: false })
+    t.fail('accepted a malformed PLEX_RPC_STREAM_WINDOW')
+  } catch (error) {
+    t.is(error.code, CODES.BadArg, 'the env fallback is checked too')
+  }
+})
+
+test('rpc: an initial window only applies to the request right after it', async t => {
+  const [a, b] = duplexThrough()
+  const id = b4a.from('be', 'hex')
+
+  const srvPeer = createPeer({ stream: a })
+  const cliPeer = createPeer({ stream: b })
+  const srv = srvPeer.listenRpc(id, { eagerOpen: true })
+  const cli = cliPeer.connectRpc(id, { eagerOpen: true })
+  t.teardown(() => { try { srv.destroy() } catch {}; try { cli.destroy() } catch {} })
+
+  let produced = 0
+  serveStorePortOverPlex({
+    duplex: srv,
+    port: {
+      async get () { return ok() },
+      async * scan () {
+        for (let i = 0; i < 20; i++) {
+          produced++
+          yield ok(b4a.from(String(i)))
+        }
+      }
+    },
+    log: false
+  })
+  const remote = createStorePortProxyOverPlex({ duplex: cli, streamWindow: 0, log: false })
+
+  // Stray initial credit frames (type 4, initial flag set), the last one naming the scan's rid 2.
+  const credit = (rid, credits) => b4a.concat([b4a.from([4]), u32(rid), b4a.from([3, 1]), u32(credits)])
+  for (let rid = 100; rid < 1100; rid++) cli.write(credit(rid, 1))
+  cli.write(credit(2, 2))
+  t.ok((await remote.get({ key: b4a.from('k') })).ok)
+
+  const iterator = remote.scan({})
+  await iterator.next()
+  await new Promise(r => setTimeout(r, 20))
+  t.is(produced, 20, 'the window announced ahead of another request was dropped')
+  await iterator.return()
+})
+
 test('rpc: rejects oversized request payloads', async t => {
   t.plan(2)
   const [a, b] = duplexThrough()
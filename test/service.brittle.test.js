@@ -0,0 +1,209 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import c from 'compact-encoding'
+import { ok, err, CODES, isOk } from '../result/index.js'
+import { createPeer } from '../peer.js'
+import { defineService, serveService, createServiceClient } from '../rpc.js'
+import { exposeService, connectService } from '../service.js'
+
+const pairEncoding = {
+  preencode (st, m) { c.uint.preencode(st, m.a); c.uint.preencode(st, m.b) },
+  encode (st, m) { c.uint.encode(st, m.a); c.uint.encode(st, m.b) },
+  decode (st) { return { a: c.uint.decode(st), b: c.uint.decode(st) } }
+}
+
+const echoService = defineService({
+  name: 'echo',
+  methods: {
+    echo: { request: c.utf8, response: c.utf8 },
+    add: { request: pairEncoding, response: c.uint },
+    count: { kind: 'stream', request: c.uint, response: c.uint },
+    fail: { request: c.utf8 },
+    sum: { kind: 'client-stream', request: c.uint, response: c.uint },
+    shout: { kind: 'bidi', request: c.utf8, response: c.utf8 }
+  }
+})
+
+function createPair (t, idHex) {
+  const [a, b] = duplexThrough()
+  const id = b4a.from(idHex, 'hex')
+  const srvPeer = createPeer({ stream: a })
+  const cliPeer = createPeer({ stream: b })
+  const srv = srvPeer.listenRpc(id, { eagerOpen: true })
+  const cli = cliPeer.connectRpc(id, { eagerOpen: true })
+  t.teardown(() => { try { srv.destroy() } catch {}; try { cli.destroy() } catch {} })
+  return { srv, cli, srvPeer, cliPeer, id }
+}
+
+const handlers = {
+  echo (text) { return ok(text.toUpperCase()) },
+  add ({ a, b }) { return a + b },
+  async * count (n) {
+    for (let i = 0; i < n; i++) yield ok(i)
+  },
+  fail (reason) { return err(CODES.BadArg, reason) },
+  async sum (nums) {
+    let total = 0
+    for await (const n of nums) total += n
+    return total
+  },
+  async * shout (lines) {
+    for await (const line of lines) yield line.toUpperCase()
+  }
+}
+
+test('service: defineService assigns ids in order and honours explicit ids', async t => {
+  const svc = defineService({
+    methods: {
+      a: {},
+      b: { id: 10 },
+      c: { kind: 'stream' }
+    }
+  })
+  t.alike(svc.methods.map((m) => [m.name, m.id, m.kind]), [['a', 0, 'unary'], ['b', 10, 'unary'], ['c', 11, 'stream']])
+  t.is(defineService(svc), svc)
+  await t.exception.all(() => defineService({ methods: { x: { id: 1 }, y: { id: 1 } } }), /duplicate method id/)
+  await t.exception.all(() => defineService({ methods: { close: {} } }), /reserved/)
+  await t.exception.all(() => defineService({ methods: { x: { kind: 'weird' } } }), /unknown kind/)
+})
+
+test('service: unary calls encode requests and responses with method codecs', async t => {
+  const { srv, cli } = createPair(t, 'a1')
+  serveService({ duplex: srv, service: echoService, handlers, log: false })
+  const client = createServiceClient({ duplex: cli, service: echoService, log: false })
+
+  const echoed = await client.echo('hello')
+  t.is(echoed.ok, true)
+  t.is(echoed.value, 'HELLO')
+
+  const sum = await client.add({ a: 2, b: 40 })
+  t.is(sum.value, 42)
+
+  const failed = await client.fail('nope')
+  t.is(failed.ok, false)
+  t.is(failed.code, CODES.BadArg)
+  t.is(failed.message, 'nope')
+})
+
+test('service: stream methods yield decoded envelopes', async t => {
+  const { srv, cli } = createPair(t, 'a2')
+  serveService({ duplex: srv, service: echoService, handlers, log: false })
+  const client = createServiceClient({ duplex: cli, service: echoService, log: false })
+
+  const seen = []
+  for await (const env of client.count(5)) {
+    if (isOk(env)) seen.push(env.value)
+  }
+  t.alike(seen, [0, 1, 2, 3, 4])
+})
+
+test('service: missing handlers and timeouts surface as envelopes', async t => {
+  const { srv, cli } = createPair(t, 'a3')
+  serveService({
+    duplex: srv,
+    service: echoService,
+    handlers: {
+      async echo (text) {
+        await new Promise((resolve) => setTimeout(resolve, 30))
+        return text
+      }
+    },
+    log: false
+  })
+  const client = createServiceClient({ duplex: cli, service: echoService, log: false })
+
+  const missing = await client.add({ a: 1, b: 1 })
+  t.is(missing.ok, false)
+  t.is(missing.code, CODES.Unknown)
+
+  const slow = await client.echo('late', { timeoutMs: 5 })
+  t.is(slow.ok, false)
+  t.is(slow.code, CODES.Timeout)
+})
+
+test('service: exposeService/connectService over a peer lane', async t => {
+  const { srvPeer, cliPeer } = createPair(t, 'a4')
+  const id = b4a.from('svc-echo')
+  const handle = exposeService(srvPeer, { id, lane: 'echo' }, echoService, handlers)
+  const client = connectService(cliPeer, { id, lane: 'echo' }, echoService)
+  t.teardown(() => { handle.dispose(); client.destroy() })
+
+  const res = await client.echo('lane')
+  t.is(res.value, 'LANE')
+})
+
+test('service: client-stream calls send request chunks before the single response', async t => {
+  const { srv, cli } = createPair(t, 'a5')
+  serveService({ duplex: srv, service: echoService, handlers, log: false })
+  const client = createServiceClient({ duplex: cli, service: echoService, log: false })
+
+  const res = await client.sum([1, 2, 3, 4])
+  t.is(res.ok, true)
+  t.is(res.value, 10)
+
+  async function * slow () {
+    yield 5
+    await new Promise((resolve) => setTimeout(resolve, 10))
+    yield 7
+  }
+  const later = await client.sum(slow())
+  t.is(later.value, 12)
+
+  const empty = await client.sum([])
+  t.is(empty.value, 0)
+
+  await t.exception.all(() => client.sum(42), /iterable/)
+})
+
+test('service: bidi calls interleave requests and responses', async t => {
+  const { srv, cli } = createPair(t, 'a6')
+  serveService({ duplex: srv, service: echoService, handlers, log: false })
+  const client = createServiceClient({ duplex: cli, service: echoService, log: false })
+
+  // The source waits for each reply before sending the next line.
+  let release
+  async function * lines () {
+    for (const line of ['a', 'b', 'c']) {
+      yield line
+      await new Promise((resolve) => { release = resolve })
+    }
+  }
+  const seen = []
+  for await (const env of client.shout(lines())) {
+    seen.push(env.value)
+    release()
+  }
+  t.alike(seen, ['A', 'B', 'C'])
+})
+
+test('service: failing request sources cancel the call', async t => {
+  const { srv, cli } = createPair(t, 'a7')
+  let serverDone
+  const serverSaw = new Promise((resolve) => { serverDone = resolve })
+  serveService({
+    duplex: srv,
+    service: echoService,
+    handlers: {
+      async sum (nums) {
+        let total = 0
+        try {
+          for await (const n of nums) total += n
+        } catch (error) {
+          serverDone(error.message)
+          throw error
+        }
+        return total
+      }
+    },
+    log: false
+  })
+  const client = createServiceClient({ duplex: cli, service: echoService, log: false })
+
+  async function * broken () {
+    yield 1
+    throw new Error('source broke')
+  }
+  await t.exception(client.sum(broken()), /source broke/)
+  t.ok(await serverSaw, 'server-side request iterable fails on cancel')
+})
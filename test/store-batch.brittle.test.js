@@ -0,0 +1,152 @@
+import { test } from 'brittle'
+import fs from 'fs'
+import path from 'path'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { exposeStorePort, connectStorePort, createCapsVerifier, withStoreCaps } from '../service.js'
+import { createMemoryStore, createFileStore } from '../store/index.js'
+import { CODES } from '../result/index.js'
+import { tmpDir, entriesOf } from './helpers.js'
+
+const k = (s) => b4a.from(s)
+
+function served (t, port, cfg = {}) {
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const id = b4a.from('b1', 'hex')
+  exposeStorePort(createPeer({ stream: a, log: false }), { id, ...cfg }, port)
+  return connectStorePort(createPeer({ stream: b, log: false }), { id })
+}
+
+async function casAndBatch (t, store) {
+  t.is((await store.put({ key: k('a'), value: k('1'), ifVer: 0 })).ver, 1, 'create-if-absent')
+  const taken = await store.put({ key: k('a'), value: k('x'), ifVer: 0 })
+  t.is(taken.code, CODES.CASFailed, 'create-if-absent refuses an existing key')
+  t.is(taken.ver, 1, 'CASFailed carries the current ver')
+  t.is((await store.put({ key: k('a'), value: k('2'), ifVer: 1 })).ver, 2, 'matching ver swaps')
+  t.is((await store.del({ key: k('a'), ifVer: 1 })).code, CODES.CASFailed, 'stale del refused')
+  const missing = await store.del({ key: k('zz'), ifVer: 4 })
+  t.is(missing.code, CODES.CASFailed)
+  t.is(missing.ver, undefined, 'no ver for a missing key')
+  t.is(b4a.toString((await store.get({ key: k('a') })).value), '2')
+
+  t.ok((await store.batch({
+    ops: [
+      { type: 'put', key: k('a'), value: k('3'), ifVer: 2 },
+      { type: 'put', key: k('b'), value: k('b1'), ifVer: 0 },
+      { type: 'put', key: k('b'), value: k('b2'), ifVer: 1 },
+      { type: 'put', key: k('c'), value: k('c1') }
+    ]
+  })).ok, 'later ops see earlier ones')
+  t.alike(await entriesOf(store.scan(), { ver: true }), [['a', '3', 3], ['b', 'b2', 2], ['c', 'c1', 1]])
+
+  const failed = await store.batch({
+    ops: [
+      { type: 'del', key: k('a') },
+      { type: 'put', key: k('d'), value: k('d1') },
+      { type: 'put', key: k('c'), value: k('c2'), ifVer: 7 }
+    ]
+  })
+  t.is(failed.code, CODES.CASFailed)
+  t.is(failed.ver, 1)
+  t.alike(await entriesOf(store.scan(), { ver: true }), [['a', '3', 3], ['b', 'b2', 2], ['c', 'c1', 1]], 'nothing applied')
+
+  t.ok((await store.batch({ ops: [{ type: 'del', key: k('a'), ifVer: 3 }, { type: 'del', key: k('b') }] })).ok)
+  t.alike(await entriesOf(store.scan(), { ver: true }), [['c', 'c1', 1]])
+
+  t.is((await store.put({ key: k('a'), value: k('again'), ifVer: 0 })).ver, 5, 'a recreated key carries on above its delete')
+  const aba = await store.put({ key: k('a'), value: k('x'), ifVer: 3 })
+  t.is(aba.code, CODES.CASFailed, 'a version from before the delete never matches again')
+  t.is(aba.ver, 5)
+  t.ok((await store.batch({ ops: [{ type: 'del', key: k('a') }, { type: 'put', key: k('a'), value: k('b1') }] })).ok)
+  t.is((await store.get({ key: k('a') })).ver, 7, 'a batch deletes and recreates in order')
+  await store.del({ key: k('a') })
+
+  t.is((await store.batch({ ops: [{ type: 'put', key: k('e') }] })).code, CODES.BadArg, 'put needs a value')
+  t.is((await store.batch({ ops: [{ type: 'put', key: k('e'), value: k('1') }, { type: 'nope', key: k('f') }] })).code, CODES.BadArg)
+  t.is((await store.get({ key: k('e') })).value, undefined, 'malformed batch applies nothing')
+  t.ok((await store.batch({ ops: [] })).ok, 'empty batch')
+}
+
+test('memory store: compare-and-swap and atomic batches', async t => {
+  await casAndBatch(t, createMemoryStore())
+})
+
+test('file store: compare-and-swap and atomic batches', async t => {
+  const store = createFileStore({ dir: await tmpDir(t, 'plex-batch-'), log: false })
+  t.teardown(() => store.close())
+  await casAndBatch(t, store)
+})
+
+test('batch and compare-and-swap over plex', async t => {
+  const remote = served(t, createMemoryStore())
+  t.is((await remote.put({ key: k('a'), value: k('1'), ifVer: 0 })).ver, 1)
+  const conflict = await remote.put({ key: k('a'), value: k('x'), ifVer: 0 })
+  t.is(conflict.code, CODES.CASFailed)
+  t.is(conflict.ver, 1, 'current ver crosses the wire on the error')
+  t.is((await remote.del({ key: k('a'), ifVer: 9 })).code, CODES.CASFailed)
+
+  t.ok((await remote.batch({ ops: [{ type: 'put', key: k('a'), value: k('2'), ifVer: 1 }, { type: 'put', key: k('b'), value: k('3') }] })).ok)
+  const failed = await remote.batch({ ops: [{ type: 'del', key: k('b') }, { type: 'put', key: k('a'), value: k('x'), ifVer: 1 }] })
+  t.is(failed.code, CODES.CASFailed)
+  t.is(failed.ver, 2)
+  t.alike(await entriesOf(remote.scan({}), { ver: true }), [['a', '2', 2], ['b', '3', 1]])
+})
+
+test('file store: a batch is one record that replays whole or not at all', async t => {
+  const dir = await tmpDir(t, 'plex-batch-')
+  const store = createFileStore({ dir, log: false })
+  await store.put({ key: k('a'), value: k('1') })
+  t.is((await store.append({ value: k('ev') })).pos, 1)
+  await store.batch({ ops: [{ type: 'put', key: k('a'), value: k('2') }, { type: 'put', key: k('b'), value: k('1') }, { type: 'del', key: k('gone') }] })
+  await store.close()
+
+  const reopened = createFileStore({ dir, log: false })
+  t.alike(await entriesOf(reopened.scan({ range: { gte: k('a') } }), { ver: true }), [['a', '2', 2], ['b', '1', 1]], 'range skips the appended entry')
+  await reopened.batch({ ops: [{ type: 'put', key: k('c'), value: k('1') }, { type: 'del', key: k('a') }] })
+  await reopened.close()
+
+  const file = path.join(dir, 'store.log')
+  fs.truncateSync(file, fs.statSync(file).size - 2)
+  const torn = createFileStore({ dir, log: false })
+  t.teardown(() => torn.close())
+  t.is(b4a.toString((await torn.get({ key: k('a') })).value), '2', 'torn batch dropped entirely')
+  t.is((await torn.get({ key: k('c') })).value, undefined)
+  t.is((await torn.append({ value: k('ev2') })).pos, 2, 'positions survive')
+})
+
+test('file store: compaction rewrites values held in batch records', async t => {
+  const dir = await tmpDir(t, 'plex-batch-')
+  const store = createFileStore({ dir, log: false })
+  const ops = []
+  for (let i = 0; i < 8; i++) ops.push({ type: 'put', key: k(`k${i}`), value: k(`v${i}`) })
+  await store.batch({ ops })
+  for (let i = 0; i < 6; i++) await store.put({ key: k(`k${i}`), value: k(`w${i}`) })
+  const before = store.stats()
+  t.ok(before.garbage > 0 && before.garbage < before.bytes, 'overwritten batch slots count as garbage')
+  await store.compact()
+  const after = store.stats()
+  t.is(after.garbage, 0)
+  t.ok(after.bytes < before.bytes)
+  const expected = [0, 1, 2, 3, 4, 5, 6, 7].map((i) => [`k${i}`, i < 6 ? `w${i}` : `v${i}`, i < 6 ? 2 : 1])
+  t.alike(await entriesOf(store.scan(), { ver: true }), expected)
+  await store.close()
+
+  const reopened = createFileStore({ dir, log: false })
+  t.teardown(() => reopened.close())
+  t.alike(await entriesOf(reopened.scan(), { ver: true }), expected, 'compacted log replays')
+})
+
+test('batch: capability scope covers every op, and ports without batch refuse it', async t => {
+  const store = createMemoryStore()
+  const verifyCaps = createCapsVerifier({ resolve: (caps) => (caps ? { prefix: b4a.toString(caps) } : null) })
+  const remote = withStoreCaps(served(t, store, { verifyCaps }), 'u/')
+  t.ok((await remote.batch({ ops: [{ type: 'put', key: k('u/1'), value: k('1') }, { type: 'del', key: k('u/2') }] })).ok)
+  t.is((await remote.batch({ ops: [{ type: 'put', key: k('u/3'), value: k('1') }, { type: 'put', key: k('x'), value: k('1') }] })).code, CODES.CapabilityDenied)
+  t.is((await store.get({ key: k('u/3') })).value, undefined)
+
+  const legacy = served(t, { get: store.get, put: store.put })
+  const res = await legacy.batch({ ops: [] })
+  t.is(res.code, CODES.Unknown)
+})
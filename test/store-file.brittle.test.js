@@ -0,0 +1,173 @@
+import { test } from 'brittle'
+import fs from 'fs'
+import path from 'path'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { exposeStorePort, connectStorePort } from '../service.js'
+import { createFileStore } from '../store/index.js'
+import { fs as storeFs } from '../platform/fs.js'
+import { CODES } from '../result/index.js'
+import { tmpDir, entriesOf } from './helpers.js'
+
+const k = (s) => b4a.from(s)
+
+test('file store: all five methods survive a restart', async t => {
+  const dir = await tmpDir(t, 'plex-store-')
+  const store = createFileStore({ dir, log: false })
+  t.is((await store.put({ key: k('b'), value: k('1') })).ver, 1)
+  t.is((await store.put({ key: k('b'), value: k('2') })).ver, 2)
+  await store.put({ key: k('a'), value: k('x') })
+  await store.put({ key: k('c'), value: k('gone') })
+  await store.del({ key: k('c') })
+  t.is((await store.append({ value: k('e1') })).pos, 1)
+  t.is((await store.append({ value: k('e2') })).pos, 2)
+  await store.close()
+  t.is((await store.get({ key: k('a') })).code, CODES.Closed)
+
+  const reopened = createFileStore({ dir, log: false })
+  t.teardown(() => reopened.close())
+  const got = await reopened.get({ key: k('b') })
+  t.is(b4a.toString(got.value), '2')
+  t.is(got.ver, 2)
+  t.is((await reopened.get({ key: k('c') })).value, undefined)
+  t.alike((await entriesOf(reopened.scan({ prefix: k('a') }))), [['a', 'x']])
+  t.alike((await entriesOf(reopened.scan({ range: { gte: k('a') }, reverse: true }))), [['b', '2'], ['a', 'x']])
+  t.is((await reopened.append({ value: k('e3') })).pos, 3, 'positions continue after reopen')
+  t.alike(reopened.stats().keys, 5)
+})
+
+test('file store: compaction keeps live records and positions', async t => {
+  const dir = await tmpDir(t, 'plex-store-')
+  const store = createFileStore({ dir, compactMinBytes: 1 << 30, log: false })
+  for (let i = 0; i < 20; i++) await store.put({ key: k('hot'), value: k(`v${i}`) })
+  await store.append({ value: k('a') })
+  await store.del({ key: k('\x00\x00\x00\x00\x00\x00\x00\x01') })
+  const before = store.stats()
+  t.ok(before.garbage > 0)
+  await store.compact()
+  const after = store.stats()
+  t.is(after.garbage, 0)
+  t.ok(after.bytes < before.bytes)
+  t.is(b4a.toString((await store.get({ key: k('hot') })).value), 'v19')
+  await store.close()
+
+  const reopened = createFileStore({ dir, log: false })
+  t.teardown(() => reopened.close())
+  t.is((await reopened.get({ key: k('hot') })).ver, 20)
+  t.is((await reopened.append({ value: k('b') })).pos, 2, 'deleted positions are not reused')
+})
+
+test('file store: deleted keys keep their version across restarts and compaction', async t => {
+  const dir = await tmpDir(t, 'plex-store-')
+  const store = createFileStore({ dir, compactMinBytes: 1 << 30, log: false })
+  await store.put({ key: k('a'), value: k('1') })
+  await store.put({ key: k('a'), value: k('2') })
+  await store.del({ key: k('a') })
+  await store.del({ key: k('never') })
+  await store.compact()
+  await store.close()
+
+  const reopened = createFileStore({ dir, log: false })
+  t.is((await reopened.get({ key: k('a') })).value, undefined)
+  t.is(reopened.stats().keys, 0)
+  t.is((await reopened.put({ key: k('a'), value: k('3') })).ver, 4, 'carries on above the delete')
+  t.is((await reopened.put({ key: k('never'), value: k('1') })).ver, 1)
+  await reopened.compact()
+  t.is(reopened.stats().garbage, 0)
+  await reopened.close()
+
+  const again = createFileStore({ dir, log: false })
+  t.teardown(() => again.close())
+  t.is((await again.get({ key: k('a') })).ver, 4)
+})
+
+test('file store: expired tombstones are compacted away', async t => {
+  const dir = await tmpDir(t, 'plex-store-')
+  const store = createFileStore({ dir, compactMinBytes: 1 << 30, tombstoneTtlMs: 5, log: false })
+  await store.put({ key: k('a'), value: k('1') })
+  await store.del({ key: k('a') })
+  t.is((await store.get({ key: k('a') })).ver, 2)
+  await new Promise((resolve) => setTimeout(resolve, 15))
+  await store.compact()
+  t.alike(await store.get({ key: k('a') }), { v: 1, ok: true })
+  await store.close()
+
+  const reopened = createFileStore({ dir, log: false })
+  t.teardown(() => reopened.close())
+  t.alike(await reopened.get({ key: k('a') }), { v: 1, ok: true }, 'the tombstone is gone from the log')
+  t.is(reopened.stats().garbage, 0)
+})
+
+test('file store: a failed compaction leaves the old log in use', async t => {
+  const dir = await tmpDir(t, 'plex-store-')
+  const store = createFileStore({ dir, compactMinBytes: 1 << 30, log: false })
+  for (let i = 0; i < 5; i++) await store.put({ key: k('a'), value: k(`v${i}`) })
+
+  const rename = storeFs.rename
+  storeFs.rename = (from, to, cb) => cb(Object.assign(new Error('rename failed'), { code: 'EXDEV' }))
+  try {
+    await t.exception(store.compact(), /rename failed/)
+  } finally {
+    storeFs.rename = rename
+  }
+  t.absent(fs.existsSync(path.join(dir, 'store.log.compact')), 'the temporary log is removed')
+  t.is(b4a.toString((await store.get({ key: k('a') })).value), 'v4')
+  t.is((await store.put({ key: k('b'), value: k('1') })).ver, 1)
+
+  await store.compact()
+  t.is(store.stats().garbage, 0)
+  t.is((await store.put({ key: k('a'), value: k('v5') })).ver, 6, 'writes go to the compacted log')
+  await store.close()
+
+  const reopened = createFileStore({ dir, log: false })
+  t.teardown(() => reopened.close())
+  t.is(b4a.toString((await reopened.get({ key: k('a') })).value), 'v5')
+  t.is(b4a.toString((await reopened.get({ key: k('b') })).value), '1')
+})
+
+test('file store: compacts on its own once garbage dominates', async t => {
+  const dir = await tmpDir(t, 'plex-store-')
+  const store = createFileStore({ dir, compactMinBytes: 256, sync: false, log: false })
+  t.teardown(() => store.close())
+  for (let i = 0; i < 50; i++) await store.put({ key: k('k'), value: k(`value-${i}`) })
+  t.is(b4a.toString((await store.get({ key: k('k') })).value), 'value-49')
+  const { bytes, garbage } = store.stats()
+  t.ok(bytes < 512, `log stays bounded (${bytes} bytes)`)
+  t.ok(garbage < 256)
+})
+
+test('file store: a torn tail is cut off on open', async t => {
+  const dir = await tmpDir(t, 'plex-store-')
+  const store = createFileStore({ dir, log: false })
+  await store.put({ key: k('a'), value: k('1') })
+  await store.put({ key: k('b'), value: k('2') })
+  await store.close()
+  const file = path.join(dir, 'store.log')
+  const size = fs.statSync(file).size
+  fs.truncateSync(file, size - 3)
+
+  const reopened = createFileStore({ dir, log: false })
+  t.teardown(() => reopened.close())
+  t.is(b4a.toString((await reopened.get({ key: k('a') })).value), '1')
+  t.is((await reopened.get({ key: k('b') })).value, undefined)
+  await reopened.put({ key: k('c'), value: k('3') })
+  await reopened.close()
+  const again = createFileStore({ dir, log: false })
+  t.teardown(() => again.close())
+  t.alike(await entriesOf(again.scan()), [['a', '1'], ['c', '3']])
+})
+
+test('file store: served with exposeStorePort', async t => {
+  const store = createFileStore({ dir: await tmpDir(t, 'plex-store-'), log: false })
+  t.teardown(() => store.close())
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const id = b4a.from('f1', 'hex')
+  exposeStorePort(createPeer({ stream: a, log: false }), { id }, store)
+  const remote = connectStorePort(createPeer({ stream: b, log: false }), { id })
+  await remote.put({ key: k('x'), value: k('y') })
+  t.is((await remote.append({ value: k('z') })).pos, 1)
+  t.is(b4a.toString((await remote.get({ key: k('x') })).value), 'y')
+  t.is((await entriesOf(remote.scan({}))).length, 2)
+})
@@ -0,0 +1,123 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { exposeStorePort, connectStorePort } from '../service.js'
+import { createEventLog, decodePosKey } from '../eventlog.js'
+import { createMemoryStore } from '../store/index.js'
+import { CODES } from '../result/index.js'
+
+const k = (s) => b4a.from(s)
+
+async function keysOf (iterable) {
+  const out = []
+  for await (const env of iterable) out.push(b4a.toString(env.meta.key))
+  return out
+}
+
+async function seed (store, names) {
+  for (const name of names) await store.put({ key: k(name), value: k(`v:${name}`) })
+}
+
+test('memory store: get/put/del with per-key versions', async t => {
+  const store = createMemoryStore()
+  t.alike(await store.get({ key: k('a') }), { v: 1, ok: true }, 'missing key')
+  t.is((await store.put({ key: k('a'), value: k('1') })).ver, 1)
+  t.is((await store.put({ key: k('a'), value: k('2') })).ver, 2)
+  const got = await store.get({ key: k('a') })
+  t.is(b4a.toString(got.value), '2')
+  t.is(got.ver, 2)
+
+  t.is((await store.put({ key: k('a'), value: k('w'), ver: 10 })).ver, 10, 'writer-assigned version lands')
+  t.is((await store.put({ key: k('a'), value: k('old'), ver: 7 })).ver, 10, 'stale write ignored')
+  t.is(b4a.toString((await store.get({ key: k('a') })).value), 'w')
+
+  await store.del({ key: k('a') })
+  t.is((await store.get({ key: k('a') })).value, undefined)
+  t.is((await store.put({ key: k('a'), value: k('x') })).ver, 12, 'versions carry on above the delete')
+  await store.del({ key: k('a') })
+  t.is((await store.put({ key: k('a'), value: k('y'), ver: 13 })).ver, 13, 'a writer-assigned version below the delete is stale')
+  t.is((await store.get({ key: k('a') })).value, undefined)
+  t.is((await store.get({ key: k('a') })).ver, 13, 'a deleted key answers with its tombstone version')
+
+  t.is((await store.del({ key: k('b'), ver: 5 })).ver, 5, 'a writer-assigned delete lands on a missing key')
+  t.is((await store.put({ key: k('b'), value: k('old'), ver: 4 })).ver, 5, 'older puts stay out')
+  t.is((await store.del({ key: k('b'), ver: 3 })).ver, 5, 'stale delete ignored')
+  t.is((await store.get({ key: k('b') })).value, undefined)
+  t.is((await store.del({ key: k('b'), ver: -2 })).code, CODES.BadArg)
+
+  t.is((await store.put({ key: 'a', value: k('x') })).code, CODES.BadArg)
+  t.is((await store.put({ key: k('a'), value: k('x'), ver: -1 })).code, CODES.BadArg)
+})
+
+test('memory store: tombstones expire after tombstoneTtlMs', async t => {
+  const store = createMemoryStore({ tombstoneTtlMs: 5 })
+  await store.put({ key: k('a'), value: k('1') })
+  await store.del({ key: k('a') })
+  t.is((await store.get({ key: k('a') })).ver, 2, 'kept while fresh')
+  await new Promise((resolve) => setTimeout(resolve, 15))
+  await store.del({ key: k('b'), ver: 1 })
+  t.alike(await store.get({ key: k('a') }), { v: 1, ok: true }, 'forgotten on the next delete')
+  t.is((await store.get({ key: k('b') })).ver, 1, 'the newer tombstone stays')
+  t.is((await store.put({ key: k('a'), value: k('2') })).ver, 1)
+})
+
+test('memory store: scan with prefix, range and reverse', async t => {
+  const store = createMemoryStore()
+  await seed(store, ['b/2', 'a/1', 'b/1', 'c', 'b/3', 'a/2'])
+
+  t.alike(await keysOf(store.scan()), ['a/1', 'a/2', 'b/1', 'b/2', 'b/3', 'c'], 'byte order')
+  t.alike(await keysOf(store.scan({ prefix: k('b/') })), ['b/1', 'b/2', 'b/3'])
+  t.alike(await keysOf(store.scan({ prefix: k('b/'), reverse: true })), ['b/3', 'b/2', 'b/1'])
+  t.alike(await keysOf(store.scan({ range: { gt: k('a/2'), lt: k('c') } })), ['b/1', 'b/2', 'b/3'])
+  t.alike(await keysOf(store.scan({ range: { gte: k('a/2'), lte: k('b/2') }, reverse: true })), ['b/2', 'b/1', 'a/2'])
+  t.alike(await keysOf(store.scan({ prefix: k('b/'), range: { gte: k('b/2') } })), ['b/2', 'b/3'])
+  t.alike(await keysOf(store.scan({ range: { gt: k('z') } })), [])
+
+  const bad = []
+  for await (const env of store.scan({ range: { gt: 'a' } })) bad.push(env.code)
+  t.alike(bad, [CODES.BadArg])
+})
+
+test('memory store: scans follow writes ahead of the cursor', async t => {
+  const store = createMemoryStore()
+  await seed(store, ['a', 'c', 'e'])
+  const seen = []
+  for await (const env of store.scan()) {
+    const key = b4a.toString(env.meta.key)
+    seen.push(key)
+    if (key === 'a') {
+      await store.del({ key: k('c') })
+      await store.put({ key: k('d'), value: k('v') })
+      await store.put({ key: k('0'), value: k('v') })
+    }
+  }
+  t.alike(seen, ['a', 'd', 'e'])
+})
+
+test('memory store: append positions and serving over plex', async t => {
+  const store = createMemoryStore()
+  t.is((await store.append({ value: k('x') })).pos, 1)
+  t.is((await store.append({ value: k('y') })).pos, 2)
+  const entries = []
+  for await (const env of store.scan()) entries.push([env.pos, decodePosKey(env.meta.key), b4a.toString(env.value)])
+  t.alike(entries, [[1, 1, 'x'], [2, 2, 'y']])
+
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const id = b4a.from('5e', 'hex')
+  exposeStorePort(createPeer({ stream: a, log: false }), { id }, store)
+  const remote = connectStorePort(createPeer({ stream: b, log: false }), { id })
+
+  await remote.put({ key: k('p/1'), value: k('one') })
+  const got = await remote.get({ key: k('p/1') })
+  t.is(b4a.toString(got.value), 'one')
+  t.is(got.ver, 1, 'version crosses the wire')
+  t.alike(await keysOf(remote.scan({ prefix: k('p/') })), ['p/1'])
+
+  const eventLog = createEventLog(remote, { log: false })
+  t.is((await eventLog.append(k('z'))).pos, 3)
+  const replay = []
+  for await (const e of eventLog.read({ after: 1, live: false })) replay.push([e.pos, b4a.toString(e.value)])
+  t.alike(replay, [[2, 'y'], [3, 'z']])
+})
@@ -0,0 +1,104 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { exposeStorePort, connectStorePort, scanPage, createCapsVerifier, withStoreCaps } from '../service.js'
+import { createMemoryStore, createFileStore } from '../store/index.js'
+import { encodeScanCursor, decodeScanCursor } from '../protocol/store.js'
+import { CODES } from '../result/index.js'
+import { tmpDir } from './helpers.js'
+
+const k = (s) => b4a.from(s)
+
+async function seed (store, names) {
+  for (const name of names) await store.put({ key: k(name), value: k(`v:${name}`) })
+}
+
+function keysOf (page) {
+  return page.value.map((env) => b4a.toString(env.meta.key))
+}
+
+// Every page of `req`, following cursors until the scan is exhausted.
+async function allPages (store, req) {
+  const pages = []
+  let cursor = req.cursor
+  do {
+    const page = await scanPage(store, { ...req, cursor })
+    if (!page.ok) return page.code
+    pages.push(keysOf(page))
+    cursor = page.meta.cursor
+  } while (cursor)
+  return pages
+}
+
+function served (t, port, cfg = {}) {
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const id = b4a.from('d1', 'hex')
+  exposeStorePort(createPeer({ stream: a, log: false }), { id, ...cfg }, port)
+  return connectStorePort(createPeer({ stream: b, log: false }), { id })
+}
+
+async function pagesAndCursors (t, store) {
+  await seed(store, ['a', 'b/1', 'b/2', 'b/3', 'b/4', 'b/5', 'c'])
+  t.alike(await allPages(store, { prefix: k('b/'), limit: 2 }), [['b/1', 'b/2'], ['b/3', 'b/4'], ['b/5']])
+  t.alike(await allPages(store, { prefix: k('b/'), limit: 5 }), [['b/1', 'b/2', 'b/3', 'b/4', 'b/5']], 'an exact fit ends without a cursor')
+  t.alike(await allPages(store, { reverse: true, limit: 3 }), [['c', 'b/5', 'b/4'], ['b/3', 'b/2', 'b/1'], ['a']])
+  t.alike(await allPages(store, { range: { gt: k('a'), lte: k('b/4') }, limit: 3 }), [['b/1', 'b/2', 'b/3'], ['b/4']])
+  t.alike(await allPages(store, {}), [['a', 'b/1', 'b/2', 'b/3', 'b/4', 'b/5', 'c']], 'no limit, one page')
+
+  const first = await scanPage(store, { prefix: k('b/'), limit: 2 })
+  await store.del({ key: k('b/3') })
+  await store.put({ key: k('b/25'), value: k('new') })
+  t.alike(keysOf(await scanPage(store, { prefix: k('b/'), limit: 2, cursor: first.meta.cursor })), ['b/25', 'b/4'], 'resumes right after the last delivered key')
+
+  const outside = encodeScanCursor({ key: k('a') })
+  t.alike(keysOf(await scanPage(store, { prefix: k('b/'), limit: 1, cursor: outside })), ['b/1'], 'a cursor never widens the request')
+
+  t.is(await allPages(store, { limit: 2, cursor: first.meta.cursor, reverse: true }), CODES.BadArg, 'cursor of a forward scan')
+  t.is(await allPages(store, { limit: 2, cursor: k('junk') }), CODES.BadArg)
+  t.is(await allPages(store, { limit: -1 }), CODES.BadArg)
+}
+
+test('memory store: paginated scans with continuation cursors', async t => {
+  await pagesAndCursors(t, createMemoryStore())
+})
+
+test('file store: paginated scans with continuation cursors', async t => {
+  const dir = await tmpDir(t, 'plex-pages-')
+  const store = createFileStore({ dir, log: false })
+  t.teardown(() => store.close())
+  await pagesAndCursors(t, store)
+})
+
+test('paginated scans over plex resume on another peer', async t => {
+  const one = createMemoryStore()
+  const two = createMemoryStore()
+  await seed(one, ['k1', 'k2', 'k3', 'k4', 'k5'])
+  await seed(two, ['k1', 'k2', 'k3', 'k4', 'k5'])
+  const remoteOne = served(t, one)
+  const remoteTwo = served(t, two)
+
+  const page = await scanPage(remoteOne, { limit: 2 })
+  t.alike(keysOf(page), ['k1', 'k2'])
+  const at = decodeScanCursor(page.meta.cursor)
+  t.is(b4a.toString(at.key), 'k2', 'the cursor travels in the terminal frame')
+  t.is(at.reverse, false)
+  const rest = await scanPage(remoteTwo, { limit: 10, cursor: page.meta.cursor })
+  t.alike(keysOf(rest), ['k3', 'k4', 'k5'])
+  t.is(rest.meta.cursor, undefined)
+
+  const items = []
+  for await (const env of remoteOne.scan({ limit: 2 })) items.push(env)
+  t.is(items.length, 2, 'for-await consumers only see the entries')
+})
+
+test('paginated scans stay inside the capability scope', async t => {
+  const store = createMemoryStore()
+  await seed(store, ['a/1', 'u/1', 'u/2', 'u/3', 'z'])
+  const verifyCaps = createCapsVerifier({ resolve: (caps) => (caps ? { access: 'read', prefix: b4a.toString(caps) } : null) })
+  const remote = withStoreCaps(served(t, store, { verifyCaps }), 'u/')
+  t.alike(await allPages(remote, { prefix: k('u/'), limit: 2 }), [['u/1', 'u/2'], ['u/3']])
+  const page = await scanPage(remote, { prefix: k('u/'), limit: 1, cursor: encodeScanCursor({ key: k('a') }) })
+  t.alike(keysOf(page), ['u/1'])
+})
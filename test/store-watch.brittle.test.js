@@ -0,0 +1,158 @@
+import { test } from 'brittle'
+import duplexThrough from 'duplex-through'
+import b4a from 'b4a'
+import { createPeer } from '../peer.js'
+import { exposeStorePort, connectStorePort, createCapsVerifier, withStoreCaps } from '../service.js'
+import { createMemoryStore, createFileStore } from '../store/index.js'
+import { CODES } from '../result/index.js'
+import { encodePosKey } from '../eventlog.js'
+import { tmpDir } from './helpers.js'
+
+const k = (s) => b4a.from(s)
+
+// put events carry a value (possibly empty), delete events none
+function change (env) {
+  if (!env.ok) return env.code
+  const key = b4a.toString(env.meta.key)
+  return env.value === undefined ? `del ${key}` : `put ${key}=${b4a.toString(env.value)}@${env.ver}`
+}
+
+async function take (iterator, n) {
+  const out = []
+  while (out.length < n) {
+    const step = await iterator.next()
+    if (step.done) break
+    out.push(change(step.value))
+  }
+  return out
+}
+
+function served (t, port, cfg = {}, clientCfg = {}) {
+  const [a, b] = duplexThrough()
+  t.teardown(() => { try { a.destroy() } catch {}; try { b.destroy() } catch {} })
+  const id = b4a.from('c1', 'hex')
+  exposeStorePort(createPeer({ stream: a, log: false }), { id, ...cfg }, port)
+  return connectStorePort(createPeer({ stream: b, log: false }), { id, ...clientCfg })
+}
+
+async function until (fn) {
+  for (let i = 0; i < 200 && !fn(); i++) await new Promise((resolve) => setTimeout(resolve, 5))
+}
+
+test('memory store: watch streams matching puts and deletes', async t => {
+  const store = createMemoryStore()
+  const watch = store.watch({ prefix: k('p/') })
+  await store.put({ key: k('p/a'), value: k('1') })
+  await store.put({ key: k('q/a'), value: k('x') })
+  await store.put({ key: k('p/b'), value: k('') })
+  t.alike(await take(watch, 2), ['put p/a=1@1', 'put p/b=@1'])
+  await store.del({ key: k('p/a') })
+  await store.del({ key: k('p/missing') })
+  await store.batch({ ops: [{ type: 'put', key: k('p/c'), value: k('2') }, { type: 'del', key: k('p/b') }] })
+  t.alike(await take(watch, 3), ['del p/a', 'put p/c=2@1', 'del p/b'], 'deletes of missing keys are not changes')
+
+  const next = watch.next()
+  await store.put({ key: k('p/d'), value: k('3') })
+  t.is(change((await next).value), 'put p/d=3@1', 'a waiting reader gets the change directly')
+
+  const pending = watch.next()
+  await watch.return()
+  t.alike(await pending, { value: undefined, done: true }, 'return settles a pending next')
+  await store.put({ key: k('p/e'), value: k('4') })
+  t.alike(await watch.next(), { value: undefined, done: true })
+
+  const ranged = store.watch({ range: { gte: k('m'), lt: k('n') } })
+  await store.put({ key: k('l'), value: k('0') })
+  await store.put({ key: k('m1'), value: k('1') })
+  t.alike(await take(ranged, 1), ['put m1=1@1'])
+  ranged.return()
+
+  t.alike(await take(store.watch({ prefix: 'p/' }), 2), [CODES.BadArg], 'bad request ends the watch')
+})
+
+test('memory store: a lagging watch coalesces per key, then overflows', async t => {
+  const store = createMemoryStore({ watchHighWaterMark: 2 })
+  const watch = store.watch()
+  for (let i = 1; i <= 3; i++) await store.put({ key: k('a'), value: k(String(i)) })
+  await store.put({ key: k('b'), value: k('1') })
+  t.alike(await take(watch, 2), ['put a=3@3', 'put b=1@1'], 'only the latest change per key waits')
+  await store.put({ key: k('a'), value: k('x') })
+  await store.put({ key: k('b'), value: k('x') })
+  await store.del({ key: k('a') })
+  t.alike(await take(watch, 2), ['put b=x@2', 'del a'], 'a coalesced key moves to its latest change')
+
+  await store.put({ key: k('a'), value: k('4') })
+  await store.put({ key: k('b'), value: k('3') })
+  await store.put({ key: k('c'), value: k('1') })
+  t.alike(await take(watch, 5), [CODES.NotAvailable], 'more distinct keys than the high-water mark end the watch')
+})
+
+test('watch over plex: live changes, cancel and slow consumers', async t => {
+  const store = createMemoryStore({ watchHighWaterMark: 4 })
+  let returned = 0
+  const port = {
+    ...store,
+    watch (o) {
+      const it = store.watch(o)
+      const end = it.return
+      it.return = () => { returned++; return end() }
+      return it
+    }
+  }
+  const remote = served(t, port, {}, { streamWindow: 2 })
+
+  const seen = []
+  const live = (async () => {
+    for await (const env of remote.watch({ prefix: k('p/') })) {
+      seen.push(change(env))
+      if (seen.length === 2) break
+    }
+  })()
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  await store.put({ key: k('p/1'), value: k('a') })
+  await store.put({ key: k('x/1'), value: k('a') })
+  await store.del({ key: k('p/1') })
+  await live
+  t.alike(seen, ['put p/1=a@1', 'del p/1'])
+  await until(() => returned === 1)
+  t.is(returned, 1, 'breaking out cancels the server-side watch')
+
+  const slow = remote.watch({ prefix: k('s/') })[Symbol.asyncIterator]()
+  const first = slow.next()
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  for (let i = 0; i < 20; i++) await store.put({ key: k(`s/${i}`), value: k('v') })
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  const got = [change((await first).value)]
+  for (;;) {
+    const step = await slow.next()
+    if (step.done) break
+    got.push(change(step.value))
+  }
+  t.is(got[0], 'put s/0=v@1')
+  t.is(got[got.length - 1], CODES.NotAvailable, 'the server never buffers more than the high-water mark')
+  t.ok(got.length < 20)
+})
+
+test('watch: capability checks and store close', async t => {
+  const store = createMemoryStore()
+  const verifyCaps = createCapsVerifier({ resolve: (caps) => (caps ? { access: 'read', prefix: b4a.toString(caps) } : null) })
+  const remote = withStoreCaps(served(t, store, { verifyCaps }), 'u/')
+  t.alike(await take(remote.watch({ prefix: k('v/') })[Symbol.asyncIterator](), 2), [CODES.CapabilityDenied])
+  const allowed = remote.watch({ prefix: k('u/') })[Symbol.asyncIterator]()
+  const next = allowed.next()
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  await store.put({ key: k('u/1'), value: k('1') })
+  t.is(change((await next).value), 'put u/1=1@1', 'read access may watch')
+  await allowed.return()
+
+  const dir = await tmpDir(t, 'plex-watch-')
+  const file = createFileStore({ dir, log: false })
+  const watch = file.watch()
+  await file.put({ key: k('a'), value: k('1') })
+  await file.append({ value: k('e') })
+  await file.batch({ ops: [{ type: 'del', key: k('a') }, { type: 'del', key: k('zz') }] })
+  t.alike(await take(watch, 2), [`put ${b4a.toString(encodePosKey(1))}=e@1`, 'del a'], 'changes land once on disk, coalesced')
+  await file.close()
+  t.alike(await take(watch, 2), [CODES.Closed], 'closing the store ends its watches')
+  t.alike(await take(file.watch(), 2), [CODES.Closed])
+})
@@ -9,6 +9,8 @@ export interface PlexBaseConfig {
   encoding?: any
   handshakeEncoding?: any
   handshakeMessage?: any
+  compression?: boolean | import('@neonloom/plex/compress').CompressionOptions
+  encrypt?: boolean | import('@neonloom/plex/crypto').LaneSessionOptions
   onError?: (error: unknown) => unknown
 }
 
@@ -17,10 +19,12 @@ export interface PlexChannelHandlers {
   onopen?: (handshake: any) => void
   onclose?: () => void
   ondestroy?: (error?: unknown) => void
+  ondrain?: () => void
 }
 
 export interface PlexDuplexHooks {
   onOpen?: (handshake: Uint8Array) => void
+  openGate?: (done: (err?: unknown) => void) => void
   onPair?: (cfg: PlexNormalizedConfig) => void
 }
 
@@ -144,9 +148,95 @@ declare module '@neonloom/plex/peer' {
       transport: PeerTransport
       websocket?: any
     }
+    readonly remoteDescriptor: any | null
+    isAuthenticated(): boolean
+    whenAuthenticated(): Promise<any | null>
+    readonly services: import('@neonloom/plex/registry').ServiceRegistry | null
   }
 
-  export function createPeer(cfg: { stream: any; protocolBase?: string }): Peer
+  export interface PeerAuthOptions {
+    signer: import('@neonloom/plex/crypto').Signer
+    descriptor?: Record<string, any>
+    verify?: (message: Uint8Array, sig: Uint8Array, publicKey: Uint8Array) => boolean | Promise<boolean>
+    authorize?: (descriptor: any) => boolean | Promise<boolean>
+    timeoutMs?: number
+  }
+
+  export function createPeer(cfg: { stream: any; protocolBase?: string; services?: boolean; compression?: boolean | import('@neonloom/plex/compress').CompressionOptions; auth?: PeerAuthOptions; logger?: any; log?: any }): Peer
+}
+
+declare module '@neonloom/plex/auth' {
+  import type { PeerAuthOptions } from '@neonloom/plex/peer'
+
+  export const AUTH_CONTEXT: string
+  export const AUTH_LANE: string
+
+  export function authMessage(challengerNonce: Uint8Array, responderNonce: Uint8Array, descriptor: any): Uint8Array
+
+  export interface AuthHandshake {
+    whenReady(cb: (err: Error | null, descriptor?: any) => void): void
+    ready(): Promise<any>
+    isReady(): boolean
+    readonly remoteDescriptor: any | null
+    readonly localDescriptor: any
+    destroy(error?: Error): void
+  }
+
+  export function createAuthHandshake(cfg: PeerAuthOptions & { stream: any; mux: any; protocolBase: string; logger?: any; log?: any }): AuthHandshake
+}
+
+declare module '@neonloom/plex/crypto' {
+  export interface Signer {
+    publicKey: Uint8Array
+    sign(message: Uint8Array): Uint8Array | Promise<Uint8Array>
+  }
+
+  export const PUBLIC_KEY_BYTES: number
+  export const SECRET_KEY_BYTES: number
+  export const SIGNATURE_BYTES: number
+  export const SEED_BYTES: number
+
+  export function randomBytes(n: number): Uint8Array
+  export function generateKeyPair(seed?: Uint8Array): { publicKey: Uint8Array; secretKey: Uint8Array }
+  export function sign(message: Uint8Array, secretKey: Uint8Array): Uint8Array
+  export function verify(message: Uint8Array, sig: Uint8Array, publicKey: Uint8Array): boolean
+  export function createSigner(keyPair?: { publicKey: Uint8Array; secretKey: Uint8Array }): { publicKey: Uint8Array; sign(message: Uint8Array): Uint8Array }
+
+  export interface LaneSessionOptions {
+    binding?: Uint8Array
+    signer?: Signer
+    remotePublicKey?: Uint8Array | (() => Uint8Array | null | undefined)
+  }
+
+  export interface LaneSession {
+    readonly ready: boolean
+    readonly verified: boolean
+    hello(): Promise<{ publicKey: Uint8Array; sig: Uint8Array | null }>
+    accept(remote: { publicKey: Uint8Array; sig?: Uint8Array | null }): void
+    seal(plaintext: Uint8Array): Uint8Array
+    open(ciphertext: Uint8Array): Uint8Array
+  }
+
+  export function createLaneSession(opts?: LaneSessionOptions): LaneSession
+}
+
+declare module '@neonloom/plex/compress' {
+  export interface Compressor {
+    name: string
+    compress(bytes: Uint8Array): Uint8Array
+    decompress(bytes: Uint8Array, byteLength: number): Uint8Array
+  }
+
+  export interface CompressionOptions {
+    codecs?: Array<string | Compressor>
+    threshold?: number
+    maxBytes?: number
+  }
+
+  export const DEFAULT_THRESHOLD: number
+  export const DEFAULT_MAX_BYTES: number
+  export const lz4: Compressor
+  export function resolveCompression(opt: boolean | CompressionOptions | null | undefined): { codecs: Compressor[]; threshold: number; maxBytes: number } | null
 }
 
 declare module '@neonloom/plex/pool' {
@@ -161,6 +251,46 @@ declare module '@neonloom/plex/pool' {
     successes: number
     latencyMs: number
     cooldownUntil: number
+    breaker: 'closed' | 'open' | 'half-open'
+    healthy?: boolean
+    limits: PeerPoolLimitStats
+  }
+
+  export interface PeerPoolRetryOptions {
+    attempts?: number
+    backoff?: { minMs?: number; maxMs?: number; factor?: number; jitter?: number }
+    methods?: Array<'get' | 'put' | 'del' | 'append' | 'scan'>
+    codes?: string[]
+  }
+
+  export interface PeerPoolHedgeOptions {
+    afterMs?: number
+    percentile?: number
+    minSamples?: number
+    methods?: Array<'get' | 'put' | 'del' | 'append'>
+  }
+
+  export interface PeerPoolReplicationOptions {
+    n?: number
+    w?: number
+    r?: number
+    readRepair?: boolean
+  }
+
+  export interface PeerPoolLimits {
+    maxInFlight?: number
+    rps?: number
+    bps?: number
+    burst?: number
+    bytesBurst?: number
+  }
+
+  export interface PeerPoolLimitStats {
+    maxInFlight?: number
+    rps?: number
+    bps?: number
+    requestTokens?: number
+    byteTokens?: number
   }
 
   export interface StorePortClient {
@@ -168,14 +298,31 @@ declare module '@neonloom/plex/pool' {
     put(opts: any): Promise<any>
     del(opts: any): Promise<any>
     append(opts: any): Promise<any>
+    batch(opts: any): Promise<any>
     scan(opts: any): AsyncIterable<any>
+    watch(opts: any): AsyncIterable<any>
+    waitReady(): Promise<void>
+    close(): Promise<any>
+    destroy(): Promise<any>
+  }
+
+  export interface PeerPoolRoutingOptions {
+    policy?: 'round-robin' | 'weighted' | 'sticky'
+    keyFn?: (...args: any[]) => any
+    prefer?: 'local' | 'lan'
+    retry?: PeerPoolRetryOptions
+    hedge?: PeerPoolHedgeOptions
+  }
+
+  export interface PeerPoolClient {
+    [method: string]: any
     waitReady(): Promise<void>
     close(): Promise<any>
     destroy(): Promise<any>
   }
 
   export interface PeerPool {
-    add(peer: any, opts?: { weight?: number; meta?: Record<string, any> }): { dispose(): void }
+    add(peer: any, opts?: { weight?: number; meta?: Record<string, any>; limits?: PeerPoolLimits }): { dispose(): void }
     remove(peer: any): void
     connectStorePort(opts: {
       id: Uint8Array
@@ -184,14 +331,104 @@ declare module '@neonloom/plex/pool' {
       policy?: 'round-robin' | 'weighted' | 'sticky'
       keyFn?: (input: any) => any
       prefer?: 'local' | 'lan'
+      retry?: PeerPoolRetryOptions
+      hedge?: PeerPoolHedgeOptions
+      replication?: PeerPoolReplicationOptions
     }): StorePortClient
+    connect(opts: PeerPoolRoutingOptions & {
+      key?: string
+      factory: (peer: any, info: { peerId: number; meta?: Record<string, any> }) => any
+      methods: Record<string, 'unary' | 'stream'>
+      optsArg?: number
+    }): PeerPoolClient
+    connectService(opts: PeerPoolRoutingOptions & {
+      id: Uint8Array
+      lane?: string
+      eagerOpen?: boolean
+      streamWindow?: number
+      service: any
+    }): PeerPoolClient
     close(): void
     destroy(): void
+    checkHealth(): Promise<PeerPoolStatsEntry[]>
     stats(): PeerPoolStatsEntry[]
+    poolStats(): { inFlight: number; queued: number; limits: PeerPoolLimitStats }
     events: EventEmitter
   }
 
-  export function createPeerPool(): PeerPool
+  export interface PeerPoolOptions {
+    breaker?: { failureThreshold?: number; resetMs?: number; halfOpenProbes?: number }
+    health?: boolean | { intervalMs?: number; timeoutMs?: number; id?: Uint8Array; lane?: string }
+    limits?: PeerPoolLimits
+    poolLimits?: PeerPoolLimits
+    onLimit?: 'next' | 'queue' | 'fail'
+    queueTimeoutMs?: number
+    logger?: any
+    log?: any
+  }
+
+  export function rendezvousScore(keyBytes: Uint8Array, entry: { weight: number; hashToken: Uint8Array }): number
+
+  export const HEALTH_ID: Uint8Array
+  export const HEALTH_LANE: string
+  export const healthService: any
+
+  export function exposeHealthCheck(peer: any, cfg?: { id?: Uint8Array; lane?: string; check?: () => boolean | Promise<boolean> }): { dispose(): void }
+
+  export function createPeerPool(opts?: PeerPoolOptions): PeerPool
+}
+
+declare module '@neonloom/plex/reconnect' {
+  import type { EventEmitter } from 'events'
+  import type { Peer, PeerAuthOptions } from '@neonloom/plex/peer'
+  import type { StorePortClient } from '@neonloom/plex/pool'
+  import type { CapsVerifier } from '@neonloom/plex/service'
+  import type { EventLogClient } from '@neonloom/plex/eventlog'
+
+  export interface BackoffOptions {
+    minMs?: number
+    maxMs?: number
+    factor?: number
+    jitter?: number
+  }
+
+  export function backoffDelay(attempt: number, backoff?: BackoffOptions, random?: () => number): number
+
+  export interface ReconnectingPeer {
+    readonly events: EventEmitter
+    readonly peer: Peer | null
+    readonly generation: number
+    isConnected(): boolean
+    waitConnected(): Promise<Peer>
+    use(setup: (peer: Peer) => void | (() => void) | { dispose(): void }): { dispose(): void }
+    exposeStorePort(cfg: { id: Uint8Array; lane?: string; eagerOpen?: boolean; verifyCaps?: CapsVerifier }, port: any): { dispose(): void }
+    connectStorePort(cfg: {
+      id: Uint8Array
+      lane?: string
+      eagerOpen?: boolean
+      streamWindow?: number
+      pending?: 'queue' | 'fail'
+      retryIdempotent?: boolean
+    }): StorePortClient
+    connectEventLog(cfg?: {
+      id?: Uint8Array
+      lane?: string
+      eagerOpen?: boolean
+      streamWindow?: number
+      pending?: 'queue' | 'fail'
+      codec?: any
+    }): EventLogClient & { close(): Promise<void>; destroy(): Promise<void> }
+    close(): void
+  }
+
+  export function createReconnectingPeer(opts: {
+    dial: () => any | Promise<any>
+    peerOptions?: { protocolBase?: string; auth?: PeerAuthOptions }
+    backoff?: BackoffOptions
+    maxAttempts?: number
+    logger?: any
+    log?: any
+  }): ReconnectingPeer
 }
 
 declare module '@neonloom/plex/rpc' {
@@ -200,6 +437,8 @@ declare module '@neonloom/plex/rpc' {
     PUT: number
     DEL: number
     SCAN: number
+    BATCH: number
+    WATCH: number
   }
 
   export interface StorePortServer {
@@ -213,16 +452,68 @@ declare module '@neonloom/plex/rpc' {
       put?(opts: any): Promise<any>
       del?(opts: any): Promise<any>
       append?(opts: any): Promise<any>
+      batch?(opts: any): Promise<any>
       scan?(opts: any): AsyncIterable<any>
+      watch?(opts: any): AsyncIterable<any>
     }
   }): StorePortServer
 
-  export function createStorePortProxyOverPlex(args: { duplex: any }): {
+  export function createStorePortProxyOverPlex(args: { duplex: any; streamWindow?: number; logger?: any; log?: any }): {
     get(opts: any): Promise<any>
     put(opts: any): Promise<any>
     del(opts: any): Promise<any>
     append(opts: any): Promise<any>
+    batch(opts: any): Promise<any>
     scan(opts: any): AsyncIterable<any>
+    watch(opts: any): AsyncIterable<any>
+    close(): Promise<any>
+    destroy(): Promise<any>
+  }
+
+  export type ServiceMethodKind = 'unary' | 'stream' | 'client-stream' | 'bidi'
+
+  export interface ServiceMethodSpec {
+    id?: number
+    kind?: ServiceMethodKind
+    request?: any
+    response?: any
+  }
+
+  export interface ServiceMethod {
+    readonly name: string
+    readonly id: number
+    readonly kind: ServiceMethodKind
+    readonly request: any
+    readonly response: any
+  }
+
+  export interface ServiceDefinition {
+    readonly name: string
+    readonly methods: readonly ServiceMethod[]
+  }
+
+  export interface ServiceCallOptions {
+    timeoutMs?: number
+    signal?: AbortSignal
+  }
+
+  export function defineService(def: { name?: string; methods: Record<string, ServiceMethodSpec> }): ServiceDefinition
+
+  export function serveService(args: {
+    duplex: any
+    service: ServiceDefinition | { name?: string; methods: Record<string, ServiceMethodSpec> }
+    handlers: Record<string, (req: any) => any>
+    logger?: any
+    log?: any
+  }): StorePortServer
+
+  export function createServiceClient(args: {
+    duplex: any
+    service: ServiceDefinition | { name?: string; methods: Record<string, ServiceMethodSpec> }
+    streamWindow?: number
+    logger?: any
+    log?: any
+  }): Record<string, (req?: any, opts?: ServiceCallOptions) => any> & {
     close(): Promise<any>
     destroy(): Promise<any>
   }
@@ -233,21 +524,61 @@ declare module '@neonloom/plex/service' {
 
   export function deriveId(namespace: string | Uint8Array, name: string | Uint8Array, version: string | number | Uint8Array): Uint8Array
 
+  export type StoreMethod = 'get' | 'put' | 'del' | 'append' | 'batch' | 'scan' | 'watch'
+
+  export interface CapsCheck {
+    method: StoreMethod
+    caps?: Uint8Array
+    request: any
+  }
+
+  export type CapsVerifier = (check: CapsCheck) => boolean | { ok: boolean } | Promise<boolean | { ok: boolean }>
+
+  export interface CapsClaims {
+    access?: 'read' | 'read-write'
+    methods?: StoreMethod[]
+    prefix?: Uint8Array | string
+    exp?: number
+  }
+
+  export function guardStorePort<T extends Record<string, any>>(port: T, verifier: CapsVerifier): T
+
+  export function createCapsVerifier(opts: {
+    resolve: (caps: Uint8Array | undefined, check: CapsCheck) => CapsClaims | null | undefined | Promise<CapsClaims | null | undefined>
+    now?: () => number
+  }): CapsVerifier
+
   export function exposeStorePort(
     peer: Peer,
-    cfg: { id: Uint8Array; lane?: string; eagerOpen?: boolean },
+    cfg: { id: Uint8Array; lane?: string; eagerOpen?: boolean; compression?: boolean | import('@neonloom/plex/compress').CompressionOptions; encrypt?: boolean | import('@neonloom/plex/crypto').LaneSessionOptions; verifyCaps?: CapsVerifier; descriptor?: Record<string, any>; advertise?: boolean },
     port: {
       get?(opts: any): Promise<any>
       put?(opts: any): Promise<any>
       del?(opts: any): Promise<any>
       append?(opts: any): Promise<any>
+      batch?(opts: any): Promise<any>
       scan?(opts: any): AsyncIterable<any>
+      watch?(opts: any): AsyncIterable<any>
     }
   ): { dispose(): void }
 
-  export function connectStorePort(peer: Peer, cfg: { id: Uint8Array; lane?: string; eagerOpen?: boolean }): any
+  export function connectStorePort(peer: Peer, cfg: { id: Uint8Array; lane?: string; eagerOpen?: boolean; compression?: boolean | import('@neonloom/plex/compress').CompressionOptions; encrypt?: boolean | import('@neonloom/plex/crypto').LaneSessionOptions; streamWindow?: number }): any
 
-  export function withStoreCaps<T extends Record<string, any>>(store: T, token: Uint8Array | string): T & {
+  export function exposeService(
+    peer: Peer,
+    cfg: { id: Uint8Array; lane?: string; eagerOpen?: boolean; compression?: boolean | import('@neonloom/plex/compress').CompressionOptions; encrypt?: boolean | import('@neonloom/plex/crypto').LaneSessionOptions; descriptor?: Record<string, any>; advertise?: boolean },
+    service: any,
+    handlers: Record<string, (req: any) => any>
+  ): { dispose(): void }
+
+  export function connectService(peer: Peer, cfg: { id: Uint8Array; lane?: string; eagerOpen?: boolean; compression?: boolean | import('@neonloom/plex/compress').CompressionOptions; encrypt?: boolean | import('@neonloom/plex/crypto').LaneSessionOptions; streamWindow?: number }, service: any): any
+
+  export function scanPage(
+    store: { scan(opts: any): AsyncIterable<any> },
+    req?: { prefix?: Uint8Array; reverse?: boolean; range?: any; limit?: number; cursor?: Uint8Array; caps?: any }
+  ): Promise<any>
+
+  export function withStoreCaps<T extends Record<string, any>>(store: T, token: Uint8Array | string | import('@neonloom/plex/protocol/caps').CapToken): T & {
     unwrap(): any
   }
 }
@@ -301,6 +632,7 @@ declare module '@neonloom/plex/result' {
 
   export function ok<T = any>(value?: T, meta?: Record<string, any>): ResultOk<T>
   export function err(code: string, message?: string, meta?: Record<string, any>): ResultErr
+  export function codedError(code: string, message: string): Error & { code?: string }
 }
 
 declare module '@neonloom/plex/log' {
@@ -349,6 +681,75 @@ declare module '@neonloom/plex/protocol/store' {
   export const putReqCodec: any
   export const appendReqCodec: any
   export const scanReqCodec: any
+  export const batchReqCodec: any
+  export const watchReqCodec: any
+  export function encodeScanCursor(at: { key: Uint8Array; reverse?: boolean }): Uint8Array
+  export function decodeScanCursor(bytes: Uint8Array): { key: Uint8Array; reverse: boolean } | null
+  export function encodePosKey(pos: number): Uint8Array
+  export function decodePosKey(key: Uint8Array | undefined): number | undefined
+}
+
+declare module '@neonloom/plex/protocol/registry' {
+  export const REGISTRY_SNAPSHOT: 0
+  export const REGISTRY_ADD: 1
+  export const REGISTRY_REMOVE: 2
+  export const registryEntryCodec: any
+  export const registryMessageCodec: any
+}
+
+declare module '@neonloom/plex/protocol/pubsub' {
+  export const PUBSUB_SUB: 0
+  export const PUBSUB_UNSUB: 1
+  export const PUBSUB_MSG: 2
+  export const PUBSUB_CREDIT: 3
+  export const pubsubMessageCodec: any
+}
+
+declare module '@neonloom/plex/protocol/caps' {
+  export interface CapTokenBlock {
+    subject: string
+    methods: string[]
+    prefix: Uint8Array
+    exp: number
+    nextKey: Uint8Array
+    sig: Uint8Array
+  }
+
+  export interface CapToken {
+    version: number
+    issuer: Uint8Array
+    blocks: CapTokenBlock[]
+    proof: Uint8Array
+  }
+
+  export interface CapClaimsInput {
+    subject?: string
+    methods?: string[]
+    prefix?: Uint8Array | string
+    exp?: number
+  }
+
+  export interface CapEffectiveClaims {
+    issuer: Uint8Array
+    subject: string
+    methods?: string[]
+    prefix?: Uint8Array
+    exp?: number
+  }
+
+  export type CapTrust = Uint8Array[] | ((issuer: Uint8Array) => boolean)
+
+  export const CAP_TOKEN_VERSION: number
+  export const capTokenCodec: any
+  export function isCapToken(value: unknown): value is CapToken
+  export function issueCapToken(issuer: { publicKey: Uint8Array; secretKey: Uint8Array }, claims?: CapClaimsInput): CapToken
+  export function attenuateCapToken(token: CapToken | Uint8Array, claims?: CapClaimsInput): CapToken
+  export function verifyCapToken(token: CapToken | Uint8Array, opts: { trusted: CapTrust }):
+    | { ok: true; value: CapEffectiveClaims }
+    | { ok: false; code: string; message: string }
+  export function encodeCapToken(token: CapToken): Uint8Array
+  export function decodeCapToken(bytes: Uint8Array): CapToken
+  export function capTokenResolver(opts: { trusted: CapTrust }): (caps?: Uint8Array) => CapEffectiveClaims | null
 }
 
 declare module '@neonloom/plex/codec/index' {
@@ -370,3 +771,246 @@ declare module '@neonloom/plex/log/index' {
 declare module '@neonloom/plex/env/index' {
   export * from '@neonloom/plex/env'
 }
+
+declare module '@neonloom/plex/discovery' {
+  import type { EventEmitter } from 'events'
+  import type { PeerAuthOptions } from '@neonloom/plex/peer'
+
+  export type Locality = 'local' | 'lan' | 'wan'
+
+  export interface PeerInfo {
+    id: string
+    address?: any
+    locality?: Locality
+    weight?: number
+    meta?: Record<string, any>
+  }
+
+  export interface DiscoverySink {
+    up(info: PeerInfo): void
+    down(id: string): void
+    error(error: Error): void
+  }
+
+  export interface DiscoverySource {
+    name: string
+    locality?: Locality
+    start(sink: DiscoverySink): void | (() => void) | { stop(): void } | { dispose(): void } | Promise<any>
+  }
+
+  export interface LocalRegistry {
+    announce(info: PeerInfo): { withdraw(): void }
+    watch(watcher: { up(info: PeerInfo): void; down(id: string): void }): () => void
+    list(): PeerInfo[]
+    source(opts?: { name?: string; locality?: Locality }): DiscoverySource
+  }
+
+  export interface Discovery {
+    readonly events: EventEmitter
+    addSource(source: DiscoverySource): () => void
+    removeSource(source: DiscoverySource): void
+    peers(): Array<PeerInfo & { sources: string[]; peer: any }>
+    close(): void
+  }
+
+  export const DISCOVERY_ID: Uint8Array
+  export const DISCOVERY_LANE: string
+  export const BEACON_GROUP: string
+  export const BEACON_PORT: number
+  export const discoveryService: any
+
+  export function staticSource(list: PeerInfo[], opts?: { name?: string; locality?: Locality }): DiscoverySource
+  export function createLocalRegistry(): LocalRegistry
+  export function exposeDiscoveryRegistry(peer: any, registry: LocalRegistry, cfg?: { id?: Uint8Array; lane?: string }): { dispose(): void }
+  export function registrySource(peer: any, opts?: { id?: Uint8Array; lane?: string; name?: string; locality?: Locality }): DiscoverySource
+  export function udpBeaconSource(opts?: {
+    announce?: PeerInfo
+    group?: string
+    port?: number
+    intervalMs?: number
+    ttlMs?: number
+    name?: string
+    locality?: Locality
+    dgram?: any
+  }): DiscoverySource
+
+  export function createDiscovery(opts: {
+    pool: { add(peer: any, opts?: any): any; remove(peer: any): void }
+    sources?: DiscoverySource[]
+    dial: (info: PeerInfo) => any | Promise<any>
+    filter?: (info: PeerInfo) => boolean
+    peerOptions?: { protocolBase?: string; auth?: PeerAuthOptions }
+    logger?: any
+    log?: any
+  }): Discovery
+}
+
+declare module '@neonloom/plex/registry' {
+  import type { EventEmitter } from 'events'
+
+  export const REGISTRY_ID: Uint8Array
+  export const REGISTRY_LANE: string
+
+  export interface ServiceQuery {
+    name?: string
+    kind?: string | string[]
+    namespace?: string
+    labels?: Record<string, string | number | boolean>
+  }
+
+  export interface ServiceEntry {
+    key: string
+    id: Uint8Array
+    lane: string
+    descriptor: any
+  }
+
+  export interface ServiceRegistry {
+    readonly events: EventEmitter
+    advertise(descriptor: Record<string, any>, where?: { id?: Uint8Array; lane?: string }): { withdraw(): void }
+    query(query?: ServiceQuery, opts?: { timeoutMs?: number }): Promise<ServiceEntry[]>
+    list(query?: ServiceQuery): ServiceEntry[]
+    local(query?: ServiceQuery): ServiceEntry[]
+    open(): void
+    isSynced(): boolean
+    close(): void
+  }
+
+  export function matchDescriptor(descriptor: any, query?: ServiceQuery): boolean
+  export function createServiceRegistry(peer: any, opts?: { id?: Uint8Array; lane?: string; logger?: any; log?: any }): ServiceRegistry
+}
+
+declare module '@neonloom/plex/eventlog' {
+  export const EVENTLOG_ID: Uint8Array
+  export const EVENTLOG_LANE: string
+  export const eventLogService: any
+
+  export function encodePosKey(pos: number): Uint8Array
+  export function decodePosKey(key: Uint8Array | undefined): number | undefined
+
+  export interface LogEvent<T = Uint8Array> {
+    pos: number
+    value: T
+  }
+
+  export interface EventLog {
+    append(value: Uint8Array): Promise<any>
+    read(opts?: { after?: number; live?: boolean }): AsyncIterableIterator<LogEvent>
+    close(): void
+  }
+
+  export interface EventLogSubscription<T = any> extends AsyncIterableIterator<LogEvent<T>> {
+    readonly position: number
+    ack(pos: number): void
+  }
+
+  export interface EventLogClient {
+    append(value: any, opts?: { timeoutMs?: number; signal?: AbortSignal }): Promise<any>
+    subscribe<T = any>(opts?: { after?: number; autoAck?: boolean }): EventLogSubscription<T>
+  }
+
+  export interface EventLogConnection {
+    client: any
+    gen: number
+    dropped(): boolean
+  }
+
+  export function createEventLog(port: { append(o: any): Promise<any>; scan(o: any): AsyncIterable<any> }, opts?: { highWaterMark?: number; logger?: any; log?: any }): EventLog
+  export function exposeEventLog(
+    peer: any,
+    cfg: { id?: Uint8Array; lane?: string; eagerOpen?: boolean; descriptor?: any; advertise?: boolean },
+    logOrPort: EventLog | { append(o: any): Promise<any>; scan(o: any): AsyncIterable<any> }
+  ): { dispose(): void }
+  export function createEventLogClient(source: (after: number) => Promise<EventLogConnection>, opts?: { codec?: any; logger?: any; log?: any }): EventLogClient
+  export function connectEventLog(
+    peer: any,
+    cfg?: { id?: Uint8Array; lane?: string; eagerOpen?: boolean; streamWindow?: number; codec?: any; logger?: any; log?: any }
+  ): EventLogClient & { close(): Promise<void>; destroy(): Promise<void> }
+}
+
+declare module '@neonloom/plex/store/memory' {
+  export type BatchOp =
+    | { type: 'put'; key: Uint8Array; value: Uint8Array; ifVer?: number }
+    | { type: 'del'; key: Uint8Array; ifVer?: number }
+
+  export interface MemoryStore {
+    get(opts: { key: Uint8Array }): Promise<any>
+    put(opts: { key: Uint8Array; value: Uint8Array; ver?: number; ifVer?: number }): Promise<any>
+    del(opts: { key: Uint8Array; ver?: number; ifVer?: number }): Promise<any>
+    append(opts: { value: Uint8Array }): Promise<any>
+    batch(opts: { ops: BatchOp[] }): Promise<any>
+    scan(opts?: {
+      prefix?: Uint8Array
+      reverse?: boolean
+      range?: { gte?: Uint8Array; gt?: Uint8Array; lte?: Uint8Array; lt?: Uint8Array }
+      limit?: number
+      cursor?: Uint8Array
+    }): AsyncIterableIterator<any>
+    watch(opts?: {
+      prefix?: Uint8Array
+      range?: { gte?: Uint8Array; gt?: Uint8Array; lte?: Uint8Array; lt?: Uint8Array }
+    }): AsyncIterableIterator<any>
+  }
+
+  export function createMemoryStore(opts?: { watchHighWaterMark?: number; tombstoneTtlMs?: number }): MemoryStore
+}
+
+declare module '@neonloom/plex/store/file' {
+  import type { MemoryStore } from '@neonloom/plex/store/memory'
+
+  export interface FileStore extends MemoryStore {
+    ready(): Promise<void>
+    compact(): Promise<void>
+    close(): Promise<void>
+    stats(): { keys: number; bytes: number; garbage: number }
+  }
+
+  export function createFileStore(opts: {
+    dir: string
+    sync?: boolean
+    compactRatio?: number
+    compactMinBytes?: number
+    watchHighWaterMark?: number
+    tombstoneTtlMs?: number
+    logger?: any
+    log?: any
+  }): FileStore
+}
+
+declare module '@neonloom/plex/store' {
+  export { createMemoryStore, MemoryStore, BatchOp } from '@neonloom/plex/store/memory'
+  export { createFileStore, FileStore } from '@neonloom/plex/store/file'
+}
+
+declare module '@neonloom/plex/pubsub' {
+  import type { EventEmitter } from 'events'
+
+  export const PUBSUB_ID: Uint8Array
+
+  export interface PubSubMessage<T = any> {
+    topic: string
+    value: T
+  }
+
+  export interface Subscription<T = any> extends AsyncIterable<PubSubMessage<T>> {
+    readonly pattern: string
+    unsubscribe(): void
+  }
+
+  export interface PubSubStats {
+    subscriptions: number
+    remote: Array<{ sid: number; pattern: string; credit: number; queued: number; dropped: number }>
+  }
+
+  export interface PubSub {
+    readonly events: EventEmitter
+    subscribe<T = any>(pattern: string, opts?: { codec?: any; highWaterMark?: number }): Subscription<T>
+    publish(topic: string, value: any, opts?: { codec?: any }): number
+    stats(): PubSubStats
+    isOpen(): boolean
+    close(): void
+  }
+
+  export function matchTopic(pattern: string, topic: string): boolean
+  export function createPubSub(peer: any, opts?: { id?: Uint8Array; codec?: any; maxQueue?: number; logger?: any; log?: any }): PubSub
+}